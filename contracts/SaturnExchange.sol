@@ -1,12 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./SaturnSignedOrders.sol";
+import "./SaturnFeeSchedule.sol";
+
 /// @notice Minimal ERC223 interface for SATURN
 interface IERC223 {
     function transfer(address to, uint256 value) external returns (bool);
 }
 
+/// @notice The part of ERC20 used to deposit plain ERC20 tokens
+interface IERC20 {
+    function transferFrom(address from, address to, uint256 value) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
 /// @notice Saturn large-lot SATURN/ETC limit-order exchange (v0.1)
+/// @dev One market: SATURN_TOKEN traded against ETC in lots of LOT_SIZE units.
+/// The original market trades SATURN; SaturnMarketFactory deploys markets for
+/// other ERC223 or ERC20 tokens, which keep the SATURN names in this contract
+/// (tokenBalance, lockedSaturn, DepositSATURN, ...) for the market's token.
 contract SaturnExchange {
     // ------------------------------------------------------------
     // Types and constants
@@ -14,6 +27,26 @@ contract SaturnExchange {
 
     enum Side { Buy, Sell }
 
+    /// GTC: rest the remainder. IOC: match what crosses now, drop the rest.
+    /// FOK: fill every lot now or revert. PostOnly: rest without matching,
+    /// revert if the order would cross (never pays the taker fee).
+    enum TimeInForce { GTC, IOC, FOK, PostOnly }
+
+    /// What happens when a taker reaches its own resting order (no trade is
+    /// made in any mode). CancelNewest: drop the taker's remaining lots.
+    /// CancelOldest: cancel the resting order and keep matching.
+    /// DecrementBoth: reduce both by the overlap and keep matching.
+    enum SelfTradePrevention { CancelNewest, CancelOldest, DecrementBoth }
+
+    /// Per-order matching options threaded through the internal entry path
+    struct OrderOptions {
+        TimeInForce tif;
+        uint64 expiresAt;
+        SelfTradePrevention stp;
+        uint16 maxFills;      // makers visited (filled, expired or self-trade) before matching stops
+        uint64 hintPrevId;    // insertion hint for a resting remainder, see _insertOrder
+    }
+
     struct Account {
         uint256 tokenBalance; // SATURN internal balance (in smallest units, 4 decimals)
         uint256 etherBalance; // ETC internal balance (wei)
@@ -32,26 +65,54 @@ contract SaturnExchange {
         address user;
         Side    side;
         uint128 pricePerLot; // ETC per lot in wei
-        uint128 lots;        // integer number of lots (1 lot = 1000 SATURN)
+        uint128 lots;        // integer number of lots (1 lot = LOT_SIZE token units)
+        uint64  expiresAt;   // unix time the order stops matching; 0 = never
+        uint64  placedAt;    // unix time the order was placed
     }
 
-    // SATURN has 4 decimals, 1 lot = 1000 SATURN => 1000 * 10^4 units
-    uint256 public constant SATURN_DECIMALS = 4;
-    uint256 public constant LOT_SIZE = 1000 * (10 ** SATURN_DECIMALS); // 1000 SATURN
+    // tokenFallback order actions (see tokenFallback)
+    uint8 public constant FALLBACK_LIMIT_SELL     = 1;
+    uint8 public constant FALLBACK_IMMEDIATE_SELL = 2;
 
-    // Fee: basis points (1e4 = 100%)
-    uint16 public constant TAKER_FEE_BPS = 25;  // 0.25%
+    // Makers one placement may visit unless the caller passes its own maxFills
+    uint16 public constant DEFAULT_MAX_FILLS = 64;
+
+    // Upper bound for the circuit breaker price band
+    uint16 public constant MAX_PRICE_MOVE_BPS_LIMIT = 5_000; // 50%
 
     // ------------------------------------------------------------
     // Storage
     // ------------------------------------------------------------
 
     address public immutable SATURN_TOKEN;
+    // Decimals of SATURN_TOKEN, for clients only: amounts are always in token units.
+    // SATURN has 4 decimals and trades in lots of 1000 SATURN (1000 * 10^4 units).
+    uint256 public immutable SATURN_DECIMALS;
+    uint256 public immutable LOT_SIZE;   // token units per lot
+    address public immutable SIGNED_ORDERS; // EIP-712 signed orders, deployed with the exchange
+    SaturnFeeSchedule public immutable FEE_SCHEDULE; // maker/taker rates and volume tiers, deployed with the exchange
     address public owner;
+    address public pendingOwner;         // set by transferOwnership, cleared on accept
     bool    public emergencyMode;
 
+    // Circuit breaker: a trade more than maxPriceMoveBps away from the
+    // reference price (last trade price as of the previous trading block)
+    // is not executed; instead trading halts for breakerHaltBlocks blocks.
+    // The price that tripped it counts as the last trade price, so after the
+    // halt the band is centred on the level the market moved to.
+    uint16  public maxPriceMoveBps;      // 0 = breaker disabled
+    uint64  public breakerHaltBlocks;
+    uint256 public haltedUntilBlock;     // trading resumes at this block
+    uint128 public lastTradePrice;       // or the attempted price of the last trip
+    uint128 public referencePrice;
+    uint256 public lastTradeBlock;
+
     mapping(address => Account) public accounts;
 
+    // Balances reserved by resting orders, kept in step with every order change
+    mapping(address => uint256) public lockedSaturn;
+    mapping(address => uint256) public lockedEtc;
+
     // Orders
     mapping(uint64 => Order) public orders;
     uint64 public nextOrderId = 1;
@@ -83,6 +144,10 @@ contract SaturnExchange {
     event DepositSATURN(address indexed user, uint256 amount);
     event DepositETC(address indexed user, uint256 amount);
     event WithdrawAll(address indexed user, uint256 saturnAmount, uint256 etcAmount);
+    event WithdrawEtc(address indexed user, uint256 amount);
+    event WithdrawSaturn(address indexed user, uint256 amount);
+    event SellImmediateSettled(address indexed user, uint256 saturnIn, uint256 saturnRefund, uint256 etcOut);
+    event BuyImmediateSettled(address indexed user, uint256 etcIn, uint256 etcRefund, uint256 saturnOut);
 
     event OrderPlaced(
         uint64 indexed orderId,
@@ -94,6 +159,36 @@ contract SaturnExchange {
 
     event OrderCanceled(uint64 indexed orderId, address indexed user);
 
+    /// @notice An expired order was removed, either while matching or by cancelExpiredOrders
+    event OrderExpired(uint64 indexed orderId, address indexed user);
+
+    /// @notice A taker met its own resting order `makerOrderId`; the resting
+    /// order lost `makerLotsCanceled` lots (removed when none are left) and the
+    /// taker lost `takerLotsCanceled`.
+    event SelfTradePrevented(
+        uint64 indexed makerOrderId,
+        address indexed user,
+        SelfTradePrevention mode,
+        uint128 takerLotsCanceled,
+        uint128 makerLotsCanceled
+    );
+
+    /// @dev `lots` is what rests after the change (0 if the re-priced order filled completely).
+    event OrderModified(
+        uint64 indexed orderId,
+        address indexed user,
+        uint128 oldPricePerLot,
+        uint128 oldLots,
+        uint128 pricePerLot,
+        uint128 lots,
+        bool    priorityKept
+    );
+
+    /// @notice The maker of a Trade paid `fee` or earned `rebate` (see
+    /// SaturnFeeSchedule) in the asset it received: ETC when `side` is Sell,
+    /// SATURN when Buy. Not emitted when both are zero.
+    event MakerFee(uint64 indexed makerOrderId, address indexed maker, Side side, uint256 fee, uint256 rebate);
+
     event Trade(
         uint64 indexed makerOrderId,
         address indexed maker,
@@ -108,36 +203,61 @@ contract SaturnExchange {
     );
 
     event EmergencyModeSet(bool enabled);
+    event CircuitBreakerConfigured(uint16 maxPriceMoveBps, uint64 haltBlocks);
+    event CircuitBreakerTripped(uint128 referencePrice, uint128 attemptedPrice, uint256 haltedUntilBlock);
+    event CircuitBreakerReset();
+    event OwnershipTransferStarted(address indexed from, address indexed to);
     event OwnershipTransferred(address indexed from, address indexed to);
+    event FeesWithdrawn(address indexed recipient, uint256 etcAmount, uint256 saturnAmount);
 
     // ------------------------------------------------------------
     // Modifiers
     // ------------------------------------------------------------
 
     modifier nonReentrant() {
-        require(_status != _ENTERED, "Reentrancy");
-        _status = _ENTERED;
+        _enterNonReentrant();
         _;
         _status = _NOT_ENTERED;
     }
 
     modifier onlyOwner() {
-        require(msg.sender == owner, "Not owner");
+        _checkOwner();
         _;
     }
 
+    /// @dev Guards order entry, matching and deposits. Cancels and
+    /// withdrawals stay open so users can always exit.
     modifier tradingAllowed() {
-        require(!emergencyMode, "Trading disabled");
+        _checkTradingAllowed();
         _;
     }
 
+    function _enterNonReentrant() private {
+        require(_status != _ENTERED, "Reentrancy");
+        _status = _ENTERED;
+    }
+
+    function _checkOwner() private view {
+        require(msg.sender == owner, "Not owner");
+    }
+
+    function _checkTradingAllowed() private view {
+        require(!emergencyMode, "Trading disabled");
+        require(block.number >= haltedUntilBlock, "Trading halted");
+    }
+
     // ------------------------------------------------------------
     // Constructor
     // ------------------------------------------------------------
 
-    constructor(address _saturn) {
+    constructor(address _saturn, uint8 _decimals, uint256 _lotSize) {
         require(_saturn != address(0), "SATURN zero");
+        require(_lotSize > 0, "Zero lot size");
         SATURN_TOKEN = _saturn;
+        SATURN_DECIMALS = _decimals;
+        LOT_SIZE = _lotSize;
+        SIGNED_ORDERS = address(new SaturnSignedOrders());
+        FEE_SCHEDULE = new SaturnFeeSchedule();
         owner = msg.sender;
         emit OwnershipTransferred(address(0), msg.sender);
     }
@@ -146,10 +266,25 @@ contract SaturnExchange {
     // Ownership / emergency
     // ------------------------------------------------------------
 
+    /// @notice Start a two-step transfer; ownership moves once `newOwner`
+    /// calls acceptOwnership(). A later call replaces the pending owner.
     function transferOwnership(address newOwner) external onlyOwner {
         require(newOwner != address(0), "Zero owner");
-        emit OwnershipTransferred(owner, newOwner);
-        owner = newOwner;
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    function cancelOwnershipTransfer() external onlyOwner {
+        require(pendingOwner != address(0), "No pending owner");
+        pendingOwner = address(0);
+        emit OwnershipTransferStarted(owner, address(0));
     }
 
     function setEmergencyMode(bool enabled) external onlyOwner {
@@ -157,26 +292,136 @@ contract SaturnExchange {
         emit EmergencyModeSet(enabled);
     }
 
+    /// @notice Configure the automatic circuit breaker (maxPriceMoveBps = 0 disables it)
+    function setCircuitBreaker(uint16 _maxPriceMoveBps, uint64 _haltBlocks) external onlyOwner {
+        require(_maxPriceMoveBps <= MAX_PRICE_MOVE_BPS_LIMIT, "Band too wide");
+        require(_maxPriceMoveBps == 0 || _haltBlocks > 0, "Zero halt");
+        maxPriceMoveBps = _maxPriceMoveBps;
+        breakerHaltBlocks = _haltBlocks;
+        emit CircuitBreakerConfigured(_maxPriceMoveBps, _haltBlocks);
+    }
+
+    /// @notice Lift a circuit breaker halt early; the next trade re-anchors the reference price
+    function resetCircuitBreaker() external onlyOwner {
+        haltedUntilBlock = 0;
+        referencePrice = 0;
+        lastTradePrice = 0;
+        emit CircuitBreakerReset();
+    }
+
+    /// @notice True when order entry is currently refused
+    function tradingHalted() external view returns (bool) {
+        return emergencyMode || block.number < haltedUntilBlock;
+    }
+
     // ------------------------------------------------------------
     // Deposits
     // ------------------------------------------------------------
 
-    /// @notice ERC223 tokenFallback – only accept SATURN, treat as deposit for v0.1
-    function tokenFallback(address from, uint256 value, bytes calldata /*data*/) external {
+    /// @notice ERC223 tokenFallback – only accept SATURN.
+    /// Empty `data` is a plain deposit. Otherwise `data` must be
+    /// abi.encode(uint256 action, uint256 pricePerLot, uint256 lots):
+    ///  - FALLBACK_LIMIT_SELL: deposit, then place a limit sell (remainder rests)
+    ///  - FALLBACK_IMMEDIATE_SELL: sell up to `lots` now, ETC proceeds are sent
+    ///    to `from` and unsold SATURN is refunded; nothing is credited internally
+    function tokenFallback(address from, uint256 value, bytes calldata data) external nonReentrant tradingAllowed {
         require(msg.sender == SATURN_TOKEN, "Only SATURN");
-        accounts[from].tokenBalance += value;
-        emit DepositSATURN(from, value);
+
+        if (data.length == 0) {
+            accounts[from].tokenBalance += value;
+            emit DepositSATURN(from, value);
+            return;
+        }
+
+        (uint8 action, uint128 pricePerLot, uint128 lots) = _decodeFallbackOrder(data);
+        require(value >= _lotUnits(lots), "Deposit below order size");
+
+        if (action == FALLBACK_LIMIT_SELL) {
+            accounts[from].tokenBalance += value;
+            emit DepositSATURN(from, value);
+
+            require(accounts[from].tokenBalance >= lockedSaturn[from] + _lotUnits(lots), "Insufficient SATURN");
+            _placeLimitInternal(from, Side.Sell, pricePerLot, lots, _defaultOptions(TimeInForce.GTC));
+        } else {
+            _sellImmediate(from, value, pricePerLot, lots);
+        }
+    }
+
+    function _decodeFallbackOrder(bytes calldata data)
+        internal
+        pure
+        returns (uint8 action, uint128 pricePerLot, uint128 lots)
+    {
+        require(data.length == 96, "Bad order data");
+        (uint256 a, uint256 p, uint256 l) = abi.decode(data, (uint256, uint256, uint256));
+        require(a == FALLBACK_LIMIT_SELL || a == FALLBACK_IMMEDIATE_SELL, "Bad order action");
+        require(p > 0 && p <= type(uint128).max, "Bad order price");
+        require(l > 0 && l <= type(uint128).max, "Bad order lots");
+        return (uint8(a), uint128(p), uint128(l));
+    }
+
+    /// @dev Immediate sell of freshly received SATURN, mirroring placeLimitBuyImmediate:
+    /// match without resting, then settle externally and restore internal balances.
+    function _sellImmediate(address from, uint256 value, uint128 pricePerLot, uint128 lots) internal {
+        Account storage acct = accounts[from];
+
+        uint256 etherBefore = acct.etherBalance;
+        uint256 tokenBefore = acct.tokenBalance;
+
+        acct.tokenBalance = tokenBefore + value;
+
+        _placeLimitInternal(from, Side.Sell, pricePerLot, lots, _defaultOptions(TimeInForce.IOC));
+
+        uint256 saturnSold = (tokenBefore + value) - acct.tokenBalance;
+        uint256 etcOut = acct.etherBalance - etherBefore;
+
+        acct.etherBalance = etherBefore;
+        acct.tokenBalance = tokenBefore;
+
+        uint256 refund = value - saturnSold;
+        emit SellImmediateSettled(from, value, refund, etcOut);
+
+        if (refund > 0) {
+            _transferToken(from, refund, "SATURN refund failed");
+        }
+        if (etcOut > 0) {
+            (bool ok, ) = payable(from).call{value: etcOut}("");
+            require(ok, "ETC send failed");
+        }
+    }
+
+    /// @notice Deposit `amount` of a plain ERC20 market token, approved to the
+    /// exchange beforehand. ERC223 tokens deposit through tokenFallback instead.
+    function depositToken(uint256 amount) external nonReentrant tradingAllowed {
+        require(amount > 0, "Zero amount");
+        // Credit what arrived: fee-on-transfer tokens deliver less than `amount`
+        uint256 balanceBefore = IERC20(SATURN_TOKEN).balanceOf(address(this));
+        _callToken(abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), amount)), "SATURN transfer failed");
+        uint256 received = IERC20(SATURN_TOKEN).balanceOf(address(this)) - balanceBefore;
+        accounts[msg.sender].tokenBalance += received;
+        emit DepositSATURN(msg.sender, received);
+    }
+
+    function _transferToken(address to, uint256 amount, string memory error) internal {
+        _callToken(abi.encodeCall(IERC223.transfer, (to, amount)), error);
+    }
+
+    /// @dev Call the market token, accepting `true` or no return data at all
+    /// (tokens like USDT return nothing); a token with no code never succeeds.
+    function _callToken(bytes memory data, string memory error) internal {
+        (bool ok, bytes memory ret) = SATURN_TOKEN.call(data);
+        require(ok && (ret.length == 0 ? SATURN_TOKEN.code.length > 0 : abi.decode(ret, (bool))), error);
     }
 
     /// @notice Deposit ETC into internal balance
-    function depositEtc() external payable nonReentrant {
+    function depositEtc() external payable nonReentrant tradingAllowed {
         require(msg.value > 0, "No ETC");
         accounts[msg.sender].etherBalance += msg.value;
         emit DepositETC(msg.sender, msg.value);
     }
 
     // ------------------------------------------------------------
-    // Views: balances, orders, orderbook
+    // Views: balances, orders (whole-book scans are in SaturnExchangeReader)
     // ------------------------------------------------------------
 
     function getUserBalances(address user) external view returns (uint256 saturn, uint256 etc) {
@@ -184,11 +429,17 @@ contract SaturnExchange {
         return (a.tokenBalance, a.etherBalance);
     }
 
+    /// @notice Portion of a user's balances reserved by their resting orders
+    function getUserLocked(address user) external view returns (uint256 saturn, uint256 etc) {
+        return (lockedSaturn[user], lockedEtc[user]);
+    }
+
     function getOrder(uint64 orderId) external view returns (Order memory) {
         return orders[orderId];
     }
 
-    /// @notice Return IDs of all active orders for a user
+    /// @notice Return IDs of all active orders for a user. Walks the whole list;
+    /// page through SaturnExchangeReader.getUserOrdersPage for busy accounts.
     function getUserOrders(address user) external view returns (uint64[] memory ids) {
         // Count first
         uint64 current = userFirstOrder[user];
@@ -207,89 +458,30 @@ contract SaturnExchange {
         }
     }
 
-    /// @notice Return full buy/sell book (IDs, pricePerLot, lots)
-    function getOrderBook()
-        external
-        view
-        returns (
-            uint64[] memory buyIds,
-            uint128[] memory buyPrices,
-            uint128[] memory buyLots,
-            uint64[] memory sellIds,
-            uint128[] memory sellPrices,
-            uint128[] memory sellLots_
-        )
-    {
-        // Count buys
-        uint64 cur = buyHead;
-        uint256 bCount;
-        while (cur != 0) {
-            bCount++;
-            cur = orders[cur].next;
-        }
-
-        // Count sells
-        cur = sellHead;
-        uint256 sCount;
-        while (cur != 0) {
-            sCount++;
-            cur = orders[cur].next;
-        }
-
-        buyIds    = new uint64[](bCount);
-        buyPrices = new uint128[](bCount);
-        buyLots   = new uint128[](bCount);
-
-        sellIds    = new uint64[](sCount);
-        sellPrices = new uint128[](sCount);
-        sellLots_  = new uint128[](sCount);
+    // ------------------------------------------------------------
+    // Internal helpers: locked balances
+    // ------------------------------------------------------------
 
-        // Fill buys
-        cur = buyHead;
-        uint256 i;
-        while (cur != 0) {
-            Order storage o = orders[cur];
-            buyIds[i]      = cur;
-            buyPrices[i]   = o.pricePerLot;
-            buyLots[i]     = o.lots;
-            i++;
-            cur = o.next;
-        }
+    /// @dev Token units in `lots` lots
+    function _lotUnits(uint256 lots) internal view returns (uint256) {
+        return lots * LOT_SIZE;
+    }
 
-        // Fill sells
-        cur = sellHead;
-        i = 0;
-        while (cur != 0) {
-            Order storage o2 = orders[cur];
-            sellIds[i]       = cur;
-            sellPrices[i]    = o2.pricePerLot;
-            sellLots_[i]     = o2.lots;
-            i++;
-            cur = o2.next;
+    /// @dev Reserve what `lots` of a resting order need: SATURN for sells, ETC for buys
+    function _lock(address user, Side side, uint128 pricePerLot, uint128 lots) internal {
+        if (side == Side.Sell) {
+            lockedSaturn[user] += _lotUnits(lots);
+        } else {
+            lockedEtc[user] += uint256(lots) * uint256(pricePerLot);
         }
     }
 
-    // ------------------------------------------------------------
-    // Internal helpers: user-locked computation (v0.1 simple model)
-    // ------------------------------------------------------------
-
-    /// @notice Compute how much of user's balances are already "locked" by their active orders.
-    /// For v0.1 this is recomputed on demand. Good enough for large-lot, low-frequency Saturn.
-    function _computeUserLocked(address user)
-        internal
-        view
-        returns (uint256 lockedSaturn, uint256 lockedEtc)
-    {
-        uint64 cur = userFirstOrder[user];
-        while (cur != 0) {
-            Order storage o = orders[cur];
-            uint256 lots = uint256(o.lots);
-            if (o.side == Side.Sell) {
-                lockedSaturn += lots * LOT_SIZE;               // SATURN locked
-            } else {
-                lockedEtc  += lots * uint256(o.pricePerLot);  // ETC locked
-            }
-            cur = o.userNext;
+    /// @dev Release the reservation of `lots` that were filled, reduced or canceled
+    function _unlock(address user, Side side, uint128 pricePerLot, uint128 lots) internal {
+        if (side == Side.Sell) {
+            lockedSaturn[user] -= _lotUnits(lots);
+        } else {
+            lockedEtc[user] -= uint256(lots) * uint256(pricePerLot);
         }
     }
 
@@ -333,92 +525,50 @@ contract SaturnExchange {
         o.userNext = 0;
     }
 
-    // Insert into buy list (sorted: highest price first)
-    function _insertBuyOrder(uint64 orderId) internal {
+    /// @dev Link `orderId` into its side list after every order with an equal
+    /// or better price (price-time priority). The search starts at `hintPrevId`
+    /// (0 = head): it walks back while the hint ranks behind the new price, then
+    /// forward past orders at an equal or better price. A correct hint costs one
+    /// comparison each way; a stale or foreign hint is ignored or just walked.
+    function _insertOrder(uint64 orderId, uint64 hintPrevId) internal {
         Order storage o = orders[orderId];
+        Side side = o.side;
         uint128 price = o.pricePerLot;
 
-        if (buyHead == 0) {
-            buyHead = orderId;
-            buyTail = orderId;
-            return;
+        uint64 prev;
+        if (hintPrevId != orderId && orders[hintPrevId].user != address(0) && orders[hintPrevId].side == side) {
+            prev = hintPrevId;
         }
-
-        // If better than current head, become new head
-        if (price > orders[buyHead].pricePerLot) {
-            o.next = buyHead;
-            o.prev = 0;
-            orders[buyHead].prev = orderId;
-            buyHead = orderId;
-            return;
+        while (prev != 0 && !_ranksAtOrAbove(side, orders[prev].pricePerLot, price)) {
+            prev = orders[prev].prev;
         }
-
-        // Traverse until we find insertion point
-        uint64 cur = buyHead;
-        while (true) {
-            Order storage c = orders[cur];
-            uint64 nxt = c.next;
-
-            // Maintain price-time priority:
-            // skip all orders with price >= new price
-            if (nxt == 0 || orders[nxt].pricePerLot < price) {
-                // Insert after cur
-                o.prev = cur;
-                o.next = nxt;
-                c.next = orderId;
-                if (nxt != 0) {
-                    orders[nxt].prev = orderId;
-                } else {
-                    buyTail = orderId;
-                }
-                break;
-            }
-
-            cur = nxt;
+        uint64 next = prev != 0 ? orders[prev].next : (side == Side.Buy ? buyHead : sellHead);
+        while (next != 0 && _ranksAtOrAbove(side, orders[next].pricePerLot, price)) {
+            prev = next;
+            next = orders[next].next;
         }
-    }
 
-    // Insert into sell list (sorted: lowest price first)
-    function _insertSellOrder(uint64 orderId) internal {
-        Order storage o = orders[orderId];
-        uint128 price = o.pricePerLot;
-
-        if (sellHead == 0) {
+        o.prev = prev;
+        o.next = next;
+        if (prev != 0) {
+            orders[prev].next = orderId;
+        } else if (side == Side.Buy) {
+            buyHead = orderId;
+        } else {
             sellHead = orderId;
-            sellTail = orderId;
-            return;
         }
-
-        // If better (lower) than current head, become new head
-        if (price < orders[sellHead].pricePerLot) {
-            o.next = sellHead;
-            o.prev = 0;
-            orders[sellHead].prev = orderId;
-            sellHead = orderId;
-            return;
+        if (next != 0) {
+            orders[next].prev = orderId;
+        } else if (side == Side.Buy) {
+            buyTail = orderId;
+        } else {
+            sellTail = orderId;
         }
+    }
 
-        uint64 cur = sellHead;
-        while (true) {
-            Order storage c = orders[cur];
-            uint64 nxt = c.next;
-
-            // Skip all prices <= new price (to keep time priority)
-            if (nxt == 0 || orders[nxt].pricePerLot > price) {
-                // Insert after cur
-                o.prev = cur;
-                o.next = nxt;
-                c.next = orderId;
-                if (nxt != 0) {
-                    orders[nxt].prev = orderId;
-                } else {
-                    sellTail = orderId;
-                }
-                break;
-            }
-
-            cur = nxt;
-        }
+    /// @dev Buys rank by highest price, sells by lowest
+    function _ranksAtOrAbove(Side side, uint128 restingPrice, uint128 price) internal pure returns (bool) {
+        return side == Side.Buy ? restingPrice >= price : restingPrice <= price;
     }
 
     function _removeFromSideList(uint64 orderId) internal {
@@ -426,34 +576,33 @@ contract SaturnExchange {
         uint64 p = o.prev;
         uint64 n = o.next;
 
-        if (o.side == Side.Buy) {
-            if (p != 0) {
-                orders[p].next = n;
-            } else {
-                buyHead = n;
-            }
-            if (n != 0) {
-                orders[n].prev = p;
-            } else {
-                buyTail = p;
-            }
+        if (p != 0) {
+            orders[p].next = n;
+        } else if (o.side == Side.Buy) {
+            buyHead = n;
         } else {
-            if (p != 0) {
-                orders[p].next = n;
-            } else {
-                sellHead = n;
-            }
-            if (n != 0) {
-                orders[n].prev = p;
-            } else {
-                sellTail = p;
-            }
+            sellHead = n;
+        }
+        if (n != 0) {
+            orders[n].prev = p;
+        } else if (o.side == Side.Buy) {
+            buyTail = p;
+        } else {
+            sellTail = p;
         }
 
         o.prev = 0;
         o.next = 0;
     }
 
+    /// @dev Take `orderId` out of its side list, its owner's list and storage.
+    /// Releasing its reservation is up to the caller.
+    function _deleteOrder(uint64 orderId, address user) internal {
+        _removeFromSideList(orderId);
+        _unlinkUserOrder(user, orderId);
+        delete orders[orderId];
+    }
+
     // ------------------------------------------------------------
     // Core trading: limit orders from internal balances
     // ------------------------------------------------------------
@@ -463,17 +612,7 @@ contract SaturnExchange {
         uint128 pricePerLot,
         uint128 lots
     ) external nonReentrant tradingAllowed {
-        require(lots > 0, "Zero lots");
-        require(pricePerLot > 0, "Zero price");
-
-        Account storage acct = accounts[msg.sender];
-
-        // Check available ETC after accounting for existing locked
-        (, uint256 lockedEtc) = _computeUserLocked(msg.sender);
-        uint256 maxEtcNeeded = uint256(pricePerLot) * uint256(lots);
-        require(acct.etherBalance >= lockedEtc + maxEtcNeeded, "Insufficient ETC");
-
-        _placeLimitInternal(msg.sender, Side.Buy, pricePerLot, lots, true);
+        _placeFromBalance(Side.Buy, pricePerLot, lots, _defaultOptions(TimeInForce.GTC));
     }
 
     /// @notice Place a limit sell using internal SATURN balance; remainder rests as an order.
@@ -481,21 +620,83 @@ contract SaturnExchange {
         uint128 pricePerLot,
         uint128 lots
     ) external nonReentrant tradingAllowed {
+        _placeFromBalance(Side.Sell, pricePerLot, lots, _defaultOptions(TimeInForce.GTC));
+    }
+
+    /// @notice Place a limit order from internal balances with a time-in-force.
+    /// `expiresAt` (unix seconds, 0 = never) only applies to orders that can
+    /// rest (GTC, PostOnly); once it passes the order no longer matches and
+    /// anyone may remove it with cancelExpiredOrders. `stp` decides what
+    /// happens if the order reaches one of the sender's own resting orders.
+    ///
+    /// Gas bounds for deep books: matching visits at most `maxFills` makers
+    /// (0 = DEFAULT_MAX_FILLS); a GTC remainder that still crosses when the
+    /// cap is hit is dropped rather than rested. `hintPrevId` is the resting
+    /// order the remainder should be linked after (0 = none; compute it from
+    /// SaturnExchangeReader.getOrderBook(), e.g. with insertionHint in
+    /// ui/lib/fillSimulator.js). It is checked on-chain: a stale hint still
+    /// inserts correctly, only at the cost of walking from the hint to the
+    /// right position.
+    function placeLimitOrder(
+        Side side,
+        uint128 pricePerLot,
+        uint128 lots,
+        TimeInForce tif,
+        uint64 expiresAt,
+        SelfTradePrevention stp,
+        uint16 maxFills,
+        uint64 hintPrevId
+    ) external nonReentrant tradingAllowed {
+        if (expiresAt != 0) {
+            require(tif == TimeInForce.GTC || tif == TimeInForce.PostOnly, "Expiry needs resting order");
+            require(expiresAt > block.timestamp, "Already expired");
+        }
+        _placeFromBalance(side, pricePerLot, lots, OrderOptions({
+            tif: tif,
+            expiresAt: expiresAt,
+            stp: stp,
+            maxFills: maxFills == 0 ? DEFAULT_MAX_FILLS : maxFills,
+            hintPrevId: hintPrevId
+        }));
+    }
+
+    function _defaultOptions(TimeInForce tif) internal pure returns (OrderOptions memory) {
+        return OrderOptions({
+            tif: tif,
+            expiresAt: 0,
+            stp: SelfTradePrevention.CancelNewest,
+            maxFills: DEFAULT_MAX_FILLS,
+            hintPrevId: 0
+        });
+    }
+
+    function _placeFromBalance(
+        Side side,
+        uint128 pricePerLot,
+        uint128 lots,
+        OrderOptions memory opts
+    ) internal {
         require(lots > 0, "Zero lots");
         require(pricePerLot > 0, "Zero price");
 
         Account storage acct = accounts[msg.sender];
 
-        (uint256 lockedSaturn, ) = _computeUserLocked(msg.sender);
-        uint256 saturnNeeded = uint256(lots) * LOT_SIZE;
-        require(acct.tokenBalance >= lockedSaturn + saturnNeeded, "Insufficient SATURN");
+        if (side == Side.Buy) {
+            // Check available ETC after accounting for existing locked
+            uint256 maxEtcNeeded = uint256(pricePerLot) * uint256(lots);
+            require(acct.etherBalance >= lockedEtc[msg.sender] + maxEtcNeeded, "Insufficient ETC");
+        } else {
+            uint256 saturnNeeded = _lotUnits(lots);
+            require(acct.tokenBalance >= lockedSaturn[msg.sender] + saturnNeeded, "Insufficient SATURN");
+        }
 
-        _placeLimitInternal(msg.sender, Side.Sell, pricePerLot, lots, true);
+        _placeLimitInternal(msg.sender, side, pricePerLot, lots, opts);
     }
 
     /// @notice Place a limit BUY with immediate delivery:
     /// user sends ETC directly; any matches execute, SATURN is sent out, leftover ETC refunded.
-    /// No resting order is created.
+    /// No resting order is created. Emits BuyImmediateSettled after the fills'
+    /// Trade events: they leave the buyer's internal balances unchanged.
     function placeLimitBuyImmediate(
         uint128 pricePerLot,
         uint128 lotsMax
@@ -514,7 +715,7 @@ contract SaturnExchange {
         acct.etherBalance = etherBefore + msg.value;
 
         // Perform matching with no remainder resting
-        _placeLimitInternal(msg.sender, Side.Buy, pricePerLot, lotsMax, false);
+        _placeLimitInternal(msg.sender, Side.Buy, pricePerLot, lotsMax, _defaultOptions(TimeInForce.IOC));
 
         // Read post-trade balances
         uint256 etherAfter = acct.etherBalance;
@@ -528,179 +729,303 @@ contract SaturnExchange {
         acct.etherBalance = etherBefore;
         acct.tokenBalance = tokenBefore;
 
+        uint256 refund = msg.value - etcSpent;
+        emit BuyImmediateSettled(msg.sender, msg.value, refund, saturnDelta);
+
         // External settlement
 
         // 1) Send SATURN out
         if (saturnDelta > 0) {
-            require(IERC223(SATURN_TOKEN).transfer(msg.sender, saturnDelta), "SATURN transfer failed");
+            _transferToken(msg.sender, saturnDelta, "SATURN transfer failed");
         }
 
         // 2) Refund unused ETC
-        uint256 refund = msg.value - etcSpent;
         if (refund > 0) {
             (bool ok, ) = payable(msg.sender).call{value: refund}("");
             require(ok, "Refund failed");
         }
     }
 
-    /// @dev Core matching engine for limit orders.
-    /// If placeRemainder == true, any unfilled lots rest in the book.
+    /// @dev Limit order entry: match, then handle what is left according to `tif`.
     function _placeLimitInternal(
         address taker,
         Side side,
         uint128 limitPricePerLot,
         uint128 lotsIn,
-        bool   placeRemainder
+        OrderOptions memory opts
     ) internal {
-        uint128 lotsRemaining = lotsIn;
+        if (opts.tif == TimeInForce.PostOnly) {
+            require(!_crossesBook(side, limitPricePerLot, opts.maxFills), "Post-only would cross");
+            _createAndInsertRestingOrder(taker, side, limitPricePerLot, lotsIn, opts.expiresAt, opts.hintPrevId);
+            return;
+        }
 
-        if (side == Side.Buy) {
-            // Match against best sells
-            while (lotsRemaining > 0 && sellHead != 0) {
-                Order storage ask = orders[sellHead];
-                if (ask.pricePerLot > limitPricePerLot) {
-                    // Best ask is too expensive
-                    break;
-                }
-
-                uint128 tradeLots = ask.lots;
-                if (tradeLots > lotsRemaining) {
-                    tradeLots = lotsRemaining;
-                }
-
-                // Compute gross amounts
-                uint256 grossSaturn = uint256(tradeLots) * LOT_SIZE;
-                uint256 grossEtc    = uint256(tradeLots) * uint256(ask.pricePerLot);
-
-                // Check taker ETC balance
-                Account storage takerAcct = accounts[taker];
-                require(takerAcct.etherBalance >= grossEtc, "Taker ETC insufficient");
+        (uint128 lotsRemaining, uint128 lotsFilled) =
+            _matchOrder(taker, side, limitPricePerLot, lotsIn, opts.stp, opts.maxFills);
 
-                // Apply taker fee in SATURN
-                uint256 feeSaturn = (grossSaturn * TAKER_FEE_BPS) / 10_000;
-                uint256 netSaturn = grossSaturn - feeSaturn;
+        if (opts.tif == TimeInForce.FOK) {
+            // Reverting also undoes a breaker trip hit part-way through; lots
+            // canceled by self-trade prevention count as not filled
+            require(lotsFilled == lotsIn, "Fill-or-kill not filled");
+        }
 
-                // Maker is ask.user
-                address maker = ask.user;
-                Account storage makerAcct = accounts[maker];
+        // A breaker trip or the maxFills cap can stop matching at a crossable
+        // maker; resting the remainder would cross the book, so it is dropped.
+        if (
+            opts.tif == TimeInForce.GTC &&
+            lotsRemaining > 0 &&
+            block.number >= haltedUntilBlock &&
+            !_crossesBook(side, limitPricePerLot, opts.maxFills)
+        ) {
+            _createAndInsertRestingOrder(taker, side, limitPricePerLot, lotsRemaining, opts.expiresAt, opts.hintPrevId);
+        }
+    }
 
-                // Maker must have enough SATURN
-                require(makerAcct.tokenBalance >= grossSaturn, "Maker SATURN insufficient");
+    /// @dev True if an order at `limitPricePerLot` would match the best
+    /// opposite order. Expired orders at the top of the book are removed
+    /// first, at most `maxFills` of them; if the head is still expired after
+    /// that the answer is unknown and treated as crossing (cancelExpiredOrders
+    /// clears the backlog).
+    function _crossesBook(Side side, uint128 limitPricePerLot, uint16 maxFills) internal returns (bool) {
+        uint64 headId = side == Side.Buy ? sellHead : buyHead;
+        while (headId != 0 && _isExpired(orders[headId])) {
+            if (maxFills == 0) return true;
+            maxFills--;
+            _expireOrder(headId);
+            headId = side == Side.Buy ? sellHead : buyHead;
+        }
+        if (headId == 0) return false;
+        uint128 best = orders[headId].pricePerLot;
+        return side == Side.Buy ? best <= limitPricePerLot : best >= limitPricePerLot;
+    }
 
-                // Transfer balances
-                // Maker: gives SATURN, receives ETC
-                makerAcct.tokenBalance -= grossSaturn;
-                makerAcct.etherBalance += grossEtc;
+    function _isExpired(Order storage o) internal view returns (bool) {
+        return o.expiresAt != 0 && block.timestamp >= o.expiresAt;
+    }
 
-                // Taker: gives ETC, receives SATURN (minus fee)
-                takerAcct.etherBalance -= grossEtc;
-                takerAcct.tokenBalance += netSaturn;
+    function _expireOrder(uint64 orderId) internal {
+        Order storage o = orders[orderId];
+        address user = o.user;
+        _unlock(user, o.side, o.pricePerLot, o.lots);
+        _deleteOrder(orderId, user);
+        emit OrderExpired(orderId, user);
+    }
 
-                accumulatedFeesSaturn += feeSaturn;
+    /// @dev Core matching engine: cross `lotsIn` against the opposite side in
+    /// price-time order up to `limitPricePerLot`, visiting at most `maxFills`
+    /// makers. Returns the lots still open (unfilled and not canceled by
+    /// self-trade prevention) and the lots traded.
+    function _matchOrder(
+        address taker,
+        Side side,
+        uint128 limitPricePerLot,
+        uint128 lotsIn,
+        SelfTradePrevention stp,
+        uint16 maxFills
+    ) internal returns (uint128 lotsRemaining, uint128 lotsFilled) {
+        lotsRemaining = lotsIn;
+        Side makerSide = side == Side.Buy ? Side.Sell : Side.Buy;
+
+        while (lotsRemaining > 0 && maxFills > 0) {
+            uint64 headId = makerSide == Side.Buy ? buyHead : sellHead;
+            if (headId == 0) {
+                break;
+            }
+            maxFills--;
 
-                // Emit Trade
-                emit Trade(
-                    sellHead,
-                    maker,
-                    taker,
-                    Side.Sell,
-                    ask.pricePerLot,
-                    tradeLots,
-                    grossSaturn,
-                    grossEtc,
-                    feeSaturn,
-                    0
-                );
-
-                // Update order lots / remove if filled
-                ask.lots -= tradeLots;
-                lotsRemaining -= tradeLots;
-
-                if (ask.lots == 0) {
-                    // Remove fully filled order
-                    uint64 filledId = sellHead;
-                    _removeFromSideList(filledId);
-                    _unlinkUserOrder(maker, filledId);
-                    delete orders[filledId];
-                }
+            Order storage maker = orders[headId];
+            if (_isExpired(maker)) {
+                _expireOrder(headId);
+                continue;
+            }
+            if (!_ranksAtOrAbove(makerSide, maker.pricePerLot, limitPricePerLot)) {
+                // Best maker is beyond the taker's limit
+                break;
+            }
+            if (maker.user == taker) {
+                lotsRemaining = _preventSelfTrade(headId, stp, lotsRemaining);
+                continue;
+            }
+            if (!_checkCircuitBreaker(maker.pricePerLot)) {
+                break;
             }
 
-            // Place remainder as resting buy order
-            if (placeRemainder && lotsRemaining > 0) {
-                _createAndInsertRestingOrder(taker, Side.Buy, limitPricePerLot, lotsRemaining);
+            uint128 tradeLots = maker.lots;
+            if (tradeLots > lotsRemaining) {
+                tradeLots = lotsRemaining;
             }
-        } else {
-            // side == Sell: match against best buys
-            while (lotsRemaining > 0 && buyHead != 0) {
-                Order storage bid = orders[buyHead];
-                if (bid.pricePerLot < limitPricePerLot) {
-                    // Best bid is too cheap
-                    break;
-                }
-
-                uint128 tradeLots = bid.lots;
-                if (tradeLots > lotsRemaining) {
-                    tradeLots = lotsRemaining;
-                }
-
-                uint256 grossSaturn = uint256(tradeLots) * LOT_SIZE;
-                uint256 grossEtc    = uint256(tradeLots) * uint256(bid.pricePerLot);
-
-                Account storage takerAcct = accounts[taker];
-                require(takerAcct.tokenBalance >= grossSaturn, "Taker SATURN insufficient");
+            _fillMaker(headId, taker, tradeLots);
+            lotsRemaining -= tradeLots;
+            lotsFilled += tradeLots;
+        }
+    }
 
-                uint256 feeEtc = (grossEtc * TAKER_FEE_BPS) / 10_000;
-                uint256 netEtc = grossEtc - feeEtc;
+    /// @dev Settle `tradeLots` between `taker` and resting order `makerId` at the
+    /// maker's price. The taker pays the fee in the asset it receives; a fully
+    /// filled maker order is removed.
+    function _fillMaker(uint64 makerId, address taker, uint128 tradeLots) internal {
+        Order storage o = orders[makerId];
+        address maker = o.user;
+        Side makerSide = o.side;
+        uint128 price = o.pricePerLot;
+
+        _settle(makerId, maker, taker, makerSide, price, tradeLots);
+
+        _unlock(maker, makerSide, price, tradeLots);
+        o.lots -= tradeLots;
+        if (o.lots == 0) {
+            _deleteOrder(makerId, maker);
+        }
+    }
 
-                address maker = bid.user;
-                Account storage makerAcct = accounts[maker];
+    /// @dev Move `tradeLots` at `price` between the internal balances of
+    /// `maker` (on `makerSide`) and `taker`, charge both sides' fees at the
+    /// rates FEE_SCHEDULE gives and emit Trade.
+    function _settle(
+        uint64 makerId,
+        address maker,
+        address taker,
+        Side makerSide,
+        uint128 price,
+        uint128 tradeLots
+    ) internal {
+        uint256 grossSaturn = _lotUnits(tradeLots);
+        uint256 grossEtc    = uint256(tradeLots) * uint256(price);
+        (uint256 makerBps, uint256 takerBps, uint256 rebateBps) = FEE_SCHEDULE.recordTrade(maker, taker, tradeLots);
+        uint256 feeSaturn;
+        uint256 feeEtc;
+
+        // Scoped so the account pointers are off the stack before the emit
+        {
+            Account storage takerAcct = accounts[taker];
+            Account storage makerAcct = accounts[maker];
+            if (makerSide == Side.Sell) {
+                // Taker buys: gives ETC, receives SATURN minus fee
+                require(takerAcct.etherBalance >= grossEtc, "Taker ETC insufficient");
+                require(makerAcct.tokenBalance >= grossSaturn, "Maker SATURN insufficient");
+                feeSaturn = (grossSaturn * takerBps) / 10_000;
 
-                // Maker: gives ETC, receives SATURN
+                makerAcct.tokenBalance -= grossSaturn;
+                makerAcct.etherBalance += grossEtc;
+                takerAcct.etherBalance -= grossEtc;
+                takerAcct.tokenBalance += grossSaturn - feeSaturn;
+                accumulatedFeesSaturn += feeSaturn;
+            } else {
+                // Taker sells: gives SATURN, receives ETC minus fee
+                require(takerAcct.tokenBalance >= grossSaturn, "Taker SATURN insufficient");
                 require(makerAcct.etherBalance >= grossEtc, "Maker ETC insufficient");
+                feeEtc = (grossEtc * takerBps) / 10_000;
+
                 makerAcct.etherBalance -= grossEtc;
                 makerAcct.tokenBalance += grossSaturn;
-
-                // Taker: gives SATURN, receives ETC (net)
                 takerAcct.tokenBalance -= grossSaturn;
-                takerAcct.etherBalance += netEtc;
-
+                takerAcct.etherBalance += grossEtc - feeEtc;
                 accumulatedFeesEtc += feeEtc;
-
-                emit Trade(
-                    buyHead,
-                    maker,
-                    taker,
-                    Side.Buy,
-                    bid.pricePerLot,
-                    tradeLots,
-                    grossSaturn,
-                    grossEtc,
-                    0,
-                    feeEtc
-                );
-
-                bid.lots -= tradeLots;
-                lotsRemaining -= tradeLots;
-
-                if (bid.lots == 0) {
-                    uint64 filledId = buyHead;
-                    _removeFromSideList(filledId);
-                    _unlinkUserOrder(maker, filledId);
-                    delete orders[filledId];
-                }
             }
+        }
+
+        emit Trade(makerId, maker, taker, makerSide, price, tradeLots, grossSaturn, grossEtc, feeSaturn, feeEtc);
+        if (makerBps != 0 || rebateBps != 0) {
+            _chargeMaker(makerId, maker, makerSide, makerSide == Side.Sell ? grossEtc : grossSaturn, makerBps, rebateBps);
+        }
+    }
+
+    /// @dev Take the maker fee from, or pay the rebate to, `maker` on the
+    /// `gross` it just received. Rebates come out of the fees accrued in that
+    /// asset and are cut to what has accrued.
+    function _chargeMaker(
+        uint64 makerId,
+        address maker,
+        Side makerSide,
+        uint256 gross,
+        uint256 feeBps,
+        uint256 rebateBps
+    ) private {
+        bool inEtc = makerSide == Side.Sell;
+        uint256 fee = (gross * feeBps) / 10_000;
+        uint256 rebate = (gross * rebateBps) / 10_000;
+        uint256 accrued = inEtc ? accumulatedFeesEtc : accumulatedFeesSaturn;
+        if (rebate > accrued) {
+            rebate = accrued;
+        }
+        accrued = accrued + fee - rebate;
+
+        Account storage acct = accounts[maker];
+        if (inEtc) {
+            accumulatedFeesEtc = accrued;
+            acct.etherBalance = acct.etherBalance + rebate - fee;
+        } else {
+            accumulatedFeesSaturn = accrued;
+            acct.tokenBalance = acct.tokenBalance + rebate - fee;
+        }
+        emit MakerFee(makerId, maker, makerSide, fee, rebate);
+    }
+
+    /// @dev Taker reached its own resting order `makerId`: apply `stp` instead
+    /// of trading. Returns the taker lots left to match.
+    function _preventSelfTrade(
+        uint64 makerId,
+        SelfTradePrevention stp,
+        uint128 lotsRemaining
+    ) internal returns (uint128) {
+        Order storage maker = orders[makerId];
+        address user = maker.user;
+        uint128 takerLots;
+        uint128 makerLots;
+
+        if (stp == SelfTradePrevention.CancelNewest) {
+            takerLots = lotsRemaining;
+        } else if (stp == SelfTradePrevention.CancelOldest) {
+            makerLots = maker.lots;
+        } else {
+            takerLots = maker.lots < lotsRemaining ? maker.lots : lotsRemaining;
+            makerLots = takerLots;
+        }
+
+        emit SelfTradePrevented(makerId, user, stp, takerLots, makerLots);
+        _unlock(user, maker.side, maker.pricePerLot, makerLots);
+
+        if (makerLots == maker.lots) {
+            _deleteOrder(makerId, user);
+        } else {
+            maker.lots -= makerLots;
+        }
+        return lotsRemaining - takerLots;
+    }
+
+    /// @dev Called before every fill. Rolls the reference price forward on the
+    /// first trade of a block, then either records `price` as the last trade
+    /// (returns true) or trips the breaker (returns false, trade must not run).
+    /// A trip records `price` too: the first block after the halt takes it as
+    /// the reference, instead of the pre-move price that would trip again.
+    function _checkCircuitBreaker(uint128 price) internal returns (bool) {
+        if (block.number != lastTradeBlock) {
+            referencePrice = lastTradePrice;
+            lastTradeBlock = block.number;
+        }
 
-            if (placeRemainder && lotsRemaining > 0) {
-                _createAndInsertRestingOrder(taker, Side.Sell, limitPricePerLot, lotsRemaining);
+        uint128 ref = referencePrice;
+        if (maxPriceMoveBps != 0 && ref != 0) {
+            uint256 move = price > ref ? price - ref : ref - price;
+            if (move * 10_000 > uint256(ref) * maxPriceMoveBps) {
+                haltedUntilBlock = block.number + breakerHaltBlocks;
+                lastTradePrice = price;
+                emit CircuitBreakerTripped(ref, price, haltedUntilBlock);
+                return false;
             }
         }
+
+        lastTradePrice = price;
+        return true;
     }
 
     function _createAndInsertRestingOrder(
         address user,
         Side side,
         uint128 pricePerLot,
-        uint128 lots
+        uint128 lots,
+        uint64 expiresAt,
+        uint64 hintPrevId
     ) internal {
         uint64 id = nextOrderId++;
         Order storage o = orders[id];
@@ -708,18 +1033,127 @@ contract SaturnExchange {
         o.side = side;
         o.pricePerLot = pricePerLot;
         o.lots = lots;
+        o.expiresAt = expiresAt;
+        o.placedAt = uint64(block.timestamp);
 
         // Link in user list
         _linkUserOrder(user, id);
 
         // Link in side list
+        _insertOrder(id, hintPrevId);
+        _lock(user, side, pricePerLot, lots);
+
+        emit OrderPlaced(id, user, side, pricePerLot, lots);
+    }
+
+    // ------------------------------------------------------------
+    // Order amendment
+    // ------------------------------------------------------------
+
+    /// @notice Change the price and/or size of a resting order, keeping its id.
+    /// Only reducing lots at the same price keeps time priority (and, like a
+    /// cancel, works in emergency mode). Any other change, raising lots at the
+    /// same price included, takes the order out of the book, matches it at the
+    /// new price like a fresh taker order and re-inserts the remainder at the
+    /// back of its price level, behind every order already resting there.
+    /// `hintPrevId` is the insertion hint for that remainder, as for
+    /// placeLimitOrder (computed without the amended order itself).
+    function modifyOrder(
+        uint64 orderId,
+        uint128 newPricePerLot,
+        uint128 newLots,
+        uint64 hintPrevId
+    ) external nonReentrant {
+        Order storage o = orders[orderId];
+        require(o.user != address(0), "No order");
+        require(msg.sender == o.user, "Not owner");
+        require(!_isExpired(o), "Order expired");
+        require(newLots > 0, "Zero lots");
+        require(newPricePerLot > 0, "Zero price");
+
+        uint128 oldPrice = o.pricePerLot;
+        uint128 oldLots  = o.lots;
+        require(newPricePerLot != oldPrice || newLots != oldLots, "No change");
+
+        if (newPricePerLot == oldPrice && newLots < oldLots) {
+            _unlock(msg.sender, o.side, oldPrice, oldLots - newLots);
+            o.lots = newLots;
+            emit OrderModified(orderId, msg.sender, oldPrice, oldLots, newPricePerLot, newLots, true);
+            return;
+        }
+
+        _checkTradingAllowed();
+
+        // Funds check: swap this order's old reservation for the new one
+        Account storage acct = accounts[msg.sender];
+        Side side = o.side;
         if (side == Side.Buy) {
-            _insertBuyOrder(id);
+            uint256 oldEtc = uint256(oldPrice) * uint256(oldLots);
+            uint256 newEtc = uint256(newPricePerLot) * uint256(newLots);
+            require(acct.etherBalance + oldEtc >= lockedEtc[msg.sender] + newEtc, "Insufficient ETC");
         } else {
-            _insertSellOrder(id);
+            uint256 oldSaturn = _lotUnits(oldLots);
+            uint256 newSaturn = _lotUnits(newLots);
+            require(acct.tokenBalance + oldSaturn >= lockedSaturn[msg.sender] + newSaturn, "Insufficient SATURN");
         }
 
-        emit OrderPlaced(id, user, side, pricePerLot, lots);
+        // A crossed own order cancels what is left of the amended one
+        _removeFromSideList(orderId);
+        _unlock(msg.sender, side, oldPrice, oldLots);
+        (uint128 lotsRemaining, ) = _matchOrder(
+            msg.sender, side, newPricePerLot, newLots, SelfTradePrevention.CancelNewest, DEFAULT_MAX_FILLS
+        );
+
+        if (
+            lotsRemaining > 0 &&
+            (block.number < haltedUntilBlock || _crossesBook(side, newPricePerLot, DEFAULT_MAX_FILLS))
+        ) {
+            // Breaker tripped or maxFills hit while matching: re-inserting would cross the book
+            _unlinkUserOrder(msg.sender, orderId);
+            delete orders[orderId];
+            emit OrderCanceled(orderId, msg.sender);
+            return;
+        }
+
+        if (lotsRemaining == 0) {
+            _unlinkUserOrder(msg.sender, orderId);
+            delete orders[orderId];
+        } else {
+            o.pricePerLot = newPricePerLot;
+            o.lots = lotsRemaining;
+            _insertOrder(orderId, hintPrevId);
+            _lock(msg.sender, side, newPricePerLot, lotsRemaining);
+        }
+
+        emit OrderModified(orderId, msg.sender, oldPrice, oldLots, newPricePerLot, lotsRemaining, false);
+    }
+
+    // ------------------------------------------------------------
+    // Signed off-chain orders
+    // ------------------------------------------------------------
+
+    /// @notice Settle a matched pair of signed orders. Only SIGNED_ORDERS may
+    /// call this, once it has verified both orders: trades `lots` at `price`
+    /// like a fill of a resting order, paid from balances not reserved by the
+    /// traders' resting orders. Returns false without trading when the
+    /// circuit breaker trips.
+    function settleSignedMatch(
+        address maker,
+        address taker,
+        Side makerSide,
+        uint128 price,
+        uint128 lots
+    ) external nonReentrant tradingAllowed returns (bool) {
+        require(msg.sender == SIGNED_ORDERS, "Only signed orders");
+        (address buyer, address seller) = makerSide == Side.Buy ? (maker, taker) : (taker, maker);
+        require(accounts[buyer].etherBalance >= lockedEtc[buyer] + uint256(lots) * price, "Insufficient ETC");
+        require(accounts[seller].tokenBalance >= lockedSaturn[seller] + _lotUnits(lots), "Insufficient SATURN");
+
+        if (!_checkCircuitBreaker(price)) {
+            return false;
+        }
+        _settle(0, maker, taker, makerSide, price, lots);
+        return true;
     }
 
     // ------------------------------------------------------------
@@ -731,28 +1165,45 @@ contract SaturnExchange {
         require(o.user != address(0), "No order");
         require(msg.sender == o.user, "Not owner");
 
-        _removeFromSideList(orderId);
-        _unlinkUserOrder(msg.sender, orderId);
-        delete orders[orderId];
+        _unlock(msg.sender, o.side, o.pricePerLot, o.lots);
+        _deleteOrder(orderId, msg.sender);
 
         emit OrderCanceled(orderId, msg.sender);
     }
 
-    function cancelAllMyOrders() public nonReentrant {
-        uint64 cur = userFirstOrder[msg.sender];
+    /// @notice Remove expired orders (anyone may call). Ids that no longer
+    /// exist are skipped; a live, unexpired order reverts the call.
+    function cancelExpiredOrders(uint64[] calldata orderIds) external nonReentrant returns (uint256 removed) {
+        for (uint256 i = 0; i < orderIds.length; i++) {
+            Order storage o = orders[orderIds[i]];
+            if (o.user == address(0)) continue;
+            require(_isExpired(o), "Not expired");
+            _expireOrder(orderIds[i]);
+            removed++;
+        }
+    }
+
+    function cancelAllMyOrders() external nonReentrant {
+        _cancelAllOrders(msg.sender);
+    }
+
+    function _cancelAllOrders(address user) internal {
+        uint64 cur = userFirstOrder[user];
         while (cur != 0) {
-            uint64 next = orders[cur].userNext;
-            _removeFromSideList(cur);
-            _unlinkUserOrder(msg.sender, cur);
-            emit OrderCanceled(cur, msg.sender);
-            delete orders[cur];
+            Order storage o = orders[cur];
+            uint64 next = o.userNext;
+            _unlock(user, o.side, o.pricePerLot, o.lots);
+            _deleteOrder(cur, user);
+            emit OrderCanceled(cur, user);
             cur = next;
         }
     }
 
+    /// @notice Cancel every resting order and send out both balances.
+    /// Always available, including in emergency mode and during a halt.
     function withdrawAll() external nonReentrant {
         // Cancel all orders for safety & correctness
-        cancelAllMyOrders();
+        _cancelAllOrders(msg.sender);
 
         Account storage a = accounts[msg.sender];
         uint256 saturn = a.tokenBalance;
@@ -762,7 +1213,7 @@ contract SaturnExchange {
         a.etherBalance = 0;
 
         if (saturn > 0) {
-            require(IERC223(SATURN_TOKEN).transfer(msg.sender, saturn), "SATURN transfer failed");
+            _transferToken(msg.sender, saturn, "SATURN transfer failed");
         }
 
         if (etc > 0) {
@@ -773,6 +1224,35 @@ contract SaturnExchange {
         emit WithdrawAll(msg.sender, saturn, etc);
     }
 
+    /// @notice Withdraw part of the internal ETC balance; ETC locked by resting buys stays.
+    function withdrawEtc(uint256 amount) external nonReentrant {
+        require(amount > 0, "Zero amount");
+        Account storage a = accounts[msg.sender];
+
+        require(a.etherBalance >= lockedEtc[msg.sender] + amount, "Insufficient ETC");
+
+        a.etherBalance -= amount;
+
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
+        require(ok, "ETC send failed");
+
+        emit WithdrawEtc(msg.sender, amount);
+    }
+
+    /// @notice Withdraw part of the internal SATURN balance; SATURN locked by resting sells stays.
+    function withdrawSaturn(uint256 amount) external nonReentrant {
+        require(amount > 0, "Zero amount");
+        Account storage a = accounts[msg.sender];
+
+        require(a.tokenBalance >= lockedSaturn[msg.sender] + amount, "Insufficient SATURN");
+
+        a.tokenBalance -= amount;
+
+        _transferToken(msg.sender, amount, "SATURN transfer failed");
+
+        emit WithdrawSaturn(msg.sender, amount);
+    }
+
     // ------------------------------------------------------------
     // Fee withdrawal
     // ------------------------------------------------------------
@@ -790,8 +1270,9 @@ contract SaturnExchange {
             require(ok, "ETC fee send failed");
         }
         if (saturn > 0) {
-            require(IERC223(SATURN_TOKEN).transfer(recipient, saturn), "SATURN fee transfer failed");
+            _transferToken(recipient, saturn, "SATURN fee transfer failed");
         }
+        emit FeesWithdrawn(recipient, etc, saturn);
     }
 
     // ------------------------------------------------------------
@@ -0,0 +1,217 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SaturnExchange.sol";
+
+/// @notice Views that walk a SaturnExchange book: the whole book, expired
+/// orders, and paged or depth-limited reads for books too deep for one call.
+/// Built on the exchange's getOrder() and list heads; holds no state, so one
+/// deployment serves any exchange passed in.
+contract SaturnExchangeReader {
+    // Upper bound for `limit`, `depth` and `maxCount`; larger values are clamped
+    uint256 public constant MAX_PAGE_SIZE = 500;
+
+    /// Full order record as returned by the paged views
+    struct OrderRecord {
+        uint64 id;
+        address user;
+        SaturnExchange.Side side;
+        uint128 pricePerLot;
+        uint128 lots;
+        uint64 expiresAt;  // 0 = never
+        uint64 placedAt;
+    }
+
+    /// @notice Both sides of the book (IDs, pricePerLot, lots), best price first
+    /// and oldest first within a price. Walks every resting order; page through
+    /// getOrderBookPage when the book is deep.
+    function getOrderBook(SaturnExchange exchange)
+        external
+        view
+        returns (
+            uint64[] memory buyIds,
+            uint128[] memory buyPrices,
+            uint128[] memory buyLots,
+            uint64[] memory sellIds,
+            uint128[] memory sellPrices,
+            uint128[] memory sellLots
+        )
+    {
+        (buyIds, buyPrices, buyLots) = _side(exchange, exchange.buyHead());
+        (sellIds, sellPrices, sellLots) = _side(exchange, exchange.sellHead());
+    }
+
+    /// @notice Up to `maxCount` expired orders still in the book (buys first),
+    /// ready for SaturnExchange.cancelExpiredOrders
+    function getExpiredOrders(SaturnExchange exchange, uint256 maxCount) external view returns (uint64[] memory ids) {
+        maxCount = _clamp(maxCount);
+        ids = new uint64[](maxCount);
+        uint64[2] memory heads = [exchange.buyHead(), exchange.sellHead()];
+
+        uint256 count;
+        for (uint256 h = 0; h < 2 && count < maxCount; h++) {
+            uint64 cur = heads[h];
+            while (cur != 0 && count < maxCount) {
+                SaturnExchange.Order memory o = exchange.getOrder(cur);
+                if (o.expiresAt != 0 && block.timestamp >= o.expiresAt) ids[count++] = cur;
+                cur = o.next;
+            }
+        }
+        // Shrink the array to the orders found
+        assembly {
+            mstore(ids, count)
+        }
+    }
+
+    /// @notice Best `depth` price levels per side with the total lots resting at each
+    function getOrderBookLevels(SaturnExchange exchange, uint256 depth)
+        external
+        view
+        returns (
+            uint128[] memory buyPrices,
+            uint128[] memory buyLots,
+            uint128[] memory sellPrices,
+            uint128[] memory sellLots
+        )
+    {
+        (buyPrices, buyLots) = _levels(exchange, exchange.buyHead(), depth);
+        (sellPrices, sellLots) = _levels(exchange, exchange.sellHead(), depth);
+    }
+
+    /// @notice Up to `limit` orders of one side in priority order, starting after
+    /// `afterId` (0 = from the best price). Pass `nextCursor` as `afterId` to get
+    /// the next page; it is 0 once the side is exhausted. Reverts with
+    /// "Stale cursor" if `afterId` left the book between pages: restart from 0,
+    /// or read every page at the same block.
+    function getOrderBookPage(SaturnExchange exchange, SaturnExchange.Side side, uint64 afterId, uint256 limit)
+        external
+        view
+        returns (OrderRecord[] memory page, uint64 nextCursor)
+    {
+        uint64 cur = side == SaturnExchange.Side.Buy ? exchange.buyHead() : exchange.sellHead();
+        if (afterId != 0) {
+            SaturnExchange.Order memory o = exchange.getOrder(afterId);
+            require(o.user != address(0) && o.side == side, "Stale cursor");
+            cur = o.next;
+        }
+        return _page(exchange, cur, false, limit);
+    }
+
+    /// @notice Up to `limit` of `user`'s orders in placement order, starting after
+    /// `afterId` (0 = from the first). Cursor rules as for getOrderBookPage.
+    function getUserOrdersPage(SaturnExchange exchange, address user, uint64 afterId, uint256 limit)
+        external
+        view
+        returns (OrderRecord[] memory page, uint64 nextCursor)
+    {
+        uint64 cur = exchange.userFirstOrder(user);
+        if (afterId != 0) {
+            SaturnExchange.Order memory o = exchange.getOrder(afterId);
+            require(o.user == user, "Stale cursor");
+            cur = o.userNext;
+        }
+        return _page(exchange, cur, true, limit);
+    }
+
+    /// @notice One order with its owner, expiry and placement time
+    function getOrderRecord(SaturnExchange exchange, uint64 orderId) external view returns (OrderRecord memory) {
+        SaturnExchange.Order memory o = exchange.getOrder(orderId);
+        require(o.user != address(0), "No such order");
+        return _record(orderId, o);
+    }
+
+    // ------------------------------------------------------------
+    // Internal helpers
+    // ------------------------------------------------------------
+
+    /// @dev Every order of one side list, starting at `head`
+    function _side(SaturnExchange exchange, uint64 head)
+        internal
+        view
+        returns (uint64[] memory ids, uint128[] memory prices, uint128[] memory lots)
+    {
+        uint256 count;
+        for (uint64 cur = head; cur != 0; cur = exchange.getOrder(cur).next) count++;
+
+        ids    = new uint64[](count);
+        prices = new uint128[](count);
+        lots   = new uint128[](count);
+
+        uint64 cur = head;
+        for (uint256 i = 0; i < count; i++) {
+            SaturnExchange.Order memory o = exchange.getOrder(cur);
+            ids[i]    = cur;
+            prices[i] = o.pricePerLot;
+            lots[i]   = o.lots;
+            cur = o.next;
+        }
+    }
+
+    function _levels(SaturnExchange exchange, uint64 cur, uint256 depth)
+        internal
+        view
+        returns (uint128[] memory prices, uint128[] memory lots)
+    {
+        depth = _clamp(depth);
+        prices = new uint128[](depth);
+        lots   = new uint128[](depth);
+
+        uint256 count;
+        while (cur != 0) {
+            SaturnExchange.Order memory o = exchange.getOrder(cur);
+            if (count == 0 || o.pricePerLot != prices[count - 1]) {
+                if (count == depth) break;
+                prices[count++] = o.pricePerLot;
+            }
+            lots[count - 1] += o.lots;
+            cur = o.next;
+        }
+        // Shrink the arrays to the levels found
+        assembly {
+            mstore(prices, count)
+            mstore(lots, count)
+        }
+    }
+
+    /// @dev Copy up to `limit` orders starting at `cur`, following the side list
+    /// or, with `userList`, the per-user list
+    function _page(SaturnExchange exchange, uint64 cur, bool userList, uint256 limit)
+        internal
+        view
+        returns (OrderRecord[] memory page, uint64 nextCursor)
+    {
+        limit = _clamp(limit);
+        page = new OrderRecord[](limit);
+
+        uint256 count;
+        while (cur != 0 && count < limit) {
+            SaturnExchange.Order memory o = exchange.getOrder(cur);
+            page[count++] = _record(cur, o);
+            cur = userList ? o.userNext : o.next;
+        }
+        if (cur != 0) {
+            nextCursor = page[count - 1].id;
+        }
+        // Shrink the array to the records actually read
+        assembly {
+            mstore(page, count)
+        }
+    }
+
+    function _record(uint64 id, SaturnExchange.Order memory o) internal pure returns (OrderRecord memory) {
+        return OrderRecord({
+            id: id,
+            user: o.user,
+            side: o.side,
+            pricePerLot: o.pricePerLot,
+            lots: o.lots,
+            expiresAt: o.expiresAt,
+            placedAt: o.placedAt
+        });
+    }
+
+    function _clamp(uint256 size) internal pure returns (uint256) {
+        require(size > 0, "Zero limit");
+        return size > MAX_PAGE_SIZE ? MAX_PAGE_SIZE : size;
+    }
+}
@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SaturnExchange.sol";
+
+/// @notice Trading fees for a SaturnExchange: maker and taker rates, an
+/// optional maker rebate, and volume tiers keyed on each address's trailing
+/// traded lots. The exchange owner sets the schedule; every rate is capped at
+/// MAX_FEE_BPS. Each exchange deploys its own instance (SaturnExchange.FEE_SCHEDULE)
+/// and reports every fill to it.
+///
+/// Fees are charged in the asset each side receives: the taker's on the
+/// SATURN or ETC it buys or sells into, the maker's on the other asset. A
+/// rebate is paid to the maker in the asset it receives, out of the fees the
+/// exchange has accrued in that asset, and only as far as they cover it.
+contract SaturnFeeSchedule {
+    /// @notice Hard upper bound for every fee and rebate rate (1e4 = 100%)
+    uint16 public constant MAX_FEE_BPS = 100; // 1%
+    /// @notice Most tiers a schedule may have; every fill looks up two of them
+    uint256 public constant MAX_TIERS = 8;
+    /// @notice Length of the trailing volume window
+    uint256 public constant VOLUME_WINDOW = 30 days;
+
+    /// @notice Rates for addresses whose trailing volume is at least `minLots`.
+    /// A tier charges makers a fee or pays them a rebate, never both.
+    struct Tier {
+        uint128 minLots;
+        uint16  makerFeeBps;
+        uint16  takerFeeBps;
+        uint16  makerRebateBps;
+    }
+
+    // Lots traded (as maker or taker) in window `window` and the one before
+    struct Volume {
+        uint64 window;   // block.timestamp / VOLUME_WINDOW of the last fill
+        uint96 current;  // lots are bounded by the SATURN supply
+        uint96 previous;
+    }
+
+    SaturnExchange public immutable EXCHANGE;
+
+    /// @notice Tiers by ascending minLots; tiers[0] has minLots 0 and applies
+    /// to everyone below tiers[1]
+    Tier[] public tiers;
+    mapping(address => Volume) public volumes;
+
+    event FeeTierSet(
+        uint256 indexed index,
+        uint128 minLots,
+        uint16 makerFeeBps,
+        uint16 takerFeeBps,
+        uint16 makerRebateBps
+    );
+    event FeeScheduleSet(uint256 tierCount);
+
+    constructor() {
+        EXCHANGE = SaturnExchange(payable(msg.sender));
+        // The exchange's original flat fee: 0.25% for takers, nothing for makers
+        tiers.push(Tier(0, 0, 25, 0));
+        emit FeeTierSet(0, 0, 0, 25, 0);
+        emit FeeScheduleSet(1);
+    }
+
+    /// @notice Replace the whole schedule (exchange owner only). Takes effect
+    /// from the next fill; trailing volumes are kept.
+    function setFeeSchedule(Tier[] calldata newTiers) external {
+        require(msg.sender == EXCHANGE.owner(), "Not owner");
+        require(newTiers.length > 0 && newTiers.length <= MAX_TIERS, "Bad tier count");
+        require(newTiers[0].minLots == 0, "First tier must start at 0");
+
+        delete tiers;
+        for (uint256 i = 0; i < newTiers.length; i++) {
+            Tier calldata t = newTiers[i];
+            require(i == 0 || t.minLots > newTiers[i - 1].minLots, "Tiers not ascending");
+            require(
+                t.makerFeeBps <= MAX_FEE_BPS && t.takerFeeBps <= MAX_FEE_BPS && t.makerRebateBps <= MAX_FEE_BPS,
+                "Fee too high"
+            );
+            require(t.makerFeeBps == 0 || t.makerRebateBps == 0, "Maker fee and rebate");
+            tiers.push(t);
+            emit FeeTierSet(i, t.minLots, t.makerFeeBps, t.takerFeeBps, t.makerRebateBps);
+        }
+        emit FeeScheduleSet(newTiers.length);
+    }
+
+    function tierCount() external view returns (uint256) {
+        return tiers.length;
+    }
+
+    /// @notice Lots `account` traded over the trailing VOLUME_WINDOW: this
+    /// window's lots plus the previous window's, weighted by the part of it
+    /// still inside the trailing period
+    function trailingLots(address account) public view returns (uint256) {
+        Volume memory v = volumes[account];
+        uint256 window = block.timestamp / VOLUME_WINDOW;
+        uint256 left = VOLUME_WINDOW - (block.timestamp % VOLUME_WINDOW);
+        if (v.window == window) {
+            return v.current + (uint256(v.previous) * left) / VOLUME_WINDOW;
+        }
+        if (v.window + 1 == window) {
+            return (uint256(v.current) * left) / VOLUME_WINDOW;
+        }
+        return 0;
+    }
+
+    /// @notice Index of the tier `account` trades at right now
+    function tierOf(address account) public view returns (uint256 index) {
+        uint256 lots = trailingLots(account);
+        index = tiers.length - 1;
+        while (tiers[index].minLots > lots) {
+            index--;
+        }
+    }
+
+    /// @notice Rates `account` pays (or earns) on its next fill
+    function ratesFor(address account)
+        external
+        view
+        returns (uint16 makerFeeBps, uint16 takerFeeBps, uint16 makerRebateBps, uint256 tier)
+    {
+        tier = tierOf(account);
+        Tier storage t = tiers[tier];
+        return (t.makerFeeBps, t.takerFeeBps, t.makerRebateBps, tier);
+    }
+
+    /// @notice Called by the exchange for every fill: returns the rates for
+    /// `maker` and `taker` at their volume before this fill, then adds `lots`
+    /// to both trailing volumes
+    function recordTrade(address maker, address taker, uint128 lots)
+        external
+        returns (uint256 makerFeeBps, uint256 takerFeeBps, uint256 makerRebateBps)
+    {
+        require(msg.sender == address(EXCHANGE), "Only exchange");
+        Tier storage makerTier = tiers[tierOf(maker)];
+        makerFeeBps = makerTier.makerFeeBps;
+        makerRebateBps = makerTier.makerRebateBps;
+        takerFeeBps = tiers[tierOf(taker)].takerFeeBps;
+        _addVolume(maker, lots);
+        _addVolume(taker, lots);
+    }
+
+    function _addVolume(address account, uint128 lots) private {
+        Volume storage v = volumes[account];
+        uint64 window = uint64(block.timestamp / VOLUME_WINDOW);
+        if (v.window != window) {
+            v.previous = v.window + 1 == window ? v.current : 0;
+            v.current = 0;
+            v.window = window;
+        }
+        v.current += uint96(lots);
+    }
+}
@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SaturnExchange.sol";
+
+/// @notice Registry of SaturnExchange markets and the factory that deploys
+/// them. Each market is its own exchange trading one token against ETC, with
+/// the token's decimals and its own lot size. ERC223 tokens (like SATURN)
+/// deposit and sell through tokenFallback; plain ERC20 tokens are approved to
+/// the market and deposited with depositToken.
+///
+/// An exchange is too large for its creation code to fit in this contract, so
+/// createMarket takes it as calldata (the SaturnExchange artifact's bytecode)
+/// and only deploys code whose hash matches the SaturnExchange this factory
+/// was compiled with.
+contract SaturnMarketFactory {
+    struct Market {
+        address exchange;
+        address token;
+        uint8   decimals;
+        bool    erc223;     // deposits by ERC223 transfer; otherwise approve + depositToken
+        uint64  startBlock; // block the market was created in (or listed from), for log scans
+        uint256 lotSize;    // token units per lot
+    }
+
+    /// @notice keccak256 of SaturnExchange's creation code, without constructor arguments
+    bytes32 public immutable MARKET_CODE_HASH;
+
+    address public owner;
+    address public pendingOwner;
+
+    Market[] public markets;
+    /// @notice Index + 1 of each listed exchange in `markets` (0 = not listed)
+    mapping(address => uint256) public marketIndex;
+
+    event MarketCreated(
+        uint256 indexed index,
+        address indexed exchange,
+        address indexed token,
+        uint8 decimals,
+        uint256 lotSize,
+        bool erc223
+    );
+    event MarketAdded(uint256 indexed index, address indexed exchange, address indexed token, bool erc223);
+    event OwnershipTransferStarted(address indexed from, address indexed to);
+    event OwnershipTransferred(address indexed from, address indexed to);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    constructor() {
+        MARKET_CODE_HASH = keccak256(type(SaturnExchange).creationCode);
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    /// @notice Start a two-step transfer, as on SaturnExchange
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Zero owner");
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    /// @notice Deploy and list a market for `token` (owner only). `marketCode`
+    /// is SaturnExchange's creation code. The caller becomes the market's
+    /// pending owner and takes it over with its acceptOwnership().
+    function createMarket(bytes calldata marketCode, address token, uint8 decimals, uint256 lotSize, bool erc223)
+        external
+        onlyOwner
+        returns (address exchange)
+    {
+        require(keccak256(marketCode) == MARKET_CODE_HASH, "Unknown market code");
+        require(token != address(0), "Token zero");
+        require(lotSize > 0, "Zero lot size");
+
+        bytes memory initCode = abi.encodePacked(marketCode, abi.encode(token, decimals, lotSize));
+        assembly {
+            exchange := create(0, add(initCode, 0x20), mload(initCode))
+        }
+        require(exchange != address(0), "Market deploy failed");
+        SaturnExchange(payable(exchange)).transferOwnership(msg.sender);
+
+        uint256 index = _list(Market(exchange, token, decimals, erc223, uint64(block.number), lotSize));
+        emit MarketCreated(index, exchange, token, decimals, lotSize, erc223);
+    }
+
+    /// @notice List an exchange deployed without the factory (owner only),
+    /// e.g. the original SATURN market. Its token, decimals and lot size are
+    /// read from the exchange; `startBlock` is its deployment block.
+    function addMarket(address exchange, bool erc223, uint64 startBlock) external onlyOwner returns (uint256 index) {
+        SaturnExchange market = SaturnExchange(payable(exchange));
+        address token = market.SATURN_TOKEN();
+        index = _list(Market(exchange, token, uint8(market.SATURN_DECIMALS()), erc223, startBlock, market.LOT_SIZE()));
+        emit MarketAdded(index, exchange, token, erc223);
+    }
+
+    function marketCount() external view returns (uint256) {
+        return markets.length;
+    }
+
+    /// @notice Every listed market, in listing order
+    function getMarkets() external view returns (Market[] memory) {
+        return markets;
+    }
+
+    function _list(Market memory m) private returns (uint256 index) {
+        require(marketIndex[m.exchange] == 0, "Market listed");
+        markets.push(m);
+        index = markets.length - 1;
+        marketIndex[m.exchange] = index + 1;
+    }
+}
@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SaturnExchange.sol";
+
+/// @notice EIP-712 signed off-chain orders for a SaturnExchange. Traders sign
+/// orders instead of paying gas to quote; anyone (usually a relayer, see
+/// scripts/lib/relayer.js) submits matched pairs, which the exchange settles
+/// against its internal balances like any other trade. Each exchange deploys
+/// its own instance (SaturnExchange.SIGNED_ORDERS), which holds the signature
+/// and fill bookkeeping.
+contract SaturnSignedOrders {
+    /// @notice EIP-712 type `Order`. It never rests in the on-chain book and
+    /// locks no balance: funds are checked each time a match is settled.
+    struct SignedOrder {
+        address trader;
+        SaturnExchange.Side side;
+        uint128 pricePerLot; // ETC per lot in wei
+        uint128 lots;        // most lots the order fills over all its matches
+        uint64  expiresAt;   // unix time the order stops matching; 0 = never
+        uint64  nonce;       // cancellation handle, see cancelNonce
+    }
+
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant ORDER_TYPEHASH =
+        keccak256("Order(address trader,uint8 side,uint128 pricePerLot,uint128 lots,uint64 expiresAt,uint64 nonce)");
+
+    SaturnExchange public immutable EXCHANGE;
+
+    // Lots settled per order hash; an order never fills more than it signed
+    mapping(bytes32 => uint128) public filled;
+
+    // Cancellation by nonce: one nonce, or every nonce below minNonce
+    mapping(address => mapping(uint64 => bool)) public nonceCanceled;
+    mapping(address => uint64) public minNonce;
+
+    /// @notice Orders `makerHash` and `takerHash` traded `lots` at the maker's
+    /// price; the exchange's Trade event for it has makerOrderId 0.
+    event OrdersMatched(bytes32 indexed makerHash, bytes32 indexed takerHash, uint128 lots);
+    event NonceCanceled(address indexed trader, uint64 nonce);
+    event NoncesCanceledBelow(address indexed trader, uint64 minNonce);
+
+    constructor() {
+        EXCHANGE = SaturnExchange(payable(msg.sender));
+    }
+
+    /// @notice Domain "SaturnExchange", version "1", this contract as verifier
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            _DOMAIN_TYPEHASH, keccak256("SaturnExchange"), keccak256("1"), block.chainid, address(this)
+        ));
+    }
+
+    /// @notice EIP-712 digest of `order`: what its trader signs, and its key in `filled`
+    function hashOrder(SignedOrder calldata order) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(
+            "\x19\x01", domainSeparator(), keccak256(abi.encode(ORDER_TYPEHASH, order))
+        ));
+    }
+
+    /// @notice Trade `lots` between two signed orders at the maker's price.
+    /// Anyone may submit a match: the signatures are the traders' consent.
+    /// The taker pays the exchange's taker fee. Reverts if either order is
+    /// expired, canceled or would fill past its lots, and when the exchange
+    /// refuses the trade (emergency, halt, balances). Returns false, having
+    /// traded nothing, if the match tripped the circuit breaker.
+    function matchOrders(
+        SignedOrder calldata maker,
+        bytes calldata makerSignature,
+        SignedOrder calldata taker,
+        bytes calldata takerSignature,
+        uint128 lots
+    ) external returns (bool) {
+        require(lots > 0, "Zero lots");
+        require(maker.side != taker.side, "Same side");
+        require(maker.trader != taker.trader, "Self trade");
+        // The taker's limit must reach the maker's price
+        require(
+            maker.side == SaturnExchange.Side.Buy
+                ? maker.pricePerLot >= taker.pricePerLot
+                : maker.pricePerLot <= taker.pricePerLot,
+            "Prices do not cross"
+        );
+
+        bytes32 makerHash = _checkOrder(maker, makerSignature, lots);
+        bytes32 takerHash = _checkOrder(taker, takerSignature, lots);
+
+        if (!EXCHANGE.settleSignedMatch(maker.trader, taker.trader, maker.side, maker.pricePerLot, lots)) {
+            return false;
+        }
+        filled[makerHash] += lots;
+        filled[takerHash] += lots;
+        emit OrdersMatched(makerHash, takerHash, lots);
+        return true;
+    }
+
+    /// @notice Lots `order` can still fill: 0 once expired, canceled or filled
+    function remainingLots(SignedOrder calldata order) external view returns (uint128) {
+        if (!_isLive(order)) {
+            return 0;
+        }
+        return order.lots - filled[hashOrder(order)];
+    }
+
+    /// @notice Cancel the caller's signed orders that use `nonce`
+    function cancelNonce(uint64 nonce) external {
+        nonceCanceled[msg.sender][nonce] = true;
+        emit NonceCanceled(msg.sender, nonce);
+    }
+
+    /// @notice Cancel every signed order of the caller with a nonce below `newMinNonce`
+    function cancelNoncesBelow(uint64 newMinNonce) external {
+        require(newMinNonce > minNonce[msg.sender], "Nonce not higher");
+        minNonce[msg.sender] = newMinNonce;
+        emit NoncesCanceledBelow(msg.sender, newMinNonce);
+    }
+
+    function _isLive(SignedOrder calldata order) internal view returns (bool) {
+        return (order.expiresAt == 0 || block.timestamp < order.expiresAt) &&
+            order.nonce >= minNonce[order.trader] &&
+            !nonceCanceled[order.trader][order.nonce];
+    }
+
+    /// @dev Revert unless `order` is signed by its trader, live and has `lots`
+    /// left to fill. Returns its hash.
+    function _checkOrder(
+        SignedOrder calldata order,
+        bytes calldata signature,
+        uint128 lots
+    ) internal view returns (bytes32 hash) {
+        require(order.pricePerLot > 0, "Zero price");
+        hash = hashOrder(order);
+
+        require(signature.length == 65, "Bad signature");
+        address signer = ecrecover(hash, uint8(signature[64]), bytes32(signature[0:32]), bytes32(signature[32:64]));
+        require(signer != address(0) && signer == order.trader, "Bad signature");
+
+        require(order.expiresAt == 0 || block.timestamp < order.expiresAt, "Order expired");
+        require(_isLive(order), "Order canceled");
+        require(filled[hash] + lots <= order.lots, "Overfill");
+    }
+}
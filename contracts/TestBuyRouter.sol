@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./SaturnExchange.sol";
+
+/// @notice Test helper: a router (or contract wallet) that buys through
+/// placeLimitBuyImmediate on its own account, so the exchange call is an
+/// internal transaction and the SATURN and ETC refund are paid to the router
+contract TestBuyRouter {
+    function buyImmediate(SaturnExchange exchange, uint128 pricePerLot, uint128 lotsMax) external payable {
+        exchange.placeLimitBuyImmediate{value: msg.value}(pricePerLot, lotsMax);
+    }
+
+    function tokenFallback(address, uint256, bytes calldata) external {}
+
+    receive() external payable {}
+}
@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice Test helper: ERC20 state and bookkeeping shared by the test tokens,
+/// the whole supply minted to the deployer
+abstract contract TestTokenBase {
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+    uint256 public totalSupply;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals, uint256 supply) {
+        name = _name;
+        symbol = _symbol;
+        decimals = _decimals;
+        totalSupply = supply;
+        balanceOf[msg.sender] = supply;
+        emit Transfer(address(0), msg.sender, supply);
+    }
+
+    function approve(address spender, uint256 value) external returns (bool) {
+        allowance[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function _transferFrom(address from, address to, uint256 value) internal {
+        require(allowance[from][msg.sender] >= value, "Allowance");
+        allowance[from][msg.sender] -= value;
+        _transfer(from, to, value);
+    }
+
+    function _transfer(address from, address to, uint256 value) internal virtual {
+        require(balanceOf[from] >= value, "Balance");
+        balanceOf[from] -= value;
+        balanceOf[to] += value;
+        emit Transfer(from, to, value);
+    }
+}
+
+/// @notice Test helper: a plain ERC20 (no tokenFallback) with configurable decimals
+contract TestERC20 is TestTokenBase {
+    constructor(string memory _name, string memory _symbol, uint8 _decimals, uint256 supply)
+        TestTokenBase(_name, _symbol, _decimals, supply)
+    {}
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool) {
+        _transferFrom(from, to, value);
+        return true;
+    }
+}
+
+/// @notice Test helper: an ERC20 that burns `feeBps` of every transfer, so the
+/// recipient gets less than the amount sent
+contract TestFeeOnTransferERC20 is TestERC20 {
+    uint16 public immutable feeBps;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals, uint256 supply, uint16 _feeBps)
+        TestERC20(_name, _symbol, _decimals, supply)
+    {
+        feeBps = _feeBps;
+    }
+
+    function _transfer(address from, address to, uint256 value) internal override {
+        uint256 fee = (value * feeBps) / 10_000;
+        super._transfer(from, to, value - fee);
+        super._transfer(from, address(0), fee);
+        totalSupply -= fee;
+    }
+}
+
+/// @notice Test helper: a USDT-style token whose transfer and transferFrom
+/// return no data
+contract TestNoReturnERC20 is TestTokenBase {
+    constructor(string memory _name, string memory _symbol, uint8 _decimals, uint256 supply)
+        TestTokenBase(_name, _symbol, _decimals, supply)
+    {}
+
+    function transfer(address to, uint256 value) external {
+        _transfer(msg.sender, to, value);
+    }
+
+    function transferFrom(address from, address to, uint256 value) external {
+        _transferFrom(from, to, value);
+    }
+}
@@ -0,0 +1,27 @@
+const { ethers } = require("hardhat");
+const { exchangeAddress, requireReaderAddress } = require("./lib/addresses");
+
+// Remove expired orders from the book. Anyone may do this; it only costs gas.
+// Usage: npx hardhat run scripts/cleanupExpired.js --network localhost
+// Env: BATCH (max orders per transaction, default 50, at most 500), EXCHANGE and
+// READER (address overrides)
+async function main() {
+  const batch = Number(process.env.BATCH || 50);
+  const exchange = await ethers.getContractAt("SaturnExchange", await exchangeAddress());
+  const reader = await ethers.getContractAt("SaturnExchangeReader", await requireReaderAddress());
+
+  let total = 0;
+  for (;;) {
+    const ids = await reader.getExpiredOrders(exchange, batch);
+    if (!ids.length) break;
+    const receipt = await (await exchange.cancelExpiredOrders(ids)).wait();
+    console.log(`Removed ${ids.length} expired orders (${ids.join(", ")}) in ${receipt.hash}`);
+    total += ids.length;
+  }
+  console.log(total ? `Done, ${total} orders removed` : "No expired orders");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
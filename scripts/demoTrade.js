@@ -1,21 +1,28 @@
 const { ethers } = require("hardhat");
+const { encodeOrderPayload } = require("../ui/lib/orderPayload");
+const { readBook } = require("../ui/lib/bookPages");
+const { deployOrReuseSaturn, saturnExchangeArgs } = require("./lib/deployments");
 
 // Quick demo: deploy Saturn token + exchange, deposit balances, place a sell,
 // cross it with a buy, and show balances/orderbook before/after.
+// Env: SATURN (existing SATURN token to use; the deployer must hold 1 lot)
 async function main() {
   const [deployer, alice, bob] = await ethers.getSigners();
   const LOT_SIZE = 1000n * 10n ** 4n; // 1000 SATURN with 4 decimals
   const PRICE = ethers.parseEther("1");
 
   console.log("Deploying contracts...");
-  const Saturn = await ethers.getContractFactory("Saturn");
-  const saturn = await Saturn.deploy();
-  await saturn.waitForDeployment();
+  const { contract: saturn } = await deployOrReuseSaturn(ethers, process.env.SATURN);
+  if ((await saturn.balanceOf(deployer.address)) < LOT_SIZE) throw new Error("Deployer needs 1 lot of SATURN");
 
   const Exchange = await ethers.getContractFactory("SaturnExchange");
-  const exchange = await Exchange.deploy(await saturn.getAddress());
+  const exchange = await Exchange.deploy(...saturnExchangeArgs(await saturn.getAddress()));
   await exchange.waitForDeployment();
 
+  const Reader = await ethers.getContractFactory("SaturnExchangeReader");
+  const reader = await Reader.deploy();
+  await reader.waitForDeployment();
+
   const exchangeAddr = await exchange.getAddress();
   console.log(`SATURN: ${await saturn.getAddress()}`);
   console.log(`Exchange: ${exchangeAddr}`);
@@ -34,19 +41,16 @@ async function main() {
     );
   };
 
-  // Seller deposits SATURN to exchange via ERC223 transfer
-  console.log("Depositing SATURN for deployer (seller)...");
-  await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE, "0x");
-
   // Buyer deposits ETC
   console.log("Depositing ETC for bob (buyer)...");
   await exchange.connect(bob).depositEtc({ value: ethers.parseEther("2") });
 
   await balances("After deposits");
 
-  // Place a resting sell from deployer
-  console.log("Placing resting sell (1 lot @ 1 ETC)...");
-  await exchange.placeLimitSellFromBalance(PRICE, 1);
+  // Seller deposits SATURN and places a resting sell in one ERC223 transfer
+  console.log("Depositing SATURN + placing resting sell for deployer (1 lot @ 1 ETC)...");
+  const sellData = encodeOrderPayload({ action: "limitSell", pricePerLot: PRICE, lots: 1 });
+  await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE, sellData);
 
   // Cross with bob's buy
   console.log("Placing crossing buy from bob...");
@@ -54,10 +58,12 @@ async function main() {
 
   await balances("After trade");
 
-  const [buyIds, buyPrices, buyLots, sellIds, sellPrices, sellLots] = await exchange.getOrderBook();
+  // Page through the book with the reader rather than one getOrderBook() call
+  const { buys, sells } = await readBook(reader, exchangeAddr);
+  const row = (o) => ({ id: o.id, price: o.pricePerLot.toString(), lots: o.lots.toString(), user: o.user });
   console.log("Orderbook:");
-  console.log("  Buys:", buyIds.length ? buyIds.map((id, i) => ({ id, price: buyPrices[i].toString(), lots: buyLots[i].toString() })) : "empty");
-  console.log("  Sells:", sellIds.length ? sellIds.map((id, i) => ({ id, price: sellPrices[i].toString(), lots: sellLots[i].toString() })) : "empty");
+  console.log("  Buys:", buys.length ? buys.map(row) : "empty");
+  console.log("  Sells:", sells.length ? sells.map(row) : "empty");
 
   console.log("Accumulated fees SATURN:", (await exchange.accumulatedFeesSaturn()).toString());
   console.log("Accumulated fees ETC:", ethers.formatEther(await exchange.accumulatedFeesEtc()));
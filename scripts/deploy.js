@@ -1,35 +1,66 @@
 const hre = require("hardhat");
 const { ethers } = hre;
-const fs = require("fs");
 const path = require("path");
+const {
+  deployContract, deployOrReuseSaturn, saveDeployment, saturnExchangeArgs, createMarket
+} = require("./lib/deployments");
+const { parseMarketSpecs } = require("../ui/lib/markets");
 
+// Deploy SaturnExchange and SaturnExchangeReader (and a SATURN token unless
+// one is given), a SaturnMarketFactory listing that SATURN market, and any
+// other markets asked for; record them in deployments/<chainId>.json.
+// Usage: MARKETS=0xToken:500:erc20 npx hardhat run scripts/deploy.js --network localhost
+// Env: SATURN (existing SATURN token to trade instead of deploying a new one),
+//      MARKETS (more markets, "<token>:<lot size in tokens>[:erc20|erc223]"
+//      separated by commas; ERC223 unless marked erc20)
 async function main() {
-  console.log("Deploying Saturn token...");
-  const Saturn = await ethers.getContractFactory("Saturn");
-  const saturn = await Saturn.deploy();
-  await saturn.waitForDeployment();
-  const saturnAddress = await saturn.getAddress();
-  console.log(`Saturn deployed to ${saturnAddress}`);
+  // Checked before anything is deployed
+  const marketSpecs = parseMarketSpecs(process.env.MARKETS || "");
+  const { chainId } = await ethers.provider.getNetwork();
+  const [deployer] = await ethers.getSigners();
+  console.log(`Deploying to ${hre.network.name} (chain ${chainId}) from ${deployer.address}`);
 
-  console.log("Deploying SaturnExchange...");
-  const SaturnExchange = await ethers.getContractFactory("SaturnExchange");
-  const exchange = await SaturnExchange.deploy(saturnAddress);
-  await exchange.waitForDeployment();
-  const exchangeAddress = await exchange.getAddress();
-  console.log(`SaturnExchange deployed to ${exchangeAddress}`);
+  const saturn = await deployOrReuseSaturn(ethers, process.env.SATURN);
+  console.log(`Saturn ${saturn.record.reused ? "reused at" : "deployed to"} ${saturn.record.address}`);
 
-  // Persist the latest deployment addresses for the UI/demo helpers.
-  const outDir = path.join(__dirname, "..", "artifacts");
-  const outFile = path.join(outDir, "latest-addresses.json");
-  const payload = {
+  const exchange = await deployContract(ethers, "SaturnExchange", saturnExchangeArgs(saturn.record.address));
+  console.log(`SaturnExchange deployed to ${exchange.record.address} (block ${exchange.record.blockNumber})`);
+  // Created by the exchange's constructor; found again through SIGNED_ORDERS()
+  console.log(`SaturnSignedOrders (signed-order settlement) at ${await exchange.contract.SIGNED_ORDERS()}`);
+
+  const reader = await deployContract(ethers, "SaturnExchangeReader");
+  console.log(`SaturnExchangeReader deployed to ${reader.record.address}`);
+
+  const marketFactory = await deployContract(ethers, "SaturnMarketFactory");
+  console.log(`SaturnMarketFactory deployed to ${marketFactory.record.address}`);
+  await (await marketFactory.contract.addMarket(exchange.record.address, true, exchange.record.blockNumber)).wait();
+  console.log("Listed the SATURN market");
+  const markets = [];
+  for (const spec of marketSpecs) {
+    const market = await createMarket(ethers, marketFactory.contract, spec);
+    markets.push(market.record);
+    console.log(`Market for ${spec.token} (lot ${spec.lot}, ${spec.erc223 ? "ERC223" : "ERC20"}) deployed to ${market.record.address}`);
+  }
+
+  // The in-process network disappears with this script: nothing to record
+  if (hre.network.name === "hardhat") {
+    console.log("In-process hardhat network: deployment not recorded (use --network localhost)");
+    return;
+  }
+  const file = await saveDeployment({
+    chainId: Number(chainId),
     network: hre.network.name,
-    saturn: saturnAddress,
-    saturnExchange: exchangeAddress,
-    timestamp: new Date().toISOString()
-  };
-  await fs.promises.mkdir(outDir, { recursive: true });
-  await fs.promises.writeFile(outFile, JSON.stringify(payload, null, 2));
-  console.log(`Addresses saved to ${path.relative(process.cwd(), outFile)}`);
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    contracts: {
+      saturn: saturn.record,
+      saturnExchange: exchange.record,
+      saturnExchangeReader: reader.record,
+      saturnMarketFactory: marketFactory.record
+    },
+    markets
+  });
+  console.log(`Deployment saved to ${path.relative(process.cwd(), file)}`);
 }
 
 main().catch((error) => {
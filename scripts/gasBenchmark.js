@@ -0,0 +1,82 @@
+const { ethers, network } = require("hardhat");
+const { bookFromSnapshot, insertionHint } = require("../ui/lib/fillSimulator");
+const { saturnExchangeArgs } = require("./lib/deployments");
+
+// Gas benchmark for deep order books: deploys a fresh Saturn + exchange (and a
+// reader for the insertion hints) on the in-process network, grows one maker's
+// bid side to each depth and measures
+//   - placing a bid at the back of the book without and with an insertion hint
+//     (the maker owns every resting bid, so this also covers the locked-balance
+//     check, which no longer walks the user's orders)
+//   - a sell sweeping the whole bid side with and without the maxFills cap
+// Usage: npx hardhat run scripts/gasBenchmark.js   (or npm run bench:gas)
+// Env: DEPTHS (comma separated book depths, default 50,100,200,400)
+async function main() {
+  const depths = (process.env.DEPTHS || "50,100,200,400").split(",").map(Number).sort((a, b) => a - b);
+  const [maker, seller] = await ethers.getSigners();
+  const LOT_SIZE = 1000n * 10n ** 4n;
+  const TOP = ethers.parseEther("1");
+  const TICK = ethers.parseEther("0.0001");
+  const UNCAPPED = 65_535;
+
+  const Saturn = await ethers.getContractFactory("Saturn");
+  const saturn = await Saturn.deploy();
+  await saturn.waitForDeployment();
+  const Exchange = await ethers.getContractFactory("SaturnExchange");
+  const exchange = await Exchange.deploy(...saturnExchangeArgs(await saturn.getAddress()));
+  await exchange.waitForDeployment();
+  const exchangeAddr = await exchange.getAddress();
+  const defaultMaxFills = await exchange.DEFAULT_MAX_FILLS();
+  const Reader = await ethers.getContractFactory("SaturnExchangeReader");
+  const reader = await Reader.deploy();
+  await reader.waitForDeployment();
+
+  const maxDepth = depths[depths.length - 1];
+  await exchange.connect(maker).depositEtc({ value: TOP * BigInt(maxDepth + 1) });
+  await saturn["transfer(address,uint256,bytes)"](seller.address, LOT_SIZE * BigInt(maxDepth), "0x");
+  await saturn.connect(seller)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * BigInt(maxDepth), "0x");
+
+  const gasOf = async (txPromise) => (await (await txPromise).wait()).gasUsed;
+  // Run `fn` and roll the chain back afterwards, so every measurement sees the same book
+  const isolated = async (fn) => {
+    const snapshot = await network.provider.send("evm_snapshot");
+    try {
+      return await fn();
+    } finally {
+      await network.provider.send("evm_revert", [snapshot]);
+    }
+  };
+  const bid = (pricePerLot, hint) => exchange.connect(maker).placeLimitOrder(0, pricePerLot, 1, 0, 0, 0, 0, hint);
+
+  console.log(`Default maxFills: ${defaultMaxFills}`);
+  console.log("depth | back insert, no hint | back insert, hinted | saved");
+  let placed = 0;
+  for (const depth of depths) {
+    // Each new bid goes one tick below the last, hinted behind it
+    for (; placed < depth; placed++) {
+      await bid(TOP - TICK * BigInt(placed), BigInt(placed));
+    }
+    const price = TOP - TICK * BigInt(depth);
+    const unhinted = await isolated(() => gasOf(bid(price, 0)));
+    const hint = insertionHint(bookFromSnapshot(await reader.getOrderBook(exchangeAddr)), "buy", price);
+    const hinted = await isolated(() => gasOf(bid(price, hint)));
+    console.log(
+      `${String(depth).padStart(5)} | ${String(unhinted).padStart(20)} | ${String(hinted).padStart(19)} | ` +
+      `${((Number(unhinted - hinted) * 100) / Number(unhinted)).toFixed(1)}%`
+    );
+  }
+
+  // Sell into every bid: uncapped it pays for the whole book in one transaction
+  const sweep = (maxFills) => exchange.connect(seller).placeLimitOrder(
+    1, TOP - TICK * BigInt(maxDepth), BigInt(maxDepth), 1, 0, 0, maxFills, 0
+  );
+  const uncapped = await isolated(() => gasOf(sweep(UNCAPPED)));
+  const capped = await isolated(() => gasOf(sweep(0)));
+  console.log(`Sweep of ${maxDepth} bids, uncapped: ${uncapped} gas`);
+  console.log(`Sweep capped at ${defaultMaxFills} fills: ${capped} gas`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,45 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const path = require("path");
+const { ExchangeIndexer, JsonFileStore } = require("./lib/indexer");
+const { exchangeAddress, requireReaderAddress } = require("./lib/addresses");
+
+// Rebuild the order book, balances and fills of the latest deployment from
+// its logs, then check the result against SaturnExchangeReader.getOrderBook().
+// Usage: npx hardhat run scripts/indexBook.js --network localhost
+// Env: EXCHANGE and READER (address overrides), FROM_BLOCK (default 0)
+async function main() {
+  const address = await exchangeAddress();
+  const reader = await requireReaderAddress();
+  const fromBlock = Number(process.env.FROM_BLOCK || 0);
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const store = new JsonFileStore(
+    path.join(__dirname, "..", "cache", "indexer", `${chainId}-${address.toLowerCase()}.json`)
+  );
+  const indexer = new ExchangeIndexer({ provider: ethers.provider, address, reader, fromBlock, store });
+
+  const res = await indexer.sync();
+  if (res.rolledBackTo !== null) console.log(`Reorg detected, rolled back to block ${res.rolledBackTo}`);
+  console.log(`Indexed blocks ${res.fromBlock}..${res.toBlock} (${res.applied} logs)`);
+
+  const { buys, sells } = indexer.getBook();
+  const line = (o) => `  #${o.id} ${ethers.formatEther(o.pricePerLot)} ETC x ${o.lots} lots (${o.user})`;
+  console.log("Sells:");
+  console.log(sells.map(line).join("\n") || "  empty");
+  console.log("Buys:");
+  console.log(buys.map(line).join("\n") || "  empty");
+
+  const check = await indexer.verify();
+  if (check.ok) {
+    console.log(`Book and balances match the contract at block ${check.block}`);
+  } else {
+    console.log(`Mismatch at block ${check.block}:\n  ${check.mismatches.join("\n  ")}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
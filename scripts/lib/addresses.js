@@ -0,0 +1,49 @@
+const { deploymentFile, loadDeployment } = require("./deployments");
+
+// The deployment scripts/deploy.js recorded for the chain the script runs on,
+// or null. hardhat is required lazily: tasks/ loads this module while the
+// config itself is still being read.
+async function currentDeployment() {
+  const { ethers } = require("hardhat");
+  const { chainId } = await ethers.provider.getNetwork();
+  return { chainId, deployment: await loadDeployment(chainId) };
+}
+
+// Exchange address for the helper scripts: EXCHANGE env override, otherwise
+// the deployment recorded for the current chain.
+async function exchangeAddress() {
+  if (process.env.EXCHANGE) return process.env.EXCHANGE;
+  const { chainId, deployment } = await currentDeployment();
+  if (!deployment) {
+    throw new Error(`No exchange address for chain ${chainId}: set EXCHANGE or run scripts/deploy.js (${deploymentFile(chainId)})`);
+  }
+  return deployment.contracts.saturnExchange.address;
+}
+
+// SaturnExchangeReader address: READER env override, otherwise the recorded
+// deployment; null when neither is available (only whole-book reads need it).
+async function readerAddress() {
+  if (process.env.READER) return process.env.READER;
+  const { deployment } = await currentDeployment();
+  return deployment?.contracts.saturnExchangeReader?.address || null;
+}
+
+// readerAddress() for the scripts that read the whole book or its expired orders
+async function requireReaderAddress() {
+  const address = await readerAddress();
+  if (!address) {
+    const { chainId } = await currentDeployment();
+    throw new Error(`No SaturnExchangeReader address for chain ${chainId}: set READER or run scripts/deploy.js`);
+  }
+  return address;
+}
+
+// SaturnMarketFactory address: MARKET_FACTORY env override, otherwise the
+// recorded deployment; null for deployments made before the factory existed.
+async function marketFactoryAddress() {
+  if (process.env.MARKET_FACTORY) return process.env.MARKET_FACTORY;
+  const { deployment } = await currentDeployment();
+  return deployment?.contracts.saturnMarketFactory?.address || null;
+}
+
+module.exports = { currentDeployment, exchangeAddress, readerAddress, requireReaderAddress, marketFactoryAddress };
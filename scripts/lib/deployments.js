@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const { tokenAbi } = require("../../ui/lib/markets");
+
+// Deployment manifests, one per chain. deployments/<chainId>.json records every
+// contract of the latest deployment on that chain: address, deployment block
+// and transaction, deployer and constructor args. ui/deployments.json is the
+// address summary of all chains, served next to index.html so the UI can pick
+// the deployment for the wallet's chain; saveDeployment() regenerates it.
+// Local chain (31337) manifests and the UI summary are not committed.
+
+const ROOT = path.join(__dirname, "..", "..");
+const DEPLOYMENTS_DIR = path.join(ROOT, "deployments");
+const UI_MANIFEST = path.join(ROOT, "ui", "deployments.json");
+
+// Contracts of a deployment, in deployment order. The factory lists the
+// SATURN market and any other markets (see createMarket below).
+const CONTRACTS = ["saturn", "saturnExchange", "saturnExchangeReader", "saturnMarketFactory"];
+// The SATURN market: 4 decimals, 1 lot = 1000 SATURN
+const SATURN_DECIMALS = 4n;
+const SATURN_LOT_SIZE = 1000n * 10n ** SATURN_DECIMALS;
+
+// `dir` / `uiManifest` options below default to the repo locations (tests override them)
+const deploymentFile = (chainId, dir = DEPLOYMENTS_DIR) => path.join(dir, `${chainId}.json`);
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// The deployment recorded for `chainId`, or null if there is none
+async function loadDeployment(chainId, { dir = DEPLOYMENTS_DIR } = {}) {
+  return readJson(deploymentFile(chainId, dir));
+}
+
+async function saveDeployment(deployment, { dir = DEPLOYMENTS_DIR, uiManifest = UI_MANIFEST } = {}) {
+  const file = deploymentFile(deployment.chainId, dir);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify(deployment, null, 2) + "\n");
+  await writeUiManifest({ dir, uiManifest });
+  return file;
+}
+
+// { "<chainId>": { network, saturn, saturnExchange, saturnExchangeReader, saturnMarketFactory, blockNumber, deployedAt } }
+// where blockNumber is the exchange's deployment block (the UI scans logs from there)
+async function writeUiManifest({ dir = DEPLOYMENTS_DIR, uiManifest = UI_MANIFEST } = {}) {
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(dir)).filter((f) => /^\d+\.json$/.test(f));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const manifest = {};
+  for (const file of files.sort((a, b) => parseInt(a) - parseInt(b))) {
+    const d = await readJson(path.join(dir, file));
+    const entry = { network: d.network };
+    for (const name of CONTRACTS) {
+      if (d.contracts[name]) entry[name] = d.contracts[name].address;
+    }
+    entry.blockNumber = d.contracts.saturnExchange.blockNumber;
+    entry.deployedAt = d.deployedAt;
+    manifest[d.chainId] = entry;
+  }
+  await fs.promises.writeFile(uiManifest, JSON.stringify(manifest, null, 2) + "\n");
+  return uiManifest;
+}
+
+// Deploy `name` and describe the deployment for the manifest
+async function deployContract(ethers, name, args = []) {
+  const factory = await ethers.getContractFactory(name);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  return {
+    contract,
+    record: {
+      address: await contract.getAddress(),
+      blockNumber: receipt.blockNumber,
+      txHash: receipt.hash,
+      deployer: tx.from,
+      args: args.map(String)
+    }
+  };
+}
+
+// SaturnExchange constructor arguments for the SATURN market on `saturnAddress`
+const saturnExchangeArgs = (saturnAddress) => [saturnAddress, Number(SATURN_DECIMALS), SATURN_LOT_SIZE];
+
+// The SATURN token at `address` if one is given, else a fresh deployment.
+// An existing token must have code and the 4 decimals LOT_SIZE assumes.
+async function deployOrReuseSaturn(ethers, address) {
+  if (!address) return deployContract(ethers, "Saturn");
+  if (!ethers.isAddress(address)) throw new Error(`Invalid SATURN address: ${address}`);
+  if ((await ethers.provider.getCode(address)) === "0x") throw new Error(`No contract at SATURN address ${address}`);
+  const contract = await ethers.getContractAt("Saturn", address);
+  const decimals = await contract.decimals();
+  if (decimals !== SATURN_DECIMALS) throw new Error(`SATURN at ${address} has ${decimals} decimals, expected 4`);
+  return { contract, record: { address: ethers.getAddress(address), reused: true } };
+}
+
+// Deploy a market for `token` through `marketFactory` (owned by its signer)
+// and accept the market's ownership. `lot` is the lot size in whole tokens;
+// decimals are read from the token.
+async function createMarket(ethers, marketFactory, { token, lot, erc223 }) {
+  const decimals = await (await ethers.getContractAt(tokenAbi, token)).decimals();
+  const lotSize = ethers.parseUnits(lot, decimals);
+  const { bytecode } = await ethers.getContractFactory("SaturnExchange");
+  const receipt = await (await marketFactory.createMarket(bytecode, token, decimals, lotSize, erc223)).wait();
+  const created = receipt.logs
+    .map((log) => marketFactory.interface.parseLog(log))
+    .find((e) => e && e.name === "MarketCreated");
+  const contract = await ethers.getContractAt("SaturnExchange", created.args.exchange, marketFactory.runner);
+  await (await contract.acceptOwnership()).wait();
+  return {
+    contract,
+    record: {
+      address: created.args.exchange,
+      token: ethers.getAddress(token),
+      decimals: Number(decimals),
+      lotSize: lotSize.toString(),
+      erc223,
+      blockNumber: receipt.blockNumber,
+      txHash: receipt.hash
+    }
+  };
+}
+
+module.exports = {
+  SATURN_DECIMALS,
+  SATURN_LOT_SIZE,
+  DEPLOYMENTS_DIR,
+  UI_MANIFEST,
+  deploymentFile,
+  loadDeployment,
+  saveDeployment,
+  writeUiManifest,
+  deployContract,
+  deployOrReuseSaturn,
+  saturnExchangeArgs,
+  createMarket
+};
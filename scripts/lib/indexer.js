@@ -0,0 +1,534 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Event-sourced indexer for a SaturnExchange deployment. It replays the
+// exchange logs from a start block into a local store (book, balances, fills,
+// fees), keeps periodic checkpoints so it can roll back when a reorg replaces
+// blocks it has already applied, and can compare its rebuilt book against the
+// book SaturnExchangeReader.getOrderBook() reads from the contract.
+
+const SIDE_BUY = 0;
+const SIDE_SELL = 1;
+
+const exchangeAbi = [
+  "event DepositSATURN(address indexed user, uint256 amount)",
+  "event DepositETC(address indexed user, uint256 amount)",
+  "event WithdrawAll(address indexed user, uint256 saturnAmount, uint256 etcAmount)",
+  "event WithdrawEtc(address indexed user, uint256 amount)",
+  "event WithdrawSaturn(address indexed user, uint256 amount)",
+  "event SellImmediateSettled(address indexed user, uint256 saturnIn, uint256 saturnRefund, uint256 etcOut)",
+  "event BuyImmediateSettled(address indexed user, uint256 etcIn, uint256 etcRefund, uint256 saturnOut)",
+  "event OrderPlaced(uint64 indexed orderId, address indexed user, uint8 side, uint128 pricePerLot, uint128 lots)",
+  "event OrderCanceled(uint64 indexed orderId, address indexed user)",
+  "event OrderExpired(uint64 indexed orderId, address indexed user)",
+  "event SelfTradePrevented(uint64 indexed makerOrderId, address indexed user, uint8 mode, uint128 takerLotsCanceled, uint128 makerLotsCanceled)",
+  "event OrderModified(uint64 indexed orderId, address indexed user, uint128 oldPricePerLot, uint128 oldLots, uint128 pricePerLot, uint128 lots, bool priorityKept)",
+  "event Trade(uint64 indexed makerOrderId, address indexed maker, address indexed taker, uint8 side, uint128 pricePerLot, uint128 lots, uint256 grossSaturn, uint256 grossEtc, uint256 feeSaturn, uint256 feeEtc)",
+  "event MakerFee(uint64 indexed makerOrderId, address indexed maker, uint8 side, uint256 fee, uint256 rebate)",
+  "function accounts(address) view returns (uint256 tokenBalance, uint256 etherBalance)"
+];
+
+const readerAbi = [
+  "function getOrderBook(address exchange) view returns (uint64[],uint128[],uint128[],uint64[],uint128[],uint128[])"
+];
+
+const INDEXED_EVENTS = [
+  "DepositSATURN",
+  "DepositETC",
+  "WithdrawAll",
+  "WithdrawEtc",
+  "WithdrawSaturn",
+  "SellImmediateSettled",
+  "BuyImmediateSettled",
+  "OrderPlaced",
+  "OrderCanceled",
+  "OrderExpired",
+  "OrderModified",
+  "SelfTradePrevented",
+  "Trade",
+  "MakerFee"
+];
+
+function emptyState(fromBlock) {
+  return {
+    lastBlock: fromBlock - 1,
+    lastBlockHash: null,
+    orders: {},
+    buys: [],
+    sells: [],
+    balances: {},
+    fills: {},
+    fees: { saturn: 0n, etc: 0n }
+  };
+}
+
+// ------------------------------------------------------------
+// Stores
+// ------------------------------------------------------------
+
+// Keeps indexer data in memory only (tests, one-off scripts).
+class MemoryStore {
+  constructor() {
+    this.data = null;
+  }
+
+  async load() {
+    return this.data ? structuredClone(this.data) : null;
+  }
+
+  async save(data) {
+    this.data = structuredClone(data);
+  }
+}
+
+// Persists indexer data to a JSON file; bigints are written as strings.
+class JsonFileStore {
+  constructor(file) {
+    this.file = file;
+  }
+
+  async load() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    return JSON.parse(raw, (key, value) =>
+      typeof value === "string" && /^-?\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value
+    );
+  }
+
+  async save(data) {
+    const json = JSON.stringify(data, (key, value) => (typeof value === "bigint" ? `${value}n` : value), 2);
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(this.file, json);
+  }
+}
+
+// ------------------------------------------------------------
+// Indexer
+// ------------------------------------------------------------
+
+class ExchangeIndexer {
+  constructor({
+    provider,
+    address,
+    reader = null,
+    fromBlock = 0,
+    store = new MemoryStore(),
+    batchSize = 2000,
+    checkpointInterval = 10,
+    maxCheckpoints = 50,
+    confirmations = 0
+  }) {
+    if (!provider) throw new Error("provider required");
+    if (!ethers.isAddress(address)) throw new Error("Invalid exchange address");
+    if (reader && !ethers.isAddress(reader)) throw new Error("Invalid reader address");
+    this.provider = provider;
+    this.address = ethers.getAddress(address);
+    this.fromBlock = fromBlock;
+    this.store = store;
+    this.batchSize = batchSize;
+    this.checkpointInterval = checkpointInterval;
+    this.maxCheckpoints = maxCheckpoints;
+    this.confirmations = confirmations;
+
+    this.iface = new ethers.Interface(exchangeAbi);
+    this.exchange = new ethers.Contract(this.address, exchangeAbi, provider);
+    // SaturnExchangeReader used by verify(); sync() does not need one
+    this.reader = reader ? new ethers.Contract(reader, readerAbi, provider) : null;
+    this.topics = INDEXED_EVENTS.map((name) => this.iface.getEvent(name).topicHash);
+
+    this.state = emptyState(fromBlock);
+    this.checkpoints = [];
+    this._loaded = false;
+  }
+
+  async _load() {
+    if (this._loaded) return;
+    const saved = await this.store.load();
+    if (saved && saved.address === this.address && saved.fromBlock === this.fromBlock) {
+      this.state = saved.state;
+      this.checkpoints = saved.checkpoints || [];
+    }
+    this._loaded = true;
+  }
+
+  async _persist() {
+    await this.store.save({
+      address: this.address,
+      fromBlock: this.fromBlock,
+      state: this.state,
+      checkpoints: this.checkpoints
+    });
+  }
+
+  // Pull all new logs up to the (confirmed) chain head and apply them.
+  // Returns the applied range, the number of logs and, if a reorg was
+  // detected, the block the indexer rolled back to.
+  async sync() {
+    await this._load();
+
+    const rolledBackTo = await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const start = this.state.lastBlock + 1;
+    let applied = 0;
+
+    for (let from = start; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const logs = await this.provider.getLogs({
+        address: this.address,
+        topics: [this.topics],
+        fromBlock: from,
+        toBlock: to
+      });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      for (const log of logs) {
+        this._apply(log);
+        applied++;
+      }
+
+      const block = await this.provider.getBlock(to);
+      this.state.lastBlock = to;
+      this.state.lastBlockHash = block.hash;
+      this._maybeCheckpoint();
+    }
+
+    await this._persist();
+    return { fromBlock: start, toBlock: this.state.lastBlock, applied, rolledBackTo };
+  }
+
+  async _handleReorg() {
+    if (this.state.lastBlockHash === null) return null;
+    const block = await this.provider.getBlock(this.state.lastBlock);
+    if (block && block.hash === this.state.lastBlockHash) return null;
+
+    // Walk checkpoints newest-first until one is still on the canonical chain
+    while (this.checkpoints.length) {
+      const cp = this.checkpoints[this.checkpoints.length - 1];
+      const b = await this.provider.getBlock(cp.blockNumber);
+      if (b && b.hash === cp.blockHash) {
+        this.state = { ...structuredClone(cp.state), fills: this._fillsUpTo(cp.blockNumber) };
+        return cp.blockNumber;
+      }
+      this.checkpoints.pop();
+    }
+
+    this.state = emptyState(this.fromBlock);
+    return this.fromBlock - 1;
+  }
+
+  // Checkpoints copy the book, balances and fees but not the fills: those
+  // only grow, so a rollback cuts the current lists back instead.
+  _maybeCheckpoint() {
+    const last = this.checkpoints[this.checkpoints.length - 1];
+    if (last && this.state.lastBlock - last.blockNumber < this.checkpointInterval) return;
+    const { fills, ...state } = this.state;
+    this.checkpoints.push({
+      blockNumber: this.state.lastBlock,
+      blockHash: this.state.lastBlockHash,
+      state: structuredClone(state)
+    });
+    if (this.checkpoints.length > this.maxCheckpoints) this.checkpoints.shift();
+  }
+
+  // The current fills without those of blocks after `blockNumber`
+  _fillsUpTo(blockNumber) {
+    const fills = {};
+    for (const [user, list] of Object.entries(this.state.fills)) {
+      let n = list.length;
+      while (n > 0 && list[n - 1].block > blockNumber) n--;
+      if (n > 0) fills[user] = n === list.length ? list : list.slice(0, n);
+    }
+    return fills;
+  }
+
+  // ------------------------------------------------------------
+  // Event application
+  // ------------------------------------------------------------
+
+  _balance(user) {
+    const key = ethers.getAddress(user);
+    if (!this.state.balances[key]) this.state.balances[key] = { saturn: 0n, etc: 0n };
+    return this.state.balances[key];
+  }
+
+  _recordFill(user, fill) {
+    const key = ethers.getAddress(user);
+    if (!this.state.fills[key]) this.state.fills[key] = [];
+    this.state.fills[key].push(fill);
+  }
+
+  _apply(log) {
+    const parsed = this.iface.parseLog(log);
+    if (!parsed) return;
+    const a = parsed.args;
+
+    switch (parsed.name) {
+      case "DepositSATURN":
+        this._balance(a.user).saturn += a.amount;
+        break;
+
+      case "DepositETC":
+        this._balance(a.user).etc += a.amount;
+        break;
+
+      case "WithdrawAll": {
+        const bal = this._balance(a.user);
+        bal.saturn -= a.saturnAmount;
+        bal.etc -= a.etcAmount;
+        break;
+      }
+
+      case "WithdrawEtc":
+        this._balance(a.user).etc -= a.amount;
+        break;
+
+      case "WithdrawSaturn":
+        this._balance(a.user).saturn -= a.amount;
+        break;
+
+      case "SellImmediateSettled": {
+        // The preceding Trades debited/credited the seller internally, but
+        // an immediate sell settles externally: undo those changes.
+        const bal = this._balance(a.user);
+        bal.saturn += a.saturnIn - a.saturnRefund;
+        bal.etc -= a.etcOut;
+        break;
+      }
+
+      case "BuyImmediateSettled": {
+        // Same for an immediate buy: the ETC it paid came with the call and
+        // the SATURN it bought has left the exchange.
+        const bal = this._balance(a.user);
+        bal.etc += a.etcIn - a.etcRefund;
+        bal.saturn -= a.saturnOut;
+        break;
+      }
+
+      case "OrderPlaced":
+        this._insertOrder({
+          id: a.orderId.toString(),
+          user: ethers.getAddress(a.user),
+          side: Number(a.side),
+          pricePerLot: a.pricePerLot,
+          lots: a.lots,
+          block: log.blockNumber
+        });
+        break;
+
+      case "OrderCanceled":
+      case "OrderExpired":
+        this._removeOrder(a.orderId.toString());
+        break;
+
+      case "OrderModified": {
+        const id = a.orderId.toString();
+        const order = this.state.orders[id];
+        if (!order) break;
+        if (a.lots === 0n) {
+          this._removeOrder(id);
+        } else if (a.priorityKept) {
+          order.lots = a.lots;
+        } else {
+          // Re-priced or grown: back of the queue at its (new) price level
+          this._removeOrder(id);
+          this._insertOrder({ ...order, pricePerLot: a.pricePerLot, lots: a.lots });
+        }
+        break;
+      }
+
+      case "SelfTradePrevented": {
+        const id = a.makerOrderId.toString();
+        const order = this.state.orders[id];
+        if (!order) break;
+        order.lots -= a.makerLotsCanceled;
+        if (order.lots === 0n) this._removeOrder(id);
+        break;
+      }
+
+      case "Trade":
+        this._applyTrade(log, a);
+        break;
+
+      case "MakerFee": {
+        // Right after its Trade: the maker's fee or rebate, in the asset it received
+        const asset = Number(a.side) === SIDE_SELL ? "etc" : "saturn";
+        this._balance(a.maker)[asset] += a.rebate - a.fee;
+        this.state.fees[asset] += a.fee - a.rebate;
+        const fills = this.state.fills[ethers.getAddress(a.maker)] || [];
+        const fill = fills[fills.length - 1];
+        if (fill && fill.txHash === log.transactionHash && fill.role === "maker") {
+          const unit = asset === "etc" ? "Etc" : "Saturn";
+          fill[`fee${unit}`] = a.fee;
+          fill[`rebate${unit}`] = a.rebate;
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  _applyTrade(log, a) {
+    const makerSide = Number(a.side);
+    const maker = this._balance(a.maker);
+
+    if (makerSide === SIDE_SELL) {
+      maker.saturn -= a.grossSaturn;
+      maker.etc += a.grossEtc;
+      const taker = this._balance(a.taker);
+      taker.etc -= a.grossEtc;
+      taker.saturn += a.grossSaturn - a.feeSaturn;
+    } else {
+      maker.etc -= a.grossEtc;
+      maker.saturn += a.grossSaturn;
+      const taker = this._balance(a.taker);
+      taker.saturn -= a.grossSaturn;
+      taker.etc += a.grossEtc - a.feeEtc;
+    }
+    this.state.fees.saturn += a.feeSaturn;
+    this.state.fees.etc += a.feeEtc;
+
+    const id = a.makerOrderId.toString();
+    const order = this.state.orders[id];
+    if (order) {
+      order.lots -= a.lots;
+      if (order.lots === 0n) this._removeOrder(id);
+    }
+
+    const base = {
+      block: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      makerOrderId: id,
+      pricePerLot: a.pricePerLot,
+      lots: a.lots,
+      grossSaturn: a.grossSaturn,
+      grossEtc: a.grossEtc,
+      rebateSaturn: 0n,
+      rebateEtc: 0n
+    };
+    this._recordFill(a.maker, {
+      ...base,
+      role: "maker",
+      side: makerSide === SIDE_BUY ? "buy" : "sell",
+      counterparty: ethers.getAddress(a.taker),
+      feeSaturn: 0n,
+      feeEtc: 0n
+    });
+    this._recordFill(a.taker, {
+      ...base,
+      role: "taker",
+      side: makerSide === SIDE_BUY ? "sell" : "buy",
+      counterparty: ethers.getAddress(a.maker),
+      feeSaturn: a.feeSaturn,
+      feeEtc: a.feeEtc
+    });
+  }
+
+  // Mirrors _insertBuyOrder/_insertSellOrder: sorted by price, then arrival.
+  _insertOrder(order) {
+    this.state.orders[order.id] = order;
+    const list = order.side === SIDE_BUY ? this.state.buys : this.state.sells;
+    const worse = order.side === SIDE_BUY
+      ? (other) => this.state.orders[other].pricePerLot < order.pricePerLot
+      : (other) => this.state.orders[other].pricePerLot > order.pricePerLot;
+    const pos = list.findIndex(worse);
+    if (pos === -1) list.push(order.id);
+    else list.splice(pos, 0, order.id);
+  }
+
+  _removeOrder(id) {
+    const order = this.state.orders[id];
+    if (!order) return;
+    const list = order.side === SIDE_BUY ? this.state.buys : this.state.sells;
+    const pos = list.indexOf(id);
+    if (pos !== -1) list.splice(pos, 1);
+    delete this.state.orders[id];
+  }
+
+  // ------------------------------------------------------------
+  // Queries
+  // ------------------------------------------------------------
+
+  getBook() {
+    const view = (id) => ({ ...this.state.orders[id] });
+    return { buys: this.state.buys.map(view), sells: this.state.sells.map(view) };
+  }
+
+  getBalances(user) {
+    const bal = this.state.balances[ethers.getAddress(user)];
+    return bal ? { ...bal } : { saturn: 0n, etc: 0n };
+  }
+
+  getFills(user) {
+    return (this.state.fills[ethers.getAddress(user)] || []).map((f) => ({ ...f }));
+  }
+
+  getUserOrders(user) {
+    const key = ethers.getAddress(user);
+    return Object.values(this.state.orders)
+      .filter((o) => o.user === key)
+      .map((o) => ({ ...o }));
+  }
+
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  // Compare the rebuilt book and balances with the contract's views at the
+  // last indexed block. Returns { ok, block, mismatches }.
+  async verify() {
+    if (!this.reader) throw new Error("verify() needs a SaturnExchangeReader address (reader option)");
+    const blockTag = this.state.lastBlock;
+    const mismatches = [];
+
+    const [buyIds, buyPrices, buyLots, sellIds, sellPrices, sellLots] =
+      await this.reader.getOrderBook(this.address, { blockTag });
+
+    const compareSide = (label, local, ids, prices, lots) => {
+      if (local.length !== ids.length) {
+        mismatches.push(`${label}: ${local.length} orders indexed, ${ids.length} on-chain`);
+      }
+      const n = Math.min(local.length, ids.length);
+      for (let i = 0; i < n; i++) {
+        const o = this.state.orders[local[i]];
+        if (o.id !== ids[i].toString() || o.pricePerLot !== prices[i] || o.lots !== lots[i]) {
+          mismatches.push(
+            `${label}[${i}]: indexed #${o.id} ${o.pricePerLot}x${o.lots}, on-chain #${ids[i]} ${prices[i]}x${lots[i]}`
+          );
+        }
+      }
+    };
+    compareSide("buys", this.state.buys, buyIds, buyPrices, buyLots);
+    compareSide("sells", this.state.sells, sellIds, sellPrices, sellLots);
+
+    for (const [user, bal] of Object.entries(this.state.balances)) {
+      const acct = await this.exchange.accounts(user, { blockTag });
+      if (acct.tokenBalance !== bal.saturn || acct.etherBalance !== bal.etc) {
+        mismatches.push(
+          `balance ${user}: indexed SATURN=${bal.saturn} ETC=${bal.etc}, ` +
+            `on-chain SATURN=${acct.tokenBalance} ETC=${acct.etherBalance}`
+        );
+      }
+    }
+
+    return { ok: mismatches.length === 0, block: blockTag, mismatches };
+  }
+}
+
+module.exports = {
+  ExchangeIndexer,
+  MemoryStore,
+  JsonFileStore,
+  exchangeAbi,
+  SIDE_BUY,
+  SIDE_SELL
+};
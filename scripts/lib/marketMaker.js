@@ -0,0 +1,346 @@
+const { ethers } = require("ethers");
+const { revertReason } = require("../../ui/lib/revertReason");
+
+// Grid quoting bot for a SaturnExchange market. It keeps a ladder of resting
+// post-only limit orders (placeLimitOrder) around a reference price and re-plans it whenever a Trade happens, the reference
+// moves past a threshold or emergency mode changes:
+//   - levels sit spreadBps away from the reference, then stepBps apart,
+//     lotsPerLevel each, rounded away from the reference to the price tick
+//   - bids stop once SATURN inventory plus resting bids would exceed
+//     maxInventoryLots, asks once inventory minus resting asks would fall
+//     below minInventoryLots
+//   - quotes never take: a level that would cross the book is rejected by the
+//     contract and skipped until the next requote
+//   - quotes are sized from the internal balances, so the ladder never asks
+//     the contract to lock more than the account holds
+//   - when emergency mode turns on every quote is pulled with
+//     cancelAllMyOrders; quoting resumes when it turns off again
+// Orders that already match the plan keep their queue position.
+
+const SIDE_BUY = 0;
+const SIDE_SELL = 1;
+const TIF_POST_ONLY = 3;
+const BPS = 10_000n;
+
+const DEFAULTS = {
+  levels: 3,
+  lotsPerLevel: 1n,
+  spreadBps: 50,
+  stepBps: 50,
+  tick: 10n ** 14n, // 0.0001 ETC per lot
+  minInventoryLots: 0n,
+  maxInventoryLots: null, // no upper bound
+  requoteBps: 10,
+  pollMs: 2000
+};
+
+// Ladder for `reference`, nearest level first on both sides. Levels that round
+// to the same price are merged; bids that would be priced at zero are dropped.
+function planLadder(reference, config) {
+  const { levels, lotsPerLevel, spreadBps, stepBps, tick } = { ...DEFAULTS, ...config };
+  const buys = [];
+  const sells = [];
+  const add = (side, pricePerLot) => {
+    const last = side[side.length - 1];
+    if (last && last.pricePerLot === pricePerLot) last.lots += BigInt(lotsPerLevel);
+    else side.push({ pricePerLot, lots: BigInt(lotsPerLevel) });
+  };
+  for (let i = 0; i < levels; i++) {
+    const offset = BigInt(spreadBps + i * stepBps);
+    const bid = ((reference * (BPS - offset)) / BPS / tick) * tick;
+    if (offset < BPS && bid > 0n) add(buys, bid);
+    add(sells, (((reference * (BPS + offset)) + BPS * tick - 1n) / (BPS * tick)) * tick);
+  }
+  return { buys, sells };
+}
+
+// Trim a ladder to what the account can carry. `inventoryLots` is the SATURN
+// held on the exchange (locked or not) in whole lots, `etc` the ETC balance.
+function fitLadder(ladder, { inventoryLots, etc }, config) {
+  const { minInventoryLots, maxInventoryLots } = { ...DEFAULTS, ...config };
+  const fit = (levels, lotsLeft, cost) => {
+    const out = [];
+    let budget = etc;
+    for (const level of levels) {
+      let lots = level.lots < lotsLeft ? level.lots : lotsLeft;
+      if (cost) {
+        const affordable = budget / level.pricePerLot;
+        if (affordable < lots) lots = affordable;
+        budget -= lots * level.pricePerLot;
+      }
+      if (lots <= 0n) break;
+      out.push({ pricePerLot: level.pricePerLot, lots });
+      lotsLeft -= lots;
+    }
+    return out;
+  };
+  const bidRoom = maxInventoryLots === null || maxInventoryLots === undefined
+    ? ladder.buys.reduce((sum, l) => sum + l.lots, 0n)
+    : BigInt(maxInventoryLots) - inventoryLots;
+  const askRoom = inventoryLots - BigInt(minInventoryLots);
+  return { buys: fit(ladder.buys, bidRoom, true), sells: fit(ladder.sells, askRoom, false) };
+}
+
+// Ladder settings from the environment shared by the bot and simulation scripts:
+// LEVELS, LOTS (per level), SPREAD_BPS, STEP_BPS, TICK (ETC), MIN_INVENTORY and
+// MAX_INVENTORY (SATURN lots), REQUOTE_BPS, POLL_MS. Unset values keep DEFAULTS.
+function configFromEnv(env = process.env) {
+  const config = {};
+  const int = (name, key) => {
+    if (env[name] === undefined || env[name] === "") return;
+    if (!/^\d+$/.test(env[name])) throw new Error(`${name} must be a non-negative integer: ${env[name]}`);
+    config[key] = Number(env[name]);
+  };
+  int("LEVELS", "levels");
+  int("SPREAD_BPS", "spreadBps");
+  int("STEP_BPS", "stepBps");
+  int("REQUOTE_BPS", "requoteBps");
+  int("POLL_MS", "pollMs");
+  int("LOTS", "lotsPerLevel");
+  int("MIN_INVENTORY", "minInventoryLots");
+  int("MAX_INVENTORY", "maxInventoryLots");
+  for (const key of ["lotsPerLevel", "minInventoryLots", "maxInventoryLots"]) {
+    if (key in config) config[key] = BigInt(config[key]);
+  }
+  if (env.TICK) config.tick = ethers.parseEther(env.TICK);
+  return config;
+}
+
+function emptyStats() {
+  return {
+    requotes: 0,
+    pulls: 0,
+    ordersPlaced: 0,
+    ordersCanceled: 0,
+    quotesRejected: 0, // post-only levels that would have crossed
+    quotedLots: { buy: 0n, sell: 0n },
+    makerLots: { buy: 0n, sell: 0n },
+    takerLots: { buy: 0n, sell: 0n },
+    makerFills: 0,
+    feesSaturn: 0n, // taker and maker fees paid, less maker rebates
+    feesEtc: 0n,
+    gasUsed: 0n,
+    gasCost: 0n
+  };
+}
+
+class MarketMaker {
+  // `exchange` is a SaturnExchange contract connected to the quoting signer.
+  // `reference` is the price to quote around (ETC per lot): a bigint or a
+  // (possibly async) function returning one, called on every step.
+  constructor({ exchange, reference, log = () => {}, fromBlock, ...config }) {
+    if (!exchange || !exchange.runner) throw new Error("exchange connected to a signer required");
+    if (reference === undefined) throw new Error("reference price required");
+    this.exchange = exchange;
+    this.reference = typeof reference === "function" ? reference : () => reference;
+    this.log = log;
+    this.config = { ...DEFAULTS, ...config };
+    if (this.config.levels < 1) throw new Error("levels must be at least 1");
+    if (BigInt(this.config.lotsPerLevel) <= 0n) throw new Error("lotsPerLevel must be positive");
+    if (this.config.spreadBps <= 0) throw new Error("spreadBps must be positive");
+    if (BigInt(this.config.tick) <= 0n) throw new Error("tick must be positive");
+    this.config.tick = BigInt(this.config.tick);
+
+    this.nextBlock = fromBlock;
+    this.quotedReference = null;
+    this.pulled = false;
+    this.dirty = false;
+    this.stats = emptyStats();
+  }
+
+  async _init() {
+    if (this.address) return;
+    this.address = await this.exchange.runner.getAddress();
+    this.lotSize = await this.exchange.LOT_SIZE();
+    if (this.nextBlock === undefined) this.nextBlock = (await this.exchange.runner.provider.getBlockNumber()) + 1;
+  }
+
+  async _send(txPromise) {
+    const receipt = await (await txPromise).wait();
+    this.stats.gasUsed += receipt.gasUsed;
+    this.stats.gasCost += receipt.gasUsed * receipt.gasPrice;
+    return receipt;
+  }
+
+  // Read the Trade, MakerFee and EmergencyModeSet events since the last poll
+  // and fold the bot's own fills and fees into the stats. Returns what happened.
+  async poll() {
+    await this._init();
+    const head = await this.exchange.runner.provider.getBlockNumber();
+    if (head < this.nextBlock) return { trades: 0, ownFills: 0, emergencyChanged: false };
+
+    const [trades, makerFees, switches] = await Promise.all([
+      this.exchange.queryFilter(this.exchange.filters.Trade(), this.nextBlock, head),
+      this.exchange.queryFilter(this.exchange.filters.MakerFee(null, this.address), this.nextBlock, head),
+      this.exchange.queryFilter(this.exchange.filters.EmergencyModeSet(), this.nextBlock, head)
+    ]);
+    this.nextBlock = head + 1;
+
+    let ownFills = 0;
+    for (const { args: a } of trades) {
+      const makerSide = Number(a.side) === SIDE_BUY ? "buy" : "sell";
+      const takerSide = makerSide === "buy" ? "sell" : "buy";
+      if (a.maker === this.address) {
+        this.stats.makerLots[makerSide] += a.lots;
+        this.stats.makerFills++;
+        ownFills++;
+      } else if (a.taker === this.address) {
+        this.stats.takerLots[takerSide] += a.lots;
+        this.stats.feesSaturn += a.feeSaturn;
+        this.stats.feesEtc += a.feeEtc;
+        ownFills++;
+      }
+    }
+    // Maker fees and rebates (fee schedule tiers), in the asset the bot received
+    for (const { args: a } of makerFees) {
+      const net = a.fee - a.rebate;
+      if (Number(a.side) === SIDE_SELL) this.stats.feesEtc += net;
+      else this.stats.feesSaturn += net;
+    }
+    return { trades: trades.length, ownFills, emergencyChanged: switches.length > 0 };
+  }
+
+  async _openOrders() {
+    const ids = await this.exchange.getUserOrders(this.address);
+    return Promise.all([...ids].map(async (id) => {
+      const o = await this.exchange.getOrder(id);
+      return { id, side: Number(o.side), pricePerLot: o.pricePerLot, lots: o.lots };
+    }));
+  }
+
+  // Cancel every quote (emergency mode, shutdown)
+  async pull() {
+    await this._init();
+    const open = await this._openOrders();
+    if (!open.length) return 0;
+    await this._send(this.exchange.cancelAllMyOrders());
+    this.stats.ordersCanceled += open.length;
+    this.stats.pulls++;
+    this.log(`Pulled ${open.length} quotes`);
+    return open.length;
+  }
+
+  // Bring the resting orders in line with the ladder for `reference`.
+  // Returns the number of orders canceled and placed, and of levels rejected
+  // for crossing the book.
+  async requote(reference) {
+    await this._init();
+    const [[saturn, etc], open] = await Promise.all([
+      this.exchange.getUserBalances(this.address),
+      this._openOrders()
+    ]);
+    const plan = fitLadder(planLadder(reference, this.config), { inventoryLots: saturn / this.lotSize, etc }, this.config);
+
+    // Keep resting orders that sit on a planned level; top up the rest
+    const wanted = [
+      ...plan.buys.map((l) => ({ side: SIDE_BUY, ...l })),
+      ...plan.sells.map((l) => ({ side: SIDE_SELL, ...l }))
+    ];
+    const stale = [];
+    for (const order of open) {
+      const level = wanted.find((l) => l.side === order.side && l.pricePerLot === order.pricePerLot);
+      if (level && level.lots >= order.lots) level.lots -= order.lots;
+      else stale.push(order);
+    }
+
+    let canceled = 0;
+    for (const order of stale) {
+      try {
+        await this._send(this.exchange.cancelOrder(order.id));
+        canceled++;
+      } catch (err) {
+        // Filled or expired since we read it
+        if (revertReason(err, this.exchange.interface) !== "No order") throw err;
+      }
+    }
+
+    // Nearest levels first, alternating sides, so a failure leaves the inside quotes up
+    const buys = wanted.filter((l) => l.side === SIDE_BUY && l.lots > 0n);
+    const sells = wanted.filter((l) => l.side === SIDE_SELL && l.lots > 0n);
+    let placed = 0;
+    let rejected = 0;
+    for (let i = 0; i < Math.max(buys.length, sells.length); i++) {
+      for (const level of [buys[i], sells[i]]) {
+        if (!level) continue;
+        try {
+          await this._send(this.exchange.placeLimitOrder(level.side, level.pricePerLot, level.lots, TIF_POST_ONLY, 0, 0, 0, 0));
+        } catch (err) {
+          // The book moved through this level: quoting it would pay the taker fee
+          if (revertReason(err, this.exchange.interface) !== "Post-only would cross") throw err;
+          rejected++;
+          continue;
+        }
+        this.stats.quotedLots[level.side === SIDE_BUY ? "buy" : "sell"] += level.lots;
+        placed++;
+      }
+    }
+
+    this.stats.ordersCanceled += canceled;
+    this.stats.ordersPlaced += placed;
+    this.stats.quotesRejected += rejected;
+    this.stats.requotes++;
+    this.quotedReference = reference;
+    if (canceled || placed || rejected) {
+      this.log(`Requoted around ${reference}: ${canceled} canceled, ${placed} placed` +
+        (rejected ? `, ${rejected} would have crossed` : ""));
+    }
+    return { canceled, placed, rejected };
+  }
+
+  // One round of the bot: read new events, then pull, requote or wait.
+  async step() {
+    await this._init();
+    const events = await this.poll();
+    // Remembered across halts and failed requotes until a requote goes through
+    if (events.trades || events.emergencyChanged) this.dirty = true;
+
+    if (await this.exchange.emergencyMode()) {
+      if (!this.pulled) {
+        await this.pull();
+        this.pulled = true;
+        this.dirty = true;
+      }
+      return { action: "pulled", ...events };
+    }
+    // A circuit breaker halt refuses new orders; resting ones stay put
+    if (await this.exchange.tradingHalted()) return { action: "halted", ...events };
+
+    const reference = BigInt(await this.reference());
+    const moved = this.quotedReference === null ||
+      (reference > this.quotedReference ? reference - this.quotedReference : this.quotedReference - reference) * BPS >
+        BigInt(this.config.requoteBps) * this.quotedReference;
+    if (!moved && !this.dirty) return { action: "idle", ...events };
+
+    const result = await this.requote(moved ? reference : this.quotedReference);
+    this.pulled = false;
+    // Levels that would have crossed are tried again on the next step
+    this.dirty = result.rejected > 0;
+    return { action: "requoted", ...result, ...events };
+  }
+
+  // Step every pollMs until `signal` aborts. Errors are logged and retried on
+  // the next poll so a single failed transaction does not stop the bot.
+  async run({ signal } = {}) {
+    while (!signal?.aborted) {
+      try {
+        await this.step();
+      } catch (err) {
+        this.log(`Step failed: ${revertReason(err, this.exchange.interface)}`);
+      }
+      await new Promise((resolve) => {
+        // The listener goes with its poll so a long run does not pile them up on `signal`
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        }, this.config.pollMs);
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
+    }
+  }
+}
+
+module.exports = { MarketMaker, planLadder, fitLadder, configFromEnv, DEFAULTS };
@@ -0,0 +1,270 @@
+const http = require("http");
+const { revertReason } = require("../../ui/lib/revertReason");
+const {
+  ORDER_TYPES, orderDomain, normalizeOrder, hashOrder, recoverOrderSigner, orderToJson
+} = require("../../ui/lib/signedOrders");
+
+// Local relayer for EIP-712 signed orders (contracts/SaturnSignedOrders.sol).
+// It keeps the signed orders it is sent in memory and settles crossing pairs
+// through SaturnSignedOrders.matchOrders, paying the gas itself:
+//   - an order is checked when it arrives: signature, expiry, and lots left
+//     on-chain (remainingLots is 0 once canceled, expired or filled)
+//   - buys rank by highest price, sells by lowest, then by arrival; the
+//     earlier order of a pair is the maker and sets the price
+//   - pairs from the same trader are skipped, not matched
+//   - each match is simulated first; orders that are dead on-chain or whose
+//     trader lacks the balance are dropped, and matching pauses while the
+//     exchange refuses trades (emergency mode, circuit breaker)
+// The book is not persisted: after a restart traders resubmit.
+
+const SIDE_BUY = 0;
+
+// Reasons that mean the exchange will take no trade right now
+const PAUSE_REASONS = new Set(["Trading disabled", "Trading halted"]);
+
+class Relayer {
+  // `signedOrders` is a SaturnSignedOrders contract connected to the signer
+  // that submits matches.
+  constructor({ signedOrders, log = () => {} }) {
+    if (!signedOrders || !signedOrders.runner) throw new Error("signedOrders connected to a signer required");
+    this.signedOrders = signedOrders;
+    this.log = log;
+    this.orders = new Map(); // hash => { hash, order, signature, remaining, seq }
+    this.seq = 0;
+    this.matches = [];
+    // Submissions and matching run one at a time so matches never race
+    this._queue = Promise.resolve();
+  }
+
+  async _init() {
+    if (this.domain) return;
+    const { chainId } = await this.signedOrders.runner.provider.getNetwork();
+    this.domain = orderDomain(chainId, await this.signedOrders.getAddress());
+  }
+
+  _serial(fn) {
+    const run = this._queue.then(fn);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  // Buys best price first, then sells, each in price-time order
+  book() {
+    const rank = (a, b) => (a.order.pricePerLot === b.order.pricePerLot
+      ? a.seq - b.seq
+      : (a.order.side === SIDE_BUY) === (a.order.pricePerLot > b.order.pricePerLot) ? -1 : 1);
+    const all = [...this.orders.values()];
+    return {
+      buys: all.filter((e) => e.order.side === SIDE_BUY).sort(rank),
+      sells: all.filter((e) => e.order.side !== SIDE_BUY).sort(rank)
+    };
+  }
+
+  // Validate and queue a signed order, then match the book. Throws with a
+  // message for the submitter if the order is rejected.
+  submit({ order, signature }) {
+    return this._serial(async () => {
+      await this._init();
+      let normalized;
+      try {
+        normalized = normalizeOrder(order);
+      } catch (err) {
+        throw new Error(`Invalid order: ${err.message}`);
+      }
+      let signer;
+      try {
+        signer = recoverOrderSigner(normalized, signature, this.domain);
+      } catch {
+        signer = null;
+      }
+      if (signer !== normalized.trader) throw new Error("Bad signature");
+
+      const hash = hashOrder(normalized, this.domain);
+      if (this.orders.has(hash)) throw new Error("Order already submitted");
+      const now = BigInt((await this.signedOrders.runner.provider.getBlock("latest")).timestamp);
+      if (normalized.expiresAt !== 0n && normalized.expiresAt <= now) throw new Error("Order expired");
+      const remaining = await this.signedOrders.remainingLots(normalized);
+      if (remaining === 0n) throw new Error("Order canceled or filled");
+
+      this.orders.set(hash, { hash, order: normalized, signature, remaining, seq: this.seq++ });
+      this.log(`Accepted ${hash.slice(0, 10)}: ${normalized.side === SIDE_BUY ? "buy" : "sell"} ${remaining} lots`);
+      // The order is in the book either way; a failed match is retried by the next match()
+      let matches = [];
+      try {
+        matches = await this._matchAll();
+      } catch (err) {
+        this.log(`Matching failed: ${revertReason(err, this.signedOrders.interface)}`);
+      }
+      return { hash, remaining, matches };
+    });
+  }
+
+  // Re-read lots left for every order and drop the dead ones
+  prune() {
+    return this._serial(() => this._prune());
+  }
+
+  async _prune() {
+    const dropped = [];
+    for (const entry of [...this.orders.values()]) {
+      entry.remaining = await this.signedOrders.remainingLots(entry.order);
+      if (entry.remaining === 0n) {
+        this.orders.delete(entry.hash);
+        dropped.push(entry.hash);
+      }
+    }
+    return dropped;
+  }
+
+  // Match until nothing crosses. Returns the matches settled.
+  match() {
+    return this._serial(async () => {
+      await this._init();
+      await this._prune();
+      return this._matchAll();
+    });
+  }
+
+  // Best crossing pair of two traders, or null
+  _nextPair() {
+    const { buys, sells } = this.book();
+    for (const buy of buys) {
+      for (const sell of sells) {
+        if (sell.order.pricePerLot > buy.order.pricePerLot) break;
+        if (sell.order.trader === buy.order.trader) continue;
+        return buy.seq < sell.seq ? { maker: buy, taker: sell } : { maker: sell, taker: buy };
+      }
+    }
+    return null;
+  }
+
+  async _matchAll() {
+    const settled = [];
+    for (let pair = this._nextPair(); pair; pair = this._nextPair()) {
+      const { maker, taker } = pair;
+      const lots = maker.remaining < taker.remaining ? maker.remaining : taker.remaining;
+      const args = [maker.order, maker.signature, taker.order, taker.signature, lots];
+
+      let ok;
+      try {
+        ok = await this.signedOrders.matchOrders.staticCall(...args);
+      } catch (err) {
+        const reason = revertReason(err, this.signedOrders.interface);
+        if (PAUSE_REASONS.has(reason)) {
+          this.log(`Matching paused: ${reason}`);
+          break;
+        }
+        if (!this._dropFor(reason, maker, taker) && (await this._prune()).length === 0) throw err;
+        continue;
+      }
+      // The match would trip the circuit breaker: nothing trades until it clears
+      if (!ok) {
+        this.log("Matching paused: the match would trip the circuit breaker");
+        break;
+      }
+
+      const receipt = await (await this.signedOrders.matchOrders(...args)).wait();
+      for (const entry of [maker, taker]) {
+        entry.remaining -= lots;
+        if (entry.remaining === 0n) this.orders.delete(entry.hash);
+      }
+      const match = { makerHash: maker.hash, takerHash: taker.hash, lots, pricePerLot: maker.order.pricePerLot, txHash: receipt.hash };
+      this.matches.push(match);
+      settled.push(match);
+      this.log(`Matched ${lots} lots at ${maker.order.pricePerLot}: ${maker.hash.slice(0, 10)} / ${taker.hash.slice(0, 10)}`);
+    }
+    return settled;
+  }
+
+  // Drop the order an exchange balance check failed on. Orders that are
+  // expired, canceled or overfilled are left to _prune.
+  _dropFor(reason, maker, taker) {
+    const buyer = maker.order.side === SIDE_BUY ? maker : taker;
+    const seller = buyer === maker ? taker : maker;
+    const entry = reason === "Insufficient ETC" ? buyer : reason === "Insufficient SATURN" ? seller : null;
+    if (!entry) return false;
+    this.orders.delete(entry.hash);
+    this.log(`Dropped ${entry.hash.slice(0, 10)}: ${reason}`);
+    return true;
+  }
+}
+
+function entryToJson(entry) {
+  return { hash: entry.hash, order: orderToJson(entry.order), signature: entry.signature, remaining: entry.remaining.toString() };
+}
+
+function matchToJson(match) {
+  return { ...match, lots: match.lots.toString(), pricePerLot: match.pricePerLot.toString() };
+}
+
+// HTTP front end for a Relayer:
+//   GET  /domain  the EIP-712 domain and types to sign with
+//   GET  /orders  the book: { buys, sells }
+//   POST /orders  { order, signature } → 201 { hash, remaining, matches }, 400 { error }
+//   POST /match   prune and match now → { matches }
+// Any origin may call it, so the UI (ui/index.html) can post from its own port.
+const CORS_HEADERS = {
+  "access-control-allow-origin": "*",
+  "access-control-allow-methods": "GET, POST",
+  "access-control-allow-headers": "content-type"
+};
+
+function createRelayerServer(relayer) {
+  const send = (res, status, body) => {
+    res.writeHead(status, { "content-type": "application/json", ...CORS_HEADERS });
+    res.end(JSON.stringify(body));
+  };
+  const readJson = (req) => new Promise((resolve, reject) => {
+    let text = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => { text += chunk; });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new Error("Body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+    const route = `${req.method} ${req.url.split("?")[0]}`;
+    try {
+      if (route === "GET /domain") {
+        await relayer._init();
+        const { name, version, chainId, verifyingContract } = relayer.domain;
+        return send(res, 200, { domain: { name, version, chainId: chainId.toString(), verifyingContract }, types: ORDER_TYPES });
+      }
+      if (route === "GET /orders") {
+        const { buys, sells } = relayer.book();
+        return send(res, 200, { buys: buys.map(entryToJson), sells: sells.map(entryToJson) });
+      }
+      if (route === "POST /match") {
+        return send(res, 200, { matches: (await relayer.match()).map(matchToJson) });
+      }
+      if (route !== "POST /orders") return send(res, 404, { error: `No route ${route}` });
+    } catch (err) {
+      return send(res, 500, { error: revertReason(err, relayer.signedOrders.interface) });
+    }
+
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (err) {
+      return send(res, 400, { error: err.message });
+    }
+    try {
+      const { hash, remaining, matches } = await relayer.submit(body || {});
+      send(res, 201, { hash, remaining: remaining.toString(), matches: matches.map(matchToJson) });
+    } catch (err) {
+      send(res, 400, { error: revertReason(err, relayer.signedOrders.interface) });
+    }
+  });
+}
+
+module.exports = { Relayer, createRelayerServer };
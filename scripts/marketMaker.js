@@ -0,0 +1,61 @@
+const { ethers } = require("hardhat");
+const { exchangeAddress } = require("./lib/addresses");
+const { MarketMaker, configFromEnv } = require("./lib/marketMaker");
+
+// Run the grid quoting bot (scripts/lib/marketMaker.js) against a deployment
+// from the signer's internal balances until Ctrl-C, then pull its quotes.
+// Usage: REF_PRICE=1.5 LEVELS=5 SPREAD_BPS=40 \
+//   npx hardhat run scripts/marketMaker.js --network localhost
+// Env: REF_PRICE (ETC per lot to quote around), REF_SOURCE (fixed|lastTrade,
+// default fixed; lastTrade follows the exchange's last trade price and uses
+// REF_PRICE until the first trade), ONCE=1 (quote once and exit, leaving the
+// ladder up), SIGNER (account index, default 0), EXCHANGE (address override),
+// plus the ladder settings read by configFromEnv: LEVELS, LOTS, SPREAD_BPS,
+// STEP_BPS, TICK, MIN_INVENTORY, MAX_INVENTORY, REQUOTE_BPS, POLL_MS
+async function main() {
+  const source = process.env.REF_SOURCE || "fixed";
+  if (source !== "fixed" && source !== "lastTrade") throw new Error("REF_SOURCE must be fixed or lastTrade");
+  const fallback = process.env.REF_PRICE ? ethers.parseEther(process.env.REF_PRICE) : null;
+  if (fallback === null && source === "fixed") throw new Error("REF_PRICE is required");
+
+  const signer = (await ethers.getSigners())[Number(process.env.SIGNER || 0)];
+  const exchange = await ethers.getContractAt("SaturnExchange", await exchangeAddress(), signer);
+
+  const reference = source === "fixed"
+    ? fallback
+    : async () => {
+      const last = await exchange.lastTradePrice();
+      if (last > 0n) return last;
+      if (fallback === null) throw new Error("No trades yet: set REF_PRICE");
+      return fallback;
+    };
+  const bot = new MarketMaker({
+    exchange,
+    reference,
+    log: (line) => console.log(`[${new Date().toISOString()}] ${line}`),
+    ...configFromEnv()
+  });
+
+  if (process.env.ONCE) {
+    const result = await bot.step();
+    console.log(`${result.action}${result.placed !== undefined ? `: ${result.canceled} canceled, ${result.placed} placed` : ""}`);
+    return;
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  console.log(`Quoting as ${signer.address} on ${await exchange.getAddress()}, Ctrl-C to stop`);
+  await bot.run({ signal: controller.signal });
+
+  await bot.pull();
+  const { stats } = bot;
+  console.log(
+    `Stopped after ${stats.requotes} requotes: filled ${stats.makerLots.buy} bid / ${stats.makerLots.sell} ask lots ` +
+    `as maker, gas ${ethers.formatEther(stats.gasCost)} ETC`
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
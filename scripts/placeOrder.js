@@ -0,0 +1,63 @@
+const { ethers } = require("hardhat");
+const { exchangeAddress, requireReaderAddress } = require("./lib/addresses");
+const { TIME_IN_FORCE, SELF_TRADE_PREVENTION, bookFromSnapshot, insertionHint } = require("../ui/lib/fillSimulator");
+
+// Place a limit order from the signer's internal balance.
+// Usage: SIDE=buy PRICE=1.5 LOTS=2 TIF=postOnly EXPIRES_IN=3600 \
+//   npx hardhat run scripts/placeOrder.js --network localhost
+// Env: SIDE (buy|sell), PRICE (ETC per lot), LOTS, TIF (gtc|ioc|fok|postOnly,
+// default gtc), EXPIRES_IN (seconds from the latest block, GTC/post-only only),
+// STP (cancelNewest|cancelOldest|decrementBoth, default cancelNewest),
+// MAX_FILLS (makers to match at most, default the contract's DEFAULT_MAX_FILLS),
+// SIGNER (account index, default 0), EXCHANGE and READER (address overrides)
+async function main() {
+  const side = (process.env.SIDE || "").toLowerCase();
+  if (side !== "buy" && side !== "sell") throw new Error("SIDE must be buy or sell");
+  const tif = process.env.TIF || "gtc";
+  if (!(tif in TIME_IN_FORCE)) throw new Error(`TIF must be one of ${Object.keys(TIME_IN_FORCE).join(", ")}`);
+  const stp = process.env.STP || "cancelNewest";
+  if (!(stp in SELF_TRADE_PREVENTION)) {
+    throw new Error(`STP must be one of ${Object.keys(SELF_TRADE_PREVENTION).join(", ")}`);
+  }
+  if (!process.env.PRICE || !process.env.LOTS) throw new Error("PRICE and LOTS are required");
+  const price = ethers.parseEther(process.env.PRICE);
+  const lots = BigInt(process.env.LOTS);
+
+  let expiresAt = 0;
+  if (process.env.EXPIRES_IN) {
+    const latest = await ethers.provider.getBlock("latest");
+    expiresAt = latest.timestamp + Number(process.env.EXPIRES_IN);
+  }
+
+  const signer = (await ethers.getSigners())[Number(process.env.SIGNER || 0)];
+  const exchange = await ethers.getContractAt("SaturnExchange", await exchangeAddress(), signer);
+  const reader = await ethers.getContractAt("SaturnExchangeReader", await requireReaderAddress());
+  const maxFills = Number(process.env.MAX_FILLS || 0);
+  const hint = insertionHint(bookFromSnapshot(await reader.getOrderBook(exchange)), side, price);
+  const tx = await exchange.placeLimitOrder(
+    side === "buy" ? 0 : 1, price, lots, TIME_IN_FORCE[tif], expiresAt, SELF_TRADE_PREVENTION[stp], maxFills, hint
+  );
+  const receipt = await tx.wait();
+
+  for (const log of receipt.logs) {
+    const parsed = exchange.interface.parseLog(log);
+    if (!parsed) continue;
+    const a = parsed.args;
+    if (parsed.name === "Trade") {
+      console.log(`Filled ${a.lots} lots @ ${ethers.formatEther(a.pricePerLot)} ETC against #${a.makerOrderId}`);
+    } else if (parsed.name === "OrderPlaced") {
+      console.log(`Resting as #${a.orderId}: ${a.lots} lots @ ${ethers.formatEther(a.pricePerLot)} ETC` +
+        (expiresAt ? ` until ${new Date(expiresAt * 1000).toISOString()}` : ""));
+    } else if (parsed.name === "OrderExpired") {
+      console.log(`Removed expired order #${a.orderId}`);
+    } else if (parsed.name === "SelfTradePrevented") {
+      console.log(`Reached own order #${a.makerOrderId}: canceled ${a.takerLotsCanceled} lots of this order ` +
+        `and ${a.makerLotsCanceled} lots of #${a.makerOrderId}`);
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,38 @@
+const { ethers } = require("hardhat");
+const { exchangeAddress } = require("./lib/addresses");
+const { Relayer, createRelayerServer } = require("./lib/relayer");
+
+// Serve the signed-order relayer (scripts/lib/relayer.js) over HTTP until
+// Ctrl-C, settling matches from the signer's account (it pays the gas).
+// Traders sign orders with ui/lib/signedOrders.js and POST them to /orders.
+// Usage: PORT=8600 npx hardhat run scripts/relayer.js --network localhost
+// Env: PORT (default 8600), SIGNER (account index, default 0), EXCHANGE
+// (address override), POLL_MS (how often to drop dead orders and retry
+// matching, default 5000)
+async function main() {
+  const port = Number(process.env.PORT || 8600);
+  const pollMs = Number(process.env.POLL_MS || 5000);
+  const signer = (await ethers.getSigners())[Number(process.env.SIGNER || 0)];
+  const exchange = await ethers.getContractAt("SaturnExchange", await exchangeAddress());
+  const signedOrders = await ethers.getContractAt("SaturnSignedOrders", await exchange.SIGNED_ORDERS(), signer);
+
+  const relayer = new Relayer({ signedOrders, log: (line) => console.log(`[${new Date().toISOString()}] ${line}`) });
+  const server = createRelayerServer(relayer);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Relaying for ${await signedOrders.getAddress()} as ${signer.address} on http://localhost:${port}, Ctrl-C to stop`);
+
+  // Balances, cancellations and halts change on-chain without telling us
+  const timer = setInterval(() => {
+    relayer.match().catch((err) => relayer.log(`Match failed: ${err.message}`));
+  }, pollMs);
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  clearInterval(timer);
+  await new Promise((resolve) => server.close(resolve));
+  console.log(`Stopped after ${relayer.matches.length} matches, ${relayer.orders.size} orders left in the book`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
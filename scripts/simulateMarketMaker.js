@@ -0,0 +1,132 @@
+const { ethers } = require("hardhat");
+const { MarketMaker, configFromEnv } = require("./lib/marketMaker");
+const { saturnExchangeArgs } = require("./lib/deployments");
+
+// Simulate the grid quoting bot against random takers: deploys a fresh Saturn +
+// exchange, funds the bot (signer 1) and TAKERS takers (signers 2..), then each
+// round moves the reference price by a random walk, lets one random taker send
+// an IOC order around it (against the bot's now stale quotes) and steps the bot.
+// Reports the bot's PnL, the fees it paid and the fill rates on both sides.
+// Usage: npx hardhat run scripts/simulateMarketMaker.js   (or --network localhost)
+// Env: ROUNDS (default 200), TAKERS (default 3), SEED (default 1), REF_PRICE
+// (starting ETC per lot, default 1), VOL_BPS (max reference move per round,
+// default 30), TAKER_EDGE_BPS (how far through the reference takers will trade,
+// default 100), TAKER_MAX_LOTS (default 3), BOT_LOTS / BOT_ETC (bot deposits,
+// default 20 lots and 20 ETC), EMERGENCY_AT / EMERGENCY_ROUNDS (round at which
+// the owner turns emergency mode on, and for how long), plus the ladder
+// settings read by configFromEnv (LEVELS, LOTS, SPREAD_BPS, ...)
+async function main() {
+  const env = process.env;
+  const rounds = Number(env.ROUNDS || 200);
+  const takerCount = Number(env.TAKERS || 3);
+  const volBps = Number(env.VOL_BPS || 30);
+  const edgeBps = BigInt(env.TAKER_EDGE_BPS || 100);
+  const takerMaxLots = Number(env.TAKER_MAX_LOTS || 3);
+  const emergencyAt = env.EMERGENCY_AT ? Number(env.EMERGENCY_AT) : null;
+  const emergencyRounds = Number(env.EMERGENCY_ROUNDS || 10);
+  const random = mulberry32(Number(env.SEED || 1));
+  const BPS = 10_000n;
+
+  const signers = await ethers.getSigners();
+  if (signers.length < takerCount + 2) throw new Error(`Need ${takerCount + 2} signers, have ${signers.length}`);
+  const mm = signers[1];
+  const takers = signers.slice(2, 2 + takerCount);
+
+  const Saturn = await ethers.getContractFactory("Saturn");
+  const saturn = await Saturn.deploy();
+  await saturn.waitForDeployment();
+  const Exchange = await ethers.getContractFactory("SaturnExchange");
+  const exchange = await Exchange.deploy(...saturnExchangeArgs(await saturn.getAddress()));
+  await exchange.waitForDeployment();
+  const exchangeAddr = await exchange.getAddress();
+  const LOT_SIZE = await exchange.LOT_SIZE();
+
+  const fund = async (signer, lots, etc) => {
+    await (await saturn["transfer(address,uint256,bytes)"](signer.address, LOT_SIZE * lots, "0x")).wait();
+    await (await saturn.connect(signer)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * lots, "0x")).wait();
+    await (await exchange.connect(signer).depositEtc({ value: etc })).wait();
+  };
+  await fund(mm, BigInt(env.BOT_LOTS || 20), ethers.parseEther(env.BOT_ETC || "20"));
+  for (const taker of takers) await fund(taker, 100n, ethers.parseEther("100"));
+
+  const startRef = ethers.parseEther(env.REF_PRICE || "1");
+  let reference = startRef;
+  const bot = new MarketMaker({ exchange: exchange.connect(mm), reference: () => reference, ...configFromEnv() });
+  const [startSaturn, startEtc] = await exchange.getUserBalances(mm.address);
+  await bot.step();
+
+  const taker = { orders: 0, rejected: 0, requested: 0n, filled: 0n };
+  for (let round = 1; round <= rounds; round++) {
+    if (round === emergencyAt) await (await exchange.setEmergencyMode(true)).wait();
+    if (emergencyAt !== null && round === emergencyAt + emergencyRounds) {
+      await (await exchange.setEmergencyMode(false)).wait();
+    }
+
+    const move = BigInt(Math.round((random() * 2 - 1) * volBps));
+    reference = (reference * (BPS + move)) / BPS;
+
+    const who = takers[Math.floor(random() * takers.length)];
+    const side = random() < 0.5 ? 0 : 1;
+    const lots = BigInt(1 + Math.floor(random() * takerMaxLots));
+    const limit = side === 0 ? (reference * (BPS + edgeBps)) / BPS : (reference * (BPS - edgeBps)) / BPS;
+    taker.orders++;
+    taker.requested += lots;
+    try {
+      const receipt = await (await exchange.connect(who).placeLimitOrder(side, limit, lots, 1, 0, 0, 0, 0)).wait();
+      for (const log of receipt.logs) {
+        const parsed = exchange.interface.parseLog(log);
+        if (parsed && parsed.name === "Trade") taker.filled += parsed.args.lots;
+      }
+    } catch (_) {
+      // Emergency mode or an empty balance: the order never reached the book
+      taker.rejected++;
+    }
+
+    await bot.step();
+  }
+  await bot.poll();
+
+  const [endSaturn, endEtc] = await exchange.getUserBalances(mm.address);
+  const { stats } = bot;
+  const value = (saturnUnits, etc, price) => (saturnUnits * price) / LOT_SIZE + etc;
+  const tradingPnl = value(endSaturn - startSaturn, endEtc - startEtc, reference);
+  const revaluation = value(startSaturn, 0n, reference) - value(startSaturn, 0n, startRef);
+  const quoted = stats.quotedLots.buy + stats.quotedLots.sell;
+  const made = stats.makerLots.buy + stats.makerLots.sell;
+  const pct = (part, whole) => (whole ? `${((Number(part) * 100) / Number(whole)).toFixed(1)}%` : "n/a");
+  const etc = (wei) => `${ethers.formatEther(wei)} ETC`;
+  const lots = (units) => Number(units) / Number(LOT_SIZE);
+
+  console.log(`Simulated ${rounds} rounds, ${takerCount} takers, reference ${etc(startRef)} -> ${etc(reference)} per lot`);
+  console.log(`Takers: ${taker.orders} IOC orders (${taker.rejected} rejected), ` +
+    `${taker.filled}/${taker.requested} lots filled (${pct(taker.filled, taker.requested)})`);
+  console.log(`Bot: ${stats.requotes} requotes, ${stats.pulls} quote pulls, ` +
+    `${stats.ordersPlaced} orders placed, ${stats.ordersCanceled} canceled`);
+  console.log(`  quoted   ${stats.quotedLots.buy} bid / ${stats.quotedLots.sell} ask lots`);
+  console.log(`  filled   ${stats.makerLots.buy} bid (${pct(stats.makerLots.buy, stats.quotedLots.buy)}) / ` +
+    `${stats.makerLots.sell} ask (${pct(stats.makerLots.sell, stats.quotedLots.sell)}) lots as maker, ` +
+    `${pct(made, quoted)} overall in ${stats.makerFills} fills`);
+  console.log(`  rejected ${stats.quotesRejected} post-only quotes that would have crossed, ` +
+    `net fees paid ${ethers.formatUnits(stats.feesSaturn, 4)} SATURN + ${etc(stats.feesEtc)}`);
+  console.log(`  gas      ${stats.gasUsed} (${etc(stats.gasCost)})`);
+  console.log(`  holdings ${lots(startSaturn)} -> ${lots(endSaturn)} lots, ${etc(startEtc)} -> ${etc(endEtc)}`);
+  console.log(`PnL marked at the final reference: trading ${etc(tradingPnl)}, ` +
+    `inventory revaluation ${etc(revaluation)}, net of gas ${etc(tradingPnl + revaluation - stats.gasCost)}`);
+}
+
+// Small seeded PRNG so runs are reproducible (uniform in [0, 1))
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
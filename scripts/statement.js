@@ -0,0 +1,60 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const { loadStatement, toCsv, toJson } = require("../ui/lib/statement");
+const { currentDeployment, exchangeAddress } = require("./lib/addresses");
+
+// Ledger of one account's deposits, fills, cancellations and withdrawals with
+// running balances, fees and FIFO realized PnL, checked against
+// getUserBalances. Exits non-zero if the ledger does not reconcile.
+// Usage: ACCOUNT=0x... OUT=statement.csv npx hardhat run scripts/statement.js --network localhost
+// Env: ACCOUNT (default: first signer), EXCHANGE (address override),
+//      FROM_BLOCK (default: the recorded deployment block, else 0), TO_BLOCK (default: latest),
+//      FORMAT (csv | json, default: from OUT's extension, else csv), OUT (file; default: stdout)
+async function main() {
+  const address = await exchangeAddress();
+  const account = process.env.ACCOUNT || (await ethers.getSigners())[0].address;
+  if (!ethers.isAddress(account)) throw new Error(`Invalid ACCOUNT: ${account}`);
+
+  let fromBlock = 0;
+  if (process.env.FROM_BLOCK) {
+    fromBlock = Number(process.env.FROM_BLOCK);
+  } else if (!process.env.EXCHANGE) {
+    const { deployment } = await currentDeployment();
+    fromBlock = deployment?.contracts.saturnExchange.blockNumber || 0;
+  }
+  const toBlock = process.env.TO_BLOCK ? Number(process.env.TO_BLOCK) : undefined;
+  const out = process.env.OUT;
+  const format = (process.env.FORMAT || (out && out.endsWith(".json") ? "json" : "csv")).toLowerCase();
+  if (format !== "csv" && format !== "json") throw new Error(`FORMAT must be csv or json, got ${format}`);
+
+  const statement = await loadStatement({ provider: ethers.provider, exchangeAddress: address, account, fromBlock, toBlock });
+  const text = format === "json" ? toJson(statement) : toCsv(statement);
+
+  // With no OUT the export goes to stdout on its own; the summary goes to stderr
+  const log = out ? console.log : console.error;
+  if (out) fs.writeFileSync(out, text);
+  else process.stdout.write(text);
+
+  const { totals, balances, reconciliation: rec } = statement;
+  const etc = ethers.formatEther;
+  const saturn = (v) => ethers.formatUnits(v, statement.decimals);
+  log(`${statement.rows.length} entries for ${statement.account}, blocks ${fromBlock}..${statement.toBlock}`);
+  log(`Fees paid: ${etc(totals.feesEtc)} ETC, ${saturn(totals.feesSaturn)} SATURN`);
+  log(`Realized PnL (FIFO): ${etc(totals.realizedPnlEtc)} ETC` +
+    (totals.proceedsWithoutBasisEtc > 0n ? ` (+ ${etc(totals.proceedsWithoutBasisEtc)} ETC of proceeds with unknown cost basis)` : ""));
+  log(`Closing balance: ${saturn(balances.saturn)} SATURN, ${etc(balances.etc)} ETC`);
+  if (rec.ok) {
+    log("Reconciles with getUserBalances");
+  } else {
+    log(`Does NOT reconcile with getUserBalances (${saturn(rec.saturn)} SATURN, ${etc(rec.etc)} ETC): ` +
+      `off by ${saturn(rec.saturnDiff)} SATURN, ${etc(rec.etcDiff)} ETC. Is FROM_BLOCK after the account's first activity?`);
+    process.exitCode = 1;
+  }
+  if (out) log(`Wrote ${format.toUpperCase()} to ${out}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
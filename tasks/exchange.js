@@ -0,0 +1,389 @@
+const { scope } = require("hardhat/config");
+const { exchangeAddress, readerAddress, marketFactoryAddress } = require("../scripts/lib/addresses");
+const { revertReason } = require("../ui/lib/revertReason");
+const { readBook, readUserOrders } = require("../ui/lib/bookPages");
+const { parseTiers, formatBps, describeRates, readSchedule } = require("../ui/lib/feeSchedule");
+const { factoryAbi, tokenAbi, readMarkets, readSymbols, describeMarket } = require("../ui/lib/markets");
+const { insertionHint, TIME_IN_FORCE, SELF_TRADE_PREVENTION } = require("../ui/lib/fillSimulator");
+
+// Command-line trading and inspection of the deployment recorded in
+// deployments/<chainId>.json for the current network (EXCHANGE / READER env
+// override it), e.g.
+//   npx hardhat exchange deposit-etc --amount 2 --account 1 --network localhost
+//   npx hardhat exchange buy --price 1.5 --lots 2 --json --network localhost
+// Every task takes --account (signer index or address, default 0) and --json.
+// Prices are ETC per lot, ETC amounts in ETC and SATURN amounts in SATURN (in
+// the market's token with its decimals on other markets: EXCHANGE=<market>).
+const exchangeScope = scope("exchange", "Trade on and inspect the latest SaturnExchange deployment");
+
+const SIDES = { buy: 0, sell: 1 };
+const TRADE_LOOKBACK_BLOCKS = 50_000;
+
+async function context(hre, account) {
+  const { ethers } = hre;
+  const signers = await ethers.getSigners();
+  const signer = ethers.isAddress(account)
+    ? signers.find((s) => s.address.toLowerCase() === account.toLowerCase()) || await ethers.getSigner(account)
+    : signers[Number(account)];
+  if (!signer) throw new Error(`No signer ${account}`);
+
+  const exchange = await ethers.getContractAt("SaturnExchange", await exchangeAddress(), signer);
+  const saturn = await ethers.getContractAt("Saturn", await exchange.SATURN_TOKEN(), signer);
+  const readerAddr = await readerAddress();
+  const reader = readerAddr ? await ethers.getContractAt("SaturnExchangeReader", readerAddr, signer) : null;
+  const decimals = Number(await exchange.SATURN_DECIMALS());
+
+  const fmt = {
+    etc: (wei) => ethers.formatEther(wei),
+    saturn: (units) => ethers.formatUnits(units, decimals),
+    parseEtc: (value, what) => parseAmount(() => ethers.parseEther(value), what, value),
+    parseSaturn: (value, what) => parseAmount(() => ethers.parseUnits(value, decimals), what, value)
+  };
+  return { ethers, signer, exchange, saturn, reader, fmt };
+}
+
+// Both sides of the book, paged through the reader
+async function loadBook(ctx) {
+  if (!ctx.reader) throw new Error("Reading the book needs a SaturnExchangeReader: set READER or run scripts/deploy.js");
+  return readBook(ctx.reader, await ctx.exchange.getAddress());
+}
+
+function parseAmount(parse, what, value) {
+  let amount;
+  try {
+    amount = parse();
+  } catch (_) {
+    throw new Error(`Invalid ${what}: ${value}`);
+  }
+  if (amount <= 0n) throw new Error(`${what} must be positive`);
+  return amount;
+}
+
+function parseLots(value) {
+  if (!/^\d+$/.test(String(value)) || BigInt(value) === 0n) throw new Error(`Lots must be a positive integer: ${value}`);
+  return BigInt(value);
+}
+
+// Send a transaction and collect the exchange events it emitted
+async function send(ctx, txPromise) {
+  const receipt = await (await txPromise).wait();
+  const events = [];
+  for (const log of receipt.logs) {
+    const parsed = ctx.exchange.interface.parseLog(log);
+    if (parsed) events.push({ name: parsed.name, args: parsed.args.toObject() });
+  }
+  return { tx: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed, events };
+}
+
+function describeEvent(ctx, { name, args: a }) {
+  const { fmt } = ctx;
+  switch (name) {
+    case "DepositETC": return `Deposited ${fmt.etc(a.amount)} ETC`;
+    case "DepositSATURN": return `Deposited ${fmt.saturn(a.amount)} SATURN`;
+    case "WithdrawEtc": return `Withdrew ${fmt.etc(a.amount)} ETC`;
+    case "WithdrawSaturn": return `Withdrew ${fmt.saturn(a.amount)} SATURN`;
+    case "WithdrawAll": return `Withdrew ${fmt.saturn(a.saturnAmount)} SATURN and ${fmt.etc(a.etcAmount)} ETC`;
+    case "Trade":
+      return `Filled ${a.lots} lots @ ${fmt.etc(a.pricePerLot)} ETC against #${a.makerOrderId}` +
+        (a.feeSaturn ? ` (fee ${fmt.saturn(a.feeSaturn)} SATURN)` : a.feeEtc ? ` (fee ${fmt.etc(a.feeEtc)} ETC)` : "");
+    case "MakerFee":
+      return `Maker of #${a.makerOrderId} ` + (a.rebate ? `earned a ${fmtMakerFee(ctx, a, a.rebate)} rebate` : `paid a ${fmtMakerFee(ctx, a, a.fee)} fee`);
+    case "OrderPlaced": return `Resting as #${a.orderId}: ${a.lots} lots @ ${fmt.etc(a.pricePerLot)} ETC`;
+    case "OrderCanceled": return `Canceled #${a.orderId}`;
+    case "OrderExpired": return `Removed expired order #${a.orderId}`;
+    case "SelfTradePrevented":
+      return `Reached own order #${a.makerOrderId}: canceled ${a.takerLotsCanceled} lots of this order ` +
+        `and ${a.makerLotsCanceled} lots of #${a.makerOrderId}`;
+    case "CircuitBreakerTripped": return `Circuit breaker tripped, trading halted until block ${a.haltedUntilBlock}`;
+    default: return name;
+  }
+}
+
+// Maker fees are in the asset the maker receives: ETC for sells (side 1), SATURN for buys
+function fmtMakerFee(ctx, a, amount) {
+  return a.side === 1n ? `${ctx.fmt.etc(amount)} ETC` : `${ctx.fmt.saturn(amount)} SATURN`;
+}
+
+function txLines(ctx, result) {
+  return [...result.events.map((e) => describeEvent(ctx, e)), `tx ${result.tx} (block ${result.block}, gas ${result.gasUsed})`];
+}
+
+// JSON output writes bigints as decimal strings
+const bigintReplacer = (_, v) => (typeof v === "bigint" ? v.toString() : v);
+const toJson = (value) => JSON.stringify(value, bigintReplacer, 2);
+
+// Register `exchange <name>` with the shared --account / --json handling.
+// `action(args, ctx)` returns the result; `lines(ctx, result)` renders it for people.
+function exchangeTask(name, description, action, lines) {
+  return exchangeScope.task(name, description)
+    .addOptionalParam("account", "Signer index or address", "0")
+    .addFlag("json", "Print machine-readable JSON")
+    .setAction(async (args, hre) => {
+      let ctx;
+      try {
+        ctx = await context(hre, args.account);
+        const result = await action(args, ctx);
+        console.log(args.json ? toJson(result) : lines(ctx, result).join("\n"));
+        return result;
+      } catch (err) {
+        const message = revertReason(err, ctx?.exchange.interface);
+        if (args.json) console.log(toJson({ error: message }));
+        else console.error(`Error: ${message}`);
+        process.exitCode = 1;
+      }
+    });
+}
+
+exchangeTask("deposit-etc", "Deposit ETC into the exchange",
+  (args, ctx) => send(ctx, ctx.exchange.depositEtc({ value: ctx.fmt.parseEtc(args.amount, "ETC amount") })),
+  txLines
+).addParam("amount", "ETC to deposit");
+
+exchangeTask("deposit-saturn", "Deposit SATURN into the exchange (ERC223 transfer, or approve and depositToken with --erc20)",
+  async (args, ctx) => {
+    const amount = ctx.fmt.parseSaturn(args.amount, "SATURN amount");
+    const target = await ctx.exchange.getAddress();
+    if (!args.erc20) return send(ctx, ctx.saturn["transfer(address,uint256,bytes)"](target, amount, "0x"));
+
+    const token = await ctx.ethers.getContractAt(tokenAbi, await ctx.saturn.getAddress(), ctx.signer);
+    if ((await token.allowance(ctx.signer.address, target)) < amount) await (await token.approve(target, amount)).wait();
+    return send(ctx, ctx.exchange.depositToken(amount));
+  },
+  txLines
+).addParam("amount", "SATURN to deposit")
+  .addFlag("erc20", "The market's token is a plain ERC20: approve the exchange and call depositToken");
+
+for (const side of Object.keys(SIDES)) {
+  exchangeTask(side, `Place a limit ${side} from the internal balance`,
+    async (args, ctx) => {
+      const tif = args.tif;
+      const stp = args.stp;
+      if (!(tif in TIME_IN_FORCE)) throw new Error(`--tif must be one of ${Object.keys(TIME_IN_FORCE).join(", ")}`);
+      if (!(stp in SELF_TRADE_PREVENTION)) {
+        throw new Error(`--stp must be one of ${Object.keys(SELF_TRADE_PREVENTION).join(", ")}`);
+      }
+      const price = ctx.fmt.parseEtc(args.price, "price");
+      const lots = parseLots(args.lots);
+      let expiresAt = 0;
+      if (args.expiresIn) {
+        const latest = await ctx.ethers.provider.getBlock("latest");
+        expiresAt = latest.timestamp + Number(args.expiresIn);
+      }
+      const hint = insertionHint(await loadBook(ctx), side, price);
+      return send(ctx, ctx.exchange.placeLimitOrder(
+        SIDES[side], price, lots, TIME_IN_FORCE[tif], expiresAt, SELF_TRADE_PREVENTION[stp], Number(args.maxFills), hint
+      ));
+    },
+    txLines
+  )
+    .addParam("price", "ETC per lot")
+    .addParam("lots", "Number of lots")
+    .addOptionalParam("tif", "Time in force: gtc, ioc, fok or postOnly", "gtc")
+    .addOptionalParam("expiresIn", "Seconds until the order expires (gtc and postOnly only)")
+    .addOptionalParam("stp", "Self-trade prevention: cancelNewest, cancelOldest or decrementBoth", "cancelNewest")
+    .addOptionalParam("maxFills", "Most makers to match (0 = contract default)", "0");
+}
+
+exchangeTask("buy-immediate", "Buy with ETC sent along; unfilled ETC is refunded",
+  async (args, ctx) => {
+    const price = ctx.fmt.parseEtc(args.price, "price");
+    const lots = parseLots(args.lots);
+    const value = args.value ? ctx.fmt.parseEtc(args.value, "ETC value") : price * lots;
+    return send(ctx, ctx.exchange.placeLimitBuyImmediate(price, lots, { value }));
+  },
+  txLines
+)
+  .addParam("price", "Highest ETC per lot to pay")
+  .addParam("lots", "Most lots to buy")
+  .addOptionalParam("value", "ETC to send (default price x lots)");
+
+exchangeTask("cancel", "Cancel one of your orders",
+  (args, ctx) => send(ctx, ctx.exchange.cancelOrder(BigInt(args.id))),
+  txLines
+).addParam("id", "Order id");
+
+exchangeTask("cancel-all", "Cancel all of your orders",
+  (args, ctx) => send(ctx, ctx.exchange.cancelAllMyOrders()),
+  txLines
+);
+
+exchangeTask("withdraw", "Withdraw available ETC and/or SATURN, or --all to cancel orders and withdraw everything",
+  async (args, ctx) => {
+    if (args.all) return send(ctx, ctx.exchange.withdrawAll());
+    if (!args.etc && !args.saturn) throw new Error("Pass --etc, --saturn or --all");
+    const results = [];
+    if (args.etc) results.push(await send(ctx, ctx.exchange.withdrawEtc(ctx.fmt.parseEtc(args.etc, "ETC amount"))));
+    if (args.saturn) {
+      results.push(await send(ctx, ctx.exchange.withdrawSaturn(ctx.fmt.parseSaturn(args.saturn, "SATURN amount"))));
+    }
+    return results.length === 1 ? results[0] : { transactions: results };
+  },
+  (ctx, result) => (result.transactions || [result]).flatMap((r) => txLines(ctx, r))
+)
+  .addOptionalParam("etc", "ETC to withdraw")
+  .addOptionalParam("saturn", "SATURN to withdraw")
+  .addFlag("all", "Cancel all orders and withdraw both balances");
+
+exchangeTask("book", "Print the best price levels of both sides",
+  async (args, ctx) => {
+    const depth = Number(args.depth);
+    const book = await loadBook(ctx);
+    const levels = (orders) => {
+      const out = [];
+      for (const o of orders) {
+        const last = out[out.length - 1];
+        if (last && last.pricePerLot === o.pricePerLot) {
+          last.lots += o.lots;
+          last.orders++;
+        } else if (out.length < depth) {
+          out.push({ pricePerLot: o.pricePerLot, lots: o.lots, orders: 1 });
+        } else {
+          break;
+        }
+      }
+      return out;
+    };
+    return { buys: levels(book.buys), sells: levels(book.sells) };
+  },
+  (ctx, { buys, sells }) => {
+    const row = (l) => `  ${ctx.fmt.etc(l.pricePerLot).padStart(14)} ETC  ${String(l.lots).padStart(6)} lots  (${l.orders})`;
+    return ["Sells:", ...(sells.length ? [...sells].reverse().map(row) : ["  empty"]),
+      "Buys:", ...(buys.length ? buys.map(row) : ["  empty"])];
+  }
+).addOptionalParam("depth", "Price levels per side", "10");
+
+exchangeTask("balances", "Print internal balances, locked amounts and wallet balances",
+  async (args, ctx) => {
+    const user = ctx.signer.address;
+    const [acct, locked, walletSaturn, walletEtc] = await Promise.all([
+      ctx.exchange.accounts(user),
+      ctx.exchange.getUserLocked(user),
+      ctx.saturn.balanceOf(user),
+      ctx.ethers.provider.getBalance(user)
+    ]);
+    return {
+      user,
+      saturn: { total: acct.tokenBalance, locked: locked[0], available: acct.tokenBalance - locked[0] },
+      etc: { total: acct.etherBalance, locked: locked[1], available: acct.etherBalance - locked[1] },
+      wallet: { saturn: walletSaturn, etc: walletEtc }
+    };
+  },
+  (ctx, b) => [
+    `Account ${b.user}`,
+    `SATURN: ${ctx.fmt.saturn(b.saturn.total)} total, ${ctx.fmt.saturn(b.saturn.locked)} locked, ` +
+      `${ctx.fmt.saturn(b.saturn.available)} available`,
+    `ETC:    ${ctx.fmt.etc(b.etc.total)} total, ${ctx.fmt.etc(b.etc.locked)} locked, ${ctx.fmt.etc(b.etc.available)} available`,
+    `Wallet: ${ctx.fmt.saturn(b.wallet.saturn)} SATURN, ${ctx.fmt.etc(b.wallet.etc)} ETC`
+  ]
+);
+
+exchangeTask("orders", "Print your resting orders",
+  async (args, ctx) => {
+    const user = ctx.signer.address;
+    if (ctx.reader) return { user, orders: await readUserOrders(ctx.reader, await ctx.exchange.getAddress(), user) };
+    const ids = await ctx.exchange.getUserOrders(user);
+    const orders = await Promise.all(ids.map(async (id) => {
+      const o = await ctx.exchange.getOrder(id);
+      return {
+        id, user: o.user, side: o.side === 0n ? "buy" : "sell", pricePerLot: o.pricePerLot,
+        lots: o.lots, expiresAt: o.expiresAt, placedAt: o.placedAt
+      };
+    }));
+    return { user, orders };
+  },
+  (ctx, { user, orders }) => {
+    if (!orders.length) return [`No resting orders for ${user}`];
+    const when = (t) => new Date(Number(t) * 1000).toISOString();
+    return orders.map((o) => `#${o.id} ${o.side.toUpperCase()} ${o.lots} lots @ ${ctx.fmt.etc(o.pricePerLot)} ETC, ` +
+      `placed ${when(o.placedAt)}${o.expiresAt ? `, expires ${when(o.expiresAt)}` : ""}`);
+  }
+);
+
+function tradeRecord(ctx, log) {
+  const a = ctx.exchange.interface.parseLog(log).args;
+  return {
+    block: log.blockNumber,
+    tx: log.transactionHash,
+    makerOrderId: a.makerOrderId,
+    maker: a.maker,
+    taker: a.taker,
+    takerSide: a.side === 0n ? "sell" : "buy",
+    pricePerLot: a.pricePerLot,
+    lots: a.lots,
+    feeSaturn: a.feeSaturn,
+    feeEtc: a.feeEtc
+  };
+}
+
+function tradeLine(ctx, t) {
+  return `block ${t.block}: ${t.takerSide.toUpperCase()} ${t.lots} lots @ ${ctx.fmt.etc(t.pricePerLot)} ETC ` +
+    `(maker #${t.makerOrderId} ${t.maker}, taker ${t.taker})`;
+}
+
+exchangeTask("trades", "Print recent trades; --follow keeps printing new ones",
+  async (args, ctx) => {
+    const provider = ctx.ethers.provider;
+    const latest = await provider.getBlockNumber();
+    const fromBlock = args.fromBlock !== undefined ? Number(args.fromBlock) : Math.max(0, latest - TRADE_LOOKBACK_BLOCKS);
+    const filter = ctx.exchange.filters.Trade();
+    const logs = await ctx.exchange.queryFilter(filter, fromBlock, latest);
+    const trades = logs.slice(-Number(args.limit)).map((log) => tradeRecord(ctx, log));
+    if (!args.follow) return { fromBlock, toBlock: latest, trades };
+
+    // Follow mode streams one line (or one-line JSON object) per trade until interrupted
+    const print = (t) => console.log(args.json ? JSON.stringify(t, bigintReplacer) : tradeLine(ctx, t));
+    trades.forEach(print);
+    let next = latest + 1;
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, Number(args.poll)));
+      const head = await provider.getBlockNumber();
+      if (head < next) continue;
+      for (const log of await ctx.exchange.queryFilter(filter, next, head)) print(tradeRecord(ctx, log));
+      next = head + 1;
+    }
+  },
+  (ctx, { fromBlock, toBlock, trades }) =>
+    trades.length ? trades.map((t) => tradeLine(ctx, t)) : [`No trades in blocks ${fromBlock}..${toBlock}`]
+)
+  .addOptionalParam("limit", "Most recent trades to print", "20")
+  .addOptionalParam("fromBlock", "First block to scan (default the last 50000 blocks)")
+  .addFlag("follow", "Keep polling for new trades")
+  .addOptionalParam("poll", "Polling interval in ms for --follow", "2000");
+
+exchangeTask("fees", "Print the fee tiers and your effective rates; the owner can --set new tiers",
+  async (args, ctx) => {
+    const feeSchedule = await ctx.ethers.getContractAt("SaturnFeeSchedule", await ctx.exchange.FEE_SCHEDULE(), ctx.signer);
+    let tx = null;
+    if (args.set) {
+      const tiers = parseTiers(args.set, { maxFeeBps: await feeSchedule.MAX_FEE_BPS() });
+      const receipt = await (await feeSchedule.setFeeSchedule(tiers)).wait();
+      tx = { tx: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed };
+    }
+    return { ...(await readSchedule(feeSchedule, ctx.signer.address)), user: ctx.signer.address, ...(tx && { set: tx }) };
+  },
+  (ctx, s) => [
+    ...(s.set ? [`Fee schedule replaced: tx ${s.set.tx} (block ${s.set.block}, gas ${s.set.gasUsed})`] : []),
+    `Fee tiers (each rate at most ${formatBps(s.maxFeeBps)}, volume over the trailing ${s.volumeWindow / 86400} days):`,
+    ...s.tiers.map((t, i) => `  ${i + 1}. from ${t.minLots} lots: ${describeRates(t)}`),
+    `${s.user}: ${s.account.trailingLots} lots traded, tier ${s.account.tier + 1}: ${describeRates(s.account)}`
+  ]
+).addOptionalParam("set", "New tiers, minLots:makerFeeBps:takerFeeBps:makerRebateBps separated by commas (owner only)");
+
+exchangeTask("markets", "List the markets of the deployment's SaturnMarketFactory (MARKET_FACTORY env overrides it)",
+  async (args, ctx) => {
+    const address = await marketFactoryAddress();
+    if (!address) throw new Error("No SaturnMarketFactory recorded for this network: set MARKET_FACTORY or run scripts/deploy.js");
+    const markets = await readMarkets(await ctx.ethers.getContractAt(factoryAbi, address, ctx.signer));
+    const symbols = await readSymbols(ctx.ethers.provider, markets.map((m) => m.token));
+    const current = (await ctx.exchange.getAddress()).toLowerCase();
+    return {
+      factory: address,
+      markets: markets.map((m) => ({ ...m, symbol: symbols[m.token], selected: m.exchange.toLowerCase() === current }))
+    };
+  },
+  (ctx, { factory, markets }) => [
+    `Markets of ${factory}:`,
+    ...markets.map((m) => `${m.selected ? "*" : " "} ${m.index + 1}. ${m.exchange}  ${describeMarket(m, m.symbol)}`),
+    "Trade on another with EXCHANGE=<address>"
+  ]
+);
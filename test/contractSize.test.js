@@ -0,0 +1,17 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+
+// EIP-170: mainnet-style chains refuse to deploy runtime code above 24 KiB
+const MAX_RUNTIME_BYTES = 24_576;
+
+describe("contract size", function () {
+  it("keeps every deployable contract under the EIP-170 limit", async function () {
+    const oversized = [];
+    for (const name of await artifacts.getAllFullyQualifiedNames()) {
+      const { deployedBytecode } = await artifacts.readArtifact(name);
+      const size = (deployedBytecode.length - 2) / 2;
+      if (size > MAX_RUNTIME_BYTES) oversized.push(`${name}: ${size} bytes`);
+    }
+    expect(oversized).to.deep.equal([]);
+  });
+});
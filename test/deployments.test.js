@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadDeployment, saveDeployment, deployContract, deployOrReuseSaturn, saturnExchangeArgs
+} = require("../scripts/lib/deployments");
+
+describe("deployment manifests", function () {
+  let dir;
+  let uiManifest;
+  beforeEach(async function () {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "saturn-deployments-"));
+    uiManifest = path.join(dir, "ui-manifest.json");
+  });
+  afterEach(async function () {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it("records block, transaction, deployer and constructor args per contract", async function () {
+    const [deployer] = await ethers.getSigners();
+    const saturn = await deployOrReuseSaturn(ethers);
+    const exchange = await deployContract(ethers, "SaturnExchange", saturnExchangeArgs(saturn.record.address));
+
+    const receipt = await ethers.provider.getTransactionReceipt(exchange.record.txHash);
+    expect(exchange.record).to.deep.equal({
+      address: await exchange.contract.getAddress(),
+      blockNumber: receipt.blockNumber,
+      txHash: receipt.hash,
+      deployer: deployer.address,
+      args: [saturn.record.address, "4", "10000000"]
+    });
+    expect(await exchange.contract.SATURN_TOKEN()).to.equal(saturn.record.address);
+    expect(saturn.record.reused).to.equal(undefined);
+  });
+
+  it("reuses an existing SATURN token and rejects addresses that are not one", async function () {
+    const { record } = await deployOrReuseSaturn(ethers);
+    const reused = await deployOrReuseSaturn(ethers, record.address.toLowerCase());
+    expect(reused.record).to.deep.equal({ address: record.address, reused: true });
+    expect(await reused.contract.symbol()).to.equal("SATURN");
+
+    const [someone] = await ethers.getSigners();
+    await expect(deployOrReuseSaturn(ethers, someone.address)).to.be.rejectedWith(/No contract at SATURN address/);
+    await expect(deployOrReuseSaturn(ethers, "0x1234")).to.be.rejectedWith(/Invalid SATURN address/);
+    const reader = await deployContract(ethers, "SaturnExchangeReader");
+    await expect(deployOrReuseSaturn(ethers, reader.record.address)).to.be.rejected;
+  });
+
+  it("keeps one manifest per chain and summarizes all of them for the UI", async function () {
+    const contract = (address, blockNumber) => ({ address, blockNumber, txHash: "0x01", deployer: address, args: [] });
+    const local = {
+      chainId: 31337,
+      network: "localhost",
+      deployer: "0x0000000000000000000000000000000000000001",
+      deployedAt: "2026-01-01T00:00:00.000Z",
+      contracts: {
+        saturn: { address: "0x0000000000000000000000000000000000000a01", reused: true },
+        saturnExchange: contract("0x0000000000000000000000000000000000000a02", 7),
+        saturnExchangeReader: contract("0x0000000000000000000000000000000000000a03", 8)
+      }
+    };
+    const classic = {
+      ...local,
+      chainId: 61,
+      network: "classic",
+      contracts: { ...local.contracts, saturnExchange: contract("0x0000000000000000000000000000000000000b02", 900) }
+    };
+
+    await saveDeployment(local, { dir, uiManifest });
+    const file = await saveDeployment(classic, { dir, uiManifest });
+    expect(path.basename(file)).to.equal("61.json");
+    expect(await loadDeployment(31337, { dir })).to.deep.equal(local);
+    expect(await loadDeployment(1, { dir })).to.equal(null);
+
+    const summary = JSON.parse(await fs.promises.readFile(uiManifest, "utf8"));
+    expect(Object.keys(summary)).to.deep.equal(["61", "31337"]);
+    expect(summary["61"]).to.deep.equal({
+      network: "classic",
+      saturn: "0x0000000000000000000000000000000000000a01",
+      saturnExchange: "0x0000000000000000000000000000000000000b02",
+      saturnExchangeReader: "0x0000000000000000000000000000000000000a03",
+      blockNumber: 900,
+      deployedAt: "2026-01-01T00:00:00.000Z"
+    });
+
+    // A redeploy replaces that chain's record only
+    await saveDeployment({ ...local, deployedAt: "2026-02-01T00:00:00.000Z" }, { dir, uiManifest });
+    const updated = JSON.parse(await fs.promises.readFile(uiManifest, "utf8"));
+    expect(updated["31337"].deployedAt).to.equal("2026-02-01T00:00:00.000Z");
+    expect(updated["61"].saturnExchange).to.equal("0x0000000000000000000000000000000000000b02");
+  });
+});
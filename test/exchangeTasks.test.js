@@ -0,0 +1,151 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createMarket } = require("../scripts/lib/deployments");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("exchange tasks", function () {
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const { saturn, exchange, reader, LOT_SIZE } = await deployExchange();
+    await saturn["transfer(address,uint256,bytes)"](alice.address, LOT_SIZE * 5n, "0x");
+
+    return { exchange, reader, saturn, owner, alice, bob, LOT_SIZE };
+  }
+
+  // Run `exchange <task>` against the fixture's contracts, capturing what it prints
+  async function run(task, args = {}) {
+    const out = [];
+    const err = [];
+    const { log, error } = console;
+    console.log = (...a) => out.push(a.join(" "));
+    console.error = (...a) => err.push(a.join(" "));
+    const exitCode = process.exitCode;
+    let failed;
+    try {
+      await hre.run({ scope: "exchange", task }, args);
+    } finally {
+      console.log = log;
+      console.error = error;
+      failed = process.exitCode === 1;
+      process.exitCode = exitCode;
+    }
+    return { out: out.join("\n"), err: err.join("\n"), failed };
+  }
+
+  let saved;
+  beforeEach(async function () {
+    const { exchange, reader } = await loadFixture(deployFixture);
+    saved = { EXCHANGE: process.env.EXCHANGE, READER: process.env.READER, MARKET_FACTORY: process.env.MARKET_FACTORY };
+    process.env.EXCHANGE = await exchange.getAddress();
+    process.env.READER = await reader.getAddress();
+  });
+  afterEach(function () {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("deposits and trades in human units for the selected account", async function () {
+    const { exchange, alice, bob, LOT_SIZE } = await loadFixture(deployFixture);
+
+    expect((await run("deposit-saturn", { account: "1", amount: "3000" })).out).to.include("Deposited 3000.0 SATURN");
+    await run("deposit-etc", { account: bob.address, amount: "2.5" });
+    expect((await exchange.accounts(alice.address)).tokenBalance).to.equal(LOT_SIZE * 3n);
+    expect((await exchange.accounts(bob.address)).etherBalance).to.equal(ethers.parseEther("2.5"));
+
+    const sell = await run("sell", { account: "1", price: "1.25", lots: "2" });
+    expect(sell.out).to.include("Resting as #1: 2 lots @ 1.25 ETC");
+
+    const buy = await run("buy", { account: "2", price: "1.5", lots: "1", json: true });
+    const result = JSON.parse(buy.out);
+    expect(result.events.map((e) => e.name)).to.deep.equal(["Trade"]);
+    expect(result.events[0].args.pricePerLot).to.equal(ethers.parseEther("1.25").toString());
+
+    const book = JSON.parse((await run("book", { json: true })).out);
+    expect(book.sells).to.deep.equal([{ pricePerLot: ethers.parseEther("1.25").toString(), lots: "1", orders: 1 }]);
+    expect(book.buys).to.deep.equal([]);
+
+    const orders = JSON.parse((await run("orders", { account: "1", json: true })).out);
+    expect(orders.orders.map((o) => [o.id, o.side, o.lots])).to.deep.equal([["1", "sell", "1"]]);
+
+    const trades = JSON.parse((await run("trades", { json: true })).out);
+    expect(trades.trades.map((t) => [t.takerSide, t.lots, t.taker])).to.deep.equal([["buy", "1", bob.address]]);
+  });
+
+  it("prints balances and withdraws", async function () {
+    const { exchange, bob } = await loadFixture(deployFixture);
+    await run("deposit-etc", { account: "2", amount: "3" });
+    await run("buy", { account: "2", price: "1", lots: "2" });
+
+    const balances = await run("balances", { account: "2" });
+    expect(balances.out).to.include("ETC:    3.0 total, 2.0 locked, 1.0 available");
+
+    await run("withdraw", { account: "2", etc: "1" });
+    expect((await exchange.accounts(bob.address)).etherBalance).to.equal(ethers.parseEther("2"));
+    const all = await run("withdraw", { account: "2", all: true });
+    expect(all.out).to.include("Canceled #1");
+    expect((await exchange.accounts(bob.address)).etherBalance).to.equal(0n);
+  });
+
+  it("reports decoded revert reasons and input errors", async function () {
+    await run("deposit-etc", { account: "2", amount: "1" });
+
+    const tooMuch = await run("withdraw", { account: "2", etc: "5" });
+    expect(tooMuch.failed).to.equal(true);
+    expect(tooMuch.err).to.equal("Error: Insufficient ETC");
+
+    const json = await run("cancel", { account: "2", id: "7", json: true });
+    expect(JSON.parse(json.out)).to.deep.equal({ error: "No order" });
+
+    const bad = await run("buy", { account: "2", price: "abc", lots: "1" });
+    expect(bad.err).to.equal("Error: Invalid price: abc");
+    expect((await run("buy", { account: "2", price: "1", lots: "1", tif: "day" })).err)
+      .to.match(/--tif must be one of gtc, ioc, fok, postOnly/);
+  });
+
+  it("prints and sets the fee schedule", async function () {
+    const { exchange } = await loadFixture(deployFixture);
+    const shown = await run("fees", { account: "2" });
+    expect(shown.out).to.include("1. from 0 lots: taker 0.25%, maker 0%");
+    expect(shown.out).to.match(/0 lots traded, tier 1: taker 0\.25%, maker 0%/);
+
+    const denied = await run("fees", { account: "2", set: "0:0:10:0" });
+    expect(denied.err).to.equal("Error: Not owner");
+
+    const set = await run("fees", { set: "0:5:20:0, 100:0:10:2" });
+    expect(set.out).to.include("Fee schedule replaced");
+    expect(set.out).to.include("2. from 100 lots: taker 0.1%, maker rebate 0.02%");
+    const feeSchedule = await ethers.getContractAt("SaturnFeeSchedule", await exchange.FEE_SCHEDULE());
+    expect(await feeSchedule.tierCount()).to.equal(2n);
+    expect((await run("fees", { set: "0:0:500:0" })).err).to.equal("Error: Rates are capped at 100 bps (1%)");
+  });
+
+  it("lists factory markets and deposits ERC20 tokens with --erc20", async function () {
+    const { exchange, alice } = await loadFixture(deployFixture);
+    const Factory = await ethers.getContractFactory("SaturnMarketFactory");
+    const factory = await Factory.deploy();
+    await factory.waitForDeployment();
+    await factory.addMarket(await exchange.getAddress(), true, 0);
+    const TestERC20 = await ethers.getContractFactory("TestERC20");
+    const foo = await TestERC20.deploy("Foo", "FOO", 18, ethers.parseEther("1000"));
+    await foo.waitForDeployment();
+    await foo.transfer(alice.address, ethers.parseEther("100"));
+    const { contract: fooExchange } = await createMarket(ethers, factory, { token: await foo.getAddress(), lot: "0.5", erc223: false });
+
+    expect((await run("markets")).err).to.match(/No SaturnMarketFactory recorded/);
+    process.env.MARKET_FACTORY = await factory.getAddress();
+    const listed = await run("markets");
+    expect(listed.out).to.include(`* 1. ${await exchange.getAddress()}  SATURN/ETC · 1 lot = 1000 SATURN (ERC223)`);
+    expect(listed.out).to.include(`  2. ${await fooExchange.getAddress()}  FOO/ETC · 1 lot = 0.5 FOO (ERC20)`);
+
+    process.env.EXCHANGE = await fooExchange.getAddress();
+    const deposited = await run("deposit-saturn", { account: "1", amount: "1.5", erc20: true });
+    expect(deposited.failed).to.equal(false);
+    expect((await fooExchange.accounts(alice.address)).tokenBalance).to.equal(ethers.parseEther("1.5"));
+    expect((await run("sell", { account: "1", price: "1", lots: "3" })).out).to.include("Resting as #1: 3 lots @ 1.0 ETC");
+  });
+});
@@ -0,0 +1,257 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ExchangeIndexer } = require("../scripts/lib/indexer");
+const { loadStatement } = require("../ui/lib/statement");
+const { parseTiers, formatTiers, describeRates } = require("../ui/lib/feeSchedule");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("SaturnFeeSchedule", function () {
+  const ONE_ETHER = ethers.parseEther("1");
+  const SIDE_BUY = 0;
+  const SIDE_SELL = 1;
+  const tier = (minLots, makerFeeBps, takerFeeBps, makerRebateBps) =>
+    ({ minLots, makerFeeBps, takerFeeBps, makerRebateBps });
+  const bps = (amount, rate) => (amount * BigInt(rate)) / 10_000n;
+
+  async function deployFixture() {
+    const [owner, alice, bob, carol] = await ethers.getSigners();
+
+    const { saturn, exchange, reader, LOT_SIZE } = await deployExchange();
+    const exchangeAddr = await exchange.getAddress();
+    const fromBlock = (await exchange.deploymentTransaction().wait()).blockNumber;
+    const feeSchedule = await ethers.getContractAt("SaturnFeeSchedule", await exchange.FEE_SCHEDULE());
+
+    // Everyone trades from internal balances on both sides
+    for (const signer of [alice, bob, carol]) {
+      await saturn["transfer(address,uint256,bytes)"](signer.address, LOT_SIZE * 50n, "0x");
+      await saturn.connect(signer)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 40n, "0x");
+      await exchange.connect(signer).depositEtc({ value: ONE_ETHER * 50n });
+    }
+    return { saturn, exchange, exchangeAddr, reader, feeSchedule, fromBlock, owner, alice, bob, carol, LOT_SIZE };
+  }
+
+  async function tradeArgs(tx, exchange) {
+    const receipt = await (await tx).wait();
+    const parsed = receipt.logs.map((log) => exchange.interface.parseLog(log)).filter(Boolean);
+    return {
+      trades: parsed.filter((e) => e.name === "Trade").map((e) => e.args),
+      makerFees: parsed.filter((e) => e.name === "MakerFee").map((e) => e.args)
+    };
+  }
+
+  // Internal balances plus accrued fees must account for everything the
+  // exchange holds, and the accrued fees must equal what the logs charged
+  async function expectReconciled({ saturn, exchange, exchangeAddr }, users) {
+    let etc = await exchange.accumulatedFeesEtc();
+    let sat = await exchange.accumulatedFeesSaturn();
+    const accruedEtc = etc;
+    const accruedSat = sat;
+    for (const user of users) {
+      const acct = await exchange.accounts(user.address);
+      etc += acct.etherBalance;
+      sat += acct.tokenBalance;
+    }
+    expect(etc).to.equal(await ethers.provider.getBalance(exchangeAddr));
+    expect(sat).to.equal(await saturn.balanceOf(exchangeAddr));
+
+    const logged = { etc: 0n, saturn: 0n };
+    for (const e of await exchange.queryFilter(exchange.filters.Trade())) {
+      logged.etc += e.args.feeEtc;
+      logged.saturn += e.args.feeSaturn;
+    }
+    for (const e of await exchange.queryFilter(exchange.filters.MakerFee())) {
+      const asset = Number(e.args.side) === SIDE_SELL ? "etc" : "saturn";
+      logged[asset] += e.args.fee - e.args.rebate;
+    }
+    for (const e of await exchange.queryFilter(exchange.filters.FeesWithdrawn())) {
+      logged.etc -= e.args.etcAmount;
+      logged.saturn -= e.args.saturnAmount;
+    }
+    expect(logged).to.deep.equal({ etc: accruedEtc, saturn: accruedSat });
+  }
+
+  it("starts with the flat 0.25% taker fee", async function () {
+    const { feeSchedule, exchangeAddr, alice } = await loadFixture(deployFixture);
+    expect(await feeSchedule.EXCHANGE()).to.equal(exchangeAddr);
+    expect(await feeSchedule.tierCount()).to.equal(1n);
+    const rates = await feeSchedule.ratesFor(alice.address);
+    expect([rates.makerFeeBps, rates.takerFeeBps, rates.makerRebateBps, rates.tier]).to.deep.equal([0n, 25n, 0n, 0n]);
+  });
+
+  it("lets only the owner set a bounded schedule and logs every tier", async function () {
+    const { feeSchedule, exchange, owner, alice } = await loadFixture(deployFixture);
+
+    await expect(feeSchedule.connect(alice).setFeeSchedule([tier(0, 0, 10, 0)])).to.be.revertedWith("Not owner");
+    await expect(feeSchedule.setFeeSchedule([])).to.be.revertedWith("Bad tier count");
+    const nine = Array.from({ length: 9 }, (_, i) => tier(i, 0, 10, 0));
+    await expect(feeSchedule.setFeeSchedule(nine)).to.be.revertedWith("Bad tier count");
+    await expect(feeSchedule.setFeeSchedule([tier(1, 0, 10, 0)])).to.be.revertedWith("First tier must start at 0");
+    await expect(feeSchedule.setFeeSchedule([tier(0, 0, 10, 0), tier(0, 0, 5, 0)]))
+      .to.be.revertedWith("Tiers not ascending");
+    await expect(feeSchedule.setFeeSchedule([tier(0, 0, 101, 0)])).to.be.revertedWith("Fee too high");
+    await expect(feeSchedule.setFeeSchedule([tier(0, 0, 10, 101)])).to.be.revertedWith("Fee too high");
+    await expect(feeSchedule.setFeeSchedule([tier(0, 5, 10, 5)])).to.be.revertedWith("Maker fee and rebate");
+    await expect(feeSchedule.recordTrade(alice.address, owner.address, 1)).to.be.revertedWith("Only exchange");
+
+    await expect(feeSchedule.setFeeSchedule([tier(0, 10, 100, 0), tier(100, 0, 20, 5)]))
+      .to.emit(feeSchedule, "FeeTierSet").withArgs(0n, 0n, 10n, 100n, 0n)
+      .and.to.emit(feeSchedule, "FeeTierSet").withArgs(1n, 100n, 0n, 20n, 5n)
+      .and.to.emit(feeSchedule, "FeeScheduleSet").withArgs(2n);
+    expect(await feeSchedule.tierCount()).to.equal(2n);
+
+    // Follows exchange ownership
+    await exchange.transferOwnership(alice.address);
+    await exchange.connect(alice).acceptOwnership();
+    await expect(feeSchedule.setFeeSchedule([tier(0, 0, 25, 0)])).to.be.revertedWith("Not owner");
+    await expect(feeSchedule.connect(alice).setFeeSchedule([tier(0, 0, 25, 0)])).to.emit(feeSchedule, "FeeScheduleSet");
+  });
+
+  it("charges makers in the asset they receive", async function () {
+    const ctx = await loadFixture(deployFixture);
+    const { exchange, feeSchedule, alice, bob, carol } = ctx;
+    await feeSchedule.setFeeSchedule([tier(0, 10, 20, 0)]);
+
+    // Maker sell: alice receives ETC and pays 0.1% of it; taker bob pays 0.2% of his SATURN
+    const aliceBefore = await exchange.accounts(alice.address);
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 2);
+    const first = await tradeArgs(exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 2), exchange);
+    const trade = first.trades[0];
+    const makerFeeEtc = bps(trade.grossEtc, 10);
+    expect(trade.feeSaturn).to.equal(bps(trade.grossSaturn, 20));
+    expect(first.makerFees.map((e) => [...e])).to.deep.equal([[1n, alice.address, BigInt(SIDE_SELL), makerFeeEtc, 0n]]);
+    expect((await exchange.accounts(alice.address)).etherBalance)
+      .to.equal(aliceBefore.etherBalance + trade.grossEtc - makerFeeEtc);
+
+    // Maker buy: bob receives SATURN and pays 0.1% of it; taker alice pays in ETC
+    const bobBefore = await exchange.accounts(bob.address);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 3);
+    const second = await tradeArgs(exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 3), exchange);
+    const makerFeeSaturn = bps(second.trades[0].grossSaturn, 10);
+    expect(second.makerFees[0].side).to.equal(BigInt(SIDE_BUY));
+    expect(second.makerFees[0].fee).to.equal(makerFeeSaturn);
+    expect((await exchange.accounts(bob.address)).tokenBalance)
+      .to.equal(bobBefore.tokenBalance + second.trades[0].grossSaturn - makerFeeSaturn);
+
+    expect(await exchange.accumulatedFeesEtc()).to.equal(makerFeeEtc + second.trades[0].feeEtc);
+    expect(await exchange.accumulatedFeesSaturn()).to.equal(trade.feeSaturn + makerFeeSaturn);
+    await expectReconciled(ctx, [alice, bob, carol]);
+  });
+
+  it("pays maker rebates out of accrued fees only", async function () {
+    const ctx = await loadFixture(deployFixture);
+    const { exchange, feeSchedule, alice, bob, carol } = ctx;
+    await feeSchedule.setFeeSchedule([tier(0, 0, 25, 10)]);
+
+    // Nothing accrued in ETC yet, so alice's rebate on her maker sell is capped at 0
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 1);
+    const first = await tradeArgs(exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1), exchange);
+    expect(first.makerFees[0].rebate).to.equal(0n);
+    expect(await exchange.accumulatedFeesEtc()).to.equal(0n);
+    const accruedSaturn = first.trades[0].feeSaturn;
+
+    // bob's maker buy is rebated in SATURN from the taker fee alice just paid
+    const bobBefore = (await exchange.accounts(bob.address)).tokenBalance;
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1);
+    const second = await tradeArgs(exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 1), exchange);
+    const rebate = bps(second.trades[0].grossSaturn, 10);
+    expect(rebate).to.be.lessThan(accruedSaturn);
+    expect(second.makerFees[0].fee).to.equal(0n);
+    expect(second.makerFees[0].rebate).to.equal(rebate);
+    expect((await exchange.accounts(bob.address)).tokenBalance)
+      .to.equal(bobBefore + second.trades[0].grossSaturn + rebate);
+    expect(await exchange.accumulatedFeesSaturn()).to.equal(accruedSaturn - rebate);
+
+    // A rebate larger than the accrued SATURN drains it to exactly 0
+    await feeSchedule.setFeeSchedule([tier(0, 0, 0, 100)]);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 5);
+    const third = await tradeArgs(exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 5), exchange);
+    expect(third.makerFees[0].rebate).to.equal(accruedSaturn - rebate);
+    expect(await exchange.accumulatedFeesSaturn()).to.equal(0n);
+    await expectReconciled(ctx, [alice, bob, carol]);
+  });
+
+  it("moves addresses between tiers on their trailing volume", async function () {
+    const { exchange, feeSchedule, alice, bob, carol } = await loadFixture(deployFixture);
+    await feeSchedule.setFeeSchedule([tier(0, 0, 25, 0), tier(5, 0, 10, 0)]);
+
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 20);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 3);
+    expect(await feeSchedule.trailingLots(bob.address)).to.equal(3n);
+    expect(await feeSchedule.trailingLots(alice.address)).to.equal(3n);
+
+    // The fill that reaches the threshold is still charged at the old tier
+    const reaching = await tradeArgs(exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 2), exchange);
+    expect(reaching.trades[0].feeSaturn).to.equal(bps(reaching.trades[0].grossSaturn, 25));
+    expect((await feeSchedule.ratesFor(bob.address)).tier).to.equal(1n);
+    const upgraded = await tradeArgs(exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1), exchange);
+    expect(upgraded.trades[0].feeSaturn).to.equal(bps(upgraded.trades[0].grossSaturn, 10));
+    // carol has not traded
+    expect((await feeSchedule.ratesFor(carol.address)).takerFeeBps).to.equal(25n);
+
+    // The previous window fades out over the next one
+    const window = await feeSchedule.VOLUME_WINDOW();
+    await time.increase(window);
+    const faded = await feeSchedule.trailingLots(bob.address);
+    expect(faded).to.be.lessThan(6n);
+    await time.increase(window);
+    expect(await feeSchedule.trailingLots(bob.address)).to.equal(0n);
+    expect((await feeSchedule.ratesFor(bob.address)).tier).to.equal(0n);
+  });
+
+  it("keeps the indexer and statements reconciled with maker fees and rebates", async function () {
+    const ctx = await loadFixture(deployFixture);
+    const { exchange, exchangeAddr, reader, feeSchedule, fromBlock, owner, alice, bob, carol } = ctx;
+    await feeSchedule.setFeeSchedule([tier(0, 5, 30, 0), tier(4, 0, 20, 10)]);
+
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 3);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 3);
+    await exchange.connect(carol).placeLimitBuyFromBalance(ONE_ETHER / 2n, 4);
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER / 2n, 2);
+    // alice is in the rebate tier now
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER * 2n, 2);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER * 2n, 1);
+    await exchange.connect(carol).placeLimitBuyFromBalance(ONE_ETHER * 2n, 1);
+    expect(await exchange.queryFilter(exchange.filters.MakerFee())).to.have.length(4);
+    await expectReconciled(ctx, [alice, bob, carol]);
+
+    const indexer = new ExchangeIndexer({
+      provider: ethers.provider, address: exchangeAddr, reader: await reader.getAddress(), fromBlock
+    });
+    await indexer.sync();
+    const verified = await indexer.verify();
+    expect(verified.mismatches).to.deep.equal([]);
+    expect(indexer.state.fees).to.deep.equal({
+      saturn: await exchange.accumulatedFeesSaturn(),
+      etc: await exchange.accumulatedFeesEtc()
+    });
+
+    let rebatesEtc = 0n;
+    for (const signer of [alice, bob, carol]) {
+      const s = await loadStatement({ provider: ethers.provider, exchangeAddress: exchangeAddr, account: signer.address, fromBlock });
+      expect(s.reconciliation.ok, signer.address).to.equal(true);
+      rebatesEtc += s.totals.rebatesEtc;
+    }
+    const logged = (await exchange.queryFilter(exchange.filters.MakerFee())).reduce((sum, e) => sum + e.args.rebate, 0n);
+    expect(rebatesEtc).to.be.greaterThan(0n);
+    expect(rebatesEtc).to.equal(logged);
+
+    await exchange.withdrawFees(owner.address);
+    await expectReconciled(ctx, [alice, bob, carol]);
+  });
+
+  it("parses and describes tiers like the contract checks them", function () {
+    const tiers = parseTiers("0:0:25:0, 1000:0:20:5\n5000 5 15 0");
+    expect(tiers).to.deep.equal([tier(0n, 0, 25, 0), tier(1000n, 0, 20, 5), tier(5000n, 5, 15, 0)]);
+    expect(formatTiers(tiers)).to.equal("0:0:25:0, 1000:0:20:5, 5000:5:15:0");
+    expect(describeRates(tiers[1])).to.equal("taker 0.2%, maker rebate 0.05%");
+    expect(describeRates(tiers[2])).to.equal("taker 0.15%, maker 0.05%");
+
+    expect(() => parseTiers("")).to.throw("Enter at least one tier");
+    expect(() => parseTiers("0:0:25")).to.throw(/must be minLots:makerFeeBps/);
+    expect(() => parseTiers("10:0:25:0")).to.throw("The first tier must start at 0 lots");
+    expect(() => parseTiers("0:0:25:0, 0:0:20:0")).to.throw("Tiers must have ascending minLots");
+    expect(() => parseTiers("0:0:125:0")).to.throw("Rates are capped at 100 bps (1%)");
+    expect(() => parseTiers("0:5:25:5")).to.throw(/a fee or pays a rebate, not both/);
+  });
+});
@@ -0,0 +1,258 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployExchange } = require("./helpers/exchange");
+const {
+  bookFromSnapshot, insertionHint, simulateOrder, TIME_IN_FORCE, SELF_TRADE_PREVENTION
+} = require("../ui/lib/fillSimulator");
+
+describe("fillSimulator", function () {
+  async function deployBookFixture() {
+    const [owner, maker, buyer, seller] = await ethers.getSigners();
+
+    const { saturn, exchange, reader, LOT_SIZE } = await deployExchange();
+    const exchangeAddr = await exchange.getAddress();
+    // Default schedule: one flat tier, so every taker pays the same rate
+    const feeSchedule = await ethers.getContractAt("SaturnFeeSchedule", await exchange.FEE_SCHEDULE());
+    const [, TAKER_FEE_BPS] = await feeSchedule.ratesFor(buyer.address);
+    const ONE_ETHER = ethers.parseEther("1");
+    const price = (n) => (ONE_ETHER * BigInt(Math.round(n * 1000))) / 1000n;
+
+    const fund = async (signer, lots, etc) => {
+      await saturn["transfer(address,uint256,bytes)"](signer.address, LOT_SIZE * lots, "0x");
+      await saturn.connect(signer)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * lots, "0x");
+      await exchange.connect(signer).depositEtc({ value: etc });
+    };
+    await fund(maker, 50n, ONE_ETHER * 100n);
+    await fund(seller, 50n, ONE_ETHER);
+    await exchange.connect(buyer).depositEtc({ value: ONE_ETHER * 100n });
+
+    // Asks: 1.1 x3, 1.1 x2 (later), 1.25 x4, 1.5 x5
+    await exchange.connect(maker).placeLimitSellFromBalance(price(1.1), 3);
+    await exchange.connect(maker).placeLimitSellFromBalance(price(1.25), 4);
+    await exchange.connect(maker).placeLimitSellFromBalance(price(1.1), 2);
+    await exchange.connect(maker).placeLimitSellFromBalance(price(1.5), 5);
+    // Bids: 0.9 x4, 0.8 x1, 0.9 x3 (later), 0.7 x6
+    await exchange.connect(maker).placeLimitBuyFromBalance(price(0.9), 4);
+    await exchange.connect(maker).placeLimitBuyFromBalance(price(0.8), 1);
+    await exchange.connect(maker).placeLimitBuyFromBalance(price(0.9), 3);
+    await exchange.connect(maker).placeLimitBuyFromBalance(price(0.7), 6);
+
+    return { exchange, reader, saturn, buyer, seller, LOT_SIZE, TAKER_FEE_BPS, ONE_ETHER, price };
+  }
+
+  async function snapshot(reader, exchange) {
+    return bookFromSnapshot(await reader.getOrderBook(exchange));
+  }
+
+  function tradesFrom(exchange, receipt) {
+    return receipt.logs
+      .map((log) => exchange.interface.parseLog(log))
+      .filter((e) => e && e.name === "Trade")
+      .map((e) => ({
+        makerOrderId: e.args.makerOrderId,
+        pricePerLot: e.args.pricePerLot,
+        lots: e.args.lots,
+        grossSaturn: e.args.grossSaturn,
+        grossEtc: e.args.grossEtc,
+        feeSaturn: e.args.feeSaturn,
+        feeEtc: e.args.feeEtc
+      }));
+  }
+
+  function restedLots(exchange, receipt) {
+    const placed = receipt.logs
+      .map((log) => exchange.interface.parseLog(log))
+      .find((e) => e && e.name === "OrderPlaced");
+    return placed ? placed.args.lots : 0n;
+  }
+
+  it("predicts the fills and resting lots of a crossing limit buy", async function () {
+    const { exchange, reader, buyer, LOT_SIZE, TAKER_FEE_BPS, price } = await loadFixture(deployBookFixture);
+
+    const order = { side: "buy", pricePerLot: price(1.3), lots: 12n };
+    const sim = simulateOrder(await snapshot(reader, exchange), order, { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS });
+
+    const tx = await exchange.connect(buyer).placeLimitBuyFromBalance(order.pricePerLot, order.lots);
+    const receipt = await tx.wait();
+
+    expect(sim.error).to.equal(null);
+    expect(sim.fills).to.deep.equal(tradesFrom(exchange, receipt));
+    expect(sim.fills.map((f) => f.makerOrderId)).to.deep.equal([1n, 3n, 2n]);
+    expect(sim.restingLots).to.equal(restedLots(exchange, receipt));
+    expect(sim.restingLots).to.equal(3n);
+    expect(sim.avgPricePerLot).to.equal(sim.grossEtc / 9n);
+
+    const acct = await exchange.accounts(buyer.address);
+    expect(acct.tokenBalance).to.equal(sim.netSaturn);
+  });
+
+  it("predicts the fills and ETC fee of a crossing limit sell", async function () {
+    const { exchange, reader, seller, LOT_SIZE, TAKER_FEE_BPS, price } = await loadFixture(deployBookFixture);
+
+    const order = { side: "sell", pricePerLot: price(0.8), lots: 8n };
+    const sim = simulateOrder(await snapshot(reader, exchange), order, { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS });
+
+    const acctBefore = await exchange.accounts(seller.address);
+    const receipt = await (await exchange.connect(seller).placeLimitSellFromBalance(order.pricePerLot, order.lots)).wait();
+
+    expect(sim.fills).to.deep.equal(tradesFrom(exchange, receipt));
+    expect(sim.fills.map((f) => [f.makerOrderId, f.lots])).to.deep.equal([[5n, 4n], [7n, 3n], [6n, 1n]]);
+    expect(sim.restingLots).to.equal(0n);
+    expect(sim.feeEtc).to.equal(await exchange.accumulatedFeesEtc());
+
+    const acctAfter = await exchange.accounts(seller.address);
+    expect(acctAfter.etherBalance - acctBefore.etherBalance).to.equal(sim.netEtc);
+  });
+
+  it("predicts a non-crossing order resting in full", async function () {
+    const { exchange, reader, buyer, LOT_SIZE, TAKER_FEE_BPS, price } = await loadFixture(deployBookFixture);
+
+    const order = { side: "buy", pricePerLot: price(1), lots: 2n };
+    const sim = simulateOrder(await snapshot(reader, exchange), order, { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS });
+    const receipt = await (await exchange.connect(buyer).placeLimitBuyFromBalance(order.pricePerLot, order.lots)).wait();
+
+    expect(sim.fills).to.deep.equal([]);
+    expect(tradesFrom(exchange, receipt)).to.deep.equal([]);
+    expect(sim.restingLots).to.equal(restedLots(exchange, receipt));
+  });
+
+  it("predicts the SATURN delivered and ETC refunded by placeLimitBuyImmediate", async function () {
+    const { exchange, reader, saturn, buyer, LOT_SIZE, TAKER_FEE_BPS, ONE_ETHER, price } = await loadFixture(deployBookFixture);
+
+    const order = { side: "buy", immediate: true, pricePerLot: price(1.25), lots: 20n, msgValue: ONE_ETHER * 20n };
+    const sim = simulateOrder(await snapshot(reader, exchange), order, { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS });
+
+    const ethBefore = await ethers.provider.getBalance(buyer.address);
+    const saturnBefore = await saturn.balanceOf(buyer.address);
+    const tx = await exchange.connect(buyer).placeLimitBuyImmediate(order.pricePerLot, order.lots, { value: order.msgValue });
+    const receipt = await tx.wait();
+    const gas = receipt.gasUsed * receipt.gasPrice;
+
+    expect(sim.fills).to.deep.equal(tradesFrom(exchange, receipt));
+    expect(sim.restingLots).to.equal(0n);
+    expect(restedLots(exchange, receipt)).to.equal(0n);
+    expect((await saturn.balanceOf(buyer.address)) - saturnBefore).to.equal(sim.netSaturn);
+
+    const ethAfter = await ethers.provider.getBalance(buyer.address);
+    expect(ethBefore - ethAfter - gas).to.equal(order.msgValue - sim.refundEtc);
+  });
+
+  it("predicts IOC, fill-or-kill and post-only outcomes", async function () {
+    const { exchange, reader, buyer, LOT_SIZE, TAKER_FEE_BPS, price } = await loadFixture(deployBookFixture);
+    const params = { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS };
+    const place = (o) => exchange.connect(buyer).placeLimitOrder(0, o.pricePerLot, o.lots, TIME_IN_FORCE[o.timeInForce], 0, 0, 0, 0);
+
+    const book = await snapshot(reader, exchange);
+    const fok = { side: "buy", pricePerLot: price(1.1), lots: 6n, timeInForce: "fok" };
+    expect(simulateOrder(book, fok, params).error).to.equal("Fill-or-kill not filled");
+    await expect(place(fok)).to.be.revertedWith("Fill-or-kill not filled");
+
+    const post = { side: "buy", pricePerLot: price(1.1), lots: 1n, timeInForce: "postOnly" };
+    expect(simulateOrder(book, post, params).error).to.equal("Post-only would cross");
+    await expect(place(post)).to.be.revertedWith("Post-only would cross");
+
+    const resting = { ...post, pricePerLot: price(1) };
+    const restSim = simulateOrder(book, resting, params);
+    expect(restSim.error).to.equal(null);
+    expect(restSim.restingLots).to.equal(restedLots(exchange, await (await place(resting)).wait()));
+
+    const ioc = { side: "buy", pricePerLot: price(1.25), lots: 12n, timeInForce: "ioc" };
+    const iocSim = simulateOrder(await snapshot(reader, exchange), ioc, params);
+    const receipt = await (await place(ioc)).wait();
+    expect(iocSim.fills).to.deep.equal(tradesFrom(exchange, receipt));
+    expect(iocSim.restingLots).to.equal(0n);
+    expect(restedLots(exchange, receipt)).to.equal(0n);
+  });
+
+  it("predicts self-trade prevention against the taker's own resting orders", async function () {
+    const { exchange, reader, seller, LOT_SIZE, TAKER_FEE_BPS, price } = await loadFixture(deployBookFixture);
+    const params = { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS };
+    await exchange.connect(seller).placeLimitBuyFromBalance(price(0.95), 1);
+    const ownIds = new Set((await exchange.getUserOrders(seller.address)).map(String));
+    const book = await snapshot(reader, exchange);
+    for (const o of book.buys) o.own = ownIds.has(o.id.toString());
+
+    for (const mode of ["cancelNewest", "decrementBoth"]) {
+      const sim = simulateOrder(book, { side: "sell", pricePerLot: price(0.8), lots: 6n, selfTradePrevention: mode }, params);
+      const taken = sim.selfTrades[0];
+      expect(taken.takerLotsCanceled).to.equal(mode === "cancelNewest" ? 6n : 1n);
+      expect(sim.fills.length).to.equal(mode === "cancelNewest" ? 0 : 2);
+    }
+
+    const order = { side: "sell", pricePerLot: price(0.8), lots: 6n, selfTradePrevention: "cancelOldest" };
+    const sim = simulateOrder(book, order, params);
+    const receipt = await (await exchange.connect(seller).placeLimitOrder(
+      1, order.pricePerLot, order.lots, 0, 0, SELF_TRADE_PREVENTION[order.selfTradePrevention], 0, 0)).wait();
+
+    const prevented = receipt.logs
+      .map((log) => exchange.interface.parseLog(log))
+      .filter((e) => e && e.name === "SelfTradePrevented")
+      .map((e) => ({
+        makerOrderId: e.args.makerOrderId,
+        mode: order.selfTradePrevention,
+        takerLotsCanceled: e.args.takerLotsCanceled,
+        makerLotsCanceled: e.args.makerLotsCanceled
+      }));
+    expect(sim.selfTrades).to.deep.equal(prevented);
+    expect(sim.fills).to.deep.equal(tradesFrom(exchange, receipt));
+    expect(sim.fills.map((f) => f.makerOrderId)).to.deep.equal([5n, 7n]);
+  });
+
+  it("predicts the maxFills cap and whether the remainder rests", async function () {
+    const { exchange, reader, buyer, LOT_SIZE, TAKER_FEE_BPS, price } = await loadFixture(deployBookFixture);
+    const params = { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS, maxFills: await exchange.DEFAULT_MAX_FILLS() };
+    const place = (o) => exchange.connect(buyer).placeLimitOrder(0, o.pricePerLot, o.lots, 0, 0, 0, o.maxFills, 0);
+
+    // Two makers at 1.1 fill, the 1.25 ask still crosses: nothing rests
+    const capped = { side: "buy", pricePerLot: price(1.3), lots: 12n, maxFills: 2 };
+    const cappedSim = simulateOrder(await snapshot(reader, exchange), capped, params);
+    const cappedReceipt = await (await place(capped)).wait();
+    expect(cappedSim.fills).to.deep.equal(tradesFrom(exchange, cappedReceipt));
+    expect(cappedSim.fills.map((f) => f.makerOrderId)).to.deep.equal([1n, 3n]);
+    expect(cappedSim.restingLots).to.equal(0n);
+    expect(restedLots(exchange, cappedReceipt)).to.equal(0n);
+
+    // One maker at 1.25 fills and nothing else crosses: the rest of the order rests
+    const uncrossed = { side: "buy", pricePerLot: price(1.3), lots: 6n, maxFills: 1 };
+    const restSim = simulateOrder(await snapshot(reader, exchange), uncrossed, params);
+    const restReceipt = await (await place(uncrossed)).wait();
+    expect(restSim.fills).to.deep.equal(tradesFrom(exchange, restReceipt));
+    expect(restSim.restingLots).to.equal(2n);
+    expect(restSim.restingLots).to.equal(restedLots(exchange, restReceipt));
+  });
+
+  it("computes insertion hints that place orders behind their price level", async function () {
+    const { exchange, reader, buyer, seller, price } = await loadFixture(deployBookFixture);
+    const book = await snapshot(reader, exchange);
+
+    // Bids are #5 0.9, #7 0.9, #6 0.8, #8 0.7; asks #1 1.1, #3 1.1, #2 1.25, #4 1.5
+    expect(insertionHint(book, "buy", price(0.9))).to.equal(7n);
+    expect(insertionHint(book, "buy", price(0.75))).to.equal(6n);
+    expect(insertionHint(book, "buy", price(0.95))).to.equal(0n);
+    expect(insertionHint(book, "sell", price(1.1))).to.equal(3n);
+    expect(insertionHint(book, "sell", price(2))).to.equal(4n);
+    expect(insertionHint(book, "sell", price(1.05))).to.equal(0n);
+
+    const hint = insertionHint(book, "buy", price(0.75));
+    await exchange.connect(buyer).placeLimitOrder(0, price(0.75), 1, 0, 0, 0, 0, hint);
+    const sellHint = insertionHint(book, "sell", price(1.1));
+    await exchange.connect(seller).placeLimitOrder(1, price(1.1), 1, 0, 0, 0, 0, sellHint);
+
+    const after = await snapshot(reader, exchange);
+    expect(after.buys.map((o) => o.id)).to.deep.equal([5n, 7n, 6n, 9n, 8n]);
+    expect(after.sells.map((o) => o.id)).to.deep.equal([1n, 3n, 10n, 2n, 4n]);
+  });
+
+  it("flags an immediate buy whose msg.value cannot cover the fills", async function () {
+    const { exchange, reader, buyer, LOT_SIZE, TAKER_FEE_BPS, ONE_ETHER, price } = await loadFixture(deployBookFixture);
+
+    const order = { side: "buy", immediate: true, pricePerLot: price(1.1), lots: 5n, msgValue: ONE_ETHER };
+    const sim = simulateOrder(await snapshot(reader, exchange), order, { lotSize: LOT_SIZE, takerFeeBps: TAKER_FEE_BPS });
+
+    expect(sim.error).to.equal("ETC sent does not cover the fills");
+    await expect(
+      exchange.connect(buyer).placeLimitBuyImmediate(order.pricePerLot, order.lots, { value: order.msgValue })
+    ).to.be.reverted;
+  });
+});
@@ -0,0 +1,23 @@
+const { ethers } = require("hardhat");
+const { saturnExchangeArgs } = require("../../scripts/lib/deployments");
+
+// The deployment every suite starts from: a fresh SATURN token, a
+// SaturnExchange for it with the deploy script's constructor arguments, and a
+// SaturnExchangeReader. Suites fund their own accounts on top of it.
+async function deployExchange() {
+  const Saturn = await ethers.getContractFactory("Saturn");
+  const saturn = await Saturn.deploy();
+  await saturn.waitForDeployment();
+
+  const SaturnExchange = await ethers.getContractFactory("SaturnExchange");
+  const exchange = await SaturnExchange.deploy(...saturnExchangeArgs(await saturn.getAddress()));
+  await exchange.waitForDeployment();
+
+  const Reader = await ethers.getContractFactory("SaturnExchangeReader");
+  const reader = await Reader.deploy();
+  await reader.waitForDeployment();
+
+  return { saturn, exchange, reader, LOT_SIZE: await exchange.LOT_SIZE() };
+}
+
+module.exports = { deployExchange };
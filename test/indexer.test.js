@@ -0,0 +1,259 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { ExchangeIndexer } = require("../scripts/lib/indexer");
+const { encodeOrderPayload } = require("../ui/lib/orderPayload");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("ExchangeIndexer", function () {
+  async function deployExchangeFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const { saturn, exchange, reader } = await deployExchange();
+
+    const LOT_SIZE = 1000n * 10n ** 4n;
+    const ONE_ETHER = ethers.parseEther("1");
+    const exchangeAddr = await exchange.getAddress();
+    const readerAddr = await reader.getAddress();
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    // Give alice SATURN to sell
+    await saturn["transfer(address,uint256,bytes)"](alice.address, LOT_SIZE * 10n, "0x");
+
+    return { exchange, saturn, owner, alice, bob, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock };
+  }
+
+  function newIndexer(exchangeAddr, readerAddr, fromBlock, opts = {}) {
+    return new ExchangeIndexer({ provider: ethers.provider, address: exchangeAddr, reader: readerAddr, fromBlock, ...opts });
+  }
+
+  it("rebuilds book, balances and fills from logs and matches getOrderBook", async function () {
+    const { exchange, saturn, owner, alice, bob, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } =
+      await loadFixture(deployExchangeFixture);
+
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 5n, "0x");
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER * 10n });
+
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER * 2n, 2);
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 2);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER / 2n, 3);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER / 2n, 1);
+    // Crosses alice's 1 ETC sell fully and 1 lot of the 2 ETC sell
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER * 2n, 3);
+    await exchange.connect(bob).cancelOrder(4);
+    // Immediate buy settles externally; owner's internal balance stays untouched
+    await exchange.placeLimitBuyImmediate(ONE_ETHER * 2n, 1, { value: ONE_ETHER * 3n });
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    const res = await indexer.sync();
+    expect(res.applied).to.be.greaterThan(0);
+
+    const book = indexer.getBook();
+    expect(book.sells.length).to.equal(0);
+    expect(book.buys.map((o) => o.id)).to.deep.equal(["3"]);
+    expect(book.buys[0].lots).to.equal(3n);
+
+    for (const signer of [owner, alice, bob]) {
+      const acct = await exchange.accounts(signer.address);
+      const bal = indexer.getBalances(signer.address);
+      expect(bal.saturn).to.equal(acct.tokenBalance);
+      expect(bal.etc).to.equal(acct.etherBalance);
+    }
+
+    const bobFills = indexer.getFills(bob.address);
+    expect(bobFills.map((f) => [f.role, f.side, f.lots])).to.deep.equal([
+      ["taker", "buy", 2n],
+      ["taker", "buy", 1n]
+    ]);
+    expect(indexer.getFills(alice.address).every((f) => f.role === "maker" && f.side === "sell")).to.equal(true);
+    expect(indexer.getFills(owner.address).length).to.equal(1);
+
+    const check = await indexer.verify();
+    expect(check.mismatches).to.deep.equal([]);
+    expect(check.ok).to.equal(true);
+  });
+
+  it("recognizes immediate buys sent through a contract", async function () {
+    const { exchange, saturn, alice, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } =
+      await loadFixture(deployExchangeFixture);
+    const Router = await ethers.getContractFactory("TestBuyRouter");
+    const router = await Router.deploy();
+    await router.waitForDeployment();
+    const routerAddr = await router.getAddress();
+
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 2n, "0x");
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 2);
+    await expect(router.buyImmediate(exchangeAddr, ONE_ETHER, 1, { value: ONE_ETHER * 2n }))
+      .to.emit(exchange, "BuyImmediateSettled").withArgs(routerAddr, ONE_ETHER * 2n, ONE_ETHER, anyValue);
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    await indexer.sync();
+    expect(indexer.getBalances(routerAddr)).to.deep.equal({ saturn: 0n, etc: 0n });
+    expect(indexer.getFills(routerAddr).map((f) => [f.role, f.side, f.lots])).to.deep.equal([["taker", "buy", 1n]]);
+    expect((await indexer.verify()).mismatches).to.deep.equal([]);
+  });
+
+  it("applies only new logs on subsequent syncs", async function () {
+    const { exchange, bob, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } = await loadFixture(deployExchangeFixture);
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER });
+    await indexer.sync();
+
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1);
+    const res = await indexer.sync();
+    expect(res.applied).to.equal(1);
+    expect(indexer.getBook().buys.length).to.equal(1);
+    expect((await indexer.verify()).ok).to.equal(true);
+  });
+
+  it("rolls back to a checkpoint when indexed blocks are reorged out", async function () {
+    const { exchange, bob, alice, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } = await loadFixture(deployExchangeFixture);
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock, { batchSize: 1, checkpointInterval: 1 });
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER * 2n });
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    const forkBlock = await ethers.provider.getBlockNumber();
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 2);
+    await indexer.sync();
+    expect(indexer.getBook().buys.length).to.equal(1);
+
+    // Replace the block holding bob's order with a different history
+    await network.provider.send("evm_revert", [snapshot]);
+    await exchange.connect(alice).depositEtc({ value: ONE_ETHER });
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER / 2n, 1);
+
+    const res = await indexer.sync();
+    expect(res.rolledBackTo).to.equal(forkBlock);
+    expect(indexer.getBook().buys.map((o) => o.pricePerLot)).to.deep.equal([ONE_ETHER / 2n]);
+    expect(indexer.getBalances(alice.address).etc).to.equal(ONE_ETHER);
+
+    const check = await indexer.verify();
+    expect(check.mismatches).to.deep.equal([]);
+  });
+
+  it("keeps fills out of checkpoints and drops reorged ones on rollback", async function () {
+    const { exchange, saturn, alice, bob, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } =
+      await loadFixture(deployExchangeFixture);
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock, { batchSize: 1, checkpointInterval: 1 });
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 2n, "0x");
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 2);
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER * 2n });
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1);
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1);
+    await indexer.sync();
+    expect(indexer.getFills(bob.address)).to.have.length(2);
+    expect(indexer.checkpoints.every((cp) => !("fills" in cp.state))).to.equal(true);
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await exchange.connect(alice).depositEtc({ value: ONE_ETHER });
+    await exchange.connect(alice).depositEtc({ value: ONE_ETHER });
+
+    await indexer.sync();
+    expect(indexer.getFills(bob.address).map((f) => f.lots)).to.deep.equal([1n]);
+    expect(indexer.getFills(alice.address).map((f) => f.role)).to.deep.equal(["maker"]);
+    expect((await indexer.verify()).mismatches).to.deep.equal([]);
+  });
+
+  it("leaves internal balances untouched by immediate sells", async function () {
+    const { exchange, saturn, alice, bob, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } =
+      await loadFixture(deployExchangeFixture);
+
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER * 2n });
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 2);
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE, "0x");
+
+    const data = encodeOrderPayload({ action: "immediateSell", pricePerLot: ONE_ETHER, lots: 3 });
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 3n, data);
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    await indexer.sync();
+    expect(indexer.getBalances(alice.address)).to.deep.equal({ saturn: LOT_SIZE, etc: 0n });
+    expect(indexer.getFills(alice.address).map((f) => f.lots)).to.deep.equal([2n]);
+    expect((await indexer.verify()).mismatches).to.deep.equal([]);
+  });
+
+  it("follows order modifications and their priority changes", async function () {
+    const { exchange, saturn, alice, bob, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } =
+      await loadFixture(deployExchangeFixture);
+
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER * 20n });
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 3);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 2);
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER / 2n, 2);
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 4n, "0x");
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER * 3n, 4);
+
+    await exchange.connect(bob).modifyOrder(1, ONE_ETHER, 4, 0); // back of the 1 ETC level
+    await exchange.connect(bob).modifyOrder(2, ONE_ETHER, 1, 0); // keeps priority
+    await exchange.connect(bob).modifyOrder(3, ONE_ETHER * 3n, 1, 0); // crosses alice, fully filled
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    await indexer.sync();
+    expect(indexer.getBook().buys.map((o) => [o.id, o.lots])).to.deep.equal([["2", 1n], ["1", 4n]]);
+    expect(indexer.getBook().sells.map((o) => o.lots)).to.deep.equal([3n]);
+    expect((await indexer.verify()).mismatches).to.deep.equal([]);
+  });
+
+  it("drops orders removed on expiry", async function () {
+    const { exchange, saturn, alice, bob, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } =
+      await loadFixture(deployExchangeFixture);
+
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 2n, "0x");
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER * 4n });
+    const expiresAt = (await time.latest()) + 60;
+    await exchange.connect(alice).placeLimitOrder(1, ONE_ETHER, 1, 0, expiresAt, 0, 0, 0);
+    await exchange.connect(alice).placeLimitOrder(1, ONE_ETHER * 2n, 1, 0, expiresAt, 0, 0, 0);
+    await time.increaseTo(expiresAt);
+
+    // The buy skips (and removes) the expired best ask, then the other is cleaned up
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1);
+    await exchange.connect(bob).cancelExpiredOrders([2]);
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    await indexer.sync();
+    expect(indexer.getBook().sells).to.deep.equal([]);
+    expect(indexer.getBook().buys.map((o) => o.id)).to.deep.equal(["3"]);
+    expect((await indexer.verify()).mismatches).to.deep.equal([]);
+  });
+
+  it("applies self-trade prevention to resting orders", async function () {
+    const { exchange, saturn, alice, LOT_SIZE, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } =
+      await loadFixture(deployExchangeFixture);
+
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 6n, "0x");
+    await exchange.connect(alice).depositEtc({ value: ONE_ETHER * 10n });
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 3);        // #1
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER * 2n, 1);   // #2
+    await exchange.connect(alice).placeLimitOrder(0, ONE_ETHER, 1, 0, 0, 2, 0, 0);       // decrement #1 to 2 lots
+    await exchange.connect(alice).placeLimitOrder(0, ONE_ETHER * 2n, 3, 0, 0, 1, 0, 0);  // cancel #1 and #2, rest bid #3
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    await indexer.sync();
+    expect(indexer.getBook().sells).to.deep.equal([]);
+    expect(indexer.getBook().buys.map((o) => [o.id, o.lots])).to.deep.equal([["3", 3n]]);
+    expect((await indexer.verify()).mismatches).to.deep.equal([]);
+  });
+
+  it("reports mismatches when the local book diverges", async function () {
+    const { exchange, bob, ONE_ETHER, exchangeAddr, readerAddr, fromBlock } = await loadFixture(deployExchangeFixture);
+
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER });
+    await exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1);
+
+    const indexer = newIndexer(exchangeAddr, readerAddr, fromBlock);
+    await indexer.sync();
+    indexer.state.orders["1"].lots = 5n;
+
+    const check = await indexer.verify();
+    expect(check.ok).to.equal(false);
+    expect(check.mismatches[0]).to.match(/^buys\[0\]/);
+  });
+});
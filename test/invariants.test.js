@@ -0,0 +1,431 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { encodeOrderPayload } = require("../ui/lib/orderPayload");
+const { deployExchange } = require("./helpers/exchange");
+
+// Stateful property tests: random sequences of deposits, placements, crosses,
+// amendments, cancels, withdrawals, expiries and admin switches across several
+// accounts, with every invariant checked after every step. A failing sequence
+// is shrunk (delta debugging over its steps) to a minimal one that still breaks
+// the same invariant and reported as JSON that can be replayed:
+//   INVARIANT_REPLAY='[{"op":"deposit-etc",...}]' npx hardhat test test/invariants.test.js
+// Env: INVARIANT_SEED (first seed, default 1), INVARIANT_RUNS (sequences,
+// default 4), INVARIANT_STEPS (steps per sequence, default 60)
+describe("SaturnExchange invariants", function () {
+  const USERS = 5;
+  const PRICE_BASE = ethers.parseEther("0.95");
+  const PRICE_TICK = ethers.parseEther("0.01");
+  const PRICE_TICKS = 11; // 0.95 .. 1.05, narrow enough that orders cross often
+
+  async function deployFixture() {
+    const [owner, ...rest] = await ethers.getSigners();
+    const users = rest.slice(0, USERS);
+
+    const { saturn, exchange, reader, LOT_SIZE } = await deployExchange();
+
+    // Everyone starts with something on the exchange so early steps can trade
+    const exchangeAddr = await exchange.getAddress();
+    for (const user of users) {
+      await saturn["transfer(address,uint256,bytes)"](user.address, LOT_SIZE * 200n, "0x");
+      await saturn.connect(user)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 10n, "0x");
+      await exchange.connect(user).depositEtc({ value: ethers.parseEther("10") });
+    }
+
+    return { exchange, reader, saturn, owner, users, exchangeAddr, LOT_SIZE };
+  }
+
+  // ------------------------------------------------------------
+  // Step generation
+  // ------------------------------------------------------------
+
+  // Small seeded PRNG so a seed always generates the same sequence
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Steps are plain JSON. Anything that depends on the chain (which order to
+  // cancel, how much is available to withdraw) is picked when the step runs,
+  // so a step still means something once the shrinker drops earlier steps.
+  const GENERATORS = [
+    [6, (r) => ({ op: "deposit-etc", user: r.user(), cents: r.int(50, 500) })],
+    [6, (r) => ({ op: "deposit-saturn", user: r.user(), lots: r.int(1, 6) })],
+    [20, (r) => ({
+      op: "place",
+      user: r.user(),
+      side: r.int(0, 1),
+      tick: r.int(0, PRICE_TICKS - 1),
+      lots: r.int(1, 4),
+      tif: r.pick([0, 0, 0, 1, 2, 3]),
+      stp: r.int(0, 2),
+      maxFills: r.pick([0, 0, 1, 2]),
+      expiresIn: r.pick([0, 0, 0, r.int(20, 300)])
+    })],
+    [4, (r) => ({ op: "fallback-sell", user: r.user(), tick: r.int(0, PRICE_TICKS - 1), lots: r.int(1, 3) })],
+    [3, (r) => ({ op: "sell-immediate", user: r.user(), tick: r.int(0, PRICE_TICKS - 1), lots: r.int(1, 3) })],
+    [3, (r) => ({ op: "buy-immediate", user: r.user(), tick: r.int(0, PRICE_TICKS - 1), lots: r.int(1, 3) })],
+    [5, (r) => ({ op: "modify", user: r.user(), pick: r.int(0, 9), tick: r.int(0, PRICE_TICKS - 1), lots: r.int(1, 4) })],
+    [5, (r) => ({ op: "cancel", user: r.user(), pick: r.int(0, 9) })],
+    [1, (r) => ({ op: "cancel-all", user: r.user() })],
+    [2, () => ({ op: "cancel-expired" })],
+    [3, (r) => ({ op: "withdraw-etc", user: r.user(), pct: r.int(1, 100) })],
+    [3, (r) => ({ op: "withdraw-saturn", user: r.user(), pct: r.int(1, 100) })],
+    [1, (r) => ({ op: "withdraw-all", user: r.user() })],
+    [3, (r) => ({ op: "advance-time", seconds: r.int(10, 400) })],
+    [1, () => ({ op: "withdraw-fees" })],
+    // Switched off more often than on, so emergency stretches stay short
+    [1, () => ({ op: "emergency", enabled: true })],
+    [3, () => ({ op: "emergency", enabled: false })],
+    [1, (r) => ({ op: "breaker", bps: r.pick([0, 0, 200, 500]), blocks: r.int(1, 3) })]
+  ];
+  const TOTAL_WEIGHT = GENERATORS.reduce((sum, [w]) => sum + w, 0);
+
+  function generate(seed, length) {
+    const random = mulberry32(seed);
+    const r = {
+      int: (lo, hi) => lo + Math.floor(random() * (hi - lo + 1)),
+      pick: (items) => items[Math.floor(random() * items.length)],
+      user: () => Math.floor(random() * USERS)
+    };
+    const steps = [];
+    while (steps.length < length) {
+      let roll = random() * TOTAL_WEIGHT;
+      const [, make] = GENERATORS.find(([w]) => (roll -= w) < 0);
+      steps.push(make(r));
+    }
+    return steps;
+  }
+
+  // ------------------------------------------------------------
+  // Step execution
+  // ------------------------------------------------------------
+
+  const priceOf = (tick) => PRICE_BASE + PRICE_TICK * BigInt(tick);
+
+  async function openOrders(ctx, user) {
+    return [...(await ctx.exchange.getUserOrders(user.address))];
+  }
+
+  async function available(ctx, user) {
+    const [saturn, etc] = await ctx.exchange.getUserBalances(user.address);
+    const [lockedSaturn, lockedEtc] = await ctx.exchange.getUserLocked(user.address);
+    return { saturn: saturn - lockedSaturn, etc: etc - lockedEtc };
+  }
+
+  // Send the step's transaction; null when the step does not apply right now
+  async function send(ctx, step) {
+    const { exchange, reader, saturn, owner, exchangeAddr, LOT_SIZE } = ctx;
+    const user = ctx.users[step.user];
+    const asUser = user && exchange.connect(user);
+
+    switch (step.op) {
+      case "deposit-etc":
+        return asUser.depositEtc({ value: ethers.parseEther("0.01") * BigInt(step.cents) });
+      case "deposit-saturn":
+        return saturn.connect(user)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * BigInt(step.lots), "0x");
+      case "place": {
+        const expiresAt = step.expiresIn ? (await time.latest()) + step.expiresIn : 0;
+        return asUser.placeLimitOrder(
+          step.side, priceOf(step.tick), step.lots, step.tif, expiresAt, step.stp, step.maxFills, 0
+        );
+      }
+      case "fallback-sell":
+      case "sell-immediate": {
+        const action = step.op === "fallback-sell" ? "limitSell" : "immediateSell";
+        const payload = encodeOrderPayload({ action, pricePerLot: priceOf(step.tick), lots: step.lots });
+        return saturn.connect(user)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * BigInt(step.lots), payload);
+      }
+      case "buy-immediate":
+        return asUser.placeLimitBuyImmediate(priceOf(step.tick), step.lots, { value: priceOf(step.tick) * BigInt(step.lots) });
+      case "modify":
+      case "cancel": {
+        const ids = await openOrders(ctx, user);
+        if (!ids.length) return null;
+        const id = ids[step.pick % ids.length];
+        return step.op === "cancel" ? asUser.cancelOrder(id) : asUser.modifyOrder(id, priceOf(step.tick), step.lots, 0);
+      }
+      case "cancel-all":
+        return asUser.cancelAllMyOrders();
+      case "cancel-expired": {
+        const ids = [...(await reader.getExpiredOrders(exchangeAddr, 10))];
+        return ids.length ? exchange.cancelExpiredOrders(ids) : null;
+      }
+      case "withdraw-etc":
+      case "withdraw-saturn": {
+        const free = (await available(ctx, user))[step.op === "withdraw-etc" ? "etc" : "saturn"];
+        const amount = (free * BigInt(step.pct)) / 100n;
+        if (amount === 0n) return null;
+        return step.op === "withdraw-etc" ? asUser.withdrawEtc(amount) : asUser.withdrawSaturn(amount);
+      }
+      case "withdraw-all":
+        return asUser.withdrawAll();
+      case "withdraw-fees":
+        return exchange.connect(owner).withdrawFees(owner.address);
+      case "emergency":
+        return exchange.connect(owner).setEmergencyMode(step.enabled);
+      case "breaker":
+        return exchange.connect(owner).setCircuitBreaker(step.bps, step.bps ? step.blocks : 0);
+      default:
+        throw new Error(`Unknown step ${JSON.stringify(step)}`);
+    }
+  }
+
+  // Run one step. Reverts are expected (random steps are often invalid) and
+  // leave the state untouched; anything else is a harness bug.
+  async function run(ctx, step) {
+    if (step.op === "advance-time") {
+      await time.increase(step.seconds);
+      return "applied";
+    }
+    let receipt;
+    try {
+      const tx = await send(ctx, step);
+      if (!tx) return "skipped";
+      receipt = await tx.wait();
+    } catch (err) {
+      if (/revert/i.test(err.message)) return "reverted";
+      throw err;
+    }
+    // Model of time priority: a new or re-queued order goes to the back of its level
+    for (const log of receipt.logs) {
+      if (log.address !== ctx.exchangeAddr) continue;
+      const parsed = ctx.exchange.interface.parseLog(log);
+      if (parsed?.name === "OrderPlaced" || (parsed?.name === "OrderModified" && !parsed.args.priorityKept)) {
+        ctx.queued.set(parsed.args.orderId, ctx.queueSeq++);
+      }
+    }
+    return "applied";
+  }
+
+  // ------------------------------------------------------------
+  // Invariants
+  // ------------------------------------------------------------
+
+  // Walk one side of the book, checking the links as it goes
+  async function walkSide(ctx, side, head, tail) {
+    const { exchange } = ctx;
+    const out = [];
+    const seen = new Set();
+    let prev = 0n;
+    for (let id = head; id !== 0n;) {
+      if (seen.has(id)) return { error: `cycle at order ${id}` };
+      seen.add(id);
+      const o = await exchange.orders(id);
+      if (o.prev !== prev) return { error: `order ${id} prev is ${o.prev}, expected ${prev}` };
+      if (o.user === ethers.ZeroAddress) return { error: `order ${id} is linked but deleted` };
+      if (Number(o.side) !== side) return { error: `order ${id} has side ${o.side} on side ${side}` };
+      if (o.lots === 0n) return { error: `order ${id} rests with zero lots` };
+      out.push({ id, user: o.user, pricePerLot: o.pricePerLot, lots: o.lots, expiresAt: o.expiresAt, side });
+      prev = id;
+      id = o.next;
+    }
+    if (prev !== tail) return { error: `tail is ${tail}, list ends at ${prev}` };
+    return { orders: out };
+  }
+
+  async function checkInvariants(ctx) {
+    const { exchange, reader, saturn, exchangeAddr, LOT_SIZE } = ctx;
+    const fail = (invariant, message) => ({ invariant, message });
+    const accounts = [ctx.owner, ...ctx.users];
+
+    // Conservation: internal balances plus fees are exactly what the contract holds
+    let etc = await exchange.accumulatedFeesEtc();
+    let sat = await exchange.accumulatedFeesSaturn();
+    const balances = new Map();
+    for (const a of accounts) {
+      const acct = await exchange.accounts(a.address);
+      balances.set(a.address, acct);
+      etc += acct.etherBalance;
+      sat += acct.tokenBalance;
+    }
+    const heldEtc = await ethers.provider.getBalance(exchangeAddr);
+    if (etc !== heldEtc) return fail("etc-conservation", `balances + fees = ${etc}, contract holds ${heldEtc}`);
+    const heldSat = await saturn.balanceOf(exchangeAddr);
+    if (sat !== heldSat) return fail("saturn-conservation", `balances + fees = ${sat}, contract holds ${heldSat}`);
+
+    // Side lists: links, heads and tails
+    const buys = await walkSide(ctx, 0, await exchange.buyHead(), await exchange.buyTail());
+    if (buys.error) return fail("buy-list", buys.error);
+    const sells = await walkSide(ctx, 1, await exchange.sellHead(), await exchange.sellTail());
+    if (sells.error) return fail("sell-list", sells.error);
+    const resting = new Map([...buys.orders, ...sells.orders].map((o) => [o.id, o]));
+
+    // User lists hold exactly the resting orders, and locks match them
+    let listed = 0;
+    for (const a of accounts) {
+      let prev = 0n;
+      let lockedSaturn = 0n;
+      let lockedEtc = 0n;
+      for (let id = await exchange.userFirstOrder(a.address); id !== 0n;) {
+        const o = await exchange.orders(id);
+        const r = resting.get(id);
+        if (!r || r.user !== a.address) return fail("user-list", `order ${id} of ${a.address} is not resting for it`);
+        if (o.userPrev !== prev) return fail("user-list", `order ${id} userPrev is ${o.userPrev}, expected ${prev}`);
+        if (++listed > resting.size) return fail("user-list", `user lists longer than the book`);
+        if (r.side === 0) lockedEtc += r.pricePerLot * r.lots;
+        else lockedSaturn += r.lots * LOT_SIZE;
+        prev = id;
+        id = o.userNext;
+      }
+      if ((await exchange.userLastOrder(a.address)) !== prev) return fail("user-list", `${a.address} last order is not ${prev}`);
+
+      const acct = balances.get(a.address);
+      const [saturnLocked, etcLocked] = await exchange.getUserLocked(a.address);
+      if (saturnLocked !== lockedSaturn || etcLocked !== lockedEtc) {
+        return fail("locked", `${a.address} locks ${saturnLocked}/${etcLocked}, its orders need ${lockedSaturn}/${lockedEtc}`);
+      }
+      if (saturnLocked > acct.tokenBalance || etcLocked > acct.etherBalance) {
+        return fail("locked", `${a.address} locks more than its balance`);
+      }
+    }
+    if (listed !== resting.size) return fail("user-list", `${resting.size - listed} resting orders belong to no user`);
+
+    // The reader's getOrderBook reports the lists, best price first and oldest first within a price
+    const book = await reader.getOrderBook(exchangeAddr);
+    const view = (ids, prices, lots) => ids.map((id, i) => `${id}:${prices[i]}:${lots[i]}`).join(",");
+    const walked = (orders) => orders.map((o) => `${o.id}:${o.pricePerLot}:${o.lots}`).join(",");
+    if (view(book[0], book[1], book[2]) !== walked(buys.orders) || view(book[3], book[4], book[5]) !== walked(sells.orders)) {
+      return fail("book-view", "getOrderBook differs from the linked lists");
+    }
+    for (const [side, orders] of [[0, buys.orders], [1, sells.orders]]) {
+      for (let i = 1; i < orders.length; i++) {
+        const [a, b] = [orders[i - 1], orders[i]];
+        const better = side === 0 ? a.pricePerLot > b.pricePerLot : a.pricePerLot < b.pricePerLot;
+        if (!better && a.pricePerLot !== b.pricePerLot) return fail("price-time", `${a.id} before worse-priced ${b.id}`);
+        if (a.pricePerLot === b.pricePerLot && !(ctx.queued.get(a.id) < ctx.queued.get(b.id))) {
+          return fail("price-time", `${a.id} queued after ${b.id} at the same price`);
+        }
+      }
+    }
+
+    // Orders that can still match never cross
+    const now = BigInt(await time.latest());
+    const live = (o) => o.expiresAt === 0n || o.expiresAt > now;
+    const bestBid = buys.orders.find(live);
+    const bestAsk = sells.orders.find(live);
+    if (bestBid && bestAsk && bestBid.pricePerLot >= bestAsk.pricePerLot) {
+      return fail("crossed-book", `bid ${bestBid.id} at ${bestBid.pricePerLot} >= ask ${bestAsk.id} at ${bestAsk.pricePerLot}`);
+    }
+    return null;
+  }
+
+  // ------------------------------------------------------------
+  // Running and shrinking
+  // ------------------------------------------------------------
+
+  // Replay `steps` on a fresh deployment; the first broken invariant (with the
+  // step it broke at) or null, plus how each step went
+  async function replay(steps, extraCheck) {
+    const ctx = { ...(await loadFixture(deployFixture)), queued: new Map(), queueSeq: 0 };
+    const outcomes = { applied: 0, reverted: 0, skipped: 0 };
+    for (let i = 0; i < steps.length; i++) {
+      outcomes[await run(ctx, steps[i])]++;
+      const broken = (await checkInvariants(ctx)) || (extraCheck && (await extraCheck(ctx)));
+      if (broken) return { ...broken, step: i, outcomes };
+    }
+    return { invariant: null, outcomes };
+  }
+
+  // Delta debugging: drop ever smaller chunks of steps while `fails` still
+  // holds, until no single step can be removed
+  async function shrink(steps, fails) {
+    let current = steps;
+    for (let size = Math.max(1, Math.floor(current.length / 2)); ; size = Math.max(1, Math.floor(size / 2))) {
+      let removed = false;
+      for (let i = 0; i < current.length;) {
+        const candidate = [...current.slice(0, i), ...current.slice(i + size)];
+        if (candidate.length && (await fails(candidate))) {
+          current = candidate;
+          removed = true;
+        } else {
+          i += size;
+        }
+      }
+      if (size === 1 && !removed) return current;
+    }
+  }
+
+  async function findCounterexample(steps, extraCheck) {
+    const result = await replay(steps, extraCheck);
+    if (!result.invariant) return { result, minimal: null };
+    const failing = steps.slice(0, result.step + 1);
+    const minimal = await shrink(failing, async (candidate) =>
+      (await replay(candidate, extraCheck)).invariant === result.invariant
+    );
+    const final = await replay(minimal, extraCheck);
+    return { result: final, minimal, originalLength: failing.length };
+  }
+
+  function report(seed, { result, minimal, originalLength }) {
+    return `Invariant "${result.invariant}" broken: ${result.message}\n` +
+      `Seed ${seed}, shrunk from ${originalLength} to ${minimal.length} steps:\n` +
+      minimal.map((s, i) => `  ${i + 1}. ${JSON.stringify(s)}`).join("\n") + "\n" +
+      `Replay: INVARIANT_REPLAY='${JSON.stringify(minimal)}' npx hardhat test test/invariants.test.js`;
+  }
+
+  // ------------------------------------------------------------
+  // Tests
+  // ------------------------------------------------------------
+
+  if (process.env.INVARIANT_REPLAY) {
+    it("replays INVARIANT_REPLAY", async function () {
+      const steps = JSON.parse(process.env.INVARIANT_REPLAY);
+      const result = await replay(steps);
+      expect(result.invariant, result.invariant && `${result.message} (step ${result.step + 1})`).to.equal(null);
+    });
+    return;
+  }
+
+  it("holds every invariant over random sequences", async function () {
+    const firstSeed = Number(process.env.INVARIANT_SEED || 1);
+    const runs = Number(process.env.INVARIANT_RUNS || 4);
+    const length = Number(process.env.INVARIANT_STEPS || 60);
+    this.timeout(Math.max(120_000, runs * length * 2_000));
+
+    const totals = { applied: 0, reverted: 0, skipped: 0 };
+    for (let seed = firstSeed; seed < firstSeed + runs; seed++) {
+      const found = await findCounterexample(generate(seed, length));
+      if (found.minimal) expect.fail(report(seed, found));
+      for (const key of Object.keys(totals)) totals[key] += found.result.outcomes[key];
+    }
+    // Guard against a generator that only produces rejected steps
+    expect(totals.applied).to.be.greaterThan(totals.reverted);
+  });
+
+  it("shrinks a failure to a minimal replayable sequence", async function () {
+    // A deliberately false property: nobody ever has two resting sells
+    const atMostOneSell = async (ctx) => {
+      for (const user of ctx.users) {
+        let sells = 0;
+        for (const id of await openOrders(ctx, user)) {
+          if (Number((await ctx.exchange.getOrder(id)).side) === 1) sells++;
+        }
+        if (sells > 1) return { invariant: "one-sell", message: `${user.address} has ${sells} resting sells` };
+      }
+      return null;
+    };
+
+    let found;
+    let seed = 1;
+    for (; !found?.minimal; seed++) found = await findCounterexample(generate(seed, 40), atMostOneSell);
+
+    expect(found.result.invariant).to.equal("one-sell");
+    expect(found.minimal.length).to.be.lessThan(found.originalLength);
+    expect(found.minimal.length).to.be.at.most(4);
+    // Minimal: no step can be dropped without losing the failure
+    for (let i = 0; i < found.minimal.length; i++) {
+      const without = found.minimal.filter((_, j) => j !== i);
+      expect((await replay(without, atMostOneSell)).invariant).to.equal(null);
+    }
+    // The report replays through JSON
+    const steps = JSON.parse(/INVARIANT_REPLAY='(.*)'/.exec(report(seed - 1, found))[1]);
+    expect((await replay(steps, atMostOneSell)).invariant).to.equal("one-sell");
+  });
+});
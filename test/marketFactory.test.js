@@ -0,0 +1,212 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createMarket } = require("../scripts/lib/deployments");
+const { deployExchange } = require("./helpers/exchange");
+const { readMarkets, describeMarket, parseMarketSpecs } = require("../ui/lib/markets");
+const { encodeOrderPayload } = require("../ui/lib/orderPayload");
+
+describe("SaturnMarketFactory", function () {
+  const ONE_ETHER = ethers.parseEther("1");
+  const SIDE_SELL = 1;
+
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const { saturn, exchange: saturnExchange } = await deployExchange();
+    const SaturnExchange = await ethers.getContractFactory("SaturnExchange");
+    const saturnBlock = (await saturnExchange.deploymentTransaction().wait()).blockNumber;
+
+    const TestERC20 = await ethers.getContractFactory("TestERC20");
+    const foo = await TestERC20.deploy("Foo", "FOO", 18, ethers.parseEther("1000000"));
+    await foo.waitForDeployment();
+    for (const signer of [alice, bob]) await foo.transfer(signer.address, ethers.parseEther("10000"));
+
+    const Factory = await ethers.getContractFactory("SaturnMarketFactory");
+    const factory = await Factory.deploy();
+    await factory.waitForDeployment();
+
+    return { saturn, saturnExchange, saturnBlock, foo, factory, marketCode: SaturnExchange.bytecode, owner, alice, bob };
+  }
+
+  async function fooMarketFixture() {
+    const ctx = await deployFixture();
+    const lotSize = ethers.parseEther("500");
+    const { contract: exchange } = await createMarket(ethers, ctx.factory, { token: await ctx.foo.getAddress(), lot: "500", erc223: false });
+    return { ...ctx, exchange, lotSize };
+  }
+
+  it("deploys markets with their own token, decimals and lot size", async function () {
+    const { factory, foo, marketCode, owner } = await loadFixture(deployFixture);
+    expect(await factory.MARKET_CODE_HASH()).to.equal(ethers.keccak256(marketCode));
+
+    const fooAddr = await foo.getAddress();
+    const lotSize = ethers.parseEther("500");
+    const tx = factory.createMarket(marketCode, fooAddr, 18, lotSize, false);
+    await expect(tx).to.emit(factory, "MarketCreated");
+    const receipt = await (await tx).wait();
+    const created = receipt.logs.map((log) => factory.interface.parseLog(log)).find((e) => e && e.name === "MarketCreated");
+    const market = await ethers.getContractAt("SaturnExchange", created.args.exchange);
+    expect([...created.args]).to.deep.equal([0n, created.args.exchange, fooAddr, 18n, lotSize, false]);
+
+    expect(await market.SATURN_TOKEN()).to.equal(fooAddr);
+    expect(await market.SATURN_DECIMALS()).to.equal(18n);
+    expect(await market.LOT_SIZE()).to.equal(lotSize);
+    // The factory deployed it; the creator takes it over
+    expect(await market.owner()).to.equal(await factory.getAddress());
+    expect(await market.pendingOwner()).to.equal(owner.address);
+    await market.acceptOwnership();
+    expect(await market.owner()).to.equal(owner.address);
+    const feeSchedule = await ethers.getContractAt("SaturnFeeSchedule", await market.FEE_SCHEDULE());
+    await expect(feeSchedule.setFeeSchedule([{ minLots: 0, makerFeeBps: 0, takerFeeBps: 10, makerRebateBps: 0 }]))
+      .to.emit(feeSchedule, "FeeScheduleSet");
+
+    expect(await factory.marketCount()).to.equal(1n);
+    expect(await factory.marketIndex(created.args.exchange)).to.equal(1n);
+    expect(await readMarkets(factory)).to.deep.equal([{
+      index: 0,
+      exchange: created.args.exchange,
+      token: fooAddr,
+      decimals: 18,
+      lotSize,
+      erc223: false,
+      startBlock: receipt.blockNumber
+    }]);
+  });
+
+  it("lists existing markets and refuses bad ones", async function () {
+    const { factory, saturn, saturnExchange, saturnBlock, foo, marketCode, alice } = await loadFixture(deployFixture);
+    const saturnExchangeAddr = await saturnExchange.getAddress();
+    const fooAddr = await foo.getAddress();
+
+    await expect(factory.connect(alice).createMarket(marketCode, fooAddr, 18, 1, false)).to.be.revertedWith("Not owner");
+    await expect(factory.connect(alice).addMarket(saturnExchangeAddr, true, saturnBlock)).to.be.revertedWith("Not owner");
+    const Reader = await ethers.getContractFactory("SaturnExchangeReader");
+    await expect(factory.createMarket(Reader.bytecode, fooAddr, 18, 1, false)).to.be.revertedWith("Unknown market code");
+    await expect(factory.createMarket(marketCode, ethers.ZeroAddress, 18, 1, false)).to.be.revertedWith("Token zero");
+    await expect(factory.createMarket(marketCode, fooAddr, 18, 0, false)).to.be.revertedWith("Zero lot size");
+
+    await expect(factory.addMarket(saturnExchangeAddr, true, saturnBlock))
+      .to.emit(factory, "MarketAdded").withArgs(0n, saturnExchangeAddr, await saturn.getAddress(), true);
+    await expect(factory.addMarket(saturnExchangeAddr, true, saturnBlock)).to.be.revertedWith("Market listed");
+    const [listed] = await readMarkets(factory);
+    expect(listed).to.include({ exchange: saturnExchangeAddr, decimals: 4, erc223: true, startBlock: saturnBlock });
+    expect(listed.lotSize).to.equal(1000n * 10n ** 4n);
+    expect(describeMarket(listed, "SATURN")).to.equal("SATURN/ETC · 1 lot = 1000 SATURN (ERC223)");
+
+    // Two-step factory ownership
+    await factory.transferOwnership(alice.address);
+    expect(await factory.pendingOwner()).to.equal(alice.address);
+    await expect(factory.connect(alice).createMarket(marketCode, fooAddr, 18, 1, false)).to.be.revertedWith("Not owner");
+    await factory.connect(alice).acceptOwnership();
+    expect(await factory.owner()).to.equal(alice.address);
+    await expect(factory.createMarket(marketCode, fooAddr, 18, 1, false)).to.be.revertedWith("Not owner");
+  });
+
+  it("trades an ERC20 token in its own lots and keeps fee accounting whole", async function () {
+    const { exchange, foo, lotSize, owner, alice, bob } = await loadFixture(fooMarketFixture);
+    const exchangeAddr = await exchange.getAddress();
+
+    await expect(exchange.connect(alice).depositToken(lotSize)).to.be.revertedWith("SATURN transfer failed");
+    await foo.connect(alice).approve(exchangeAddr, lotSize * 3n);
+    await expect(exchange.connect(alice).depositToken(lotSize * 3n))
+      .to.emit(exchange, "DepositSATURN").withArgs(alice.address, lotSize * 3n);
+    await exchange.connect(bob).depositEtc({ value: ONE_ETHER * 10n });
+
+    await exchange.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 3);
+    expect(await exchange.lockedSaturn(alice.address)).to.equal(lotSize * 3n);
+    await expect(exchange.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 2))
+      .to.emit(exchange, "Trade")
+      .withArgs(1n, alice.address, bob.address, SIDE_SELL, ONE_ETHER, 2n, lotSize * 2n, ONE_ETHER * 2n, (lotSize * 2n * 25n) / 10_000n, 0n);
+
+    const feeFoo = await exchange.accumulatedFeesSaturn();
+    expect((await exchange.accounts(bob.address)).tokenBalance).to.equal(lotSize * 2n - feeFoo);
+    await exchange.connect(bob).withdrawSaturn(lotSize * 2n - feeFoo);
+    await exchange.connect(alice).withdrawAll();
+    await exchange.withdrawFees(owner.address);
+
+    expect(await foo.balanceOf(exchangeAddr)).to.equal(0n);
+    expect(await foo.balanceOf(bob.address)).to.equal(ethers.parseEther("10000") + lotSize * 2n - feeFoo);
+    expect(await foo.balanceOf(alice.address)).to.equal(ethers.parseEther("10000") - lotSize * 2n);
+    expect(await ethers.provider.getBalance(exchangeAddr)).to.equal((await exchange.accounts(bob.address)).etherBalance);
+  });
+
+  it("moves tokens that return no data and credits what fee-on-transfer tokens deliver", async function () {
+    const { factory, owner, alice, bob } = await loadFixture(deployFixture);
+    const lot = ethers.parseUnits("100", 6);
+    const NoReturn = await ethers.getContractFactory("TestNoReturnERC20");
+    const usdt = await NoReturn.deploy("Tether", "USDT", 6, lot * 100n);
+    await usdt.waitForDeployment();
+    await usdt.transfer(alice.address, lot * 10n);
+
+    // USDT-style: no return value on transfer or transferFrom
+    const { contract: usdtMarket } = await createMarket(ethers, factory, { token: await usdt.getAddress(), lot: "100", erc223: false });
+    const usdtAddr = await usdtMarket.getAddress();
+    await usdt.connect(alice).approve(usdtAddr, lot * 2n);
+    await expect(usdtMarket.connect(alice).depositToken(lot * 2n)).to.emit(usdtMarket, "DepositSATURN").withArgs(alice.address, lot * 2n);
+    await usdtMarket.connect(bob).depositEtc({ value: ONE_ETHER });
+    await usdtMarket.connect(alice).placeLimitSellFromBalance(ONE_ETHER, 1);
+    await usdtMarket.connect(bob).placeLimitBuyFromBalance(ONE_ETHER, 1);
+    const fee = await usdtMarket.accumulatedFeesSaturn();
+    await usdtMarket.connect(bob).withdrawSaturn(lot - fee);
+    await usdtMarket.connect(alice).withdrawAll();
+    await usdtMarket.withdrawFees(owner.address);
+    expect(await usdt.balanceOf(bob.address)).to.equal(lot - fee);
+    expect(await usdt.balanceOf(alice.address)).to.equal(lot * 9n);
+    expect(await usdt.balanceOf(usdtAddr)).to.equal(0n);
+    await expect(usdtMarket.connect(alice).depositToken(lot)).to.be.revertedWith("SATURN transfer failed");
+
+    // 1% burned on every transfer: only what arrives is credited
+    const FeeToken = await ethers.getContractFactory("TestFeeOnTransferERC20");
+    const burn = await FeeToken.deploy("Burn", "BRN", 18, ethers.parseEther("1000"), 100);
+    await burn.waitForDeployment();
+    await burn.transfer(alice.address, ethers.parseEther("100"));
+    const { contract: burnMarket } = await createMarket(ethers, factory, { token: await burn.getAddress(), lot: "1", erc223: false });
+    const burnAddr = await burnMarket.getAddress();
+    await burn.connect(alice).approve(burnAddr, ethers.parseEther("10"));
+    await expect(burnMarket.connect(alice).depositToken(ethers.parseEther("10")))
+      .to.emit(burnMarket, "DepositSATURN").withArgs(alice.address, ethers.parseEther("9.9"));
+    expect((await burnMarket.accounts(alice.address)).tokenBalance).to.equal(ethers.parseEther("9.9"));
+    expect(await burn.balanceOf(burnAddr)).to.equal(ethers.parseEther("9.9"));
+    await burnMarket.connect(alice).withdrawAll();
+    expect(await burn.balanceOf(burnAddr)).to.equal(0n);
+  });
+
+  it("runs an ERC223 market with a different lot size, tokenFallback orders included", async function () {
+    const { factory, owner, alice } = await loadFixture(deployFixture);
+    const Saturn = await ethers.getContractFactory("Saturn");
+    const other = await Saturn.deploy();
+    await other.waitForDeployment();
+    const otherAddr = await other.getAddress();
+    await other["transfer(address,uint256,bytes)"](alice.address, 10n ** 8n, "0x");
+
+    const { contract: exchange, record } = await createMarket(ethers, factory, { token: otherAddr, lot: "10", erc223: true });
+    expect(record).to.include({ token: otherAddr, decimals: 4, lotSize: "100000", erc223: true });
+    expect(await exchange.owner()).to.equal(owner.address);
+    const exchangeAddr = await exchange.getAddress();
+    const lot = 10n * 10n ** 4n;
+
+    // A plain ERC223 transfer deposits into the market for that token
+    await expect(other["transfer(address,uint256,bytes)"](exchangeAddr, lot, "0x"))
+      .to.emit(exchange, "DepositSATURN").withArgs(owner.address, lot);
+
+    await exchange.depositEtc({ value: ONE_ETHER * 5n });
+    await exchange.placeLimitBuyFromBalance(ONE_ETHER, 3);
+    const data = encodeOrderPayload({ action: "immediateSell", pricePerLot: ONE_ETHER, lots: 2n });
+    await expect(other.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, lot * 2n + 7n, data))
+      .to.emit(exchange, "SellImmediateSettled").withArgs(alice.address, lot * 2n + 7n, 7n, ONE_ETHER * 2n - (ONE_ETHER * 2n * 25n) / 10_000n);
+    expect(await exchange.lockedEtc(owner.address)).to.equal(ONE_ETHER);
+  });
+
+  it("parses market specs for scripts/deploy.js", function () {
+    const token = "0x000000000000000000000000000000000000f00d";
+    expect(parseMarketSpecs(`${token}:500, ${token}:0.5:ERC20`)).to.deep.equal([
+      { token: ethers.getAddress(token), lot: "500", erc223: true },
+      { token: ethers.getAddress(token), lot: "0.5", erc223: false }
+    ]);
+    expect(parseMarketSpecs("")).to.deep.equal([]);
+    expect(() => parseMarketSpecs(`${token}`)).to.throw(/must be <token address>:<lot size in tokens>/);
+    expect(() => parseMarketSpecs(`${token}:1:erc721`)).to.throw(/must be/);
+    expect(() => parseMarketSpecs("0x12:1")).to.throw(/must be/);
+  });
+});
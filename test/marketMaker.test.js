@@ -0,0 +1,179 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { getEventListeners } = require("events");
+const { ethers } = require("hardhat");
+const { MarketMaker, planLadder, fitLadder } = require("../scripts/lib/marketMaker");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("MarketMaker", function () {
+  const price = (n) => ethers.parseEther(String(n));
+
+  async function deployFixture() {
+    const [owner, mm, taker] = await ethers.getSigners();
+
+    const { saturn, exchange, LOT_SIZE } = await deployExchange();
+    const exchangeAddr = await exchange.getAddress();
+    for (const signer of [mm, taker]) {
+      await saturn["transfer(address,uint256,bytes)"](signer.address, LOT_SIZE * 10n, "0x");
+      await saturn.connect(signer)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 10n, "0x");
+      await exchange.connect(signer).depositEtc({ value: price(10) });
+    }
+
+    return { exchange, owner, mm, taker, LOT_SIZE };
+  }
+
+  // Resting orders of `user` as [side, price in ETC, lots], best first per side
+  async function quotes(exchange, user) {
+    const ids = await exchange.getUserOrders(user);
+    const out = [];
+    for (const id of ids) {
+      const o = await exchange.getOrder(id);
+      out.push([Number(o.side), ethers.formatEther(o.pricePerLot), Number(o.lots)]);
+    }
+    return out.sort((a, b) => a[0] - b[0] || (a[0] === 0 ? b[1] - a[1] : a[1] - b[1]));
+  }
+
+  it("plans a tick-rounded ladder and trims it to inventory and balances", function () {
+    const ladder = planLadder(price(1), { levels: 3, lotsPerLevel: 2n, spreadBps: 25, stepBps: 50, tick: price(0.01) });
+    // Levels 25, 75 and 125 bps out; the first two round onto the same tick
+    expect(ladder.buys).to.deep.equal([
+      { pricePerLot: price(0.99), lots: 4n },
+      { pricePerLot: price(0.98), lots: 2n }
+    ]);
+    expect(ladder.sells).to.deep.equal([
+      { pricePerLot: price(1.01), lots: 4n },
+      { pricePerLot: price(1.02), lots: 2n }
+    ]);
+
+    // 4 lots of room above inventory, 2.5 ETC for bids; 1 lot may be sold down to the minimum
+    const fitted = fitLadder(ladder, { inventoryLots: 6n, etc: price(2.5) },
+      { maxInventoryLots: 10n, minInventoryLots: 5n });
+    expect(fitted.buys).to.deep.equal([{ pricePerLot: price(0.99), lots: 2n }]);
+    expect(fitted.sells).to.deep.equal([{ pricePerLot: price(1.01), lots: 1n }]);
+  });
+
+  it("quotes a ladder, stays idle while nothing changes and replenishes after a fill", async function () {
+    const { exchange, mm, taker } = await loadFixture(deployFixture);
+    const bot = new MarketMaker({ exchange: exchange.connect(mm), reference: price(1), levels: 2, spreadBps: 100, stepBps: 100 });
+
+    expect((await bot.step()).action).to.equal("requoted");
+    expect(await quotes(exchange, mm.address)).to.deep.equal([
+      [0, "0.99", 1], [0, "0.98", 1], [1, "1.01", 1], [1, "1.02", 1]
+    ]);
+    const before = await exchange.getUserOrders(mm.address);
+    expect((await bot.step()).action).to.equal("idle");
+
+    // A taker lifts the best ask: the bot puts it back, keeping the other orders
+    await exchange.connect(taker).placeLimitOrder(0, price(1.01), 1, 1, 0, 0, 0, 0);
+    const result = await bot.step();
+    expect(result).to.include({ action: "requoted", canceled: 0, placed: 1, ownFills: 1 });
+    const after = await exchange.getUserOrders(mm.address);
+    expect([...after].filter((id) => before.includes(id))).to.have.length(3);
+    expect(await quotes(exchange, mm.address)).to.have.length(4);
+    expect(bot.stats.makerLots.sell).to.equal(1n);
+  });
+
+  it("quotes post-only and skips a level that would cross the book", async function () {
+    const { exchange, mm, taker } = await loadFixture(deployFixture);
+    await exchange.connect(taker).placeLimitBuyFromBalance(price(1.015), 1);
+    const bot = new MarketMaker({ exchange: exchange.connect(mm), reference: price(1), levels: 2, spreadBps: 100, stepBps: 100 });
+
+    expect(await bot.step()).to.include({ action: "requoted", placed: 3, rejected: 1 });
+    expect(await quotes(exchange, mm.address)).to.deep.equal([[0, "0.99", 1], [0, "0.98", 1], [1, "1.02", 1]]);
+    expect(await exchange.getUserOrders(taker.address)).to.have.length(1);
+    expect(bot.stats).to.include({ quotesRejected: 1, makerFills: 0 });
+    expect(bot.stats.takerLots).to.deep.equal({ buy: 0n, sell: 0n });
+
+    // Retried once the crossing bid is gone
+    await exchange.connect(taker).cancelAllMyOrders();
+    expect(await bot.step()).to.include({ action: "requoted", placed: 1, rejected: 0 });
+    expect(await quotes(exchange, mm.address)).to.have.length(4);
+  });
+
+  it("counts maker fees and rebates from the fee schedule", async function () {
+    const { exchange, owner, mm, taker, LOT_SIZE } = await loadFixture(deployFixture);
+    const feeSchedule = await ethers.getContractAt("SaturnFeeSchedule", await exchange.FEE_SCHEDULE(), owner);
+    await feeSchedule.setFeeSchedule([{ minLots: 0, makerFeeBps: 10, takerFeeBps: 25, makerRebateBps: 0 }]);
+    const bot = new MarketMaker({ exchange: exchange.connect(mm), reference: price(1), levels: 1, spreadBps: 100 });
+    await bot.step();
+
+    // Lifting the ask costs the bot 10 bps of the ETC it receives
+    await exchange.connect(taker).placeLimitOrder(0, price(1.01), 1, 1, 0, 0, 0, 0);
+    await bot.step();
+    expect(bot.stats.feesEtc).to.equal((price(1.01) * 10n) / 10_000n);
+    expect(bot.stats.feesSaturn).to.equal(0n);
+
+    // A rebate tier pays it 5 bps of the SATURN it buys: negative net fees
+    await feeSchedule.setFeeSchedule([{ minLots: 0, makerFeeBps: 0, takerFeeBps: 25, makerRebateBps: 5 }]);
+    await exchange.connect(taker).placeLimitOrder(1, price(0.99), 1, 1, 0, 0, 0, 0);
+    await bot.poll();
+    expect(bot.stats.feesSaturn).to.equal(-(LOT_SIZE * 5n) / 10_000n);
+    expect(bot.stats.feesEtc).to.equal((price(1.01) * 10n) / 10_000n);
+    expect(bot.stats.makerFills).to.equal(2);
+  });
+
+  it("only reprices once the reference moves past the threshold", async function () {
+    const { exchange, mm } = await loadFixture(deployFixture);
+    let reference = price(1);
+    const bot = new MarketMaker({
+      exchange: exchange.connect(mm), reference: () => reference, levels: 1, spreadBps: 100, requoteBps: 50
+    });
+    await bot.step();
+
+    reference = price(1.004);
+    expect((await bot.step()).action).to.equal("idle");
+    reference = price(1.01);
+    expect(await bot.step()).to.include({ action: "requoted", canceled: 2, placed: 2 });
+    expect(await quotes(exchange, mm.address)).to.deep.equal([[0, "0.9999", 1], [1, "1.0201", 1]]);
+  });
+
+  it("never quotes past the inventory limits or the account's balances", async function () {
+    const { exchange, mm } = await loadFixture(deployFixture);
+    await exchange.connect(mm).withdrawEtc(price(8.5)); // 1.5 ETC left
+
+    const bot = new MarketMaker({
+      exchange: exchange.connect(mm), reference: price(1), levels: 4, lotsPerLevel: 2n,
+      spreadBps: 100, stepBps: 100, minInventoryLots: 7n, maxInventoryLots: 11n
+    });
+    await bot.step();
+    // Bids: 1 lot of inventory room; asks: 3 lots above the 7 lot minimum
+    expect(await quotes(exchange, mm.address)).to.deep.equal([
+      [0, "0.99", 1], [1, "1.01", 2], [1, "1.02", 1]
+    ]);
+    const [, lockedEtc] = await exchange.getUserLocked(mm.address);
+    expect(lockedEtc).to.equal(price(0.99));
+  });
+
+  it("pulls every quote in emergency mode and requotes when it ends", async function () {
+    const { exchange, owner, mm } = await loadFixture(deployFixture);
+    const bot = new MarketMaker({ exchange: exchange.connect(mm), reference: price(1), levels: 2 });
+    await bot.step();
+
+    await exchange.connect(owner).setEmergencyMode(true);
+    expect((await bot.step()).action).to.equal("pulled");
+    expect(await exchange.getUserOrders(mm.address)).to.deep.equal([]);
+    expect((await bot.step()).action).to.equal("pulled");
+    expect(bot.stats.pulls).to.equal(1);
+
+    await exchange.connect(owner).setEmergencyMode(false);
+    expect((await bot.step()).action).to.equal("requoted");
+    expect(await quotes(exchange, mm.address)).to.have.length(4);
+  });
+
+  it("leaves no abort listener behind between polls", async function () {
+    const { exchange, mm } = await loadFixture(deployFixture);
+    const bot = new MarketMaker({ exchange: exchange.connect(mm), reference: price(1), pollMs: 1 });
+    const controller = new AbortController();
+    const listeners = [];
+    let steps = 0;
+    bot.step = async () => {
+      listeners.push(getEventListeners(controller.signal, "abort").length);
+      if (++steps === 20) controller.abort();
+    };
+
+    await bot.run({ signal: controller.signal });
+    expect(steps).to.equal(20);
+    expect(listeners.every((n) => n === 0)).to.equal(true);
+    expect(getEventListeners(controller.signal, "abort")).to.have.length(0);
+  });
+});
@@ -0,0 +1,28 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { encodeOrderPayload, decodeOrderPayload, ACTIONS } = require("../ui/lib/orderPayload");
+
+describe("orderPayload", function () {
+  it("round-trips order instructions", function () {
+    const order = { action: "immediateSell", pricePerLot: ethers.parseEther("1.5"), lots: 4n };
+    const data = encodeOrderPayload(order);
+    expect(ethers.dataLength(data)).to.equal(96);
+    expect(decodeOrderPayload(data)).to.deep.equal(order);
+    expect(BigInt(ethers.dataSlice(data, 0, 32))).to.equal(BigInt(ACTIONS.immediateSell));
+  });
+
+  it("treats empty data as a plain deposit", function () {
+    expect(decodeOrderPayload("0x")).to.equal(null);
+  });
+
+  it("rejects what the contract rejects", function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const encode = (a, p, l) => coder.encode(["uint256", "uint256", "uint256"], [a, p, l]);
+    expect(() => decodeOrderPayload("0x1234")).to.throw("Bad order data");
+    expect(() => decodeOrderPayload(encode(3, 1, 1))).to.throw("Bad order action");
+    expect(() => decodeOrderPayload(encode(1, 0, 1))).to.throw("Bad order price");
+    expect(() => decodeOrderPayload(encode(1, 1, 1n << 128n))).to.throw("Bad order lots");
+    expect(() => encodeOrderPayload({ action: "buy", pricePerLot: 1, lots: 1 })).to.throw("Unknown order action");
+    expect(() => encodeOrderPayload({ action: "limitSell", pricePerLot: 1, lots: 0 })).to.throw("Lots out of range");
+  });
+});
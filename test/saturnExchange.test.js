@@ -1,36 +1,39 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, impersonateAccount, setBalance, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { encodeOrderPayload } = require("../ui/lib/orderPayload");
+const { bookFromSnapshot, insertionHint } = require("../ui/lib/fillSimulator");
+const { saturnExchangeArgs } = require("../scripts/lib/deployments");
+const { deployExchange } = require("./helpers/exchange");
 
 describe("SaturnExchange", function () {
   async function deployExchangeFixture() {
     const [owner, otherAccount, third] = await ethers.getSigners();
 
     // Deploy SATURN token (ERC223)
-    const Saturn = await ethers.getContractFactory("Saturn");
-    const saturn = await Saturn.deploy();
-    await saturn.waitForDeployment();
-
-    const SaturnExchange = await ethers.getContractFactory("SaturnExchange");
-    const exchange = await SaturnExchange.deploy(await saturn.getAddress());
-    await exchange.waitForDeployment();
+    const { saturn, exchange, reader } = await deployExchange();
 
     // Constants
     const LOT_SIZE = 1000n * 10n ** 4n; // 1000 SATURN with 4 decimals
     const ONE_ETHER = ethers.parseEther("1");
 
-    return { exchange, owner, otherAccount, third, saturn, LOT_SIZE, ONE_ETHER };
+    return { exchange, reader, owner, otherAccount, third, saturn, LOT_SIZE, ONE_ETHER };
   }
 
   it("sets SATURN token address and owner", async function () {
     const { exchange, owner, saturn } = await loadFixture(deployExchangeFixture);
     expect(await exchange.SATURN_TOKEN()).to.equal(await saturn.getAddress());
     expect(await exchange.owner()).to.equal(owner.address);
+    expect(await exchange.SATURN_DECIMALS()).to.equal(4n);
+    expect(await exchange.LOT_SIZE()).to.equal(1000n * 10n ** 4n);
   });
 
-  it("rejects zero address constructor argument", async function () {
+  it("rejects zero address and zero lot size constructor arguments", async function () {
+    const { saturn } = await loadFixture(deployExchangeFixture);
     const SaturnExchange = await ethers.getContractFactory("SaturnExchange");
-    await expect(SaturnExchange.deploy(ethers.ZeroAddress)).to.be.revertedWith("SATURN zero");
+    await expect(SaturnExchange.deploy(...saturnExchangeArgs(ethers.ZeroAddress))).to.be.revertedWith("SATURN zero");
+    await expect(SaturnExchange.deploy(await saturn.getAddress(), 4, 0)).to.be.revertedWith("Zero lot size");
   });
 
   it("deposits SATURN via ERC223 transfer and rejects non-SATURN tokenFallback", async function () {
@@ -62,7 +65,7 @@ describe("SaturnExchange", function () {
   });
 
   it("places and cancels a resting buy order, updating orderbook and user lists", async function () {
-    const { exchange, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+    const { exchange, reader, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
     const exchangeAddr = await exchange.getAddress();
 
     // Seed balances: deposit SATURN for future sells and ETC for buys
@@ -79,7 +82,7 @@ describe("SaturnExchange", function () {
     const orders = await exchange.getUserOrders(otherAccount.address);
     expect(orders.length).to.equal(1);
 
-    const [buyIds, buyPrices, buyLots, sellIds] = await exchange.getOrderBook();
+    const [buyIds, buyPrices, buyLots, sellIds] = await reader.getOrderBook(exchange);
     expect(buyIds.length).to.equal(1);
     expect(buyPrices[0]).to.equal(price);
     expect(buyLots[0]).to.equal(lots);
@@ -92,12 +95,36 @@ describe("SaturnExchange", function () {
     const ordersAfter = await exchange.getUserOrders(otherAccount.address);
     expect(ordersAfter.length).to.equal(0);
 
-    const [buyIdsAfter] = await exchange.getOrderBook();
+    const [buyIdsAfter] = await reader.getOrderBook(exchange);
     expect(buyIdsAfter.length).to.equal(0);
   });
 
+  it("reports balances locked by resting orders", async function () {
+    const { exchange, owner, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+    const exchangeAddr = await exchange.getAddress();
+
+    await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 3n, "0x");
+    await exchange.depositEtc({ value: ONE_ETHER * 5n });
+
+    await exchange.placeLimitSellFromBalance(ONE_ETHER * 2n, 2);
+    await exchange.placeLimitBuyFromBalance(ONE_ETHER, 3);
+
+    const [lockedSaturn, lockedEtc] = await exchange.getUserLocked(owner.address);
+    expect(lockedSaturn).to.equal(LOT_SIZE * 2n);
+    expect(lockedEtc).to.equal(ONE_ETHER * 3n);
+
+    // Only the unlocked remainder can back a new order
+    await expect(exchange.placeLimitBuyFromBalance(ONE_ETHER, 3)).to.be.revertedWith("Insufficient ETC");
+    await expect(exchange.placeLimitSellFromBalance(ONE_ETHER * 2n, 2)).to.be.revertedWith("Insufficient SATURN");
+
+    await exchange.cancelAllMyOrders();
+    const [saturnAfter, etcAfter] = await exchange.getUserLocked(owner.address);
+    expect(saturnAfter).to.equal(0);
+    expect(etcAfter).to.equal(0);
+  });
+
   it("matches resting sell against taker buy and collects SATURN fee", async function () {
-    const { exchange, owner, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+    const { exchange, reader, owner, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
     const exchangeAddr = await exchange.getAddress();
 
     // Seller deposits SATURN and places resting ask
@@ -138,7 +165,7 @@ describe("SaturnExchange", function () {
 
     expect(await exchange.accumulatedFeesSaturn()).to.equal(feeSaturn);
 
-    const [buyIds, , , sellIds] = await exchange.getOrderBook();
+    const [buyIds, , , sellIds] = await reader.getOrderBook(exchange);
     expect(buyIds.length).to.equal(0);
     expect(sellIds.length).to.equal(0);
   });
@@ -187,7 +214,7 @@ describe("SaturnExchange", function () {
   });
 
   it("supports placeLimitBuyImmediate with refund and SATURN delivery", async function () {
-    const { exchange, owner, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+    const { exchange, reader, owner, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
     const exchangeAddr = await exchange.getAddress();
 
     // Maker deposits SATURN and places a sell
@@ -212,6 +239,7 @@ describe("SaturnExchange", function () {
 
     const refund = msgValue - ONE_ETHER;
     expect(refund).to.be.gt(0);
+    await expect(tx).to.emit(exchange, "BuyImmediateSettled").withArgs(otherAccount.address, msgValue, refund, netSaturn);
     // Contract should retain exactly the matched ETC (backing maker internal balance)
     const contractBalance = await ethers.provider.getBalance(exchangeAddr);
     expect(contractBalance).to.equal(ONE_ETHER);
@@ -223,7 +251,7 @@ describe("SaturnExchange", function () {
 
     expect(await exchange.accumulatedFeesSaturn()).to.equal(feeSaturn);
 
-    const [buyIds, , , sellIds] = await exchange.getOrderBook();
+    const [buyIds, , , sellIds] = await reader.getOrderBook(exchange);
     expect(buyIds.length).to.equal(0);
     expect(sellIds.length).to.equal(0);
   });
@@ -239,7 +267,892 @@ describe("SaturnExchange", function () {
     // Place resting buy (will be cancelled on withdrawAll)
     await exchange.placeLimitBuyFromBalance(ONE_ETHER, 1);
 
-    // WithdrawAll calls cancelAllMyOrders (nonReentrant), so current implementation reverts.
-    await expect(exchange.withdrawAll()).to.be.revertedWith("Reentrancy");
+    const saturnBefore = await saturn.balanceOf(owner.address);
+    const tx = exchange.withdrawAll();
+    await expect(tx).to.emit(exchange, "OrderCanceled").withArgs(1, owner.address);
+    await expect(tx).to.emit(exchange, "WithdrawAll").withArgs(owner.address, LOT_SIZE, ONE_ETHER);
+    await expect(tx).to.changeEtherBalance(owner, ONE_ETHER);
+
+    expect(await saturn.balanceOf(owner.address)).to.equal(saturnBefore + LOT_SIZE);
+    expect(await exchange.getUserOrders(owner.address)).to.deep.equal([]);
+    const acct = await exchange.accounts(owner.address);
+    expect(acct.tokenBalance).to.equal(0);
+    expect(acct.etherBalance).to.equal(0);
+  });
+
+  describe("emergency mode", function () {
+    // Owner holds SATURN + ETC internally with one resting order per side;
+    // otherAccount holds a resting sell; third holds wallet SATURN.
+    async function seededFixture() {
+      const base = await deployExchangeFixture();
+      const { exchange, saturn, otherAccount, third, LOT_SIZE, ONE_ETHER } = base;
+      const exchangeAddr = await exchange.getAddress();
+      await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 4n, "0x");
+      await exchange.depositEtc({ value: ONE_ETHER * 10n });
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER, 2);       // #1
+      await exchange.placeLimitSellFromBalance(ONE_ETHER * 3n, 2); // #2
+      await saturn["transfer(address,uint256,bytes)"](otherAccount.address, LOT_SIZE * 4n, "0x");
+      await saturn.connect(otherAccount)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 2n, "0x");
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER * 2n, 1); // #3
+      await saturn["transfer(address,uint256,bytes)"](third.address, LOT_SIZE * 4n, "0x");
+      return { ...base, exchangeAddr };
+    }
+
+    // Entry points that place, match or deposit: refused while halted
+    const tradingEntryPoints = {
+      "depositEtc": ({ exchange, ONE_ETHER }) => exchange.depositEtc({ value: ONE_ETHER }),
+      "placeLimitBuyFromBalance": ({ exchange, ONE_ETHER }) => exchange.placeLimitBuyFromBalance(ONE_ETHER, 1),
+      "placeLimitSellFromBalance": ({ exchange, ONE_ETHER }) => exchange.placeLimitSellFromBalance(ONE_ETHER * 5n, 1),
+      "placeLimitOrder": ({ exchange, ONE_ETHER }) => exchange.placeLimitOrder(0, ONE_ETHER, 1, 3, 0, 0, 0, 0),
+      "placeLimitBuyImmediate": ({ exchange, ONE_ETHER }) =>
+        exchange.placeLimitBuyImmediate(ONE_ETHER * 2n, 1, { value: ONE_ETHER * 2n }),
+      "modifyOrder (re-price)": ({ exchange, ONE_ETHER }) => exchange.modifyOrder(1, ONE_ETHER / 2n, 2, 0),
+      "modifyOrder (grow)": ({ exchange, ONE_ETHER }) => exchange.modifyOrder(1, ONE_ETHER, 3, 0)
+    };
+
+    // Entry points that must keep working so users can exit
+    const exitEntryPoints = {
+      "cancelOrder": ({ exchange }) => exchange.cancelOrder(1),
+      "cancelAllMyOrders": ({ exchange }) => exchange.cancelAllMyOrders(),
+      "modifyOrder (reduce)": ({ exchange, ONE_ETHER }) => exchange.modifyOrder(1, ONE_ETHER, 1, 0),
+      "withdrawEtc": ({ exchange, ONE_ETHER }) => exchange.withdrawEtc(ONE_ETHER),
+      "withdrawSaturn": ({ exchange, LOT_SIZE }) => exchange.withdrawSaturn(LOT_SIZE),
+      "withdrawAll": ({ exchange }) => exchange.withdrawAll(),
+      "withdrawFees": ({ exchange, owner }) => exchange.withdrawFees(owner.address)
+    };
+
+    // ERC223 deposits revert inside tokenFallback; the old token does not bubble reasons
+    const tokenEntryPoints = {
+      "tokenFallback (deposit)": ({ saturn, third, exchangeAddr, LOT_SIZE }) =>
+        saturn.connect(third)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE, "0x"),
+      "tokenFallback (limit sell)": ({ saturn, third, exchangeAddr, LOT_SIZE, ONE_ETHER }) =>
+        saturn.connect(third)["transfer(address,uint256,bytes)"](
+          exchangeAddr, LOT_SIZE, encodeOrderPayload({ action: "limitSell", pricePerLot: ONE_ETHER * 4n, lots: 1 })),
+      "tokenFallback (immediate sell)": ({ saturn, third, exchangeAddr, LOT_SIZE, ONE_ETHER }) =>
+        saturn.connect(third)["transfer(address,uint256,bytes)"](
+          exchangeAddr, LOT_SIZE, encodeOrderPayload({ action: "immediateSell", pricePerLot: ONE_ETHER, lots: 1 }))
+    };
+
+    for (const [name, call] of Object.entries({ ...tradingEntryPoints, ...exitEntryPoints, ...tokenEntryPoints })) {
+      it(`allows ${name} in normal mode`, async function () {
+        const ctx = await loadFixture(seededFixture);
+        await expect(call(ctx)).to.not.be.reverted;
+      });
+    }
+
+    for (const [name, call] of Object.entries(tradingEntryPoints)) {
+      it(`refuses ${name} in emergency mode`, async function () {
+        const ctx = await loadFixture(seededFixture);
+        await ctx.exchange.setEmergencyMode(true);
+        await expect(call(ctx)).to.be.revertedWith("Trading disabled");
+      });
+    }
+
+    for (const [name, call] of Object.entries(tokenEntryPoints)) {
+      it(`refuses ${name} in emergency mode`, async function () {
+        const ctx = await loadFixture(seededFixture);
+        await ctx.exchange.setEmergencyMode(true);
+        const before = await ctx.saturn.balanceOf(ctx.third.address);
+        await expect(call(ctx)).to.be.reverted;
+        expect(await ctx.saturn.balanceOf(ctx.third.address)).to.equal(before);
+      });
+    }
+
+    for (const [name, call] of Object.entries(exitEntryPoints)) {
+      it(`allows ${name} in emergency mode`, async function () {
+        const ctx = await loadFixture(seededFixture);
+        await ctx.exchange.setEmergencyMode(true);
+        await expect(call(ctx)).to.not.be.reverted;
+      });
+    }
+
+    it("restricts emergency mode to the owner and reports tradingHalted", async function () {
+      const { exchange, otherAccount } = await loadFixture(seededFixture);
+      await expect(exchange.connect(otherAccount).setEmergencyMode(true)).to.be.revertedWith("Not owner");
+      expect(await exchange.tradingHalted()).to.equal(false);
+      await expect(exchange.setEmergencyMode(true)).to.emit(exchange, "EmergencyModeSet").withArgs(true);
+      expect(await exchange.tradingHalted()).to.equal(true);
+    });
+  });
+
+  describe("ownership and fees", function () {
+    it("transfers ownership in two steps", async function () {
+      const { exchange, owner, otherAccount, third } = await loadFixture(deployExchangeFixture);
+
+      await expect(exchange.connect(otherAccount).transferOwnership(otherAccount.address)).to.be.revertedWith("Not owner");
+      await expect(exchange.transferOwnership(ethers.ZeroAddress)).to.be.revertedWith("Zero owner");
+
+      await expect(exchange.transferOwnership(otherAccount.address))
+        .to.emit(exchange, "OwnershipTransferStarted").withArgs(owner.address, otherAccount.address);
+      expect(await exchange.owner()).to.equal(owner.address);
+      expect(await exchange.pendingOwner()).to.equal(otherAccount.address);
+
+      await expect(exchange.connect(third).acceptOwnership()).to.be.revertedWith("Not pending owner");
+      await expect(exchange.connect(otherAccount).acceptOwnership())
+        .to.emit(exchange, "OwnershipTransferred").withArgs(owner.address, otherAccount.address);
+      expect(await exchange.owner()).to.equal(otherAccount.address);
+      expect(await exchange.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      await expect(exchange.setEmergencyMode(true)).to.be.revertedWith("Not owner");
+      await expect(exchange.connect(otherAccount).setEmergencyMode(true)).to.emit(exchange, "EmergencyModeSet");
+    });
+
+    it("lets the owner cancel a pending transfer", async function () {
+      const { exchange, owner, otherAccount } = await loadFixture(deployExchangeFixture);
+
+      await expect(exchange.cancelOwnershipTransfer()).to.be.revertedWith("No pending owner");
+      await exchange.transferOwnership(otherAccount.address);
+      await expect(exchange.cancelOwnershipTransfer())
+        .to.emit(exchange, "OwnershipTransferStarted").withArgs(owner.address, ethers.ZeroAddress);
+      await expect(exchange.connect(otherAccount).acceptOwnership()).to.be.revertedWith("Not pending owner");
+    });
+
+    it("withdraws accumulated fees to a recipient", async function () {
+      const { exchange, saturn, otherAccount, third, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+      const exchangeAddr = await exchange.getAddress();
+
+      await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 2n, "0x");
+      await exchange.connect(otherAccount).depositEtc({ value: ONE_ETHER * 4n });
+      await exchange.placeLimitSellFromBalance(ONE_ETHER, 1);
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER, 1); // buyer pays SATURN fee
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER, 1);
+      await exchange.placeLimitSellFromBalance(ONE_ETHER, 1);                     // seller pays ETC fee
+
+      const feeEtc = await exchange.accumulatedFeesEtc();
+      const feeSaturn = await exchange.accumulatedFeesSaturn();
+      expect(feeEtc).to.be.greaterThan(0n);
+      expect(feeSaturn).to.be.greaterThan(0n);
+
+      await expect(exchange.connect(otherAccount).withdrawFees(third.address)).to.be.revertedWith("Not owner");
+      await expect(exchange.withdrawFees(ethers.ZeroAddress)).to.be.revertedWith("Zero recipient");
+
+      const tx = exchange.withdrawFees(third.address);
+      await expect(tx).to.emit(exchange, "FeesWithdrawn").withArgs(third.address, feeEtc, feeSaturn);
+      await expect(tx).to.changeEtherBalance(third, feeEtc);
+      expect(await saturn.balanceOf(third.address)).to.equal(feeSaturn);
+      expect(await exchange.accumulatedFeesEtc()).to.equal(0n);
+      expect(await exchange.accumulatedFeesSaturn()).to.equal(0n);
+    });
+  });
+
+  describe("circuit breaker", function () {
+    async function breakerFixture() {
+      const base = await deployExchangeFixture();
+      const { exchange, saturn, otherAccount, LOT_SIZE, ONE_ETHER } = base;
+      const exchangeAddr = await exchange.getAddress();
+      await saturn["transfer(address,uint256,bytes)"](otherAccount.address, LOT_SIZE * 10n, "0x");
+      await saturn.connect(otherAccount)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 10n, "0x");
+      await exchange.depositEtc({ value: ONE_ETHER * 50n });
+
+      // 10% band, 5 block halt; first trade anchors the reference at 1 ETC
+      await exchange.setCircuitBreaker(1_000, 5);
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER, 1);
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER, 1);
+      return base;
+    }
+
+    it("executes trades inside the band", async function () {
+      const { exchange, otherAccount, ONE_ETHER } = await loadFixture(breakerFixture);
+      const price = (ONE_ETHER * 110n) / 100n;
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(price, 1);
+      await expect(exchange.placeLimitBuyFromBalance(price, 1)).to.emit(exchange, "Trade");
+      expect(await exchange.lastTradePrice()).to.equal(price);
+    });
+
+    it("halts trading instead of filling outside the band and drops the crossing remainder", async function () {
+      const { exchange, reader, owner, otherAccount, ONE_ETHER } = await loadFixture(breakerFixture);
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER * 2n, 1); // #2
+
+      const tx = exchange.placeLimitBuyFromBalance(ONE_ETHER * 2n, 2);
+      const block = (await ethers.provider.getBlockNumber()) + 1;
+      await expect(tx).to.emit(exchange, "CircuitBreakerTripped").withArgs(ONE_ETHER, ONE_ETHER * 2n, block + 5);
+      await expect(tx).to.not.emit(exchange, "Trade");
+      await expect(tx).to.not.emit(exchange, "OrderPlaced");
+
+      // Book is not crossed: the ask still rests, no bid was added
+      const [buyIds, , , sellIds] = await reader.getOrderBook(exchange);
+      expect(buyIds.length).to.equal(0);
+      expect(sellIds).to.deep.equal([2n]);
+
+      expect(await exchange.tradingHalted()).to.equal(true);
+      await expect(exchange.placeLimitBuyFromBalance(ONE_ETHER, 1)).to.be.revertedWith("Trading halted");
+      // Exits stay open
+      await expect(exchange.connect(otherAccount).cancelOrder(2)).to.emit(exchange, "OrderCanceled");
+      await expect(exchange.withdrawEtc(ONE_ETHER)).to.emit(exchange, "WithdrawEtc");
+
+      // Trading resumes once the halt expires
+      await ethers.provider.send("hardhat_mine", ["0x5"]);
+      expect(await exchange.tradingHalted()).to.equal(false);
+      await expect(exchange.placeLimitBuyFromBalance(ONE_ETHER, 1)).to.emit(exchange, "OrderPlaced").withArgs(3, owner.address, 0, ONE_ETHER, 1);
+    });
+
+    it("resumes at the new price level once the halt expires", async function () {
+      const { exchange, otherAccount, ONE_ETHER } = await loadFixture(breakerFixture);
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER * 2n, 2); // #2
+
+      await expect(exchange.placeLimitBuyFromBalance(ONE_ETHER * 2n, 1)).to.emit(exchange, "CircuitBreakerTripped");
+      expect(await exchange.lastTradePrice()).to.equal(ONE_ETHER * 2n);
+
+      // The attempted price is the reference now, so the same trade goes through
+      // instead of tripping the breaker again
+      await ethers.provider.send("hardhat_mine", ["0x5"]);
+      await expect(exchange.placeLimitBuyFromBalance(ONE_ETHER * 2n, 1))
+        .to.emit(exchange, "Trade")
+        .and.not.to.emit(exchange, "CircuitBreakerTripped");
+      expect(await exchange.referencePrice()).to.equal(ONE_ETHER * 2n);
+      await ethers.provider.send("hardhat_mine", ["0x1"]);
+      await expect(exchange.placeLimitBuyFromBalance(ONE_ETHER * 2n, 1)).to.emit(exchange, "Trade");
+      expect(await exchange.tradingHalted()).to.equal(false);
+    });
+
+    it("cancels a re-priced order whose match trips the breaker", async function () {
+      const { exchange, owner, otherAccount, ONE_ETHER } = await loadFixture(breakerFixture);
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER * 2n, 1); // #2
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER / 2n, 2);                      // #3
+
+      const tx = exchange.modifyOrder(3, ONE_ETHER * 2n, 2, 0);
+      await expect(tx).to.emit(exchange, "CircuitBreakerTripped");
+      await expect(tx).to.emit(exchange, "OrderCanceled").withArgs(3, owner.address);
+      expect(await exchange.getUserOrders(owner.address)).to.deep.equal([]);
+    });
+
+    it("lets only the owner configure and reset the breaker", async function () {
+      const { exchange, otherAccount, ONE_ETHER } = await loadFixture(breakerFixture);
+      await expect(exchange.connect(otherAccount).setCircuitBreaker(100, 1)).to.be.revertedWith("Not owner");
+      await expect(exchange.setCircuitBreaker(5_001, 1)).to.be.revertedWith("Band too wide");
+      await expect(exchange.setCircuitBreaker(100, 0)).to.be.revertedWith("Zero halt");
+      await expect(exchange.setCircuitBreaker(0, 0)).to.emit(exchange, "CircuitBreakerConfigured").withArgs(0, 0);
+
+      await exchange.setCircuitBreaker(1_000, 100);
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER * 3n, 1);
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER * 3n, 1);
+      expect(await exchange.tradingHalted()).to.equal(true);
+
+      await expect(exchange.connect(otherAccount).resetCircuitBreaker()).to.be.revertedWith("Not owner");
+      await expect(exchange.resetCircuitBreaker()).to.emit(exchange, "CircuitBreakerReset");
+      expect(await exchange.tradingHalted()).to.equal(false);
+      // Reference re-anchors on the next trade
+      await expect(exchange.placeLimitBuyFromBalance(ONE_ETHER * 3n, 1)).to.emit(exchange, "Trade");
+    });
+  });
+
+  describe("time in force", function () {
+    const GTC = 0, IOC = 1, FOK = 2, POST_ONLY = 3;
+
+    // otherAccount makes the market: ask #1 2 lots @ 2 ETC, bid #2 2 lots @ 1 ETC.
+    // owner is funded to take either side.
+    async function tifFixture() {
+      const base = await deployExchangeFixture();
+      const { exchange, saturn, otherAccount, LOT_SIZE, ONE_ETHER } = base;
+      const exchangeAddr = await exchange.getAddress();
+      await saturn["transfer(address,uint256,bytes)"](otherAccount.address, LOT_SIZE * 10n, "0x");
+      await saturn.connect(otherAccount)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 10n, "0x");
+      await exchange.connect(otherAccount).depositEtc({ value: ONE_ETHER * 10n });
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER * 2n, 2);
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER, 2);
+
+      await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 10n, "0x");
+      await exchange.depositEtc({ value: ONE_ETHER * 20n });
+      return base;
+    }
+
+    const sides = [
+      { name: "buy", side: 0, cross: (e) => e * 2n, passive: (e) => (e * 3n) / 2n, makerId: 1 },
+      { name: "sell", side: 1, cross: (e) => e, passive: (e) => (e * 3n) / 2n, makerId: 2 }
+    ];
+
+    for (const { name, side, cross, passive, makerId } of sides) {
+      describe(`${name} side`, function () {
+        it("GTC matches and rests the remainder", async function () {
+          const { exchange, owner, ONE_ETHER } = await loadFixture(tifFixture);
+          const tx = exchange.placeLimitOrder(side, cross(ONE_ETHER), 3, GTC, 0, 0, 0, 0);
+          await expect(tx).to.emit(exchange, "Trade").withArgs(makerId, anyValue, owner.address, anyValue, anyValue, 2, anyValue, anyValue, anyValue, anyValue);
+          await expect(tx).to.emit(exchange, "OrderPlaced").withArgs(3, owner.address, side, cross(ONE_ETHER), 1);
+        });
+
+        it("IOC matches what crosses and drops the rest", async function () {
+          const { exchange, owner, ONE_ETHER } = await loadFixture(tifFixture);
+          const tx = exchange.placeLimitOrder(side, cross(ONE_ETHER), 3, IOC, 0, 0, 0, 0);
+          await expect(tx).to.emit(exchange, "Trade");
+          await expect(tx).to.not.emit(exchange, "OrderPlaced");
+          expect(await exchange.getUserOrders(owner.address)).to.deep.equal([]);
+        });
+
+        it("FOK fills completely or reverts", async function () {
+          const { exchange, ONE_ETHER } = await loadFixture(tifFixture);
+          await expect(exchange.placeLimitOrder(side, cross(ONE_ETHER), 3, FOK, 0, 0, 0, 0))
+            .to.be.revertedWith("Fill-or-kill not filled");
+          await expect(exchange.placeLimitOrder(side, passive(ONE_ETHER), 1, FOK, 0, 0, 0, 0))
+            .to.be.revertedWith("Fill-or-kill not filled");
+
+          const tx = exchange.placeLimitOrder(side, cross(ONE_ETHER), 2, FOK, 0, 0, 0, 0);
+          await expect(tx).to.emit(exchange, "Trade");
+          await expect(tx).to.not.emit(exchange, "OrderPlaced");
+        });
+
+        it("post-only rests without matching and rejects a crossing price", async function () {
+          const { exchange, owner, ONE_ETHER } = await loadFixture(tifFixture);
+          await expect(exchange.placeLimitOrder(side, cross(ONE_ETHER), 1, POST_ONLY, 0, 0, 0, 0))
+            .to.be.revertedWith("Post-only would cross");
+
+          const tx = exchange.placeLimitOrder(side, passive(ONE_ETHER), 1, POST_ONLY, 0, 0, 0, 0);
+          await expect(tx).to.emit(exchange, "OrderPlaced").withArgs(3, owner.address, side, passive(ONE_ETHER), 1);
+          await expect(tx).to.not.emit(exchange, "Trade");
+          expect(await exchange.accumulatedFeesEtc()).to.equal(0n);
+          expect(await exchange.accumulatedFeesSaturn()).to.equal(0n);
+        });
+      });
+    }
+
+    it("rejects expiries on non-resting or already expired orders", async function () {
+      const { exchange, ONE_ETHER } = await loadFixture(tifFixture);
+      const now = await time.latest();
+      await expect(exchange.placeLimitOrder(0, ONE_ETHER, 1, IOC, now + 100, 0, 0, 0))
+        .to.be.revertedWith("Expiry needs resting order");
+      await expect(exchange.placeLimitOrder(0, ONE_ETHER, 1, FOK, now + 100, 0, 0, 0))
+        .to.be.revertedWith("Expiry needs resting order");
+      await expect(exchange.placeLimitOrder(0, ONE_ETHER, 1, GTC, now, 0, 0, 0))
+        .to.be.revertedWith("Already expired");
+    });
+
+    it("stops matching an order once it expires", async function () {
+      const { exchange, reader, owner, otherAccount, ONE_ETHER } = await loadFixture(tifFixture);
+      const price = (ONE_ETHER * 9n) / 5n;
+      const expiresAt = (await time.latest()) + 100;
+      await expect(exchange.connect(otherAccount).placeLimitOrder(1, price, 1, GTC, expiresAt, 0, 0, 0))
+        .to.emit(exchange, "OrderPlaced").withArgs(3, otherAccount.address, 1, price, 1);
+      expect((await exchange.getOrder(3)).expiresAt).to.equal(expiresAt);
+
+      await time.increaseTo(expiresAt);
+      const tx = exchange.placeLimitBuyFromBalance(price, 1);
+      await expect(tx).to.emit(exchange, "OrderExpired").withArgs(3, otherAccount.address);
+      await expect(tx).to.not.emit(exchange, "Trade");
+      await expect(tx).to.emit(exchange, "OrderPlaced").withArgs(4, owner.address, 0, price, 1);
+
+      const [buyIds, , , sellIds] = await reader.getOrderBook(exchange);
+      expect(buyIds).to.deep.equal([4n, 2n]);
+      expect(sellIds).to.deep.equal([1n]);
+    });
+
+    it("lets post-only orders rest over an expired order", async function () {
+      const { exchange, otherAccount, ONE_ETHER } = await loadFixture(tifFixture);
+      const price = (ONE_ETHER * 9n) / 5n;
+      const expiresAt = (await time.latest()) + 100;
+      await exchange.connect(otherAccount).placeLimitOrder(1, price, 1, POST_ONLY, expiresAt, 0, 0, 0);
+
+      await expect(exchange.placeLimitOrder(0, price, 1, POST_ONLY, 0, 0, 0, 0)).to.be.revertedWith("Post-only would cross");
+      await time.increaseTo(expiresAt);
+      const tx = exchange.placeLimitOrder(0, price, 1, POST_ONLY, 0, 0, 0, 0);
+      await expect(tx).to.emit(exchange, "OrderExpired").withArgs(3, otherAccount.address);
+      await expect(tx).to.emit(exchange, "OrderPlaced");
+    });
+
+    it("removes at most maxFills expired orders before a post-only check", async function () {
+      const { exchange, otherAccount, ONE_ETHER } = await loadFixture(tifFixture);
+      const price = (ONE_ETHER * 9n) / 5n;
+      const expiresAt = (await time.latest()) + 100;
+      for (let i = 0; i < 3; i++) {
+        await exchange.connect(otherAccount).placeLimitOrder(1, price, 1, GTC, expiresAt, 0, 0, 0); // #3-#5
+      }
+      await time.increaseTo(expiresAt);
+
+      // Two removals leave an expired head: treated as crossing
+      await expect(exchange.placeLimitOrder(0, price, 1, POST_ONLY, 0, 0, 2, 0)).to.be.revertedWith("Post-only would cross");
+      const tx = exchange.placeLimitOrder(0, price, 1, POST_ONLY, 0, 0, 3, 0);
+      for (const id of [3, 4, 5]) await expect(tx).to.emit(exchange, "OrderExpired").withArgs(id, otherAccount.address);
+      await expect(tx).to.emit(exchange, "OrderPlaced");
+    });
+
+    it("lets anyone remove expired orders", async function () {
+      const { exchange, reader, otherAccount, third, ONE_ETHER } = await loadFixture(tifFixture);
+      const expiresAt = (await time.latest()) + 100;
+      await exchange.connect(otherAccount).placeLimitOrder(0, ONE_ETHER / 2n, 2, GTC, expiresAt, 0, 0, 0); // #3
+      await exchange.connect(otherAccount).placeLimitOrder(1, ONE_ETHER * 3n, 1, GTC, expiresAt, 0, 0, 0); // #4
+
+      expect(await reader.getExpiredOrders(exchange, 10)).to.deep.equal([]);
+      await expect(exchange.connect(third).cancelExpiredOrders([3])).to.be.revertedWith("Not expired");
+
+      await time.increaseTo(expiresAt);
+      expect(await reader.getExpiredOrders(exchange, 10)).to.deep.equal([3n, 4n]);
+      expect(await reader.getExpiredOrders(exchange, 1)).to.deep.equal([3n]);
+      await expect(exchange.connect(otherAccount).modifyOrder(3, ONE_ETHER / 2n, 1, 0)).to.be.revertedWith("Order expired");
+
+      expect(await exchange.connect(third).cancelExpiredOrders.staticCall([3, 4, 99])).to.equal(2n);
+      const tx = exchange.connect(third).cancelExpiredOrders([3, 4, 99]);
+      await expect(tx).to.emit(exchange, "OrderExpired").withArgs(3, otherAccount.address);
+      await expect(tx).to.emit(exchange, "OrderExpired").withArgs(4, otherAccount.address);
+
+      expect(await exchange.getUserOrders(otherAccount.address)).to.deep.equal([1n, 2n]);
+      const [lockedSaturn, lockedEtc] = await exchange.getUserLocked(otherAccount.address);
+      expect(lockedSaturn).to.equal(2n * 1000n * 10n ** 4n);
+      expect(lockedEtc).to.equal(ONE_ETHER * 2n);
+    });
+  });
+
+  describe("self-trade prevention", function () {
+    const GTC = 0, FOK = 2;
+    const CANCEL_NEWEST = 0, CANCEL_OLDEST = 1, DECREMENT_BOTH = 2;
+
+    // owner quotes both sides: bid #1 2 lots @ 1 ETC, ask #2 1 lot @ 1.5 ETC;
+    // otherAccount asks #3 2 lots @ 1.5 ETC behind owner's ask.
+    async function quotingFixture() {
+      const base = await deployExchangeFixture();
+      const { exchange, saturn, otherAccount, LOT_SIZE, ONE_ETHER } = base;
+      const exchangeAddr = await exchange.getAddress();
+      const ask = (ONE_ETHER * 3n) / 2n;
+      await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 10n, "0x");
+      await exchange.depositEtc({ value: ONE_ETHER * 20n });
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER, 2);
+      await exchange.placeLimitSellFromBalance(ask, 1);
+      await saturn["transfer(address,uint256,bytes)"](otherAccount.address, LOT_SIZE * 2n, "0x");
+      await saturn.connect(otherAccount)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 2n, "0x");
+      await exchange.connect(otherAccount).placeLimitSellFromBalance(ask, 2);
+      return { ...base, ask, exchangeAddr };
+    }
+
+    it("cancel-newest drops the taker when it reaches its own order", async function () {
+      const { exchange, reader, owner, ask } = await loadFixture(quotingFixture);
+      const tx = exchange.placeLimitOrder(0, ask, 3, GTC, 0, CANCEL_NEWEST, 0, 0);
+      await expect(tx).to.emit(exchange, "SelfTradePrevented").withArgs(2, owner.address, CANCEL_NEWEST, 3, 0);
+      await expect(tx).to.not.emit(exchange, "Trade");
+      await expect(tx).to.not.emit(exchange, "OrderPlaced");
+
+      const [, , , sellIds, , sellLots] = await reader.getOrderBook(exchange);
+      expect(sellIds).to.deep.equal([2n, 3n]);
+      expect(sellLots).to.deep.equal([1n, 2n]);
+    });
+
+    it("cancel-oldest removes the resting order and keeps matching", async function () {
+      const { exchange, owner, otherAccount, ask } = await loadFixture(quotingFixture);
+      const tx = exchange.placeLimitOrder(0, ask, 3, GTC, 0, CANCEL_OLDEST, 0, 0);
+      await expect(tx).to.emit(exchange, "SelfTradePrevented").withArgs(2, owner.address, CANCEL_OLDEST, 0, 1);
+      await expect(tx).to.emit(exchange, "Trade")
+        .withArgs(3, otherAccount.address, owner.address, 1, ask, 2, anyValue, anyValue, anyValue, 0);
+      await expect(tx).to.emit(exchange, "OrderPlaced").withArgs(4, owner.address, 0, ask, 1);
+
+      expect(await exchange.getUserOrders(owner.address)).to.deep.equal([1n, 4n]);
+      const [, lockedEtc] = await exchange.getUserLocked(owner.address);
+      expect(lockedEtc).to.equal(ethers.parseEther("1") * 2n + ask);
+    });
+
+    it("decrement-both shrinks both orders by the overlap", async function () {
+      const { exchange, owner, ask } = await loadFixture(quotingFixture);
+      // Taker bigger than the resting order: resting order is removed, taker continues
+      const tx = exchange.placeLimitOrder(0, ask, 2, GTC, 0, DECREMENT_BOTH, 0, 0);
+      await expect(tx).to.emit(exchange, "SelfTradePrevented").withArgs(2, owner.address, DECREMENT_BOTH, 1, 1);
+      await expect(tx).to.emit(exchange, "Trade").withArgs(3, anyValue, owner.address, 1, ask, 1, anyValue, anyValue, anyValue, 0);
+      await expect(tx).to.not.emit(exchange, "OrderPlaced");
+
+      // Taker smaller than the resting order: resting order keeps the difference
+      const sell = exchange.placeLimitOrder(1, ethers.parseEther("1"), 1, GTC, 0, DECREMENT_BOTH, 0, 0);
+      await expect(sell).to.emit(exchange, "SelfTradePrevented").withArgs(1, owner.address, DECREMENT_BOTH, 1, 1);
+      await expect(sell).to.not.emit(exchange, "Trade");
+      expect((await exchange.getOrder(1)).lots).to.equal(1n);
+    });
+
+    it("counts prevented lots as unfilled for fill-or-kill", async function () {
+      const { exchange, ask } = await loadFixture(quotingFixture);
+      await expect(exchange.placeLimitOrder(0, ask, 3, FOK, 0, DECREMENT_BOTH, 0, 0)).to.be.revertedWith("Fill-or-kill not filled");
+      await expect(exchange.placeLimitOrder(0, ask, 2, FOK, 0, CANCEL_OLDEST, 0, 0)).to.emit(exchange, "Trade");
+    });
+
+    it("applies cancel-newest to the other entry points", async function () {
+      const { exchange, saturn, owner, ask, LOT_SIZE, ONE_ETHER, exchangeAddr } = await loadFixture(quotingFixture);
+
+      const limit = exchange.placeLimitSellFromBalance(ONE_ETHER, 1);
+      await expect(limit).to.emit(exchange, "SelfTradePrevented").withArgs(1, owner.address, CANCEL_NEWEST, 1, 0);
+      await expect(limit).to.not.emit(exchange, "Trade");
+
+      const immediate = exchange.placeLimitBuyImmediate(ask, 1, { value: ask });
+      await expect(immediate).to.emit(exchange, "SelfTradePrevented").withArgs(2, owner.address, CANCEL_NEWEST, 1, 0);
+      await expect(immediate).to.changeEtherBalance(exchange, 0);
+
+      const data = encodeOrderPayload({ action: "immediateSell", pricePerLot: ONE_ETHER, lots: 1 });
+      const before = await saturn.balanceOf(owner.address);
+      await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE, data);
+      expect(await saturn.balanceOf(owner.address)).to.equal(before);
+
+      expect(await exchange.accumulatedFeesEtc()).to.equal(0n);
+      expect(await exchange.accumulatedFeesSaturn()).to.equal(0n);
+    });
+  });
+
+  describe("bounded gas on deep books", function () {
+    const GTC = 0;
+    const DEPTH = 60;
+    const TICK = ethers.parseEther("0.001");
+
+    // owner bids #1..#60 one lot each, 1 ETC down in 0.001 ETC steps
+    async function deepBookFixture() {
+      const base = await deployExchangeFixture();
+      const { exchange, ONE_ETHER } = base;
+      await exchange.depositEtc({ value: ONE_ETHER * 200n });
+      for (let i = 0; i < DEPTH; i++) {
+        await exchange.placeLimitBuyFromBalance(ONE_ETHER - TICK * BigInt(i), 1);
+      }
+      return base;
+    }
+
+    async function placeGas(exchange, pricePerLot, hint) {
+      const tx = await exchange.placeLimitOrder(0, pricePerLot, 1, GTC, 0, 0, 0, hint);
+      return (await tx.wait()).gasUsed;
+    }
+
+    async function lockedFromOrders(exchange, user, LOT_SIZE) {
+      let saturn = 0n, etc = 0n;
+      for (const id of await exchange.getUserOrders(user)) {
+        const o = await exchange.getOrder(id);
+        if (o.side === 1n) saturn += o.lots * LOT_SIZE;
+        else etc += o.lots * o.pricePerLot;
+      }
+      return [saturn, etc];
+    }
+
+    it("inserts at the back of the book for near-constant gas with a hint", async function () {
+      const { exchange, reader, ONE_ETHER } = await loadFixture(deepBookFixture);
+      const price = ONE_ETHER - TICK * BigInt(DEPTH);
+      const unhinted = await placeGas(exchange, price, 0);
+
+      const { exchange: fresh } = await loadFixture(deepBookFixture);
+      const hint = insertionHint(bookFromSnapshot(await reader.getOrderBook(fresh)), "buy", price);
+      expect(hint).to.equal(BigInt(DEPTH));
+      const hinted = await placeGas(fresh, price, hint);
+
+      // Walking 60 orders costs several thousand gas each; the hint skips all of it
+      expect(unhinted - hinted).to.be.greaterThan(BigInt(DEPTH) * 2_000n);
+      const headGas = await placeGas(fresh, ONE_ETHER * 2n, 0);
+      expect(hinted).to.be.lessThan(headGas + 25_000n);
+
+      const [buyIds] = await reader.getOrderBook(fresh);
+      expect(buyIds[0]).to.equal(BigInt(DEPTH) + 2n);
+      expect(buyIds[buyIds.length - 1]).to.equal(BigInt(DEPTH) + 1n);
+    });
+
+    it("still inserts correctly from stale, foreign or unknown hints", async function () {
+      const { exchange, reader, saturn, ONE_ETHER, LOT_SIZE } = await loadFixture(deepBookFixture);
+      await saturn["transfer(address,uint256,bytes)"](await exchange.getAddress(), LOT_SIZE, "0x");
+      await exchange.placeLimitSellFromBalance(ONE_ETHER * 2n, 1); // #61
+
+      const mid = ONE_ETHER - TICK * 30n; // same price as #31, goes right behind it
+      await placeGas(exchange, mid, 5);     // #62: hint too far forward
+      await placeGas(exchange, mid, 60);    // #63: hint too far back
+      await placeGas(exchange, mid, 61);    // #64: hint on the other side
+      await placeGas(exchange, mid, 999);   // #65: hint that does not exist
+      await placeGas(exchange, mid, 31);    // #66: exact hint
+
+      const [buyIds] = await reader.getOrderBook(exchange);
+      expect(buyIds.slice(30, 37)).to.deep.equal([31n, 62n, 63n, 64n, 65n, 66n, 32n]);
+    });
+
+    it("stops matching after maxFills makers and drops a remainder that still crosses", async function () {
+      const { exchange, reader, saturn, otherAccount, ONE_ETHER, LOT_SIZE } = await loadFixture(deployExchangeFixture);
+      await saturn["transfer(address,uint256,bytes)"](otherAccount.address, LOT_SIZE * 5n, "0x");
+      await saturn.connect(otherAccount)["transfer(address,uint256,bytes)"](await exchange.getAddress(), LOT_SIZE * 5n, "0x");
+      for (let i = 0; i < 5; i++) {
+        await exchange.connect(otherAccount).placeLimitSellFromBalance(ONE_ETHER, 1);
+      }
+      await exchange.depositEtc({ value: ONE_ETHER * 10n });
+      expect(await exchange.DEFAULT_MAX_FILLS()).to.equal(64n);
+
+      const capped = await (await exchange.placeLimitOrder(0, ONE_ETHER, 5, GTC, 0, 0, 2, 0)).wait();
+      const names = capped.logs.map((log) => exchange.interface.parseLog(log)?.name);
+      expect(names.filter((n) => n === "Trade").length).to.equal(2);
+      expect(names).to.not.include("OrderPlaced");
+      expect((await reader.getOrderBook(exchange))[3].length).to.equal(3);
+
+      // Book no longer crosses once the cap is reached: the remainder rests
+      await expect(exchange.placeLimitOrder(0, ONE_ETHER, 4, GTC, 0, 0, 3, 0))
+        .to.emit(exchange, "OrderPlaced").withArgs(6, anyValue, 0, ONE_ETHER, 1);
+    });
+
+    it("keeps locked balances in step with fills, amendments, expiry and cancels", async function () {
+      const { exchange, reader, saturn, owner, otherAccount, ONE_ETHER, LOT_SIZE } = await loadFixture(deployExchangeFixture);
+      const exchangeAddr = await exchange.getAddress();
+      await saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 10n, "0x");
+      await exchange.depositEtc({ value: ONE_ETHER * 20n });
+      await exchange.connect(otherAccount).depositEtc({ value: ONE_ETHER * 20n });
+
+      const check = async () => {
+        for (const user of [owner.address, otherAccount.address]) {
+          expect(await exchange.getUserLocked(user)).to.deep.equal(await lockedFromOrders(exchange, user, LOT_SIZE));
+        }
+      };
+
+      await exchange.placeLimitSellFromBalance(ONE_ETHER * 2n, 4);                    // #1
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER / 2n, 3);                     // #2
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER, 2);    // #3
+      await check();
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER * 2n, 1); // partial fill of #1
+      await exchange.placeLimitSellFromBalance(ONE_ETHER, 1);                         // partial fill of #3
+      await check();
+      await exchange.modifyOrder(1, ONE_ETHER * 2n, 2, 0);                            // reduce in place
+      await exchange.modifyOrder(2, ONE_ETHER / 4n, 5, 0);                            // re-price
+      await exchange.modifyOrder(1, ONE_ETHER, 3, 0);                                 // re-price across #3
+      await check();
+      const expiresAt = (await time.latest()) + 60;
+      await exchange.connect(otherAccount).placeLimitOrder(0, ONE_ETHER / 2n, 2, GTC, expiresAt, 0, 0, 0);
+      await time.increaseTo(expiresAt);
+      await exchange.cancelExpiredOrders([...(await reader.getExpiredOrders(exchange, 10))]);
+      await exchange.cancelOrder(2);
+      await check();
+      await exchange.cancelAllMyOrders();
+      expect(await exchange.getUserLocked(owner.address)).to.deep.equal([0n, 0n]);
+      await check();
+    });
+  });
+
+  describe("partial withdrawals", function () {
+    async function fundedFixture() {
+      const base = await deployExchangeFixture();
+      const { exchange, saturn, LOT_SIZE, ONE_ETHER } = base;
+      await saturn["transfer(address,uint256,bytes)"](await exchange.getAddress(), LOT_SIZE * 3n, "0x");
+      await exchange.depositEtc({ value: ONE_ETHER * 5n });
+      // Lock 2 lots of SATURN and 2 ETC
+      await exchange.placeLimitSellFromBalance(ONE_ETHER * 3n, 2);
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER, 2);
+      return base;
+    }
+
+    it("withdraws unlocked ETC up to the exact boundary", async function () {
+      const { exchange, owner, ONE_ETHER } = await loadFixture(fundedFixture);
+
+      await expect(exchange.withdrawEtc(ONE_ETHER * 3n + 1n)).to.be.revertedWith("Insufficient ETC");
+
+      const tx = exchange.withdrawEtc(ONE_ETHER * 3n);
+      await expect(tx).to.emit(exchange, "WithdrawEtc").withArgs(owner.address, ONE_ETHER * 3n);
+      await expect(tx).to.changeEtherBalance(owner, ONE_ETHER * 3n);
+
+      const acct = await exchange.accounts(owner.address);
+      expect(acct.etherBalance).to.equal(ONE_ETHER * 2n);
+      await expect(exchange.withdrawEtc(1)).to.be.revertedWith("Insufficient ETC");
+
+      // Resting orders are untouched
+      expect((await exchange.getUserOrders(owner.address)).length).to.equal(2);
+    });
+
+    it("withdraws unlocked SATURN up to the exact boundary", async function () {
+      const { exchange, owner, saturn, LOT_SIZE } = await loadFixture(fundedFixture);
+
+      await expect(exchange.withdrawSaturn(LOT_SIZE + 1n)).to.be.revertedWith("Insufficient SATURN");
+
+      const before = await saturn.balanceOf(owner.address);
+      await expect(exchange.withdrawSaturn(LOT_SIZE))
+        .to.emit(exchange, "WithdrawSaturn").withArgs(owner.address, LOT_SIZE);
+      expect(await saturn.balanceOf(owner.address)).to.equal(before + LOT_SIZE);
+      await expect(exchange.withdrawSaturn(1)).to.be.revertedWith("Insufficient SATURN");
+    });
+
+    it("frees locked funds once orders are canceled and rejects zero amounts", async function () {
+      const { exchange, ONE_ETHER, LOT_SIZE } = await loadFixture(fundedFixture);
+
+      await expect(exchange.withdrawEtc(0)).to.be.revertedWith("Zero amount");
+      await expect(exchange.withdrawSaturn(0)).to.be.revertedWith("Zero amount");
+
+      await exchange.cancelAllMyOrders();
+      await expect(exchange.withdrawEtc(ONE_ETHER * 5n)).to.emit(exchange, "WithdrawEtc");
+      await expect(exchange.withdrawSaturn(LOT_SIZE * 3n)).to.emit(exchange, "WithdrawSaturn");
+    });
+  });
+
+  describe("modifyOrder", function () {
+    async function twoBidsFixture() {
+      const base = await deployExchangeFixture();
+      const { exchange, otherAccount, third, saturn, LOT_SIZE, ONE_ETHER } = base;
+      await exchange.depositEtc({ value: ONE_ETHER * 10n });
+      await exchange.connect(otherAccount).depositEtc({ value: ONE_ETHER * 10n });
+      // Order 1 (owner) then order 2 (otherAccount), both 3 lots @ 1 ETC
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER, 3);
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER, 3);
+      // third holds SATURN to take liquidity
+      await saturn["transfer(address,uint256,bytes)"](third.address, LOT_SIZE * 10n, "0x");
+      await saturn.connect(third)["transfer(address,uint256,bytes)"](await exchange.getAddress(), LOT_SIZE * 10n, "0x");
+      return base;
+    }
+
+    it("keeps time priority when only reducing lots", async function () {
+      const { exchange, reader, owner, third, ONE_ETHER } = await loadFixture(twoBidsFixture);
+
+      await expect(exchange.modifyOrder(1, ONE_ETHER, 2, 0))
+        .to.emit(exchange, "OrderModified")
+        .withArgs(1, owner.address, ONE_ETHER, 3, ONE_ETHER, 2, true);
+
+      const [buyIds, , buyLots] = await reader.getOrderBook(exchange);
+      expect(buyIds).to.deep.equal([1n, 2n]);
+      expect(buyLots).to.deep.equal([2n, 3n]);
+
+      // The reduced order is still first in line
+      await expect(exchange.connect(third).placeLimitSellFromBalance(ONE_ETHER, 1))
+        .to.emit(exchange, "Trade").withArgs(1, owner.address, third.address, 0, ONE_ETHER, 1, anyValue, anyValue, 0, anyValue);
+
+      const [, lockedEtc] = await exchange.getUserLocked(owner.address);
+      expect(lockedEtc).to.equal(ONE_ETHER);
+    });
+
+    it("re-inserts at the back of the level when increasing lots", async function () {
+      const { exchange, reader, ONE_ETHER } = await loadFixture(twoBidsFixture);
+
+      await exchange.modifyOrder(1, ONE_ETHER, 4, 0);
+      const [buyIds, , buyLots] = await reader.getOrderBook(exchange);
+      expect(buyIds).to.deep.equal([2n, 1n]);
+      expect(buyLots).to.deep.equal([3n, 4n]);
+    });
+
+    it("re-inserts after the hint, and still in price-time order with a stale one", async function () {
+      const { exchange, reader, ONE_ETHER } = await loadFixture(twoBidsFixture);
+      await exchange.placeLimitBuyFromBalance(ONE_ETHER / 2n, 1); // #3
+
+      await exchange.modifyOrder(3, ONE_ETHER, 1, 2);
+      expect((await reader.getOrderBook(exchange))[0]).to.deep.equal([1n, 2n, 3n]);
+
+      // The amended order itself and an order behind the new price are no help
+      await exchange.modifyOrder(1, ONE_ETHER / 2n, 3, 1);
+      expect((await reader.getOrderBook(exchange))[0]).to.deep.equal([2n, 3n, 1n]);
+      await exchange.modifyOrder(1, ONE_ETHER * 2n, 3, 3);
+      expect((await reader.getOrderBook(exchange))[0]).to.deep.equal([1n, 2n, 3n]);
+    });
+
+    it("re-prices without a new order id and can cross immediately", async function () {
+      const { exchange, reader, owner, third, LOT_SIZE, ONE_ETHER } = await loadFixture(twoBidsFixture);
+
+      // Resting ask at 2 ETC from third
+      await exchange.connect(third).placeLimitSellFromBalance(ONE_ETHER * 2n, 1);
+      const nextIdBefore = await exchange.nextOrderId();
+
+      const tx = exchange.modifyOrder(1, ONE_ETHER * 2n, 3, 0);
+      await expect(tx).to.emit(exchange, "Trade")
+        .withArgs(3, third.address, owner.address, 1, ONE_ETHER * 2n, 1, LOT_SIZE, ONE_ETHER * 2n, anyValue, 0);
+      await expect(tx).to.emit(exchange, "OrderModified")
+        .withArgs(1, owner.address, ONE_ETHER, 3, ONE_ETHER * 2n, 2, false);
+
+      expect(await exchange.nextOrderId()).to.equal(nextIdBefore);
+      const [buyIds, buyPrices, buyLots, sellIds] = await reader.getOrderBook(exchange);
+      expect(buyIds).to.deep.equal([1n, 2n]);
+      expect(buyPrices[0]).to.equal(ONE_ETHER * 2n);
+      expect(buyLots[0]).to.equal(2n);
+      expect(sellIds.length).to.equal(0);
+    });
+
+    it("removes the order when the new price fills it completely", async function () {
+      const { exchange, owner, third, ONE_ETHER } = await loadFixture(twoBidsFixture);
+
+      await exchange.connect(third).placeLimitSellFromBalance(ONE_ETHER * 2n, 5);
+      await expect(exchange.modifyOrder(1, ONE_ETHER * 2n, 3, 0))
+        .to.emit(exchange, "OrderModified")
+        .withArgs(1, owner.address, ONE_ETHER, 3, ONE_ETHER * 2n, 0, false);
+
+      expect((await exchange.getOrder(1)).user).to.equal(ethers.ZeroAddress);
+      expect(await exchange.getUserOrders(owner.address)).to.deep.equal([]);
+    });
+
+    it("checks the new reservation against available balances", async function () {
+      const { exchange, third, ONE_ETHER } = await loadFixture(twoBidsFixture);
+
+      // Owner has 10 ETC, 3 locked by order 1: 10 lots @ 1 ETC is the max
+      await expect(exchange.modifyOrder(1, ONE_ETHER, 11, 0)).to.be.revertedWith("Insufficient ETC");
+      await exchange.modifyOrder(1, ONE_ETHER, 10, 0);
+
+      // third: 10 lots of SATURN, 4 resting; may grow to 10 but not 11
+      await exchange.connect(third).placeLimitSellFromBalance(ONE_ETHER * 5n, 4);
+      await expect(exchange.connect(third).modifyOrder(3, ONE_ETHER * 5n, 11, 0)).to.be.revertedWith("Insufficient SATURN");
+      await exchange.connect(third).modifyOrder(3, ONE_ETHER * 6n, 10, 0);
+    });
+
+    it("rejects foreign, missing and no-op modifications", async function () {
+      const { exchange, otherAccount, ONE_ETHER } = await loadFixture(twoBidsFixture);
+
+      await expect(exchange.connect(otherAccount).modifyOrder(1, ONE_ETHER, 1, 0)).to.be.revertedWith("Not owner");
+      await expect(exchange.modifyOrder(99, ONE_ETHER, 1, 0)).to.be.revertedWith("No order");
+      await expect(exchange.modifyOrder(1, ONE_ETHER, 3, 0)).to.be.revertedWith("No change");
+      await expect(exchange.modifyOrder(1, ONE_ETHER, 0, 0)).to.be.revertedWith("Zero lots");
+      await expect(exchange.modifyOrder(1, 0, 1, 0)).to.be.revertedWith("Zero price");
+    });
+  });
+
+  describe("tokenFallback order payloads", function () {
+    it("deposits and places a resting limit sell in one transfer", async function () {
+      const { exchange, owner, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+      const exchangeAddr = await exchange.getAddress();
+
+      await exchange.connect(otherAccount).depositEtc({ value: ONE_ETHER });
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER, 1);
+
+      const data = encodeOrderPayload({ action: "limitSell", pricePerLot: ONE_ETHER, lots: 2 });
+      await expect(saturn["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 3n, data))
+        .to.emit(exchange, "DepositSATURN").withArgs(owner.address, LOT_SIZE * 3n)
+        .and.to.emit(exchange, "Trade")
+        .and.to.emit(exchange, "OrderPlaced").withArgs(2, owner.address, 1, ONE_ETHER, 1);
+
+      // Unused SATURN stays as internal balance; 1 lot sold, 1 lot resting
+      const acct = await exchange.accounts(owner.address);
+      expect(acct.tokenBalance).to.equal(LOT_SIZE * 2n);
+      const [lockedSaturn] = await exchange.getUserLocked(owner.address);
+      expect(lockedSaturn).to.equal(LOT_SIZE);
+    });
+
+    it("sells immediately, pays out ETC and refunds unsold SATURN", async function () {
+      const { exchange, owner, otherAccount, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+      const exchangeAddr = await exchange.getAddress();
+
+      await exchange.connect(otherAccount).depositEtc({ value: ONE_ETHER });
+      await exchange.connect(otherAccount).placeLimitBuyFromBalance(ONE_ETHER, 1);
+
+      // Move SATURN to a plain EOA seller so ETC receipt is easy to measure
+      const seller = (await ethers.getSigners())[2];
+      await saturn.transfer(seller.address, LOT_SIZE * 3n);
+
+      const feeEtc = (ONE_ETHER * 25n) / 10_000n;
+      const ethBefore = await ethers.provider.getBalance(seller.address);
+      const data = encodeOrderPayload({ action: "immediateSell", pricePerLot: ONE_ETHER, lots: 3 });
+      const tx = await saturn.connect(seller)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 3n, data);
+      const receipt = await tx.wait();
+
+      await expect(tx).to.emit(exchange, "SellImmediateSettled")
+        .withArgs(seller.address, LOT_SIZE * 3n, LOT_SIZE * 2n, ONE_ETHER - feeEtc);
+      await expect(tx).to.not.emit(exchange, "DepositSATURN");
+      await expect(tx).to.not.emit(exchange, "OrderPlaced");
+
+      expect(await saturn.balanceOf(seller.address)).to.equal(LOT_SIZE * 2n);
+      const ethAfter = await ethers.provider.getBalance(seller.address);
+      expect(ethAfter - ethBefore + receipt.gasUsed * receipt.gasPrice).to.equal(ONE_ETHER - feeEtc);
+
+      const acct = await exchange.accounts(seller.address);
+      expect(acct.tokenBalance).to.equal(0);
+      expect(acct.etherBalance).to.equal(0);
+      expect(await saturn.balanceOf(exchangeAddr)).to.equal(LOT_SIZE);
+      expect(await exchange.accumulatedFeesEtc()).to.equal(feeEtc);
+    });
+
+    it("rejects malformed payloads with clear reasons", async function () {
+      const { exchange, owner, saturn, LOT_SIZE, ONE_ETHER } = await loadFixture(deployExchangeFixture);
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const encode = (a, p, l) => coder.encode(["uint256", "uint256", "uint256"], [a, p, l]);
+
+      // Call tokenFallback as the token itself to observe revert reasons
+      const saturnAddr = await saturn.getAddress();
+      await impersonateAccount(saturnAddr);
+      await setBalance(saturnAddr, ONE_ETHER);
+      const asToken = exchange.connect(await ethers.getSigner(saturnAddr));
+
+      await expect(asToken.tokenFallback(owner.address, LOT_SIZE, "0x1234"))
+        .to.be.revertedWith("Bad order data");
+      await expect(asToken.tokenFallback(owner.address, LOT_SIZE, encode(7, ONE_ETHER, 1)))
+        .to.be.revertedWith("Bad order action");
+      await expect(asToken.tokenFallback(owner.address, LOT_SIZE, encode(1, 0, 1)))
+        .to.be.revertedWith("Bad order price");
+      await expect(asToken.tokenFallback(owner.address, LOT_SIZE, encode(1, 1n << 128n, 1)))
+        .to.be.revertedWith("Bad order price");
+      await expect(asToken.tokenFallback(owner.address, LOT_SIZE, encode(2, ONE_ETHER, 0)))
+        .to.be.revertedWith("Bad order lots");
+      await expect(asToken.tokenFallback(owner.address, LOT_SIZE, encode(2, ONE_ETHER, 2)))
+        .to.be.revertedWith("Deposit below order size");
+
+      // Through the token, a bad payload reverts the whole transfer
+      const before = await saturn.balanceOf(owner.address);
+      await expect(
+        saturn["transfer(address,uint256,bytes)"](await exchange.getAddress(), LOT_SIZE, "0x1234")
+      ).to.be.reverted;
+      expect(await saturn.balanceOf(owner.address)).to.equal(before);
+      expect((await exchange.accounts(owner.address)).tokenBalance).to.equal(0);
+    });
   });
 });
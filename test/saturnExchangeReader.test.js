@@ -0,0 +1,127 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { bookFromSnapshot } = require("../ui/lib/fillSimulator");
+const { readAllPages, readBook, readUserOrders } = require("../ui/lib/bookPages");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("SaturnExchangeReader", function () {
+  // alice asks #1 2@1.2, #2 1@1.1, #3 3@1.2; bob bids #4 1@0.9, #5 2@0.8, #6 2@0.9, #7 1@0.7
+  async function deployBookFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const { saturn, exchange, reader, LOT_SIZE } = await deployExchange();
+    const exchangeAddr = await exchange.getAddress();
+
+    const price = (n) => ethers.parseEther(String(n));
+
+    await saturn["transfer(address,uint256,bytes)"](alice.address, LOT_SIZE * 7n, "0x");
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 7n, "0x");
+    await exchange.connect(bob).depositEtc({ value: price(10) });
+
+    await exchange.connect(alice).placeLimitSellFromBalance(price(1.2), 2);
+    await exchange.connect(alice).placeLimitSellFromBalance(price(1.1), 1);
+    await exchange.connect(alice).placeLimitSellFromBalance(price(1.2), 3);
+    await exchange.connect(bob).placeLimitBuyFromBalance(price(0.9), 1);
+    await exchange.connect(bob).placeLimitBuyFromBalance(price(0.8), 2);
+    await exchange.connect(bob).placeLimitBuyFromBalance(price(0.9), 2);
+    await exchange.connect(bob).placeLimitBuyFromBalance(price(0.7), 1);
+
+    return { exchange, reader, owner, alice, bob, exchangeAddr, price };
+  }
+
+  it("pages one side in priority order with a cursor", async function () {
+    const { reader, exchangeAddr } = await loadFixture(deployBookFixture);
+
+    const [first, cursor] = await reader.getOrderBookPage(exchangeAddr, 0, 0, 3);
+    expect(first.map((r) => r.id)).to.deep.equal([4n, 6n, 5n]);
+    expect(cursor).to.equal(5n);
+
+    const [rest, end] = await reader.getOrderBookPage(exchangeAddr, 0, cursor, 3);
+    expect(rest.map((r) => r.id)).to.deep.equal([7n]);
+    expect(end).to.equal(0n);
+
+    // A page that ends exactly at the tail also reports the end
+    const [asks, askEnd] = await reader.getOrderBookPage(exchangeAddr, 1, 0, 3);
+    expect(asks.map((r) => r.id)).to.deep.equal([2n, 1n, 3n]);
+    expect(askEnd).to.equal(0n);
+  });
+
+  it("returns full order records with owner and timestamps", async function () {
+    const { exchange, reader, alice, exchangeAddr, price } = await loadFixture(deployBookFixture);
+    const expiresAt = (await time.latest()) + 3600;
+    await exchange.connect(alice).placeLimitOrder(1, price(2), 1, 0, expiresAt, 0, 0, 0);
+    const placedAt = await time.latest();
+
+    const record = await reader.getOrderRecord(exchangeAddr, 8);
+    expect(record.toObject()).to.deep.equal({
+      id: 8n,
+      user: alice.address,
+      side: 1n,
+      pricePerLot: price(2),
+      lots: 1n,
+      expiresAt: BigInt(expiresAt),
+      placedAt: BigInt(placedAt)
+    });
+    expect((await exchange.getOrder(8)).placedAt).to.equal(BigInt(placedAt));
+    await expect(reader.getOrderRecord(exchangeAddr, 99)).to.be.revertedWith("No such order");
+  });
+
+  it("pages a user's orders in placement order", async function () {
+    const { exchange, reader, bob, exchangeAddr } = await loadFixture(deployBookFixture);
+    await exchange.connect(bob).cancelOrder(5);
+
+    const [page, cursor] = await reader.getUserOrdersPage(exchangeAddr, bob.address, 0, 2);
+    expect(page.map((r) => r.id)).to.deep.equal([4n, 6n]);
+    expect(page.every((r) => r.user === bob.address)).to.equal(true);
+    const [rest, end] = await reader.getUserOrdersPage(exchangeAddr, bob.address, cursor, 2);
+    expect(rest.map((r) => r.id)).to.deep.equal([7n]);
+    expect(end).to.equal(0n);
+  });
+
+  it("aggregates the best price levels up to a depth", async function () {
+    const { reader, exchangeAddr, price } = await loadFixture(deployBookFixture);
+
+    const [buyPrices, buyLots, sellPrices, sellLots] = await reader.getOrderBookLevels(exchangeAddr, 2);
+    expect(buyPrices).to.deep.equal([price(0.9), price(0.8)]);
+    expect(buyLots).to.deep.equal([3n, 2n]);
+    expect(sellPrices).to.deep.equal([price(1.1), price(1.2)]);
+    expect(sellLots).to.deep.equal([1n, 5n]);
+
+    const deep = await reader.getOrderBookLevels(exchangeAddr, 10);
+    expect(deep[0].length).to.equal(3);
+  });
+
+  it("rejects stale cursors and empty pages", async function () {
+    const { exchange, reader, alice, bob, exchangeAddr } = await loadFixture(deployBookFixture);
+
+    await expect(reader.getOrderBookPage(exchangeAddr, 0, 2, 5)).to.be.revertedWith("Stale cursor");
+    await expect(reader.getUserOrdersPage(exchangeAddr, alice.address, 4, 5)).to.be.revertedWith("Stale cursor");
+    await exchange.connect(bob).cancelOrder(6);
+    await expect(reader.getOrderBookPage(exchangeAddr, 0, 6, 5)).to.be.revertedWith("Stale cursor");
+    await expect(reader.getOrderBookPage(exchangeAddr, 0, 0, 0)).to.be.revertedWith("Zero limit");
+    await expect(reader.getOrderBookLevels(exchangeAddr, 0)).to.be.revertedWith("Zero limit");
+  });
+
+  it("reads the same book as getOrderBook through the JS pager", async function () {
+    const { exchange, reader, bob, exchangeAddr } = await loadFixture(deployBookFixture);
+    const blockTag = await ethers.provider.getBlockNumber();
+    await exchange.connect(bob).cancelOrder(4); // after the pinned block
+
+    const paged = await readBook(reader, exchangeAddr, { pageSize: 2, blockTag });
+    const full = bookFromSnapshot(await reader.getOrderBook(exchangeAddr, { blockTag }));
+    const strip = (side) => side.map(({ id, pricePerLot, lots }) => ({ id, pricePerLot, lots }));
+    expect(strip(paged.buys)).to.deep.equal(full.buys);
+    expect(strip(paged.sells)).to.deep.equal(full.sells);
+
+    const mine = await readUserOrders(reader, exchangeAddr, bob.address, { pageSize: 1 });
+    expect(mine.map((o) => [o.id, o.side])).to.deep.equal([[5n, "buy"], [6n, "buy"], [7n, "buy"]]);
+
+    const calls = [];
+    await readAllPages(async (afterId, limit) => {
+      calls.push(afterId);
+      return reader.getOrderBookPage(exchangeAddr, 1, afterId, limit);
+    }, { pageSize: 1 });
+    expect(calls).to.deep.equal([0n, 2n, 1n]);
+  });
+});
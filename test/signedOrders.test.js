@@ -0,0 +1,258 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { orderDomain, signOrder, hashOrder, orderToJson } = require("../ui/lib/signedOrders");
+const { Relayer, createRelayerServer } = require("../scripts/lib/relayer");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("signed orders", function () {
+  const price = (n) => ethers.parseEther(String(n));
+  const BUY = 0;
+  const SELL = 1;
+
+  async function deployFixture() {
+    const [owner, alice, bob, carol, relayerSigner] = await ethers.getSigners();
+
+    const { saturn, exchange, LOT_SIZE } = await deployExchange();
+    const exchangeAddr = await exchange.getAddress();
+    const signedOrders = await ethers.getContractAt("SaturnSignedOrders", await exchange.SIGNED_ORDERS(), relayerSigner);
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = orderDomain(chainId, await signedOrders.getAddress());
+    for (const signer of [alice, bob, carol]) {
+      await saturn["transfer(address,uint256,bytes)"](signer.address, LOT_SIZE * 10n, "0x");
+      await saturn.connect(signer)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 5n, "0x");
+      await exchange.connect(signer).depositEtc({ value: price(10) });
+    }
+    return { saturn, exchange, signedOrders, domain, owner, alice, bob, carol, relayerSigner, LOT_SIZE };
+  }
+
+  const sign = (signer, domain, order) => signOrder(signer, { expiresAt: 0, nonce: 1, ...order }, domain);
+
+  it("settles a match at the maker's price with the taker paying the fee", async function () {
+    const { exchange, signedOrders, domain, alice, bob, LOT_SIZE } = await loadFixture(deployFixture);
+    const ask = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 3 });
+    const bid = await sign(bob, domain, { side: BUY, pricePerLot: price(1.2), lots: 5 });
+    expect(await signedOrders.hashOrder(ask.order)).to.equal(ask.hash);
+    expect(hashOrder(orderToJson(ask.order), domain)).to.equal(ask.hash);
+
+    await expect(signedOrders.matchOrders(ask.order, ask.signature, bid.order, bid.signature, 2))
+      .to.emit(signedOrders, "OrdersMatched").withArgs(ask.hash, bid.hash, 2)
+      .and.to.emit(exchange, "Trade")
+      .withArgs(0, alice.address, bob.address, SELL, price(1), 2, LOT_SIZE * 2n, price(2), (LOT_SIZE * 2n) / 400n, 0);
+
+    expect(await exchange.getUserBalances(alice.address)).to.deep.equal([LOT_SIZE * 3n, price(12)]);
+    expect(await exchange.getUserBalances(bob.address)).to.deep.equal([LOT_SIZE * 7n - (LOT_SIZE * 2n) / 400n, price(8)]);
+    expect(await exchange.lastTradePrice()).to.equal(price(1));
+    expect(await signedOrders.remainingLots(ask.order)).to.equal(1n);
+    expect(await signedOrders.remainingLots(bid.order)).to.equal(3n);
+
+    // Partial fills add up to the signed size and no further, including replays
+    await signedOrders.matchOrders(ask.order, ask.signature, bid.order, bid.signature, 1);
+    await expect(signedOrders.matchOrders(ask.order, ask.signature, bid.order, bid.signature, 1))
+      .to.be.revertedWith("Overfill");
+    expect(await signedOrders.filled(ask.hash)).to.equal(3n);
+    // Signed orders never touch the on-chain book
+    expect(await exchange.getUserOrders(alice.address)).to.deep.equal([]);
+  });
+
+  it("rejects bad signatures, mismatched pairs and tampered orders", async function () {
+    const { signedOrders, domain, alice, bob, carol } = await loadFixture(deployFixture);
+    const ask = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 3 });
+    const bid = await sign(bob, domain, { side: BUY, pricePerLot: price(1), lots: 3 });
+    const match = (maker, taker, lots = 1) =>
+      signedOrders.matchOrders(maker.order, maker.signature, taker.order, taker.signature, lots);
+
+    // Signed by someone else, for another domain, or altered after signing
+    const forged = await signOrder(carol, { ...bid.order }, domain);
+    await expect(match(ask, forged)).to.be.revertedWith("Bad signature");
+    const otherChain = await sign(bob, { ...domain, chainId: 1n }, bid.order);
+    await expect(match(ask, otherChain)).to.be.revertedWith("Bad signature");
+    await expect(match(ask, { ...bid, order: { ...bid.order, lots: 30n } })).to.be.revertedWith("Bad signature");
+    await expect(match(ask, { ...bid, signature: bid.signature.slice(0, -2) })).to.be.revertedWith("Bad signature");
+
+    const ownBid = await sign(alice, domain, { side: BUY, pricePerLot: price(1), lots: 3 });
+    await expect(match(ask, ownBid)).to.be.revertedWith("Self trade");
+    await expect(match(ask, await sign(bob, domain, { side: SELL, pricePerLot: price(1), lots: 3 }))).to.be.revertedWith("Same side");
+    const lowBid = await sign(bob, domain, { side: BUY, pricePerLot: price(0.9), lots: 3 });
+    await expect(match(ask, lowBid)).to.be.revertedWith("Prices do not cross");
+    await expect(match(ask, bid, 0)).to.be.revertedWith("Zero lots");
+    await expect(match(ask, bid, 4)).to.be.revertedWith("Overfill");
+    await expect(match(bid, ask)).not.to.be.reverted;
+  });
+
+  it("cancels by nonce and stops matching expired orders", async function () {
+    const { signedOrders, domain, alice, bob } = await loadFixture(deployFixture);
+    const bid = await sign(bob, domain, { side: BUY, pricePerLot: price(1), lots: 10 });
+    const match = (maker) => signedOrders.matchOrders(maker.order, maker.signature, bid.order, bid.signature, 1);
+
+    const ask = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 3, nonce: 7 });
+    await expect(signedOrders.connect(alice).cancelNonce(7)).to.emit(signedOrders, "NonceCanceled").withArgs(alice.address, 7);
+    await expect(match(ask)).to.be.revertedWith("Order canceled");
+    expect(await signedOrders.remainingLots(ask.order)).to.equal(0n);
+
+    const older = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 3, nonce: 8 });
+    const newer = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 3, nonce: 20 });
+    await expect(signedOrders.connect(alice).cancelNoncesBelow(20))
+      .to.emit(signedOrders, "NoncesCanceledBelow").withArgs(alice.address, 20);
+    await expect(signedOrders.connect(alice).cancelNoncesBelow(20)).to.be.revertedWith("Nonce not higher");
+    await expect(match(older)).to.be.revertedWith("Order canceled");
+    await expect(match(newer)).not.to.be.reverted;
+
+    const expiresAt = (await time.latest()) + 60;
+    const expiring = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 3, nonce: 21, expiresAt });
+    await expect(match(expiring)).not.to.be.reverted;
+    await time.increaseTo(expiresAt);
+    await expect(match(expiring)).to.be.revertedWith("Order expired");
+    expect(await signedOrders.remainingLots(expiring.order)).to.equal(0n);
+  });
+
+  it("only trades balances that resting orders do not lock", async function () {
+    const { exchange, signedOrders, domain, alice, bob } = await loadFixture(deployFixture);
+    const ask = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 5 });
+    const bid = await sign(bob, domain, { side: BUY, pricePerLot: price(2), lots: 10 });
+    const match = (lots) => signedOrders.matchOrders(ask.order, ask.signature, bid.order, bid.signature, lots);
+
+    // Alice's resting sell locks 3 of her 5 lots; Bob's resting buy 9 of his 10 ETC
+    await exchange.connect(alice).placeLimitSellFromBalance(price(5), 3n);
+    await exchange.connect(bob).placeLimitBuyFromBalance(price(0.5), 18n);
+    await expect(match(2)).to.be.revertedWith("Insufficient ETC");
+    await exchange.connect(bob).cancelAllMyOrders();
+    await expect(match(3)).to.be.revertedWith("Insufficient SATURN");
+    await expect(match(2)).not.to.be.reverted;
+    expect(await signedOrders.remainingLots(ask.order)).to.equal(3n);
+  });
+
+  it("obeys emergency mode and the circuit breaker, and only SIGNED_ORDERS settles", async function () {
+    const { exchange, signedOrders, domain, owner, alice, bob, carol } = await loadFixture(deployFixture);
+    await expect(exchange.settleSignedMatch(alice.address, bob.address, SELL, price(1), 1))
+      .to.be.revertedWith("Only signed orders");
+
+    const ask = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 5 });
+    const bid = await sign(bob, domain, { side: BUY, pricePerLot: price(1), lots: 5 });
+    await exchange.connect(owner).setEmergencyMode(true);
+    await expect(signedOrders.matchOrders(ask.order, ask.signature, bid.order, bid.signature, 1))
+      .to.be.revertedWith("Trading disabled");
+    await exchange.connect(owner).setEmergencyMode(false);
+    await signedOrders.matchOrders(ask.order, ask.signature, bid.order, bid.signature, 1);
+
+    // A 10% band: a match at double the last price halts trading and fills nothing
+    await exchange.connect(owner).setCircuitBreaker(1000, 5);
+    const farAsk = await sign(carol, domain, { side: SELL, pricePerLot: price(2), lots: 1 });
+    const farBid = await sign(bob, domain, { side: BUY, pricePerLot: price(2), lots: 1, nonce: 2 });
+    expect(await signedOrders.matchOrders.staticCall(farAsk.order, farAsk.signature, farBid.order, farBid.signature, 1)).to.equal(false);
+    await expect(signedOrders.matchOrders(farAsk.order, farAsk.signature, farBid.order, farBid.signature, 1))
+      .to.emit(exchange, "CircuitBreakerTripped")
+      .and.not.to.emit(signedOrders, "OrdersMatched");
+    expect(await signedOrders.remainingLots(farAsk.order)).to.equal(1n);
+    await expect(signedOrders.matchOrders(ask.order, ask.signature, bid.order, bid.signature, 1))
+      .to.be.revertedWith("Trading halted");
+  });
+
+  describe("relayer", function () {
+    // A fresh relayer per test (fixtures are shared snapshots) on a free port
+    let server;
+    async function startRelayer(signedOrders) {
+      const relayer = new Relayer({ signedOrders });
+      server = createRelayerServer(relayer);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return { relayer, url: `http://127.0.0.1:${server.address().port}` };
+    }
+
+    afterEach(async function () {
+      if (server?.listening) await new Promise((resolve) => server.close(resolve));
+      server = null;
+    });
+
+    const post = async (url, body) => {
+      const res = await fetch(`${url}/orders`, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+      return { status: res.status, body: await res.json() };
+    };
+    const submit = async (url, signed) => post(url, { order: orderToJson(signed.order), signature: signed.signature });
+
+    it("collects signed orders over HTTP and settles them in price-time order", async function () {
+      const { exchange, signedOrders, domain, alice, bob, carol, relayerSigner, LOT_SIZE } = await loadFixture(deployFixture);
+      const { url } = await startRelayer(signedOrders);
+
+      // Browsers preflight the JSON POST from the UI's origin
+      const preflight = await fetch(`${url}/orders`, { method: "OPTIONS" });
+      expect(preflight.status).to.equal(204);
+      expect(preflight.headers.get("access-control-allow-headers")).to.equal("content-type");
+      const domainRes = await fetch(`${url}/domain`);
+      expect(domainRes.headers.get("access-control-allow-origin")).to.equal("*");
+      const info = await domainRes.json();
+      expect(info.domain).to.deep.equal({
+        name: "SaturnExchange", version: "1", chainId: domain.chainId.toString(), verifyingContract: domain.verifyingContract
+      });
+
+      const dear = await sign(alice, domain, { side: SELL, pricePerLot: price(1.5), lots: 2 });
+      const cheap = await sign(carol, domain, { side: SELL, pricePerLot: price(1), lots: 2 });
+      for (const signed of [dear, cheap]) {
+        const res = await submit(url, signed);
+        expect(res.status).to.equal(201);
+        expect(res.body).to.deep.equal({ hash: signed.hash, remaining: "2", matches: [] });
+      }
+      let book = await (await fetch(`${url}/orders`)).json();
+      expect(book.sells.map((e) => e.hash)).to.deep.equal([cheap.hash, dear.hash]);
+
+      // Bob's bid sweeps the cheaper ask first, each at the resting maker's price
+      const relayerEtc = await ethers.provider.getBalance(relayerSigner.address);
+      const bid = await sign(bob, domain, { side: BUY, pricePerLot: price(2), lots: 3 });
+      const res = await submit(url, bid);
+      expect(res.status).to.equal(201);
+      expect(res.body.matches.map((m) => [m.makerHash, m.lots, m.pricePerLot])).to.deep.equal([
+        [cheap.hash, "2", price(1).toString()],
+        [dear.hash, "1", price(1.5).toString()]
+      ]);
+      expect(await exchange.getUserBalances(bob.address)).to.deep.equal([
+        LOT_SIZE * 8n - (LOT_SIZE * 2n) / 400n - LOT_SIZE / 400n, price(10) - price(3.5)
+      ]);
+      // The relayer pays the gas; traders pay only the exchange fee
+      expect(await ethers.provider.getBalance(relayerSigner.address)).to.be.below(relayerEtc);
+
+      book = await (await fetch(`${url}/orders`)).json();
+      expect(book).to.deep.equal({
+        buys: [],
+        sells: [{ hash: dear.hash, order: orderToJson(dear.order), signature: dear.signature, remaining: "1" }]
+      });
+    });
+
+    it("rejects invalid orders and drops dead or unfunded ones before matching", async function () {
+      const { exchange, signedOrders, domain, alice, bob, carol } = await loadFixture(deployFixture);
+      const { relayer, url } = await startRelayer(signedOrders);
+
+      const ask = await sign(alice, domain, { side: SELL, pricePerLot: price(1), lots: 2 });
+      expect(await submit(url, { ...ask, order: { ...ask.order, lots: 3n } })).to.deep.equal({ status: 400, body: { error: "Bad signature" } });
+      expect((await post(url, { order: { side: "up" }, signature: "0x" })).body.error).to.match(/^Invalid order/);
+      expect((await submit(url, ask)).status).to.equal(201);
+      expect(await submit(url, ask)).to.deep.equal({ status: 400, body: { error: "Order already submitted" } });
+      const expired = await sign(carol, domain, { side: SELL, pricePerLot: price(1), lots: 1, expiresAt: await time.latest() });
+      expect((await submit(url, expired)).body).to.deep.equal({ error: "Order expired" });
+      await signedOrders.connect(carol).cancelNonce(5);
+      const canceled = await sign(carol, domain, { side: SELL, pricePerLot: price(1), lots: 1, nonce: 5 });
+      expect((await submit(url, canceled)).body).to.deep.equal({ error: "Order canceled or filled" });
+
+      // Alice cancels her ask on-chain: the relayer finds out before matching
+      await signedOrders.connect(alice).cancelNonce(1);
+      const funded = await sign(carol, domain, { side: SELL, pricePerLot: price(1.1), lots: 2, nonce: 6 });
+      expect((await submit(url, funded)).status).to.equal(201);
+      // Bob's ETC is locked by a resting buy, so his signed bid cannot settle
+      await exchange.connect(bob).placeLimitBuyFromBalance(price(0.1), 100n);
+      const bid = await sign(bob, domain, { side: BUY, pricePerLot: price(2), lots: 2 });
+      const res = await submit(url, bid);
+      expect(res.body.matches).to.deep.equal([]);
+      expect(relayer.orders.has(bid.hash)).to.equal(false);
+      expect([...relayer.orders.keys()]).to.deep.equal([funded.hash]);
+
+      // Emergency mode pauses matching without dropping anything
+      await exchange.connect(bob).cancelAllMyOrders();
+      await exchange.setEmergencyMode(true);
+      const bid2 = await sign(bob, domain, { side: BUY, pricePerLot: price(2), lots: 2, nonce: 2 });
+      expect((await submit(url, bid2)).body.matches).to.deep.equal([]);
+      expect(relayer.orders.size).to.equal(2);
+      await exchange.setEmergencyMode(false);
+      const { matches } = await (await fetch(`${url}/match`, { method: "POST" })).json();
+      expect(matches.map((m) => [m.makerHash, m.takerHash, m.lots])).to.deep.equal([[funded.hash, bid2.hash, "2"]]);
+      expect(relayer.orders.size).to.equal(0);
+    });
+  });
+});
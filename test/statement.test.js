@@ -0,0 +1,170 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildStatement, loadStatement, toCsv, toJson } = require("../ui/lib/statement");
+const { encodeOrderPayload } = require("../ui/lib/orderPayload");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("statement", function () {
+  const price = (n) => ethers.parseEther(String(n));
+  const SATURN = (n) => BigInt(n) * 10n ** 4n;
+
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const { saturn, exchange, LOT_SIZE } = await deployExchange();
+    const exchangeAddr = await exchange.getAddress();
+    const fromBlock = (await exchange.deploymentTransaction().wait()).blockNumber;
+    for (const signer of [alice, bob]) {
+      await saturn["transfer(address,uint256,bytes)"](signer.address, LOT_SIZE * 20n, "0x");
+    }
+    return { saturn, exchange, exchangeAddr, fromBlock, owner, alice, bob, LOT_SIZE };
+  }
+
+  it("keeps FIFO cost basis across buys, sells and withdrawals", function () {
+    const account = "0x000000000000000000000000000000000000a11c";
+    const other = "0x000000000000000000000000000000000000b0b0";
+    let logIndex = 0;
+    const ev = (name, args) => ({ name, args, blockNumber: 1, transactionHash: "0x01", logIndex: logIndex++ });
+    const trade = (maker, taker, side, p, lots, fees = {}) => ev("Trade", {
+      makerOrderId: 1n, maker, taker, side, pricePerLot: p, lots,
+      grossSaturn: SATURN(1000) * lots, grossEtc: p * lots, feeSaturn: fees.saturn || 0n, feeEtc: fees.etc || 0n
+    });
+
+    const events = [
+      ev("DepositETC", { user: account, amount: price(10) }),
+      ev("DepositSATURN", { user: account, amount: SATURN(500) }),
+      // Taker buy of 2 lots at 1: 0.25% of the SATURN goes to fees
+      trade(other, account, 1, price(1), 2n, { saturn: SATURN(5) }),
+      // Maker buy of 1 lot at 2
+      trade(account, other, 0, price(2), 1n, { etc: price(0.005) }),
+      // Maker sell of 1 lot at 3: 500 deposited (no basis) + 500 of the 1995 bought for 2 ETC
+      trade(account, other, 1, price(3), 1n, { saturn: SATURN(2) }),
+      // The other 1495 of that lot leave the exchange
+      ev("WithdrawSaturn", { user: account, amount: SATURN(1495) }),
+      // Taker sell of 1 lot at 4, fee in ETC: consumes the lot bought at 2
+      trade(other, account, 0, price(4), 1n, { etc: price(0.01) }),
+      ev("OrderCanceled", { orderId: 7n, user: account })
+    ];
+    const s = buildStatement(events, { account });
+
+    const firstBasis = (price(2) * SATURN(500)) / SATURN(1995);
+    const firstPnl = price(1.5) - firstBasis;
+    const secondPnl = price(3.99) - price(2);
+    expect(s.rows.map((r) => r.realizedPnlEtc)).to.deep.equal([0n, 0n, 0n, 0n, firstPnl, 0n, secondPnl, 0n]);
+    expect(s.totals).to.deep.equal({
+      depositedSaturn: SATURN(500),
+      depositedEtc: price(10),
+      withdrawnSaturn: SATURN(1495),
+      withdrawnEtc: 0n,
+      boughtLots: 3n,
+      soldLots: 2n,
+      feesSaturn: SATURN(5),
+      feesEtc: price(0.01),
+      rebatesSaturn: 0n,
+      rebatesEtc: 0n,
+      realizedPnlEtc: firstPnl + secondPnl,
+      proceedsWithoutBasisEtc: price(1.5)
+    });
+    expect(s.inventory).to.deep.equal({ saturn: 0n, costEtc: 0n, unknownBasisSaturn: 0n });
+    // Fees are attributed to the taker only
+    expect(s.rows.map((r) => [r.role, r.side, r.feeSaturn, r.feeEtc]).slice(2, 5)).to.deep.equal([
+      ["taker", "buy", SATURN(5), 0n],
+      ["maker", "buy", 0n, 0n],
+      ["maker", "sell", 0n, 0n]
+    ]);
+    expect(s.balances).to.deep.equal({ saturn: 0n, etc: price(10) - price(2) - price(2) + price(3) + price(3.99) });
+    expect(s.rows[7]).to.include({ type: "OrderCanceled", orderId: 7n, saturnDelta: 0n, etcDelta: 0n });
+  });
+
+  it("reconciles every account with getUserBalances, including external settlement", async function () {
+    const { saturn, exchange, exchangeAddr, fromBlock, alice, bob, LOT_SIZE } = await loadFixture(deployFixture);
+    const deposit = (signer, lots, data = "0x") =>
+      saturn.connect(signer)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * lots, data);
+
+    await exchange.connect(alice).depositEtc({ value: price(10) });
+    await deposit(alice, 5n);
+    await deposit(bob, 5n);
+    await exchange.connect(bob).depositEtc({ value: price(3) });
+
+    // Alice rests a buy; Bob sells into it from his balance and immediately from his wallet
+    await exchange.connect(alice).placeLimitBuyFromBalance(price(1), 4n);
+    await exchange.connect(bob).placeLimitSellFromBalance(price(1), 1n);
+    await deposit(bob, 2n, encodeOrderPayload({ action: "immediateSell", pricePerLot: price(1), lots: 2n }));
+    // Bob deposits and rests a sell in one transfer; Alice takes all of it
+    await deposit(bob, 3n, encodeOrderPayload({ action: "limitSell", pricePerLot: price(1.5), lots: 3n }));
+    await exchange.connect(alice).placeLimitOrder(0, price(1.5), 3n, 0, 0, 0, 0, 0);
+    // Alice rests a sell; Bob buys from it with ETC sent along
+    await exchange.connect(alice).placeLimitSellFromBalance(price(2), 2n);
+    await exchange.connect(bob).placeLimitBuyImmediate(price(2), 1n, { value: price(2.5) });
+
+    await exchange.connect(alice).cancelAllMyOrders();
+    await exchange.connect(alice).withdrawEtc(price(1));
+    await exchange.connect(alice).withdrawSaturn(LOT_SIZE);
+    await exchange.connect(bob).withdrawAll();
+
+    for (const signer of [alice, bob]) {
+      const s = await loadStatement({ provider: ethers.provider, exchangeAddress: exchangeAddr, account: signer.address, fromBlock });
+      expect(s.reconciliation.ok, `${signer.address} off by ${s.reconciliation.saturnDiff} / ${s.reconciliation.etcDiff}`).to.equal(true);
+      const [onChainSaturn, onChainEtc] = await exchange.getUserBalances(signer.address);
+      expect(s.balances).to.deep.equal({ saturn: onChainSaturn, etc: onChainEtc });
+    }
+
+    const bobs = await loadStatement({ provider: ethers.provider, exchangeAddress: exchangeAddr, account: bob.address, fromBlock });
+    const fills = bobs.rows.filter((r) => r.type === "Trade").map((r) => [r.role, r.side, r.settlement, r.lots]);
+    expect(fills).to.deep.equal([
+      ["taker", "sell", "internal", 1n],
+      ["taker", "sell", "external", 2n],
+      ["maker", "sell", "internal", 3n],
+      ["taker", "buy", "external", 1n]
+    ]);
+    // Taker fees: 0.25% of the ETC on sells, of the SATURN on the buy
+    expect(bobs.totals.feesEtc).to.equal(price(3) / 400n);
+    expect(bobs.totals.feesSaturn).to.equal(LOT_SIZE / 400n);
+    // Bob only sold SATURN brought in from his wallet: none of it has a cost basis
+    expect(bobs.totals.realizedPnlEtc).to.equal(0n);
+    expect(bobs.totals.proceedsWithoutBasisEtc).to.equal(price(3) - price(3) / 400n + price(4.5));
+
+    const alices = await loadStatement({ provider: ethers.provider, exchangeAddress: exchangeAddr, account: alice.address, fromBlock });
+    expect(alices.rows.filter((r) => r.type === "OrderCanceled").map((r) => r.orderId)).to.deep.equal([1n, 3n]);
+    expect(alices.rows.every((r) => r.timestamp > 0)).to.equal(true);
+  });
+
+  it("settles a contract's immediate buy externally from its BuyImmediateSettled", async function () {
+    const { saturn, exchange, exchangeAddr, fromBlock, alice, bob, LOT_SIZE } = await loadFixture(deployFixture);
+    const router = await (await ethers.getContractFactory("TestBuyRouter")).deploy();
+    const routerAddr = await router.getAddress();
+
+    await saturn.connect(alice)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 2n, "0x");
+    await exchange.connect(alice).placeLimitSellFromBalance(price(1), 2n);
+    // The exchange call is an internal transaction: nothing in the calldata names it
+    await router.connect(bob).buyImmediate(exchangeAddr, price(1), 1n, { value: price(1.5) });
+
+    const s = await loadStatement({ provider: ethers.provider, exchangeAddress: exchangeAddr, account: routerAddr, fromBlock });
+    expect(s.reconciliation.ok).to.equal(true);
+    expect(s.rows.map((r) => [r.type, r.settlement, r.saturnDelta, r.etcDelta])).to.deep.equal([
+      ["Trade", "external", 0n, 0n],
+      ["BuyImmediateSettled", "external", 0n, 0n]
+    ]);
+    expect(s.inventory.saturn).to.equal(0n);
+  });
+
+  it("exports CSV and JSON with whole-unit amounts", async function () {
+    const { exchange, exchangeAddr, fromBlock, alice } = await loadFixture(deployFixture);
+    await exchange.connect(alice).depositEtc({ value: price(1.5) });
+    await exchange.connect(alice).withdrawEtc(price(0.5));
+
+    const s = await loadStatement({ provider: ethers.provider, exchangeAddress: exchangeAddr, account: alice.address, fromBlock });
+    const [header, ...lines] = toCsv(s).trim().split("\n");
+    expect(header.split(",").slice(0, 5)).to.deep.equal(["block", "time", "tx", "logIndex", "type"]);
+    expect(lines).to.have.length(2);
+    const row = Object.fromEntries(header.split(",").map((k, i) => [k, lines[1].split(",")[i]]));
+    expect(row).to.include({ type: "WithdrawEtc", etcChange: "-0.5", saturnChange: "0.0", etcBalance: "1.0", orderId: "" });
+
+    const json = JSON.parse(toJson(s));
+    expect(json.account).to.equal(alice.address);
+    expect(json.reconciliation).to.include({ ok: true, etc: "1.0", saturn: "0.0" });
+    expect(json.totals).to.include({ depositedEtc: "1.5", withdrawnEtc: "0.5", boughtLots: "0" });
+    expect(json.rows[0]).to.include({ type: "DepositETC", etcDelta: "1.5", etcBalance: "1.5" });
+  });
+});
@@ -0,0 +1,170 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { TxManager, friendlyError, isUserRejection } = require("../ui/lib/txManager");
+const { deployExchange } = require("./helpers/exchange");
+
+describe("txManager", function () {
+  const price = (n) => ethers.parseEther(String(n));
+
+  async function deployFixture() {
+    const [owner, maker, taker] = await ethers.getSigners();
+
+    const { saturn, exchange, LOT_SIZE } = await deployExchange();
+    const exchangeAddr = await exchange.getAddress();
+    for (const signer of [maker, taker]) {
+      await saturn["transfer(address,uint256,bytes)"](signer.address, LOT_SIZE * 10n, "0x");
+      await saturn.connect(signer)["transfer(address,uint256,bytes)"](exchangeAddr, LOT_SIZE * 5n, "0x");
+      await exchange.connect(signer).depositEtc({ value: price(10) });
+    }
+
+    return { saturn, exchange, exchangeAddr, owner, maker, taker, LOT_SIZE };
+  }
+
+  // A manager for `signer` that records every [status, message] it reports
+  function managerFor(exchange, exchangeAddr, signer) {
+    const seen = [];
+    const txs = new TxManager({
+      iface: exchange.interface,
+      exchangeAddress: exchangeAddr,
+      account: signer.address,
+      onChange: (entries) => seen.push([entries[0].status, entries[0].message])
+    });
+    return { txs, seen };
+  }
+
+  // Stand-in for an ethers contract method whose preflight passes and whose
+  // send is `send`, for wallet behaviour a Hardhat signer cannot produce
+  function walletMethod(send) {
+    const method = (...args) => send(...args);
+    method.staticCall = async () => undefined;
+    method.estimateGas = async () => 50_000n;
+    return method;
+  }
+
+  it("summarizes fills and the resting remainder of a confirmed order", async function () {
+    const { saturn, exchange, exchangeAddr, maker, taker } = await loadFixture(deployFixture);
+    await exchange.connect(maker).placeLimitSellFromBalance(price(1), 3n);
+    const { txs, seen } = managerFor(exchange, exchangeAddr, taker);
+
+    const entry = await txs.submit({
+      label: "Buy 5 lots",
+      method: exchange.connect(taker).placeLimitOrder,
+      args: [0, price(1), 5n, 0, 0, 0, 0, 0]
+    });
+    expect(entry.status).to.equal("confirmed");
+    expect(entry.message).to.equal("filled 3 lots at avg 1.0 ETC/lot, order #2 resting with 2 at 1.0 ETC/lot");
+    expect(entry.receipt.hash).to.equal(entry.hash);
+    expect(seen.map(([status, message]) => `${status}: ${message}`)).to.deep.equal([
+      "pending: checking",
+      "pending: waiting for wallet",
+      "pending: waiting for confirmation",
+      `confirmed: ${entry.message}`
+    ]);
+
+    // The token's own Transfer log in an ERC223 deposit is not an exchange event
+    const LOT_SIZE = await exchange.LOT_SIZE();
+    const deposit = await txs.submit({
+      label: "Deposit",
+      method: saturn.connect(taker)["transfer(address,uint256,bytes)"],
+      args: [exchangeAddr, LOT_SIZE, "0x"]
+    });
+    expect(deposit.message).to.equal("deposited 1000.0 SATURN");
+    expect(txs.entries.map((e) => e.label)).to.deep.equal(["Deposit", "Buy 5 lots"]);
+  });
+
+  it("fails in preflight with the contract's reason and never sends", async function () {
+    const { exchange, exchangeAddr, maker, taker } = await loadFixture(deployFixture);
+    await exchange.connect(maker).placeLimitSellFromBalance(price(1), 1n);
+    const { txs } = managerFor(exchange, exchangeAddr, taker);
+    const nonce = await ethers.provider.getTransactionCount(taker.address);
+
+    const withdraw = await txs.submit({ label: "Withdraw", method: exchange.connect(taker).withdrawEtc, args: [price(11)] });
+    expect(withdraw.status).to.equal("failed");
+    expect(withdraw.hash).to.equal(null);
+    expect(withdraw.message).to.equal(
+      "would fail: Not enough available ETC on the exchange (resting buys lock part of the balance)"
+    );
+
+    const cancel = await txs.submit({ label: "Cancel", method: exchange.connect(taker).cancelOrder, args: [1n] });
+    expect(cancel.message).to.equal("would fail: This account does not own that order (or is not the exchange owner)");
+
+    await exchange.setEmergencyMode(true);
+    const buy = await txs.submit({
+      label: "Buy now", method: exchange.connect(taker).placeLimitBuyImmediate, args: [price(1), 1n], overrides: { value: price(1) }
+    });
+    expect(buy.message).to.match(/^would fail: Trading is disabled/);
+    const modify = await txs.submit({ label: "Modify", method: exchange.connect(maker).modifyOrder, args: [1n, price(1), 1n, 0n] });
+    expect(modify.message).to.equal("would fail: The order already has that price and size");
+    // Reasons without a friendlier wording pass through unchanged
+    const fees = await txs.submit({ label: "Fees", method: exchange.withdrawFees, args: [ethers.ZeroAddress] });
+    expect(fees.message).to.equal("would fail: Zero recipient");
+
+    expect(await ethers.provider.getTransactionCount(taker.address)).to.equal(nonce);
+  });
+
+  it("reports wallet rejections, replacements and on-chain reverts", async function () {
+    const { exchange, exchangeAddr, taker } = await loadFixture(deployFixture);
+    const { txs } = managerFor(exchange, exchangeAddr, taker);
+
+    const rejected = await txs.submit({
+      label: "Deposit",
+      method: walletMethod(async () => { throw ethers.makeError("user rejected action", "ACTION_REJECTED"); })
+    });
+    expect([rejected.status, rejected.message, rejected.hash]).to.deep.equal(["failed", "Rejected in wallet", null]);
+    // Raw EIP-1193 rejections arrive wrapped by the provider
+    expect(isUserRejection({ message: "could not coalesce error", error: { code: 4001 } })).to.equal(true);
+
+    // Sped up in the wallet: the replacement's receipt is the outcome
+    const realTx = await exchange.connect(taker).depositEtc({ value: price(1) });
+    const receipt = await realTx.wait();
+    const replaced = (cancelled) => ({
+      hash: "0x" + "aa".repeat(32),
+      wait: async () => {
+        throw ethers.makeError("transaction was replaced", "TRANSACTION_REPLACED", {
+          cancelled, reason: cancelled ? "cancelled" : "repriced", hash: "0x" + "aa".repeat(32),
+          replacement: { hash: realTx.hash }, receipt
+        });
+      }
+    });
+    const spedUp = await txs.submit({ label: "Deposit", method: walletMethod(async () => replaced(false)) });
+    expect(spedUp.status).to.equal("confirmed");
+    expect(spedUp.hash).to.equal(realTx.hash);
+    expect(spedUp.replacedHash).to.equal("0x" + "aa".repeat(32));
+    expect(spedUp.message).to.equal("deposited 1.0 ETC (sped up in wallet)");
+
+    const cancelled = await txs.submit({ label: "Deposit", method: walletMethod(async () => replaced(true)) });
+    expect([cancelled.status, cancelled.message]).to.deep.equal(["failed", "cancelled in wallet (replaced by another transaction)"]);
+
+    // Passed preflight, then the book or the exchange changed before it was mined
+    const reverted = await txs.submit({
+      label: "Buy",
+      method: walletMethod(async () => ({
+        hash: "0x" + "bb".repeat(32),
+        wait: async () => { throw ethers.makeError("transaction execution reverted", "CALL_EXCEPTION", { reason: "Trading halted" }); }
+      }))
+    });
+    expect(reverted.status).to.equal("failed");
+    expect(reverted.hash).to.equal("0x" + "bb".repeat(32));
+    expect(reverted.message).to.equal("reverted: Trading is halted by the circuit breaker until the halt block passes");
+
+    expect(friendlyError(new Error("network down"))).to.equal("network down");
+  });
+
+  it("records failures that never reach a transaction", async function () {
+    const { exchange, exchangeAddr, taker } = await loadFixture(deployFixture);
+    const { txs, seen } = managerFor(exchange, exchangeAddr, taker);
+
+    const input = txs.fail("Withdraw ETC", new Error("Enter an ETC amount"));
+    expect(input).to.include({ status: "failed", hash: null, message: "Enter an ETC amount" });
+    // Calls revert with the same friendly reasons as transactions
+    const read = await exchange.connect(taker).withdrawEtc.staticCall(price(11)).catch((err) => err);
+    expect(txs.fail("Check withdrawal", read).message).to.equal(
+      "Not enough available ETC on the exchange (resting buys lock part of the balance)"
+    );
+    expect(txs.fail("Sign order", ethers.makeError("user rejected action", "ACTION_REJECTED")).message).to.equal("Rejected in wallet");
+
+    expect(txs.entries.map((e) => e.label)).to.deep.equal(["Sign order", "Check withdrawal", "Withdraw ETC"]);
+    expect(seen.filter(([status]) => status === "failed")).to.have.length(3);
+  });
+});
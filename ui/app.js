@@ -5,24 +5,146 @@
   const exchangeAbi = [
     "function SATURN_TOKEN() view returns (address)",
     "function LOT_SIZE() view returns (uint256)",
+    "function FEE_SCHEDULE() view returns (address)",
+    "function SIGNED_ORDERS() view returns (address)",
+    "function DEFAULT_MAX_FILLS() view returns (uint16)",
     "function accounts(address) view returns (uint256 tokenBalance, uint256 etherBalance)",
-    "function getUserOrders(address) view returns (uint64[] memory)",
-    "function getOrderBook() view returns (uint64[],uint128[],uint128[],uint64[],uint128[],uint128[])",
+    "function getUserLocked(address) view returns (uint256 lockedSaturn, uint256 lockedEtc)",
+    "function SATURN_DECIMALS() view returns (uint256)",
     "function depositEtc() payable",
+    "function depositToken(uint256 amount)",
     "function placeLimitBuyFromBalance(uint128 pricePerLot, uint128 lots)",
     "function placeLimitSellFromBalance(uint128 pricePerLot, uint128 lots)",
+    "function placeLimitOrder(uint8 side, uint128 pricePerLot, uint128 lots, uint8 tif, uint64 expiresAt, uint8 stp, uint16 maxFills, uint64 hintPrevId)",
     "function placeLimitBuyImmediate(uint128 pricePerLot, uint128 lotsMax) payable",
     "function cancelOrder(uint64 orderId)",
+    "function modifyOrder(uint64 orderId, uint128 newPricePerLot, uint128 newLots, uint64 hintPrevId)",
     "function cancelAllMyOrders()",
+    "function cancelExpiredOrders(uint64[] orderIds) returns (uint256)",
     "function withdrawAll()",
+    "function withdrawEtc(uint256 amount)",
+    "function withdrawSaturn(uint256 amount)",
     "function accumulatedFeesEtc() view returns (uint256)",
-    "function accumulatedFeesSaturn() view returns (uint256)"
+    "function accumulatedFeesSaturn() view returns (uint256)",
+    "function owner() view returns (address)",
+    "function pendingOwner() view returns (address)",
+    "function setEmergencyMode(bool enabled)",
+    "function withdrawFees(address recipient)",
+    "function transferOwnership(address newOwner)",
+    "function acceptOwnership()",
+    "function cancelOwnershipTransfer()",
+    "function emergencyMode() view returns (bool)",
+    "function haltedUntilBlock() view returns (uint256)",
+    "function tradingHalted() view returns (bool)",
+    "event DepositSATURN(address indexed user, uint256 amount)",
+    "event DepositETC(address indexed user, uint256 amount)",
+    "event WithdrawAll(address indexed user, uint256 saturnAmount, uint256 etcAmount)",
+    "event WithdrawEtc(address indexed user, uint256 amount)",
+    "event WithdrawSaturn(address indexed user, uint256 amount)",
+    "event SellImmediateSettled(address indexed user, uint256 saturnIn, uint256 saturnRefund, uint256 etcOut)",
+    "event BuyImmediateSettled(address indexed user, uint256 etcIn, uint256 etcRefund, uint256 saturnOut)",
+    "event OrderPlaced(uint64 indexed orderId, address indexed user, uint8 side, uint128 pricePerLot, uint128 lots)",
+    "event OrderCanceled(uint64 indexed orderId, address indexed user)",
+    "event OrderExpired(uint64 indexed orderId, address indexed user)",
+    "event SelfTradePrevented(uint64 indexed makerOrderId, address indexed user, uint8 mode, uint128 takerLotsCanceled, uint128 makerLotsCanceled)",
+    "event OrderModified(uint64 indexed orderId, address indexed user, uint128 oldPricePerLot, uint128 oldLots, uint128 pricePerLot, uint128 lots, bool priorityKept)",
+    "event Trade(uint64 indexed makerOrderId, address indexed maker, address indexed taker, uint8 side, uint128 pricePerLot, uint128 lots, uint256 grossSaturn, uint256 grossEtc, uint256 feeSaturn, uint256 feeEtc)",
+    "event MakerFee(uint64 indexed makerOrderId, address indexed maker, uint8 side, uint256 fee, uint256 rebate)",
+    "event EmergencyModeSet(bool enabled)",
+    "event CircuitBreakerTripped(uint128 referencePrice, uint128 attemptedPrice, uint256 haltedUntilBlock)",
+    "event CircuitBreakerReset()",
+    "event FeesWithdrawn(address indexed recipient, uint256 etcAmount, uint256 saturnAmount)",
+    "event OwnershipTransferStarted(address indexed from, address indexed to)",
+    "event OwnershipTransferred(address indexed from, address indexed to)"
   ];
 
-  const SATURN_DECIMALS = 4;
-  const SATURN_UNIT = 10n ** BigInt(SATURN_DECIMALS);
+  // SaturnExchangeReader: whole-book, expired-order and paged views
+  const orderRecord = "tuple(uint64 id, address user, uint8 side, uint128 pricePerLot, uint128 lots, uint64 expiresAt, uint64 placedAt)";
+  const readerAbi = [
+    "function getExpiredOrders(address exchange, uint256 maxCount) view returns (uint64[])",
+    `function getOrderBookPage(address exchange, uint8 side, uint64 afterId, uint256 limit) view returns (${orderRecord}[] page, uint64 nextCursor)`,
+    `function getUserOrdersPage(address exchange, address user, uint64 afterId, uint256 limit) view returns (${orderRecord}[] page, uint64 nextCursor)`
+  ];
+
+  // SaturnSignedOrders: on-chain cancellation of gasless signed orders
+  const signedOrdersAbi = [
+    "function minNonce(address trader) view returns (uint64)",
+    "function cancelNonce(uint64 nonce)",
+    "function cancelNoncesBelow(uint64 newMinNonce)"
+  ];
+
+  const saturnAbi = [
+    "function balanceOf(address) view returns (uint256)",
+    "function transfer(address to, uint256 value, bytes data) returns (bool)",
+    // ERC20 market tokens
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 value) returns (bool)"
+  ];
+
+  // The loaded market's token (SATURN on the original market), from the exchange
+  // and, when the manifest has a SaturnMarketFactory, its market listing
+  let tokenDecimals = 4;
+  let tokenUnit = 10n ** 4n;
+  let tokenSymbol = "SATURN";
+  let tokenErc223 = true; // false: approve + depositToken, no deposit-and-sell
+  // Markets listed by the deployment's SaturnMarketFactory (ui/lib/markets.js
+  // readMarkets, plus each token's symbol), and the factory they came from
+  let markets = [];
+  let marketsFactory = null;
+
+  // How far back to scan for Trade logs, and how many rows the Trades panel shows
+  const TRADE_LOOKBACK_BLOCKS = 50_000;
+  const TRADE_ROWS = 50;
+  const DAY_SECONDS = 24 * 60 * 60;
+
+  // Per-chain deployment addresses, written next to index.html by scripts/deploy.js
+  const MANIFEST_URL = "deployments.json";
+
+  let provider, signer, exchange, reader, saturnToken, lotSize, maxFills, accountsListener;
+  // SaturnFeeSchedule of the exchange and its last read (ui/lib/feeSchedule.js readSchedule)
+  let feeSchedule, fees;
+  // SaturnSignedOrders of the exchange (verifying contract of ui/lib/signedOrders.js orders)
+  let signedOrders;
+  let chainId = null; // the wallet's chain
+  let deployment = null; // where the address fields came from: { chainId, network, blockNumber, recorded, ... }
+  let trades = [];
+  let statement = null; // last built account statement, for export
+  // Every transaction the page sends goes through here (ui/lib/txManager.js)
+  const txs = new window.SaturnTx.TxManager({ onChange: renderActivity });
+  const blockTimes = new Map();
 
-  let provider, signer, exchange, lotSize;
+  // Live order book: events applied on top of the last book snapshot
+  const BOOK_EVENTS = ["OrderPlaced", "OrderCanceled", "OrderExpired", "OrderModified", "SelfTradePrevented", "Trade"];
+  const EXPIRED_CLEANUP_BATCH = 50;
+  const BOOK_PAGE_SIZE = 100;
+  const POLL_INTERVAL_MS = 4000;
+  let book = new Map(); // orderId -> { id, side, pricePerLot, lots, seq }
+  let bookSeq = 0; // arrival counter; re-priced orders move to the back of their level
+  let myOrderIds = new Set();
+  let myBalances = null;
+  let snapshotBlock = 0;
+  let syncedBlock = 0; // last block whose exchange logs the book reflects
+  let syncChain = Promise.resolve();
+  let bookBlock = 0;
+  let pollTimer = null;
+  let liveSubscribed = false;
+  let blockListener = null;
+
+  // Trading halts: emergency mode or a tripped circuit breaker. Exits stay enabled.
+  const HALT_EVENTS = ["EmergencyModeSet", "CircuitBreakerTripped", "CircuitBreakerReset"];
+  const TRADING_BUTTONS = [
+    "depositEtcBtn", "depositSaturnBtn", "depositSellBtn", "depositSellNowBtn", "place", "buyImmediate", "signOrderBtn"
+  ];
+  // Need the token to call tokenFallback, so ERC223 markets only
+  const ERC223_BUTTONS = ["depositSellBtn", "depositSellNowBtn"];
+  let emergency = false;
+  let haltedUntil = 0;
+
+  // Admin panel, shown to owner() only; the pending owner sees an accept button
+  const ADMIN_ROWS = 20;
+  let isOwner = false;
+  let feeWithdrawals = [];
+  let makerFees = []; // MakerFee events in the trade lookback window
 
   const fmt = (bn, decimals = 18) => Number(ethers.formatUnits(bn, decimals)).toLocaleString();
 
@@ -38,11 +160,11 @@
 
   const parseSaturnLots = (value) => {
     const trimmed = value.trim();
-    if (!trimmed) throw new Error("Enter a SATURN amount");
+    if (!trimmed) throw new Error(`Enter a ${tokenSymbol} amount`);
     if (!lotSize) throw new Error("Load the contract first");
-    const saturnAmount = ethers.parseUnits(trimmed, SATURN_DECIMALS);
+    const saturnAmount = ethers.parseUnits(trimmed, tokenDecimals);
     if (saturnAmount % lotSize !== 0n) {
-      throw new Error(`Amount must be a multiple of ${ethers.formatUnits(lotSize, SATURN_DECIMALS)} SATURN (1 lot)`);
+      throw new Error(`Amount must be a multiple of ${ethers.formatUnits(lotSize, tokenDecimals)} ${tokenSymbol} (1 lot)`);
     }
     const lots = saturnAmount / lotSize;
     if (lots <= 0n) throw new Error("Amount must be at least one lot");
@@ -50,176 +172,1441 @@
   };
 
   async function connect() {
-    if (!window.ethereum) {
-      alert("No injected wallet found");
-      return;
-    }
+    if (!window.ethereum) throw new Error("No injected wallet found");
     await window.ethereum.request({ method: "eth_requestAccounts" });
+    await attachProvider();
+    if (!accountsListener) {
+      accountsListener = guarded("Switch account", async (accounts) => {
+        await unsubscribe();
+        if (!accounts.length) {
+          signer = null;
+          return;
+        }
+        signer = await provider.getSigner();
+        await loadContracts();
+      });
+      window.ethereum.on?.("accountsChanged", accountsListener);
+    }
+    // Addresses typed in (or loaded) for another chain give way to this chain's deployment
+    if (!$("exchangeAddress").value.trim() || (deployment && deployment.chainId !== chainId)) {
+      await useManifestAddresses();
+    }
+    await loadContracts();
+  }
+
+  // ethers providers are bound to one network, so this also runs on every chain switch
+  async function attachProvider() {
     provider = new ethers.BrowserProvider(window.ethereum);
     signer = await provider.getSigner();
-    await loadContracts();
+    chainId = (await provider.getNetwork()).chainId;
+    showNetworkStatus();
+  }
+
+  async function onChainChanged(hexChainId) {
+    await unsubscribe();
+    exchange = null;
+    reader = null;
+    marketsFactory = null;
+    $("lastBlock").textContent = "not subscribed";
+    if (signer) {
+      await attachProvider();
+    } else {
+      chainId = BigInt(hexChainId);
+    }
+    const found = await useManifestAddresses();
+    showNetworkStatus();
+    if (found && signer) await loadContracts();
+  }
+
+  // ------------------------------------------------------------
+  // Deployments (ui/deployments.json)
+  // ------------------------------------------------------------
+
+  async function loadManifest() {
+    try {
+      const res = await fetch(MANIFEST_URL, { cache: "no-store" });
+      return res.ok ? await res.json() : {};
+    } catch (_) {
+      // Opened from file:// or nothing deployed yet
+      return {};
+    }
+  }
+
+  // Chain of the injected wallet, read without asking to connect
+  async function walletChainId() {
+    if (provider) return (await provider.getNetwork()).chainId;
+    if (!window.ethereum) return null;
+    return BigInt(await window.ethereum.request({ method: "eth_chainId" }));
+  }
+
+  // Fill the address fields with the deployment recorded for the wallet's
+  // chain. False (fields untouched) when the manifest has none for it.
+  async function useManifestAddresses() {
+    if (chainId === null) chainId = await walletChainId();
+    const entry = chainId === null ? null : (await loadManifest())[chainId.toString()];
+    if (!entry) return false;
+    deployment = { ...entry, chainId, recorded: true };
+    $("exchangeAddress").value = entry.saturnExchange;
+    $("saturnAddress").value = entry.saturn || "";
+    $("readerAddress").value = entry.saturnExchangeReader || "";
+    showNetworkStatus();
+    return true;
+  }
+
+  // Header label for the wallet's chain; a banner when the addresses belong to
+  // another chain or this chain has no recorded deployment
+  function showNetworkStatus() {
+    const onChain = deployment && deployment.chainId === chainId;
+    $("networkLabel").textContent = chainId === null
+      ? "No wallet detected"
+      : `Chain ${chainId}${onChain ? ` · ${deployment.network}` : ""}`;
+
+    let warning = "";
+    if (chainId !== null && deployment && !onChain) {
+      warning = `These addresses are for chain ${deployment.chainId} (${deployment.network}) but the wallet is on ` +
+        `chain ${chainId}. Switch the wallet's network or load this chain's deployment.`;
+    } else if (chainId !== null && !deployment) {
+      warning = `No SaturnExchange deployment recorded for chain ${chainId} in ${MANIFEST_URL}; enter its addresses above.`;
+    }
+    const banner = $("networkBanner");
+    banner.textContent = warning;
+    banner.hidden = !warning;
   }
 
   async function loadContracts() {
     const exchangeAddr = $("exchangeAddress").value.trim();
-    if (!ethers.isAddress(exchangeAddr)) {
-      alert("Enter a valid exchange address");
-      return;
-    }
+    if (!ethers.isAddress(exchangeAddr)) throw new Error("Enter a valid exchange address");
+    const readerAddr = $("readerAddress").value.trim();
+    if (!ethers.isAddress(readerAddr)) throw new Error("Enter a valid reader address: the order book is read through it");
     const netProvider = signer?.provider || provider;
-    if (!netProvider) {
-      alert("Connect wallet first");
+    if (!netProvider) throw new Error("Connect wallet first");
+    // The manifest's addresses for one chain are never used on another
+    if (deployment?.recorded && deployment.chainId !== chainId &&
+        deployment.saturnExchange.toLowerCase() === exchangeAddr.toLowerCase()) {
+      showNetworkStatus();
       return;
     }
     const code = await netProvider.getCode(exchangeAddr);
-    if (code === "0x") {
-      alert("No contract code found at that address on the current network");
-      return;
+    if (code === "0x") throw new Error("No contract code found at that address on the current network");
+    await loadMarkets(netProvider);
+    // Another market of the recorded deployment: its logs start at its own block
+    const market = markets.find((m) => m.exchange.toLowerCase() === exchangeAddr.toLowerCase());
+    if (market) {
+      deployment = { ...deployment, saturnExchange: market.exchange, saturn: market.token, blockNumber: market.startBlock };
+    }
+    // Addresses entered by hand belong to whatever chain they were loaded on
+    if (deployment?.saturnExchange?.toLowerCase() !== exchangeAddr.toLowerCase() || deployment.chainId !== chainId) {
+      deployment = { chainId, network: "custom addresses", saturnExchange: exchangeAddr, blockNumber: 0 };
     }
+    showNetworkStatus();
+    // Drop listeners of the previously loaded exchange before switching
+    await unsubscribe();
     exchange = new ethers.Contract(exchangeAddr, exchangeAbi, signer || netProvider);
-    // Cache lot size for SATURN parsing
+    reader = new ethers.Contract(readerAddr, readerAbi, netProvider);
+    // Cache lot size and decimals for token amount parsing
     lotSize = await exchange.LOT_SIZE();
+    tokenDecimals = Number(await exchange.SATURN_DECIMALS());
+    tokenUnit = 10n ** BigInt(tokenDecimals);
+    maxFills = await exchange.DEFAULT_MAX_FILLS();
+    feeSchedule = new ethers.Contract(await exchange.FEE_SCHEDULE(), window.SaturnFees.feeScheduleAbi, signer || netProvider);
+    signedOrders = new ethers.Contract(await exchange.SIGNED_ORDERS(), signedOrdersAbi, signer || netProvider);
+    await refreshFees();
+
+    // Deposits must go to the exchange's own SATURN_TOKEN, whatever the field says
+    const saturn = await exchange.SATURN_TOKEN();
+    const enteredToken = $("saturnAddress").value.trim();
+    $("saturnAddress").value = saturn;
+    saturnToken = new ethers.Contract(saturn, saturnAbi, signer || netProvider);
+    // Unlisted exchanges are taken for ERC223 markets, as the SATURN one is
+    tokenErc223 = market ? market.erc223 : true;
+    tokenSymbol = market ? market.symbol : (await window.SaturnMarkets.readSymbols(netProvider, [saturn]))[saturn];
+    renderMarket();
+    if (enteredToken && enteredToken.toLowerCase() !== saturn.toLowerCase()) {
+      $("marketInfo").textContent += ` · token address ${enteredToken} replaced by the exchange's ${saturn}`;
+    }
+    txs.decimals = tokenDecimals;
+    txs.symbol = tokenSymbol;
+    txs.iface = exchange.interface;
+    txs.exchangeAddress = exchangeAddr;
+    txs.account = signer ? await signer.getAddress() : null;
+    // A statement belongs to one account on one exchange
+    statement = null;
+    $("statementSummary").textContent = "Not built";
+    $("exportCsv").disabled = $("exportJson").disabled = true;
+    await refresh();
+    await subscribe();
+  }
+
+  // ------------------------------------------------------------
+  // Markets (SaturnMarketFactory, ui/lib/markets.js)
+  // ------------------------------------------------------------
+
+  // The recorded deployment's markets, read once per factory and chain
+  async function loadMarkets(netProvider) {
+    const factoryAddr = deployment?.recorded && deployment.chainId === chainId ? deployment.saturnMarketFactory : null;
+    if (factoryAddr && factoryAddr === marketsFactory) return;
+    markets = [];
+    marketsFactory = factoryAddr || null;
+    if (factoryAddr) {
+      const { factoryAbi, readMarkets, readSymbols } = window.SaturnMarkets;
+      const listed = await readMarkets(new ethers.Contract(factoryAddr, factoryAbi, netProvider));
+      const symbols = await readSymbols(netProvider, listed.map((m) => m.token));
+      markets = listed.map((m) => ({ ...m, symbol: symbols[m.token] }));
+    }
+    const select = $("marketSelect");
+    select.replaceChildren(...markets.map((m) => {
+      const option = document.createElement("option");
+      option.value = m.exchange;
+      option.textContent = `${m.symbol}/ETC`;
+      return option;
+    }));
+    select.hidden = markets.length === 0;
+  }
+
+  async function selectMarket() {
+    const market = markets.find((m) => m.exchange === $("marketSelect").value);
+    if (!market) return;
+    $("exchangeAddress").value = market.exchange;
+    $("saturnAddress").value = market.token;
+    if (signer) await loadContracts();
+  }
+
+  // Token names, the lot size and the deposit buttons of the loaded market
+  function renderMarket() {
+    const lot = ethers.formatUnits(lotSize, tokenDecimals).replace(/\.0$/, "");
+    $("marketInfo").textContent = `${tokenSymbol}/ETC · 1 lot = ${lot} ${tokenSymbol} · ${tokenDecimals} decimals` +
+      (tokenErc223 ? "" : " · ERC20: deposits are approved first, deposit + sell is not available");
+    $("marketSelect").value = markets.some((m) => m.exchange === deployment?.saturnExchange) ? deployment.saturnExchange : "";
+    for (const el of document.querySelectorAll(".token-symbol")) el.textContent = tokenSymbol;
+    for (const el of document.querySelectorAll("[data-token-amount]")) el.placeholder = `${tokenSymbol} amount`;
+    $("perTokenOption").textContent = `ETC per ${tokenSymbol}`;
+    renderHaltBanner();
+  }
+
+  // Rates depend on the account's trailing volume, so they move as it trades
+  async function refreshFees() {
+    fees = await window.SaturnFees.readSchedule(feeSchedule, signer ? await signer.getAddress() : undefined);
+    const rates = myRates();
+    const days = fees.volumeWindow / DAY_SECONDS;
+    $("feeRates").textContent = `Your fees: ${window.SaturnFees.describeRates(rates)}` +
+      (fees.account ? ` (tier ${rates.tier + 1} of ${fees.tiers.length}, ${fees.account.trailingLots} lots traded in the last ${days} days)` : "");
+  }
+
+  // The connected account's effective rates, or the base tier's before connecting
+  function myRates() {
+    return fees.account || { ...fees.tiers[0], tier: 0 };
+  }
+
+  async function refreshBalances() {
+    const acct = await signer.getAddress();
+    const [acc, locked, orders, walletSaturn, walletEtc] = await Promise.all([
+      exchange.accounts(acct),
+      exchange.getUserLocked(acct),
+      loadMyOrders(acct),
+      saturnToken.balanceOf(acct),
+      exchange.runner.provider.getBalance(acct)
+    ]);
 
-    // If SATURN address not set, try reading from contract
-    if (!$("saturnAddress").value) {
-      const saturn = await exchange.SATURN_TOKEN();
-      $("saturnAddress").value = saturn;
+    myOrderIds = new Set(orders.map((o) => o.id.toString()));
+    renderBook();
+    renderMyOrders(orders);
+
+    myBalances = {
+      saturn: acc.tokenBalance,
+      etc: acc.etherBalance,
+      lockedSaturn: locked.lockedSaturn,
+      lockedEtc: locked.lockedEtc
+    };
+    const saturnFmt = (v) => ethers.formatUnits(v, tokenDecimals);
+    $("balances").textContent =
+      `          total | locked | available\n` +
+      `${tokenSymbol}: ${saturnFmt(acc.tokenBalance)} | ${saturnFmt(locked.lockedSaturn)} | ${saturnFmt(acc.tokenBalance - locked.lockedSaturn)}\n` +
+      `ETC:    ${ethers.formatEther(acc.etherBalance)} | ${ethers.formatEther(locked.lockedEtc)} | ${ethers.formatEther(acc.etherBalance - locked.lockedEtc)}\n` +
+      `wallet: ${tokenSymbol}=${saturnFmt(walletSaturn)} | ETC=${ethers.formatEther(walletEtc)}`;
+    myBalances.walletSaturn = walletSaturn;
+    return myBalances;
+  }
+
+  // Full records of the account's orders, paged through the reader
+  async function loadMyOrders(acct) {
+    const blockTag = await exchange.runner.provider.getBlockNumber();
+    const records = await window.SaturnPages.readAllPages(
+      (afterId, limit, overrides) => reader.getUserOrdersPage(exchange.target, acct, afterId, limit, overrides),
+      { pageSize: BOOK_PAGE_SIZE, blockTag }
+    );
+    return records.map((r) => r.toObject());
+  }
+
+  // Mirror the contract's "Insufficient ETC/SATURN" checks before sending
+  function checkAvailable(side, pricePerLot, lots, balances) {
+    if (side === "buy") {
+      const needed = pricePerLot * lots;
+      const available = balances.etc - balances.lockedEtc;
+      if (needed > available) {
+        throw new Error(
+          `Insufficient ETC: order needs ${ethers.formatEther(needed)} ETC but only ${ethers.formatEther(available)} ETC is available ` +
+          `(${ethers.formatEther(balances.lockedEtc)} ETC locked by your resting buys). Deposit ETC or cancel orders first.`
+        );
+      }
+    } else {
+      const needed = lots * lotSize;
+      const available = balances.saturn - balances.lockedSaturn;
+      if (needed > available) {
+        const f = (v) => ethers.formatUnits(v, tokenDecimals);
+        throw new Error(
+          `Insufficient ${tokenSymbol}: order needs ${f(needed)} ${tokenSymbol} but only ${f(available)} ${tokenSymbol} is available ` +
+          `(${f(balances.lockedSaturn)} ${tokenSymbol} locked by your resting sells). Deposit ${tokenSymbol} or cancel orders first.`
+        );
+      }
     }
-    await refreshAll();
+  }
+
+  // Your resting orders, each with inline edit (modifyOrder) and cancel
+  function renderMyOrders(list) {
+    const el = $("myOrders");
+    el.replaceChildren();
+    if (!list.length) {
+      el.textContent = "no resting orders";
+      return;
+    }
+    for (const o of list) {
+      const side = Number(o.side) === 0 ? "buy" : "sell";
+      const row = document.createElement("div");
+      row.className = "my-order";
+      const label = document.createElement("span");
+      label.textContent = `#${o.id} ${side.toUpperCase()} ${o.lots} lots @ ${ethers.formatEther(o.pricePerLot)} ETC` +
+        ` placed ${new Date(Number(o.placedAt) * 1000).toLocaleString()}` +
+        (o.expiresAt > 0n ? ` (good til ${new Date(Number(o.expiresAt) * 1000).toLocaleString()})` : "");
+      const edit = document.createElement("button");
+      edit.textContent = "edit";
+      edit.onclick = () => showEditForm(row, o, side);
+      const cancelBtn = document.createElement("button");
+      cancelBtn.textContent = "cancel";
+      cancelBtn.onclick = guarded(`Cancel #${o.id}`, () => cancelOrderId(o.id));
+      row.append(label, edit, cancelBtn);
+      el.appendChild(row);
+    }
+  }
+
+  function showEditForm(row, order, side) {
+    const price = document.createElement("input");
+    price.type = "number";
+    price.step = "any";
+    price.value = ethers.formatEther(order.pricePerLot);
+    price.title = "price per lot (ETC)";
+    const amount = document.createElement("input");
+    amount.type = "number";
+    amount.step = "any";
+    amount.value = ethers.formatUnits(order.lots * lotSize, tokenDecimals);
+    amount.title = `${tokenSymbol} amount`;
+    const save = document.createElement("button");
+    save.textContent = "save";
+    save.onclick = guarded(`Modify #${order.id}`, () => modify(order, side, price.value, amount.value));
+    const back = document.createElement("button");
+    back.textContent = "back";
+    back.onclick = guarded("Refresh balances", () => refreshBalances());
+    row.replaceChildren(document.createTextNode(`#${order.id} ${side.toUpperCase()} `), price, amount, save, back);
   }
 
   async function refreshAll() {
-    try {
-      requireReady();
-      const acct = await signer.getAddress();
-      const [acc, orders, ob] = await Promise.all([
-        exchange.accounts(acct),
-        exchange.getUserOrders(acct),
-        exchange.getOrderBook()
-      ]);
-
-      $("balances").textContent =
-        `you: SATURN=${ethers.formatUnits(acc.tokenBalance, SATURN_DECIMALS)} | ETC=${ethers.formatEther(acc.etherBalance)}\n` +
-        `orders: ${orders.length ? orders.join(", ") : "none"}`;
-
-      const [buyIds, buyPrices, buyLots, sellIds, sellPrices, sellLots] = ob;
-
-      const render = (ids, prices, lots) => ids.map((id, i) => {
-        const etc = ethers.formatEther(prices[i]);
-        let saturnLots = lots[i].toString();
-        if (lotSize) {
-          const saturn = ethers.formatUnits(BigInt(lots[i]) * lotSize, SATURN_DECIMALS);
-          saturnLots = `${saturn} SATURN`;
-        } else {
-          saturnLots = `${saturnLots} lots`;
+    requireReady();
+    const blockNumber = await exchange.runner.provider.getBlockNumber();
+    await Promise.all([
+      refreshBalances(),
+      refreshHaltStatus(),
+      refreshFees(),
+      loadBookSnapshot(blockNumber),
+      loadTrades(blockNumber)
+    ]);
+    renderBook();
+    renderTrades();
+    await refreshAdmin(blockNumber);
+  }
+
+  // For callers that carry on when the refresh fails
+  const refresh = guarded("Refresh", refreshAll);
+
+  // ------------------------------------------------------------
+  // Order book (snapshot + live event updates)
+  // ------------------------------------------------------------
+
+  async function loadBookSnapshot(blockNumber) {
+    book = new Map();
+    // Every page is read at the same block, so cursors cannot go stale mid-walk
+    const { buys, sells } = await window.SaturnPages.readBook(
+      reader, exchange.target, { pageSize: BOOK_PAGE_SIZE, blockTag: blockNumber }
+    );
+    for (const o of [...buys, ...sells]) {
+      book.set(o.id.toString(), { id: o.id, side: o.side, pricePerLot: o.pricePerLot, lots: o.lots, seq: bookSeq++ });
+    }
+    snapshotBlock = syncedBlock = blockNumber;
+    setBookBlock(blockNumber);
+  }
+
+  function setBookBlock(blockNumber) {
+    if (blockNumber > bookBlock || blockNumber === snapshotBlock) bookBlock = blockNumber;
+    const mode = pollTimer ? "polling" : liveSubscribed ? "live" : "manual";
+    $("lastBlock").textContent = `last updated at block ${bookBlock} (${mode})`;
+    renderHaltBanner();
+  }
+
+  // ------------------------------------------------------------
+  // Trading halts
+  // ------------------------------------------------------------
+
+  async function refreshHaltStatus() {
+    const [enabled, until] = await Promise.all([exchange.emergencyMode(), exchange.haltedUntilBlock()]);
+    emergency = enabled;
+    haltedUntil = Number(until);
+    renderHaltBanner();
+  }
+
+  function renderHaltBanner() {
+    const banner = $("haltBanner");
+    const breaker = bookBlock < haltedUntil;
+    if (emergency) {
+      banner.textContent = "Emergency mode: trading and deposits are disabled. Cancels and withdrawals still work.";
+    } else if (breaker) {
+      banner.textContent = `Circuit breaker tripped: trading halted until block ${haltedUntil} ` +
+        `(${haltedUntil - bookBlock} blocks). Cancels and withdrawals still work.`;
+    }
+    banner.hidden = !emergency && !breaker;
+    for (const id of TRADING_BUTTONS) {
+      $(id).disabled = emergency || breaker || (!tokenErc223 && ERC223_BUTTONS.includes(id));
+    }
+  }
+
+  // Price-time order: best price first, then earliest arrival
+  function sortedSide(side) {
+    const list = [...book.values()].filter((o) => o.side === side);
+    return list.sort((a, b) => {
+      if (a.pricePerLot !== b.pricePerLot) {
+        const better = side === "buy" ? a.pricePerLot > b.pricePerLot : a.pricePerLot < b.pricePerLot;
+        return better ? -1 : 1;
+      }
+      return a.seq - b.seq;
+    });
+  }
+
+  // Group one side into price levels, best price first, with running totals
+  function aggregateLevels(side) {
+    const levels = [];
+    let cumLots = 0n;
+    let cumEtc = 0n;
+    for (const o of sortedSide(side)) {
+      let level = levels[levels.length - 1];
+      if (!level || level.pricePerLot !== o.pricePerLot) {
+        level = { pricePerLot: o.pricePerLot, lots: 0n, orders: 0, mine: false };
+        levels.push(level);
+      }
+      level.lots += o.lots;
+      level.orders += 1;
+      if (myOrderIds.has(o.id.toString())) level.mine = true;
+    }
+    for (const level of levels) {
+      cumLots += level.lots;
+      cumEtc += level.lots * level.pricePerLot;
+      level.cumLots = cumLots;
+      level.cumEtc = cumEtc;
+    }
+    return levels;
+  }
+
+  const shortEtc = (wei) => Number(ethers.formatEther(wei)).toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+  // Clicking a level prefills the order form to trade against it
+  function levelRow(level, bookSide) {
+    const row = document.createElement("div");
+    row.className = `level ${bookSide}${level.mine ? " mine" : ""}`;
+    const cells = [
+      shortEtc(level.pricePerLot),
+      level.lots.toString(),
+      lotSize ? Number(ethers.formatUnits(level.lots * lotSize, tokenDecimals)).toLocaleString() : "—",
+      level.cumLots.toString(),
+      shortEtc(level.cumEtc),
+      `${level.orders}${level.mine ? " *" : ""}`
+    ];
+    for (const text of cells) {
+      const cell = document.createElement("span");
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    row.title = level.mine ? "Includes your orders" : "";
+    row.onclick = () => {
+      $("price").value = ethers.formatEther(level.pricePerLot);
+      $("side").value = bookSide === "sell" ? "buy" : "sell";
+      $("price").focus();
+    };
+    return row;
+  }
+
+  function renderLadder(el, levels, bookSide) {
+    el.replaceChildren();
+    if (!levels.length) {
+      el.textContent = "—";
+      return;
+    }
+    const header = document.createElement("div");
+    header.className = "level header";
+    for (const text of ["price (ETC/lot)", "lots", tokenSymbol, "cum lots", "cum ETC", "orders"]) {
+      const cell = document.createElement("span");
+      cell.textContent = text;
+      header.appendChild(cell);
+    }
+    el.appendChild(header);
+    // Asks are listed worst-to-best so the best ask sits next to the spread
+    const ordered = bookSide === "sell" ? [...levels].reverse() : levels;
+    for (const level of ordered) el.appendChild(levelRow(level, bookSide));
+  }
+
+  function renderBook() {
+    const bids = aggregateLevels("buy");
+    const asks = aggregateLevels("sell");
+    renderLadder($("buyBook"), bids, "buy");
+    renderLadder($("sellBook"), asks, "sell");
+
+    const bestBid = bids[0]?.pricePerLot;
+    const bestAsk = asks[0]?.pricePerLot;
+    const parts = [
+      `best bid: ${bestBid !== undefined ? shortEtc(bestBid) : "—"}`,
+      `best ask: ${bestAsk !== undefined ? shortEtc(bestAsk) : "—"}`
+    ];
+    if (bestBid !== undefined && bestAsk !== undefined) {
+      parts.push(`spread: ${shortEtc(bestAsk - bestBid)}`);
+      parts.push(`mid: ${shortEtc((bestAsk + bestBid) / 2n)}`);
+    }
+    $("spread").textContent = `${parts.join(" | ")} ETC/lot`;
+    renderPreviews();
+  }
+
+  // ------------------------------------------------------------
+  // Pre-trade preview (ui/lib/fillSimulator.js against the local book)
+  // ------------------------------------------------------------
+
+  function simulate(order) {
+    const own = (o) => ({ ...o, own: myOrderIds.has(o.id.toString()) });
+    const snapshot = { buys: sortedSide("buy").map(own), sells: sortedSide("sell").map(own) };
+    return window.SaturnSim.simulateOrder(snapshot, order, { lotSize, takerFeeBps: myRates().takerFeeBps, maxFills });
+  }
+
+  function describeSimulation(sim, lotsIn) {
+    if (sim.error) return `would revert: ${sim.error}`;
+    const lines = [];
+    for (const f of sim.fills) {
+      lines.push(`cross #${f.makerOrderId}: ${f.lots} lots @ ${ethers.formatEther(f.pricePerLot)} ETC`);
+    }
+    for (const t of sim.selfTrades) {
+      lines.push(`own order #${t.makerOrderId} reached (${t.mode}): ` +
+        `${t.takerLotsCanceled} lots of this order and ${t.makerLotsCanceled} lots of #${t.makerOrderId} canceled`);
+    }
+    if (!sim.fills.length) lines.push("no resting orders crossed");
+    lines.push(`filled ${sim.filledLots} / ${lotsIn} lots` +
+      (sim.filledLots > 0n ? `, avg ${ethers.formatEther(sim.avgPricePerLot)} ETC/lot` : ""));
+    const rates = myRates();
+    const feePct = `${window.SaturnFees.formatBps(rates.takerFeeBps)}, tier ${rates.tier + 1}`;
+    if (sim.side === "buy") {
+      lines.push(`pay ${ethers.formatEther(sim.grossEtc)} ETC, receive ${ethers.formatUnits(sim.netSaturn, tokenDecimals)} ${tokenSymbol}`);
+      lines.push(`taker fee: ${ethers.formatUnits(sim.feeSaturn, tokenDecimals)} ${tokenSymbol} (${feePct})`);
+    } else {
+      lines.push(`sell ${ethers.formatUnits(sim.grossSaturn, tokenDecimals)} ${tokenSymbol}, receive ${ethers.formatEther(sim.netEtc)} ETC`);
+      lines.push(`taker fee: ${ethers.formatEther(sim.feeEtc)} ETC (${feePct})`);
+    }
+    if (sim.restingLots > 0n) {
+      // Resting lots pay (or earn) the maker rate when they fill
+      const maker = rates.makerRebateBps > 0
+        ? `maker rebate ${window.SaturnFees.formatBps(rates.makerRebateBps)}`
+        : `maker fee ${window.SaturnFees.formatBps(rates.makerFeeBps)}`;
+      lines.push(`rests: ${sim.restingLots} lots (${maker} when filled)`);
+    }
+    if (sim.refundEtc > 0n) lines.push(`refund: ${ethers.formatEther(sim.refundEtc)} ETC`);
+    return lines.join("\n");
+  }
+
+  function renderPreviews() {
+    if (!exchange || !lotSize || !fees) return;
+    const preview = (el, build, check) => {
+      try {
+        const order = build();
+        let text = describeSimulation(simulate(order), order.lots);
+        try {
+          if (check) check(order);
+        } catch (err) {
+          text = `${err.message}\n${text}`;
         }
-        return `#${id} @ ${etc} ETC (${saturnLots})`;
-      }).join("\n") || "—";
+        el.textContent = text;
+      } catch (err) {
+        el.textContent = "";
+      }
+    };
+    preview($("placePreview"), () => ({
+      side: $("side").value,
+      pricePerLot: parseEtc($("price").value),
+      lots: parseSaturnLots($("lots").value),
+      timeInForce: $("tif").value,
+      selfTradePrevention: $("stp").value
+    }), (order) => myBalances && checkAvailable(order.side, order.pricePerLot, order.lots, myBalances));
+    preview($("immediatePreview"), () => ({
+      side: "buy",
+      immediate: true,
+      pricePerLot: parseEtc($("immediatePrice").value),
+      lots: parseSaturnLots($("immediateLots").value),
+      msgValue: parseEtc($("immediateValue").value)
+    }));
+  }
+
+  let balanceTimer = null;
+  function scheduleBalanceRefresh() {
+    clearTimeout(balanceTimer);
+    balanceTimer = setTimeout(() => refreshBalances().catch(console.error), 250);
+  }
+
+  // Apply one exchange log to the local book; logs already covered by the
+  // last book snapshot are skipped.
+  async function applyExchangeLog(name, args, log) {
+    if (HALT_EVENTS.includes(name)) {
+      await refreshHaltStatus();
+      if (isOwner) renderAdminStatus();
+      return;
+    }
+    if (log.blockNumber <= snapshotBlock) return;
+    const me = (await signer.getAddress()).toLowerCase();
+    const involvesMe = [args.user, args.maker, args.taker].some((a) => a && a.toLowerCase() === me);
+
+    if (name === "OrderPlaced") {
+      book.set(args.orderId.toString(), {
+        id: args.orderId,
+        side: Number(args.side) === 0 ? "buy" : "sell",
+        pricePerLot: args.pricePerLot,
+        lots: args.lots,
+        seq: bookSeq++
+      });
+    } else if (name === "OrderCanceled" || name === "OrderExpired") {
+      book.delete(args.orderId.toString());
+    } else if (name === "OrderModified") {
+      const key = args.orderId.toString();
+      const order = book.get(key);
+      if (order && args.lots === 0n) {
+        book.delete(key);
+      } else if (order) {
+        order.pricePerLot = args.pricePerLot;
+        order.lots = args.lots;
+        if (!args.priorityKept) order.seq = bookSeq++;
+      }
+    } else if (name === "SelfTradePrevented") {
+      const key = args.makerOrderId.toString();
+      const order = book.get(key);
+      if (order) {
+        order.lots -= args.makerLotsCanceled;
+        if (order.lots === 0n) book.delete(key);
+      }
+    } else if (name === "Trade") {
+      const key = args.makerOrderId.toString();
+      const maker = book.get(key);
+      if (maker) {
+        maker.lots -= args.lots;
+        if (maker.lots === 0n) book.delete(key);
+      }
+      trades.push({
+        block: log.blockNumber,
+        txHash: log.transactionHash,
+        time: await blockTime(log.blockNumber),
+        makerOrderId: args.makerOrderId,
+        maker: args.maker,
+        taker: args.taker,
+        takerSide: Number(args.side) === 1 ? "buy" : "sell",
+        pricePerLot: args.pricePerLot,
+        lots: args.lots,
+        grossSaturn: args.grossSaturn,
+        grossEtc: args.grossEtc,
+        feeSaturn: args.feeSaturn,
+        feeEtc: args.feeEtc
+      });
+      renderTrades();
+      if (isOwner) refreshAdmin().catch(console.error);
+    }
+
+    renderBook();
+    setBookBlock(log.blockNumber);
+    if (involvesMe) scheduleBalanceRefresh();
+  }
 
-      $("buyBook").textContent = render(buyIds, buyPrices, buyLots);
-      $("sellBook").textContent = render(sellIds, sellPrices, sellLots);
+  async function supportsFilters(netProvider) {
+    try {
+      const id = await netProvider.send("eth_newFilter", [{ address: await exchange.getAddress() }]);
+      await netProvider.send("eth_uninstallFilter", [id]).catch(() => {});
+      return true;
     } catch (err) {
-      console.error(err);
-      alert(err.message || err);
+      return false;
+    }
+  }
+
+  // Bring the book up to the chain head: one address-filtered getLogs from the
+  // block after the last one applied, replayed in (blockNumber, logIndex)
+  // order so a modification never lands before the placement it refers to.
+  // Runs are chained, so each picks up where the previous one stopped.
+  function syncBook() {
+    syncChain = syncChain.then(async () => {
+      const netProvider = exchange.runner.provider;
+      const head = await netProvider.getBlockNumber();
+      if (head <= syncedBlock) return;
+      const topics = [...BOOK_EVENTS, ...HALT_EVENTS].map((name) => exchange.interface.getEvent(name).topicHash);
+      const logs = await netProvider.getLogs({
+        address: await exchange.getAddress(), topics: [topics], fromBlock: syncedBlock + 1, toBlock: head
+      });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+      for (const log of logs) {
+        const parsed = exchange.interface.parseLog(log);
+        if (parsed) await applyExchangeLog(parsed.name, parsed.args, log);
+      }
+      syncedBlock = head;
+      setBookBlock(head);
+    }).catch(console.error);
+    return syncChain;
+  }
+
+  async function subscribe() {
+    await unsubscribe();
+    const netProvider = exchange.runner.provider;
+
+    if (await supportsFilters(netProvider)) {
+      // New blocks trigger a sync; the logs themselves still come from getLogs
+      blockListener = () => syncBook();
+      await netProvider.on("block", blockListener);
+      liveSubscribed = true;
+    } else {
+      pollTimer = setInterval(syncBook, POLL_INTERVAL_MS);
+    }
+    setBookBlock(bookBlock);
+    await syncBook();
+  }
+
+  async function unsubscribe() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    if (exchange && liveSubscribed) {
+      await exchange.runner.provider.off("block", blockListener);
+      blockListener = null;
+    }
+    liveSubscribed = false;
+  }
+
+  // ------------------------------------------------------------
+  // Trades & candles (built from Trade logs)
+  // ------------------------------------------------------------
+
+  // Price of one trade in the selected display unit, as wei per lot or per whole SATURN
+  const displayPrice = (pricePerLot) => {
+    if ($("priceUnit").value === "saturn" && lotSize) return (pricePerLot * tokenUnit) / lotSize;
+    return pricePerLot;
+  };
+  const priceUnitLabel = () => ($("priceUnit").value === "saturn" ? `ETC/${tokenSymbol}` : "ETC/lot");
+
+  async function blockTime(blockNumber) {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await exchange.runner.provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, block.timestamp);
+    }
+    return blockTimes.get(blockNumber);
+  }
+
+  async function loadTrades(latest) {
+    const fromBlock = Math.max(deployment?.blockNumber || 0, latest - TRADE_LOOKBACK_BLOCKS);
+    const logs = await exchange.queryFilter(exchange.filters.Trade(), fromBlock, latest);
+    const out = [];
+    for (const log of logs) {
+      const a = log.args;
+      out.push({
+        block: log.blockNumber,
+        txHash: log.transactionHash,
+        time: await blockTime(log.blockNumber),
+        makerOrderId: a.makerOrderId,
+        maker: a.maker,
+        taker: a.taker,
+        // Taker side is the opposite of the maker side (0 = Buy, 1 = Sell)
+        takerSide: Number(a.side) === 1 ? "buy" : "sell",
+        pricePerLot: a.pricePerLot,
+        lots: a.lots,
+        grossSaturn: a.grossSaturn,
+        grossEtc: a.grossEtc,
+        feeSaturn: a.feeSaturn,
+        feeEtc: a.feeEtc
+      });
+    }
+    trades = out;
+  }
+
+  // Bucket trades into OHLCV candles of `intervalSec` seconds
+  function buildCandles(list, intervalSec) {
+    const candles = [];
+    for (const t of list) {
+      const start = Math.floor(t.time / intervalSec) * intervalSec;
+      const price = displayPrice(t.pricePerLot);
+      let c = candles[candles.length - 1];
+      if (!c || c.start !== start) {
+        c = { start, open: price, high: price, low: price, close: price, lots: 0n, etc: 0n };
+        candles.push(c);
+      }
+      if (price > c.high) c.high = price;
+      if (price < c.low) c.low = price;
+      c.close = price;
+      c.lots += t.lots;
+      c.etc += t.grossEtc;
+    }
+    return candles;
+  }
+
+  function renderTradeStats() {
+    if (!trades.length) {
+      $("tradeStats").textContent = "No trades yet";
+      return;
+    }
+    const last = trades[trades.length - 1];
+    const since = last.time - DAY_SECONDS;
+    const day = trades.filter((t) => t.time > since);
+    let high = 0n, low = 0n, lots = 0n, etc = 0n, saturn = 0n;
+    day.forEach((t, i) => {
+      const p = displayPrice(t.pricePerLot);
+      if (i === 0 || p > high) high = p;
+      if (i === 0 || p < low) low = p;
+      lots += t.lots;
+      etc += t.grossEtc;
+      saturn += t.grossSaturn;
+    });
+    const unit = priceUnitLabel();
+    $("tradeStats").textContent =
+      `last: ${ethers.formatEther(displayPrice(last.pricePerLot))} ${unit}\n` +
+      `24h high/low: ${ethers.formatEther(high)} / ${ethers.formatEther(low)} ${unit}\n` +
+      `24h volume: ${lots} lots | ${ethers.formatUnits(saturn, tokenDecimals)} ${tokenSymbol} | ${ethers.formatEther(etc)} ETC`;
+  }
+
+  function renderTradeList() {
+    const rows = trades.slice(-TRADE_ROWS).reverse().map((t) => {
+      const time = new Date(t.time * 1000).toLocaleTimeString();
+      const side = t.takerSide.toUpperCase().padEnd(4);
+      return `${time}  ${side} ${ethers.formatEther(displayPrice(t.pricePerLot))} ${priceUnitLabel()} x ${t.lots} lots (${ethers.formatEther(t.grossEtc)} ETC)`;
+    });
+    $("tradeList").textContent = rows.join("\n") || "—";
+  }
+
+  function renderChart() {
+    const canvas = $("priceChart");
+    const ctx = canvas.getContext("2d");
+    const width = canvas.width = canvas.clientWidth || 600;
+    const height = canvas.height;
+    ctx.clearRect(0, 0, width, height);
+
+    const candles = buildCandles(trades, Number($("candleInterval").value)).slice(-60);
+    if (!candles.length) return;
+
+    const toNum = (wei) => Number(ethers.formatEther(wei));
+    const volHeight = height * 0.2;
+    const priceHeight = height - volHeight - 8;
+    let max = Math.max(...candles.map((c) => toNum(c.high)));
+    let min = Math.min(...candles.map((c) => toNum(c.low)));
+    if (max === min) { max *= 1.01; min *= 0.99; }
+    const maxVol = Math.max(...candles.map((c) => Number(c.lots)));
+    const y = (p) => priceHeight - ((toNum(p) - min) / (max - min)) * priceHeight;
+    const slot = width / 60;
+    const body = Math.max(2, slot * 0.6);
+
+    candles.forEach((c, i) => {
+      const x = (60 - candles.length + i) * slot + slot / 2;
+      const up = c.close >= c.open;
+      ctx.strokeStyle = ctx.fillStyle = up ? "#34d399" : "#f87171";
+      ctx.beginPath();
+      ctx.moveTo(x, y(c.high));
+      ctx.lineTo(x, y(c.low));
+      ctx.stroke();
+      const top = y(up ? c.close : c.open);
+      const bottom = y(up ? c.open : c.close);
+      ctx.fillRect(x - body / 2, top, body, Math.max(1, bottom - top));
+      const vh = (Number(c.lots) / maxVol) * volHeight;
+      ctx.globalAlpha = 0.4;
+      ctx.fillRect(x - body / 2, height - vh, body, vh);
+      ctx.globalAlpha = 1;
+    });
+
+    ctx.fillStyle = "#9db2ff";
+    ctx.font = "11px monospace";
+    ctx.fillText(`${max.toPrecision(6)} ${priceUnitLabel()}`, 4, 12);
+    ctx.fillText(min.toPrecision(6), 4, priceHeight - 2);
+  }
+
+  function renderTrades() {
+    renderTradeStats();
+    renderTradeList();
+    renderChart();
+  }
+
+  async function refreshTrades() {
+    requireReady();
+    await loadTrades(snapshotBlock);
+    renderTrades();
+  }
+
+  // ------------------------------------------------------------
+  // Transactions
+  // ------------------------------------------------------------
+
+  // Preflight, send and confirm through the activity list, then refresh. The
+  // outcome (decoded revert, wallet rejection, fills) shows there rather than
+  // in an alert; resolves to the finished activity entry.
+  async function track(label, method, args = [], overrides = {}) {
+    const entry = await txs.submit({ label, method, args, overrides });
+    if (entry.status === "confirmed") await refresh();
+    return entry;
+  }
+
+  // Every button handler runs through here, so a failure outside a transaction
+  // (bad input, a read that reverted, the relayer refusing an order) lands in
+  // the activity list next to the ones track() reports
+  function guarded(label, handler) {
+    return async (...args) => {
+      try {
+        return await handler(...args);
+      } catch (err) {
+        txs.fail(label, err);
+      }
+    };
+  }
+
+  function renderActivity(entries) {
+    const el = $("activity");
+    el.replaceChildren();
+    if (!entries.length) {
+      el.textContent = "No transactions yet";
+      return;
+    }
+    for (const e of entries) {
+      const row = document.createElement("div");
+      row.className = `activity-row ${e.status}`;
+      const status = document.createElement("span");
+      status.className = "activity-status";
+      status.textContent = e.status;
+      const label = document.createElement("span");
+      label.textContent = `${e.label}: ${e.message}`;
+      row.append(status, label);
+      if (e.hash) {
+        const hash = document.createElement("span");
+        hash.className = "hint";
+        hash.title = e.replacedHash ? `${e.hash} (replaced ${e.replacedHash})` : e.hash;
+        hash.textContent = `${e.hash.slice(0, 10)}…`;
+        row.append(hash);
+      }
+      el.appendChild(row);
     }
   }
 
   async function depositEtc() {
+    requireReady();
+    const value = parseEtc($("depositEtc").value, "an ETC amount");
+    await track(`Deposit ${ethers.formatEther(value)} ETC`, exchange.depositEtc, [], { value });
+  }
+
+  const parseSaturn = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) throw new Error(`Enter a ${tokenSymbol} amount`);
+    let amount;
     try {
-      requireReady();
-      const value = parseEtc($("depositEtc").value, "an ETC amount");
-      const tx = await exchange.depositEtc({ value });
-      await tx.wait();
-      await refreshAll();
+      amount = ethers.parseUnits(trimmed, tokenDecimals);
     } catch (err) {
-      console.error(err);
-      alert(err.message || err);
+      throw new Error(`${tokenSymbol} has ${tokenDecimals} decimals; "${trimmed}" is not a valid amount`);
+    }
+    if (amount <= 0n) throw new Error("Amount must be positive");
+    return amount;
+  };
+
+  // ERC223 transfer to the exchange, where tokenFallback credits the internal
+  // balance; on ERC20 markets an approval (when short) and depositToken
+  async function sendSaturnDeposit(amount) {
+    const acct = await signer.getAddress();
+    const walletSaturn = await saturnToken.balanceOf(acct);
+    if (amount > walletSaturn) {
+      throw new Error(
+        `Wallet holds ${ethers.formatUnits(walletSaturn, tokenDecimals)} ${tokenSymbol}, ` +
+        `cannot deposit ${ethers.formatUnits(amount, tokenDecimals)}`
+      );
+    }
+    const label = `Deposit ${ethers.formatUnits(amount, tokenDecimals)} ${tokenSymbol}`;
+    let entry;
+    if (tokenErc223) {
+      entry = await track(label, saturnToken.transfer, [await exchange.getAddress(), amount, "0x"]);
+    } else {
+      const spender = await exchange.getAddress();
+      if ((await saturnToken.allowance(acct, spender)) < amount) {
+        const approval = await track(`Approve ${tokenSymbol} for the exchange`, saturnToken.approve, [spender, amount]);
+        if (approval.status !== "confirmed") return null;
+      }
+      entry = await track(label, exchange.depositToken, [amount]);
+    }
+    if (entry.status !== "confirmed") return null;
+    const deposited = window.SaturnTx.parseEvents(entry.receipt, exchange.interface, await exchange.getAddress())
+      .find((e) => e.name === "DepositSATURN" && e.args.user.toLowerCase() === acct.toLowerCase());
+    if (!deposited) throw new Error(`Transfer ${entry.hash} mined without a DepositSATURN event`);
+    return deposited.args.amount;
+  }
+
+  async function depositSaturn() {
+    requireReady();
+    const amount = parseSaturn($("depositSaturn").value);
+    const credited = await sendSaturnDeposit(amount);
+    if (credited !== null) $("depositStatus").textContent = `Deposited ${ethers.formatUnits(credited, tokenDecimals)} ${tokenSymbol}`;
+  }
+
+  // Deposit exactly the SATURN for a sell and trade it in the same ERC223
+  // transfer, using the tokenFallback order payload (ui/lib/orderPayload.js).
+  // "limitSell" rests any remainder; "immediateSell" pays ETC out and
+  // refunds unsold SATURN.
+  async function depositAndSell(action) {
+    requireReady();
+    const lots = parseSaturnLots($("depositSaturn").value);
+    const price = parseEtc($("depositSellPrice").value, "a sell price per lot");
+    const amount = lots * lotSize;
+    const walletSaturn = await saturnToken.balanceOf(await signer.getAddress());
+    if (amount > walletSaturn) {
+      throw new Error(`Wallet holds ${ethers.formatUnits(walletSaturn, tokenDecimals)} ${tokenSymbol}, cannot sell ${lots} lots`);
+    }
+    const data = window.SaturnPayload.encodeOrderPayload({ action, pricePerLot: price, lots });
+    const label = `${action === "limitSell" ? "Deposit and sell" : "Sell now"} ${lots} lots @ ${ethers.formatEther(price)} ETC`;
+    const entry = await track(label, saturnToken.transfer, [await exchange.getAddress(), amount, data]);
+    if (entry.status !== "confirmed") return;
+
+    const events = window.SaturnTx.parseEvents(entry.receipt, exchange.interface, await exchange.getAddress());
+    const filled = events.filter((e) => e.name === "Trade").reduce((sum, e) => sum + e.args.lots, 0n);
+    const settled = events.find((e) => e.name === "SellImmediateSettled");
+    let status = `Sold ${filled} of ${lots} lots`;
+    if (settled) {
+      status += `, received ${ethers.formatEther(settled.args.etcOut)} ETC` +
+        `, refunded ${ethers.formatUnits(settled.args.saturnRefund, tokenDecimals)} ${tokenSymbol}`;
+    } else if (filled < lots) {
+      status += `, ${lots - filled} lots resting`;
     }
+    $("depositStatus").textContent = status;
+  }
+
+  // Expiry is measured from the latest block's timestamp, which is what the contract compares against
+  async function parseExpiry(tif) {
+    const trimmed = $("expiresIn").value.trim();
+    if (!trimmed) return 0;
+    const minutes = Number(trimmed);
+    if (!(minutes > 0)) throw new Error("Expiry must be a positive number of minutes");
+    if (tif !== "gtc" && tif !== "postOnly") throw new Error("Only GTC and post-only orders can expire");
+    const latest = await exchange.runner.provider.getBlock("latest");
+    return latest.timestamp + Math.ceil(minutes * 60);
   }
 
   async function place() {
-    try {
-      requireReady();
-      const side = $("side").value;
-      const price = parseEtc($("price").value, "a price per SATURN lot");
-      const lots = parseSaturnLots($("lots").value);
-      const fn = side === "buy" ? "placeLimitBuyFromBalance" : "placeLimitSellFromBalance";
-      const tx = await exchange[fn](price, lots);
-      await tx.wait();
-      await refreshAll();
-    } catch (err) {
-      console.error(err);
-      alert(err.message || err);
+    requireReady();
+    const side = $("side").value;
+    const tif = $("tif").value;
+    const stp = $("stp").value;
+    const price = parseEtc($("price").value, "a price per lot");
+    const lots = parseSaturnLots($("lots").value);
+    const expiresAt = await parseExpiry(tif);
+    checkAvailable(side, price, lots, await refreshBalances());
+    const sim = simulate({ side, pricePerLot: price, lots, timeInForce: tif, selfTradePrevention: stp });
+    if (sim.error) throw new Error(sim.error);
+    const { TIME_IN_FORCE, SELF_TRADE_PREVENTION, insertionHint } = window.SaturnSim;
+    // Tell the contract where a resting remainder goes so it need not walk the book
+    const hint = insertionHint({ buys: sortedSide("buy"), sells: sortedSide("sell") }, side, price);
+    await track(
+      `${side === "buy" ? "Buy" : "Sell"} ${lots} lots @ ${ethers.formatEther(price)} ETC (${tif})`,
+      exchange.placeLimitOrder,
+      [side === "buy" ? 0 : 1, price, lots, TIME_IN_FORCE[tif], expiresAt, SELF_TRADE_PREVENTION[stp], 0, hint]
+    );
+  }
+
+  // Same price with fewer lots keeps queue position; anything else re-queues
+  // (and may trade immediately at the new price)
+  async function modify(order, side, priceValue, amountValue) {
+    requireReady();
+    const price = parseEtc(priceValue, "a price per lot");
+    const lots = parseSaturnLots(amountValue);
+    if (price === order.pricePerLot && lots === order.lots) return;
+    const balances = await refreshBalances();
+    const oldReserve = side === "buy" ? order.pricePerLot * order.lots : order.lots * lotSize;
+    checkAvailable(side, price, lots, side === "buy"
+      ? { ...balances, lockedEtc: balances.lockedEtc - oldReserve }
+      : { ...balances, lockedSaturn: balances.lockedSaturn - oldReserve });
+    if (price !== order.pricePerLot || lots > order.lots) {
+      const ok = window.confirm(`Order #${order.id} will lose its time priority${price !== order.pricePerLot ? " and may trade immediately" : ""}. Continue?`);
+      if (!ok) return;
     }
+    // The hint is computed without the order itself, which leaves the book first
+    const others = (s) => sortedSide(s).filter((o) => o.id !== order.id);
+    const hint = window.SaturnSim.insertionHint({ buys: others("buy"), sells: others("sell") }, side, price);
+    await track(`Modify #${order.id} to ${lots} lots @ ${ethers.formatEther(price)} ETC`, exchange.modifyOrder, [order.id, price, lots, hint]);
   }
 
   async function buyImmediate() {
-    try {
-      requireReady();
-      const price = parseEtc($("immediatePrice").value, "a price per SATURN lot");
-      const lots = parseSaturnLots($("immediateLots").value);
-      const value = parseEtc($("immediateValue").value, "a msg.value");
-      const tx = await exchange.placeLimitBuyImmediate(price, lots, { value });
-      await tx.wait();
-      await refreshAll();
-    } catch (err) {
-      console.error(err);
-      alert(err.message || err);
-    }
+    requireReady();
+    const price = parseEtc($("immediatePrice").value, "a price per lot");
+    const lots = parseSaturnLots($("immediateLots").value);
+    const value = parseEtc($("immediateValue").value, "a msg.value");
+    await track(`Buy now ${lots} lots @ ${ethers.formatEther(price)} ETC`, exchange.placeLimitBuyImmediate, [price, lots], { value });
+  }
+
+  async function cancelOrderId(id) {
+    requireReady();
+    await track(`Cancel #${id}`, exchange.cancelOrder, [id]);
   }
 
   async function cancel() {
-    try {
-      requireReady();
-      const id = $("cancelId").value;
-      if (!id) return alert("Enter order id");
-      const tx = await exchange.cancelOrder(id);
-      await tx.wait();
-      await refreshAll();
-    } catch (err) {
-      console.error(err);
-      alert(err.message || err);
+    const id = $("cancelId").value;
+    if (!id) throw new Error("Enter an order id");
+    await cancelOrderId(id);
+  }
+
+  // Anyone may remove expired orders; they no longer match but stay listed until removed
+  async function cleanupExpired() {
+    requireReady();
+    const ids = await reader.getExpiredOrders(exchange.target, EXPIRED_CLEANUP_BATCH);
+    if (!ids.length) {
+      alert("No expired orders in the book");
+      return;
     }
+    await track(`Remove ${ids.length} expired orders`, exchange.cancelExpiredOrders, [ids]);
   }
 
   async function cancelAll() {
-    try {
-      requireReady();
-      const tx = await exchange.cancelAllMyOrders();
-      await tx.wait();
-      await refreshAll();
-    } catch (err) {
-      console.error(err);
-      alert(err.message || err);
-    }
+    requireReady();
+    await track("Cancel all my orders", exchange.cancelAllMyOrders);
   }
 
   async function withdrawAll() {
+    requireReady();
+    await track("Withdraw all", exchange.withdrawAll);
+  }
+
+  async function withdrawEtc() {
+    requireReady();
+    const amount = parseEtc($("withdrawEtcAmount").value, "an ETC amount");
+    const balances = await refreshBalances();
+    const available = balances.etc - balances.lockedEtc;
+    if (amount > available) {
+      throw new Error(`Only ${ethers.formatEther(available)} ETC is available (${ethers.formatEther(balances.lockedEtc)} ETC locked by resting buys)`);
+    }
+    await track(`Withdraw ${ethers.formatEther(amount)} ETC`, exchange.withdrawEtc, [amount]);
+  }
+
+  // ------------------------------------------------------------
+  // Signed orders (ui/lib/signedOrders.js, settled by scripts/relayer.js)
+  // ------------------------------------------------------------
+
+  // Sign in the wallet and hand the order to the relayer; nothing is sent on-chain
+  async function signAndSend() {
+    requireReady();
+    const { orderDomain, signOrder, orderToJson } = window.SaturnSigned;
+    const side = $("signedSide").value;
+    const price = parseEtc($("signedPrice").value, "a price per lot");
+    const lots = parseSaturnLots($("signedLots").value);
+    let expiresAt = 0;
+    const expiresIn = $("signedExpiresIn").value.trim();
+    if (expiresIn) {
+      const minutes = Number(expiresIn);
+      if (!(minutes > 0)) throw new Error("Expiry must be a positive number of minutes");
+      expiresAt = (await exchange.runner.provider.getBlock("latest")).timestamp + Math.ceil(minutes * 60);
+    }
+    // Millisecond timestamps are fresh per order and stay above any earlier "cancel all"
+    const nonce = BigInt(Date.now());
+    const { chainId: exchangeChainId } = await exchange.runner.provider.getNetwork();
+    const domain = orderDomain(exchangeChainId, await signedOrders.getAddress());
+    const signed = await signOrder(signer, { side, pricePerLot: price, lots, expiresAt, nonce }, domain);
+
+    const url = $("relayerUrl").value.trim().replace(/\/+$/, "");
+    const res = await fetch(`${url}/orders`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ order: orderToJson(signed.order), signature: signed.signature })
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(`Relayer rejected the order: ${body.error}`);
+    $("signedNonce").value = nonce.toString();
+    $("signedStatus").textContent = `Signed ${side} ${lots} lots @ ${ethers.formatEther(price)} ETC (nonce ${nonce}): ` +
+      `${body.matches.length} matches, ${body.remaining} lots waiting at the relayer`;
+    if (body.matches.length) await refresh();
+  }
+
+  async function cancelNonce() {
+    requireReady();
+    const nonce = $("signedNonce").value.trim();
+    if (!/^\d+$/.test(nonce)) throw new Error("Enter the nonce of the signed order");
+    await track(`Cancel signed order nonce ${nonce}`, signedOrders.cancelNonce, [nonce]);
+  }
+
+  // Raise the account's minimum nonce past every order signed so far
+  async function cancelAllSigned() {
+    requireReady();
+    const floor = await signedOrders.minNonce(await signer.getAddress());
+    const now = BigInt(Date.now());
+    const next = now > floor ? now : floor + 1n;
+    await track("Cancel all signed orders", signedOrders.cancelNoncesBelow, [next]);
+  }
+
+  async function withdrawSaturn() {
+    requireReady();
+    const amount = parseSaturn($("withdrawSaturnAmount").value);
+    const balances = await refreshBalances();
+    const available = balances.saturn - balances.lockedSaturn;
+    if (amount > available) {
+      const f = (v) => ethers.formatUnits(v, tokenDecimals);
+      throw new Error(`Only ${f(available)} ${tokenSymbol} is available (${f(balances.lockedSaturn)} ${tokenSymbol} locked by resting sells)`);
+    }
+    await track(`Withdraw ${ethers.formatUnits(amount, tokenDecimals)} ${tokenSymbol}`, exchange.withdrawSaturn, [amount]);
+  }
+
+  // ------------------------------------------------------------
+  // Statement (ui/lib/statement.js)
+  // ------------------------------------------------------------
+
+  async function buildStatement() {
+    requireReady();
+    $("statementSummary").textContent = "Reading logs…";
     try {
-      requireReady();
-      const tx = await exchange.withdrawAll();
-      await tx.wait();
-      await refreshAll();
+      // The ledger only reconciles over the exchange's whole history
+      statement = await window.SaturnStatement.loadStatement({
+        provider: exchange.runner.provider,
+        exchangeAddress: await exchange.getAddress(),
+        account: await signer.getAddress(),
+        fromBlock: deployment?.blockNumber || 0
+      });
     } catch (err) {
-      console.error(err);
-      alert(err.message || err);
+      $("statementSummary").textContent = "Not built";
+      throw err;
+    }
+    renderStatement();
+  }
+
+  function renderStatement() {
+    const { rows, totals, balances, reconciliation: rec } = statement;
+    const f = (v) => ethers.formatUnits(v, tokenDecimals);
+    const e = ethers.formatEther;
+    $("statementSummary").textContent = [
+      `Blocks ${statement.fromBlock}..${statement.toBlock}: ${rows.length} entries`,
+      `Deposited: ${e(totals.depositedEtc)} ETC, ${f(totals.depositedSaturn)} ${tokenSymbol}`,
+      `Withdrawn: ${e(totals.withdrawnEtc)} ETC, ${f(totals.withdrawnSaturn)} ${tokenSymbol}`,
+      `Bought ${totals.boughtLots} lots, sold ${totals.soldLots} lots`,
+      `Fees paid: ${e(totals.feesEtc)} ETC, ${f(totals.feesSaturn)} ${tokenSymbol}`,
+      `Realized PnL (FIFO): ${e(totals.realizedPnlEtc)} ETC`,
+      `Proceeds with unknown cost basis: ${e(totals.proceedsWithoutBasisEtc)} ETC`,
+      `Closing balance: ${e(balances.etc)} ETC, ${f(balances.saturn)} ${tokenSymbol}`,
+      rec.ok
+        ? "Reconciles with the contract's balances"
+        : `Does NOT reconcile: contract holds ${e(rec.etc)} ETC, ${f(rec.saturn)} ${tokenSymbol}`
+    ].join("\n");
+    $("exportCsv").disabled = false;
+    $("exportJson").disabled = false;
+  }
+
+  function exportStatement(format) {
+    if (!statement) return;
+    const { toCsv, toJson } = window.SaturnStatement;
+    const text = format === "csv" ? toCsv(statement) : toJson(statement);
+    const blob = new Blob([text], { type: format === "csv" ? "text/csv" : "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `saturn-statement-${statement.account.slice(0, 10)}-${statement.toBlock}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // ------------------------------------------------------------
+  // Admin (owner only)
+  // ------------------------------------------------------------
+
+  async function refreshAdmin(latest) {
+    const me = (await signer.getAddress()).toLowerCase();
+    const [owner, pending] = await Promise.all([exchange.owner(), exchange.pendingOwner()]);
+    isOwner = owner.toLowerCase() === me;
+    $("adminCard").hidden = !isOwner;
+    $("acceptOwnerCard").hidden = pending.toLowerCase() !== me;
+    if (!isOwner) return;
+
+    if (latest === undefined) latest = await exchange.runner.provider.getBlockNumber();
+    const fromBlock = Math.max(deployment?.blockNumber || 0, latest - TRADE_LOOKBACK_BLOCKS);
+    const [feesEtc, feesSaturn, logs, makerFeeLogs] = await Promise.all([
+      exchange.accumulatedFeesEtc(),
+      exchange.accumulatedFeesSaturn(),
+      exchange.queryFilter(exchange.filters.FeesWithdrawn(), fromBlock, latest),
+      exchange.queryFilter(exchange.filters.MakerFee(), fromBlock, latest)
+    ]);
+    feeWithdrawals = [];
+    for (const log of logs) {
+      feeWithdrawals.push({
+        time: await blockTime(log.blockNumber),
+        recipient: log.args.recipient,
+        etc: log.args.etcAmount,
+        saturn: log.args.saturnAmount
+      });
+    }
+    makerFees = [];
+    for (const log of makerFeeLogs) {
+      const a = log.args;
+      makerFees.push({
+        time: await blockTime(log.blockNumber),
+        makerOrderId: a.makerOrderId,
+        // The maker receives ETC when it sold, SATURN when it bought
+        inEtc: Number(a.side) === 1,
+        fee: a.fee,
+        rebate: a.rebate
+      });
+    }
+
+    $("adminFees").textContent = [
+      `Accrued ETC fees     ${ethers.formatEther(feesEtc)}`,
+      `Accrued ${tokenSymbol} fees  ${ethers.formatUnits(feesSaturn, tokenDecimals)}`,
+      `Pending owner        ${pending === ethers.ZeroAddress ? "—" : pending}`
+    ].join("\n");
+    renderFeeSchedule();
+    $("cancelTransferBtn").disabled = pending === ethers.ZeroAddress;
+    renderAdminStatus();
+    renderFeeHistory();
+  }
+
+  function renderAdminStatus() {
+    $("emergencyStatus").textContent = emergency ? "Emergency mode is ON" : "Emergency mode is off";
+    $("toggleEmergencyBtn").textContent = emergency ? "Disable emergency mode" : "Enable emergency mode";
+  }
+
+  // Tiers as set, with the owner's edit box filled in unless they are editing it
+  function renderFeeSchedule() {
+    const { formatBps, describeRates, formatTiers } = window.SaturnFees;
+    $("adminFeeSchedule").textContent = [
+      `Fee tiers (each rate at most ${formatBps(fees.maxFeeBps)}, volume over ${fees.volumeWindow / DAY_SECONDS} days):`,
+      ...fees.tiers.map((t, i) => `  ${i + 1}. from ${String(t.minLots).padStart(8)} lots: ${describeRates(t)}`)
+    ].join("\n");
+    if (document.activeElement !== $("feeTiers")) $("feeTiers").value = formatTiers(fees.tiers);
+  }
+
+  // Fees charged per trade (takers: buys in SATURN, sells in ETC; makers in the
+  // asset they receive, less rebates) and past withdrawals
+  function renderFeeHistory() {
+    const amount = (value, inEtc) => (inEtc
+      ? `${ethers.formatEther(value)} ETC`
+      : `${ethers.formatUnits(value, tokenDecimals)} ${tokenSymbol}`);
+    const charged = trades.filter((t) => t.feeEtc > 0n || t.feeSaturn > 0n).map((t) => ({
+      time: t.time,
+      line: `#${t.makerOrderId} ${t.takerSide.toUpperCase().padEnd(5)} ${t.lots} lots  fee ${amount(t.feeEtc || t.feeSaturn, t.feeEtc > 0n)}`,
+      etc: t.feeEtc,
+      saturn: t.feeSaturn
+    }));
+    for (const m of makerFees) {
+      const net = m.fee - m.rebate;
+      charged.push({
+        time: m.time,
+        line: `#${m.makerOrderId} MAKER ${m.rebate > 0n ? `rebate ${amount(m.rebate, m.inEtc)}` : `fee ${amount(m.fee, m.inEtc)}`}`,
+        etc: m.inEtc ? net : 0n,
+        saturn: m.inEtc ? 0n : net
+      });
     }
+    charged.sort((a, b) => a.time - b.time);
+    const totalEtc = charged.reduce((sum, c) => sum + c.etc, 0n);
+    const totalSaturn = charged.reduce((sum, c) => sum + c.saturn, 0n);
+    const rows = charged.slice(-ADMIN_ROWS).reverse().map((c) => `${new Date(c.time * 1000).toLocaleString()}  ${c.line}`);
+    const withdrawals = feeWithdrawals.slice(-ADMIN_ROWS).reverse().map((w) =>
+      `${new Date(w.time * 1000).toLocaleString()}  ${ethers.formatEther(w.etc)} ETC + ` +
+      `${ethers.formatUnits(w.saturn, tokenDecimals)} ${tokenSymbol} to ${w.recipient}`
+    );
+    $("adminFeeHistory").textContent = [
+      `Charged (net of rebates) in the last ${TRADE_LOOKBACK_BLOCKS.toLocaleString()} blocks: ` +
+        `${ethers.formatEther(totalEtc)} ETC + ${ethers.formatUnits(totalSaturn, tokenDecimals)} ${tokenSymbol}`,
+      "",
+      ...(rows.length ? rows : ["No fees charged"]),
+      "",
+      "Withdrawals:",
+      ...(withdrawals.length ? withdrawals : ["none"])
+    ].join("\n");
   }
 
+  // `prepare` validates the inputs and returns the track() arguments, or null to do nothing
+  async function adminTx(prepare) {
+    requireReady();
+    const call = await prepare();
+    if (call) await track(...call);
+  }
+
+  const withdrawFees = () => adminTx(async () => {
+    const recipient = $("feeRecipient").value.trim() || (await signer.getAddress());
+    if (!ethers.isAddress(recipient)) throw new Error("Enter a valid recipient address");
+    return ["Withdraw fees", exchange.withdrawFees, [recipient]];
+  });
+
+  const setFeeSchedule = () => adminTx(async () => {
+    const tiers = window.SaturnFees.parseTiers($("feeTiers").value, { maxFeeBps: fees.maxFeeBps });
+    const summary = tiers.map((t) => `from ${t.minLots} lots: ${window.SaturnFees.describeRates(t)}`).join("\n");
+    if (!confirm(`Replace the fee schedule? It applies from the next fill.\n\n${summary}`)) return null;
+    return ["Set fee schedule", feeSchedule.connect(signer).setFeeSchedule, [tiers]];
+  });
+
+  const toggleEmergency = () => adminTx(async () => {
+    const enable = !(await exchange.emergencyMode());
+    if (enable && !confirm("Enable emergency mode? Trading and deposits stop until it is disabled.")) return null;
+    return [`${enable ? "Enable" : "Disable"} emergency mode`, exchange.setEmergencyMode, [enable]];
+  });
+
+  const transferOwnership = () => adminTx(async () => {
+    const newOwner = $("newOwner").value.trim();
+    if (!ethers.isAddress(newOwner)) throw new Error("Enter a valid new owner address");
+    return ["Propose new owner", exchange.transferOwnership, [newOwner]];
+  });
+
+  const cancelOwnershipTransfer = () => adminTx(() => ["Cancel ownership transfer", exchange.cancelOwnershipTransfer]);
+  const acceptOwnership = () => adminTx(() => ["Accept ownership", exchange.acceptOwnership]);
+
   // Wire UI
-  $("connect").onclick = connect;
-  $("loadDefault").onclick = () => {
+  $("connect").onclick = guarded("Connect wallet", connect);
+  $("marketSelect").onchange = guarded("Switch market", selectMarket);
+  // Switching exchanges while connected re-subscribes to the new contract
+  for (const id of ["exchangeAddress", "readerAddress"]) {
+    $(id).addEventListener("change", () => {
+      if (signer) guarded("Load contracts", loadContracts)();
+    });
+  }
+  // The last addresses entered, for chains without a recorded deployment
+  const useSavedAddresses = () => {
     $("exchangeAddress").value = window.localStorage.getItem("saturnExchange") || "";
     $("saturnAddress").value = window.localStorage.getItem("saturnToken") || "";
+    $("readerAddress").value = window.localStorage.getItem("saturnExchangeReader") || "";
   };
-  $("refresh").onclick = refreshAll;
-  $("refreshOrderbook").onclick = refreshAll;
-  $("depositEtcBtn").onclick = depositEtc;
-  $("place").onclick = place;
-  $("buyImmediate").onclick = buyImmediate;
-  $("cancel").onclick = cancel;
-  $("cancelAll").onclick = cancelAll;
-  $("withdrawAll").onclick = withdrawAll;
+  $("loadDefault").onclick = guarded("Load deployment", async () => {
+    if (!(await useManifestAddresses())) useSavedAddresses();
+    showNetworkStatus();
+    if (signer) await loadContracts();
+  });
+  $("refresh").onclick = refresh;
+  $("refreshOrderbook").onclick = refresh;
+  $("depositEtcBtn").onclick = guarded("Deposit ETC", depositEtc);
+  $("depositSaturnBtn").onclick = guarded("Deposit", depositSaturn);
+  $("depositSellBtn").onclick = guarded("Deposit and sell", () => depositAndSell("limitSell"));
+  $("depositSellNowBtn").onclick = guarded("Sell now", () => depositAndSell("immediateSell"));
+  $("place").onclick = guarded("Place order", place);
+  $("buyImmediate").onclick = guarded("Buy now", buyImmediate);
+  $("cancel").onclick = guarded("Cancel order", cancel);
+  $("cancelAll").onclick = guarded("Cancel all my orders", cancelAll);
+  $("cleanupExpired").onclick = guarded("Remove expired orders", cleanupExpired);
+  $("signOrderBtn").onclick = guarded("Sign order", signAndSend);
+  $("cancelNonceBtn").onclick = guarded("Cancel signed order", cancelNonce);
+  $("cancelNoncesBtn").onclick = guarded("Cancel all signed orders", cancelAllSigned);
+  $("withdrawAll").onclick = guarded("Withdraw all", withdrawAll);
+  $("withdrawEtcBtn").onclick = guarded("Withdraw ETC", withdrawEtc);
+  $("withdrawSaturnBtn").onclick = guarded("Withdraw", withdrawSaturn);
+  $("refreshTrades").onclick = guarded("Load trades", refreshTrades);
+  $("buildStatement").onclick = guarded("Build statement", buildStatement);
+  $("exportCsv").onclick = () => exportStatement("csv");
+  $("exportJson").onclick = () => exportStatement("json");
+  $("withdrawFeesBtn").onclick = guarded("Withdraw fees", withdrawFees);
+  $("setFeeScheduleBtn").onclick = guarded("Set fee schedule", setFeeSchedule);
+  $("toggleEmergencyBtn").onclick = guarded("Emergency mode", toggleEmergency);
+  $("transferOwnerBtn").onclick = guarded("Propose new owner", transferOwnership);
+  $("cancelTransferBtn").onclick = guarded("Cancel ownership transfer", cancelOwnershipTransfer);
+  $("acceptOwnerBtn").onclick = guarded("Accept ownership", acceptOwnership);
+  for (const id of ["side", "tif", "stp", "price", "lots", "immediatePrice", "immediateLots", "immediateValue"]) {
+    $(id).addEventListener("input", renderPreviews);
+  }
+  $("candleInterval").onchange = renderChart;
+  $("priceUnit").onchange = renderTrades;
 
   // Persist address fields on blur
   $("exchangeAddress").addEventListener("blur", () => {
@@ -230,4 +1617,16 @@
     const v = $("saturnAddress").value.trim();
     if (ethers.isAddress(v)) window.localStorage.setItem("saturnToken", v);
   });
+  $("readerAddress").addEventListener("blur", () => {
+    const v = $("readerAddress").value.trim();
+    if (ethers.isAddress(v)) window.localStorage.setItem("saturnExchangeReader", v);
+  });
+
+  // Follow the wallet's network from the start and pre-fill that chain's
+  // addresses without asking to connect
+  window.ethereum?.on?.("chainChanged", guarded("Switch network", onChainChanged));
+  (async () => {
+    if (!(await useManifestAddresses())) useSavedAddresses();
+    showNetworkStatus();
+  })().catch(console.error);
 })();
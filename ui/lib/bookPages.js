@@ -0,0 +1,66 @@
+// Cursor paging over SaturnExchangeReader's views.
+//
+// readAllPages walks getOrderBookPage / getUserOrdersPage until the cursor
+// runs out. Pass a blockTag to read every page at one block, so a fill between
+// pages cannot invalidate the cursor ("Stale cursor"). readBook returns both sides in the { buys, sells }
+// shape of fillSimulator.bookFromSnapshot, with owner and timestamps added.
+//
+// Loaded as a plain <script> in the UI (window.SaturnPages) and via require()
+// from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SaturnPages = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DEFAULT_PAGE_SIZE = 100;
+
+  // fetchPage(afterId, limit, overrides) resolves to [records, nextCursor], as
+  // an ethers Result of either reader view does. Returns every record.
+  async function readAllPages(fetchPage, { pageSize = DEFAULT_PAGE_SIZE, blockTag } = {}) {
+    const overrides = blockTag === undefined ? {} : { blockTag };
+    const records = [];
+    let cursor = 0n;
+    do {
+      const [page, next] = await fetchPage(cursor, pageSize, overrides);
+      records.push(...page);
+      cursor = BigInt(next);
+    } while (cursor !== 0n);
+    return records;
+  }
+
+  // Plain objects with bigint fields from SaturnExchangeReader.OrderRecord tuples
+  function normalizeRecord(r) {
+    return {
+      id: BigInt(r.id),
+      user: r.user,
+      side: Number(r.side) === 0 ? "buy" : "sell",
+      pricePerLot: BigInt(r.pricePerLot),
+      lots: BigInt(r.lots),
+      expiresAt: BigInt(r.expiresAt),
+      placedAt: BigInt(r.placedAt)
+    };
+  }
+
+  // Both sides of `exchange`'s book through `reader`, best price first
+  async function readBook(reader, exchange, opts = {}) {
+    const side = (s) => readAllPages(
+      (afterId, limit, overrides) => reader.getOrderBookPage(exchange, s, afterId, limit, overrides),
+      opts
+    );
+    const [buys, sells] = await Promise.all([side(0), side(1)]);
+    return { buys: buys.map(normalizeRecord), sells: sells.map(normalizeRecord) };
+  }
+
+  // All of `user`'s resting orders on `exchange`, oldest first
+  async function readUserOrders(reader, exchange, user, opts = {}) {
+    const records = await readAllPages(
+      (afterId, limit, overrides) => reader.getUserOrdersPage(exchange, user, afterId, limit, overrides),
+      opts
+    );
+    return records.map(normalizeRecord);
+  }
+
+  return { readAllPages, readBook, readUserOrders, normalizeRecord, DEFAULT_PAGE_SIZE };
+});
@@ -0,0 +1,100 @@
+// Fee schedule of a SaturnExchange (contracts/SaturnFeeSchedule.sol, found at
+// exchange.FEE_SCHEDULE()): read the tiers and an account's effective rates,
+// and parse / format tiers for the owner's setFeeSchedule.
+//
+// A tier is { minLots, makerFeeBps, takerFeeBps, makerRebateBps }; an account
+// trades at the last tier whose minLots its trailing volume reaches. In text a
+// tier is "minLots:makerFeeBps:takerFeeBps:makerRebateBps", tiers separated by
+// commas or new lines, e.g. "0:0:25:0, 1000:0:20:5".
+//
+// Loaded as a plain <script> in the UI (window.SaturnFees) and via require()
+// from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SaturnFees = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const tierTuple = "tuple(uint128 minLots, uint16 makerFeeBps, uint16 takerFeeBps, uint16 makerRebateBps)";
+  const feeScheduleAbi = [
+    "function MAX_FEE_BPS() view returns (uint16)",
+    "function MAX_TIERS() view returns (uint256)",
+    "function VOLUME_WINDOW() view returns (uint256)",
+    "function tierCount() view returns (uint256)",
+    "function tiers(uint256) view returns (uint128 minLots, uint16 makerFeeBps, uint16 takerFeeBps, uint16 makerRebateBps)",
+    "function trailingLots(address account) view returns (uint256)",
+    "function ratesFor(address account) view returns (uint16 makerFeeBps, uint16 takerFeeBps, uint16 makerRebateBps, uint256 tier)",
+    `function setFeeSchedule(${tierTuple}[] newTiers)`,
+    "event FeeTierSet(uint256 indexed index, uint128 minLots, uint16 makerFeeBps, uint16 takerFeeBps, uint16 makerRebateBps)",
+    "event FeeScheduleSet(uint256 tierCount)"
+  ];
+
+  const FIELDS = ["minLots", "makerFeeBps", "takerFeeBps", "makerRebateBps"];
+
+  // Tiers from text, checked like setFeeSchedule checks them (the contract
+  // also enforces MAX_TIERS). `maxFeeBps` defaults to the contract's 100.
+  function parseTiers(text, { maxFeeBps = 100 } = {}) {
+    const tiers = String(text).split(/[,\n]/).map((s) => s.trim()).filter(Boolean).map((entry) => {
+      const parts = entry.split(/\s*:\s*|\s+/);
+      if (parts.length !== FIELDS.length || !parts.every((p) => /^\d+$/.test(p))) {
+        throw new Error(`Tier "${entry}" must be minLots:makerFeeBps:takerFeeBps:makerRebateBps`);
+      }
+      const [minLots, makerFeeBps, takerFeeBps, makerRebateBps] = parts.map((p) => BigInt(p));
+      return { minLots, makerFeeBps: Number(makerFeeBps), takerFeeBps: Number(takerFeeBps), makerRebateBps: Number(makerRebateBps) };
+    });
+    if (!tiers.length) throw new Error("Enter at least one tier");
+    if (tiers[0].minLots !== 0n) throw new Error("The first tier must start at 0 lots");
+    tiers.forEach((t, i) => {
+      if (i > 0 && t.minLots <= tiers[i - 1].minLots) throw new Error("Tiers must have ascending minLots");
+      if (Math.max(t.makerFeeBps, t.takerFeeBps, t.makerRebateBps) > Number(maxFeeBps)) {
+        throw new Error(`Rates are capped at ${maxFeeBps} bps (${formatBps(maxFeeBps)})`);
+      }
+      if (t.makerFeeBps > 0 && t.makerRebateBps > 0) throw new Error("A tier charges makers a fee or pays a rebate, not both");
+    });
+    return tiers;
+  }
+
+  function formatTiers(tiers) {
+    return tiers.map((t) => FIELDS.map((f) => String(t[f])).join(":")).join(", ");
+  }
+
+  // 25 => "0.25%"
+  function formatBps(bps) {
+    return `${Number(bps) / 100}%`;
+  }
+
+  // "taker 0.25%, maker 0.1%" or "taker 0.2%, maker rebate 0.05%"
+  function describeRates(rates) {
+    const maker = Number(rates.makerRebateBps) > 0
+      ? `maker rebate ${formatBps(rates.makerRebateBps)}`
+      : `maker ${formatBps(rates.makerFeeBps)}`;
+    return `taker ${formatBps(rates.takerFeeBps)}, ${maker}`;
+  }
+
+  // { maxFeeBps, volumeWindow, tiers, account?: { trailingLots, tier, makerFeeBps, takerFeeBps, makerRebateBps } }
+  // from a contract with feeScheduleAbi
+  async function readSchedule(feeSchedule, account) {
+    const [maxFeeBps, volumeWindow, count] = await Promise.all([
+      feeSchedule.MAX_FEE_BPS(), feeSchedule.VOLUME_WINDOW(), feeSchedule.tierCount()
+    ]);
+    const tiers = await Promise.all(Array.from({ length: Number(count) }, async (_, i) => {
+      const t = await feeSchedule.tiers(i);
+      return { minLots: t.minLots, makerFeeBps: Number(t.makerFeeBps), takerFeeBps: Number(t.takerFeeBps), makerRebateBps: Number(t.makerRebateBps) };
+    }));
+    const schedule = { maxFeeBps: Number(maxFeeBps), volumeWindow: Number(volumeWindow), tiers };
+    if (account) {
+      const [trailingLots, rates] = await Promise.all([feeSchedule.trailingLots(account), feeSchedule.ratesFor(account)]);
+      schedule.account = {
+        trailingLots,
+        tier: Number(rates.tier),
+        makerFeeBps: Number(rates.makerFeeBps),
+        takerFeeBps: Number(rates.takerFeeBps),
+        makerRebateBps: Number(rates.makerRebateBps)
+      };
+    }
+    return schedule;
+  }
+
+  return { feeScheduleAbi, parseTiers, formatTiers, formatBps, describeRates, readSchedule };
+});
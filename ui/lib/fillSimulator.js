@@ -0,0 +1,193 @@
+// Pre-trade fill simulator for SaturnExchange.
+//
+// Replays the price-time matching of _placeLimitInternal against a
+// SaturnExchangeReader.getOrderBook() snapshot so the UI and scripts can
+// preview which resting orders a new order would cross, the taker fee, how
+// many lots would rest and what placeLimitBuyImmediate would refund.
+// insertionHint picks the hintPrevId for placeLimitOrder from the same
+// snapshot. All amounts are bigints in the contract's units (wei, SATURN base
+// units).
+//
+// Loaded as a plain <script> in the UI (window.SaturnSim) and via require()
+// from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SaturnSim = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const BPS_DENOMINATOR = 10_000n;
+
+  // SaturnExchange.TimeInForce values, as passed to placeLimitOrder
+  const TIME_IN_FORCE = { gtc: 0, ioc: 1, fok: 2, postOnly: 3 };
+
+  // SaturnExchange.SelfTradePrevention values, as passed to placeLimitOrder
+  const SELF_TRADE_PREVENTION = { cancelNewest: 0, cancelOldest: 1, decrementBoth: 2 };
+
+  // Normalize the tuple returned by SaturnExchangeReader.getOrderBook() into
+  // { buys: [{ id, pricePerLot, lots }], sells: [...] } (best price first).
+  function bookFromSnapshot(snapshot) {
+    const [buyIds, buyPrices, buyLots, sellIds, sellPrices, sellLots] = snapshot;
+    const side = (ids, prices, lots) => ids.map((id, i) => ({
+      id: BigInt(id),
+      pricePerLot: BigInt(prices[i]),
+      lots: BigInt(lots[i])
+    }));
+    return {
+      buys: side(buyIds, buyPrices, buyLots),
+      sells: side(sellIds, sellPrices, sellLots)
+    };
+  }
+
+  // The resting order a new order at `pricePerLot` would be linked after:
+  // the last order on its side at the same or a better price, or 0n when it
+  // would become the head. Pass it as placeLimitOrder's hintPrevId so the
+  // contract does not have to walk the book to find the position.
+  function insertionHint(book, side, pricePerLot) {
+    const price = BigInt(pricePerLot);
+    const isBuy = side === "buy";
+    let hint = 0n;
+    for (const o of isBuy ? book.buys : book.sells) {
+      const p = BigInt(o.pricePerLot);
+      if (isBuy ? p < price : p > price) break;
+      hint = BigInt(o.id);
+    }
+    return hint;
+  }
+
+  // order:   { side: "buy" | "sell", pricePerLot, lots, timeInForce?, selfTradePrevention?, maxFills?,
+  //            immediate?, msgValue? }
+  //          timeInForce is a TIME_IN_FORCE key, default "gtc"; selfTradePrevention
+  //          a SELF_TRADE_PREVENTION key, default "cancelNewest"
+  // params:  { lotSize, takerFeeBps, now?, maxFills? }
+  //          makers carrying expiresAt are skipped once `now` (unix seconds) reaches it;
+  //          makers with `own: true` belong to the taker and trigger self-trade prevention;
+  //          maxFills (order value first, else params, e.g. DEFAULT_MAX_FILLS) caps the
+  //          makers visited, expired and own ones included; unset means no cap
+  // Returns the fills and totals the contract would produce. `error` is set to
+  // the revert the order would hit, when one can be predicted from the book.
+  function simulateOrder(book, order, params) {
+    const lotSize = BigInt(params.lotSize);
+    const feeBps = BigInt(params.takerFeeBps);
+    const isBuy = order.side === "buy";
+    const limit = BigInt(order.pricePerLot);
+    const lotsIn = BigInt(order.lots);
+    const immediate = Boolean(order.immediate);
+    const tif = order.timeInForce || "gtc";
+    const stp = order.selfTradePrevention || "cancelNewest";
+    const now = params.now === undefined ? null : BigInt(params.now);
+    const maxFillsIn = order.maxFills || params.maxFills;
+    const maxFills = maxFillsIn ? Number(maxFillsIn) : Infinity;
+    const expired = (maker) => now !== null && maker.expiresAt !== undefined &&
+      BigInt(maker.expiresAt) !== 0n && now >= BigInt(maker.expiresAt);
+
+    const result = {
+      side: order.side,
+      fills: [],
+      filledLots: 0n,
+      grossSaturn: 0n,
+      grossEtc: 0n,
+      feeSaturn: 0n,
+      feeEtc: 0n,
+      netSaturn: 0n,
+      netEtc: 0n,
+      avgPricePerLot: 0n,
+      restingLots: 0n,
+      refundEtc: 0n,
+      // { makerOrderId, mode, takerLotsCanceled, makerLotsCanceled } per own order reached
+      selfTrades: [],
+      error: null
+    };
+
+    if (lotsIn <= 0n) result.error = "Zero lots";
+    else if (limit <= 0n) result.error = "Zero price";
+    else if (immediate && !isBuy) result.error = "Immediate orders are buy-only";
+    else if (!(tif in TIME_IN_FORCE)) result.error = "Unknown time in force";
+    else if (!(stp in SELF_TRADE_PREVENTION)) result.error = "Unknown self-trade prevention";
+    if (result.error) return result;
+
+    // Buys walk the asks (lowest first), sells walk the bids (highest first)
+    const makers = isBuy ? book.sells : book.buys;
+    const crosses = (maker) => {
+      const price = BigInt(maker.pricePerLot);
+      return isBuy ? price <= limit : price >= limit;
+    };
+
+    // Whether the best unexpired maker from index `from` on is crossable
+    const crossesFrom = (from) => {
+      const best = makers.slice(from).find((maker) => !expired(maker));
+      return Boolean(best) && crosses(best);
+    };
+
+    if (tif === "postOnly") {
+      if (crossesFrom(0)) result.error = "Post-only would cross";
+      else result.restingLots = lotsIn;
+      return result;
+    }
+
+    let remaining = lotsIn;
+    let visited = 0;
+
+    for (const maker of makers) {
+      if (remaining === 0n || visited >= maxFills) break;
+      visited++;
+      if (expired(maker)) continue;
+      if (!crosses(maker)) break;
+      const price = BigInt(maker.pricePerLot);
+
+      if (maker.own) {
+        // No trade with yourself: mirror SaturnExchange._preventSelfTrade
+        const makerLots = BigInt(maker.lots);
+        const overlap = makerLots < remaining ? makerLots : remaining;
+        const takerLotsCanceled = stp === "cancelNewest" ? remaining : stp === "decrementBoth" ? overlap : 0n;
+        const makerLotsCanceled = stp === "cancelOldest" ? makerLots : stp === "decrementBoth" ? overlap : 0n;
+        result.selfTrades.push({ makerOrderId: BigInt(maker.id), mode: stp, takerLotsCanceled, makerLotsCanceled });
+        remaining -= takerLotsCanceled;
+        continue;
+      }
+
+      const tradeLots = BigInt(maker.lots) < remaining ? BigInt(maker.lots) : remaining;
+      const grossSaturn = tradeLots * lotSize;
+      const grossEtc = tradeLots * price;
+      // Fee is rounded down per trade, exactly like the contract
+      const feeSaturn = isBuy ? (grossSaturn * feeBps) / BPS_DENOMINATOR : 0n;
+      const feeEtc = isBuy ? 0n : (grossEtc * feeBps) / BPS_DENOMINATOR;
+
+      result.fills.push({
+        makerOrderId: BigInt(maker.id),
+        pricePerLot: price,
+        lots: tradeLots,
+        grossSaturn,
+        grossEtc,
+        feeSaturn,
+        feeEtc
+      });
+      result.filledLots += tradeLots;
+      result.grossSaturn += grossSaturn;
+      result.grossEtc += grossEtc;
+      result.feeSaturn += feeSaturn;
+      result.feeEtc += feeEtc;
+      remaining -= tradeLots;
+    }
+
+    result.netSaturn = isBuy ? result.grossSaturn - result.feeSaturn : 0n;
+    result.netEtc = isBuy ? 0n : result.grossEtc - result.feeEtc;
+    if (result.filledLots > 0n) result.avgPricePerLot = result.grossEtc / result.filledLots;
+
+    if (immediate) {
+      const msgValue = BigInt(order.msgValue || 0n);
+      if (msgValue === 0n) result.error = "No ETC";
+      else if (result.grossEtc > msgValue) result.error = "ETC sent does not cover the fills";
+      else result.refundEtc = msgValue - result.grossEtc;
+    } else if (tif === "fok" && result.filledLots < lotsIn) {
+      result.error = "Fill-or-kill not filled";
+    } else if (tif === "gtc" && !(remaining > 0n && crossesFrom(visited))) {
+      // A remainder left crossing by the maxFills cap is dropped, not rested
+      result.restingLots = remaining;
+    }
+    return result;
+  }
+
+  return { bookFromSnapshot, insertionHint, simulateOrder, BPS_DENOMINATOR, TIME_IN_FORCE, SELF_TRADE_PREVENTION };
+});
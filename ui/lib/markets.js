@@ -0,0 +1,83 @@
+// Markets listed in a SaturnMarketFactory (contracts/SaturnMarketFactory.sol):
+// each is a SaturnExchange trading one token against ETC with its own decimals
+// and lot size. ERC223 tokens deposit with a transfer to the exchange; plain
+// ERC20 tokens are approved to it and deposited with depositToken.
+//
+// Loaded as a plain <script> in the UI (window.SaturnMarkets, needs
+// window.ethers) and via require() from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("ethers").ethers);
+  } else {
+    root.SaturnMarkets = factory(root.ethers);
+  }
+})(typeof self !== "undefined" ? self : this, function (ethers) {
+  const marketTuple = "tuple(address exchange, address token, uint8 decimals, bool erc223, uint64 startBlock, uint256 lotSize)";
+  const factoryAbi = [
+    "function MARKET_CODE_HASH() view returns (bytes32)",
+    "function owner() view returns (address)",
+    "function marketCount() view returns (uint256)",
+    "function marketIndex(address exchange) view returns (uint256)",
+    `function getMarkets() view returns (${marketTuple}[])`,
+    "function createMarket(bytes marketCode, address token, uint8 decimals, uint256 lotSize, bool erc223) returns (address)",
+    "function addMarket(address exchange, bool erc223, uint64 startBlock) returns (uint256)",
+    "event MarketCreated(uint256 indexed index, address indexed exchange, address indexed token, uint8 decimals, uint256 lotSize, bool erc223)",
+    "event MarketAdded(uint256 indexed index, address indexed exchange, address indexed token, bool erc223)"
+  ];
+
+  // The token calls the UI and scripts need besides transfers
+  const tokenAbi = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function balanceOf(address) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 value) returns (bool)"
+  ];
+
+  // [{ index, exchange, token, decimals, lotSize, erc223, startBlock }] in listing order
+  async function readMarkets(marketFactory) {
+    const markets = await marketFactory.getMarkets();
+    return markets.map((m, index) => ({
+      index,
+      exchange: m.exchange,
+      token: m.token,
+      decimals: Number(m.decimals),
+      lotSize: m.lotSize,
+      erc223: m.erc223,
+      startBlock: Number(m.startBlock)
+    }));
+  }
+
+  // Token symbols by address; tokens without a symbol() get a short address
+  async function readSymbols(provider, tokens) {
+    const symbols = {};
+    await Promise.all([...new Set(tokens)].map(async (address) => {
+      try {
+        symbols[address] = await new ethers.Contract(address, tokenAbi, provider).symbol();
+      } catch (_) {
+        symbols[address] = `${address.slice(0, 6)}…${address.slice(-4)}`;
+      }
+    }));
+    return symbols;
+  }
+
+  // "FOO/ETC · 1 lot = 500 FOO (ERC20)"
+  function describeMarket(market, symbol) {
+    const lot = ethers.formatUnits(market.lotSize, market.decimals).replace(/\.0$/, "");
+    return `${symbol}/ETC · 1 lot = ${lot} ${symbol} (${market.erc223 ? "ERC223" : "ERC20"})`;
+  }
+
+  // "<token>:<lot size in whole tokens>[:erc20|erc223]" entries separated by
+  // commas, e.g. "0xabc…:1000, 0xdef…:0.5:erc20" (ERC223 by default)
+  function parseMarketSpecs(text) {
+    return String(text).split(/[,\n]/).map((s) => s.trim()).filter(Boolean).map((entry) => {
+      const [token, lot, kind = "erc223", ...rest] = entry.split(":").map((p) => p.trim());
+      if (rest.length || !ethers.isAddress(token) || !/^\d+(\.\d+)?$/.test(lot || "") || !/^erc(20|223)$/i.test(kind)) {
+        throw new Error(`Market "${entry}" must be <token address>:<lot size in tokens>[:erc20|erc223]`);
+      }
+      return { token: ethers.getAddress(token), lot, erc223: kind.toLowerCase() === "erc223" };
+    });
+  }
+
+  return { factoryAbi, tokenAbi, readMarkets, readSymbols, describeMarket, parseMarketSpecs };
+});
@@ -0,0 +1,50 @@
+// Encoder/decoder for the order instruction carried in the `data` bytes of a
+// SATURN ERC223 transfer to the exchange (see SaturnExchange.tokenFallback).
+//
+// Empty data ("0x") is a plain deposit. An order is
+// abi.encode(uint256 action, uint256 pricePerLot, uint256 lots).
+//
+// Loaded as a plain <script> in the UI (window.SaturnPayload, needs
+// window.ethers) and via require() from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("ethers").ethers);
+  } else {
+    root.SaturnPayload = factory(root.ethers);
+  }
+})(typeof self !== "undefined" ? self : this, function (ethers) {
+  const ACTIONS = {
+    limitSell: 1,
+    immediateSell: 2
+  };
+  const MAX_UINT128 = (1n << 128n) - 1n;
+  const PAYLOAD_BYTES = 96;
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  // { action: "limitSell" | "immediateSell", pricePerLot, lots } -> hex bytes
+  function encodeOrderPayload(order) {
+    const action = ACTIONS[order.action];
+    if (!action) throw new Error(`Unknown order action "${order.action}"`);
+    const price = BigInt(order.pricePerLot);
+    const lots = BigInt(order.lots);
+    if (price <= 0n || price > MAX_UINT128) throw new Error("Price per lot out of range");
+    if (lots <= 0n || lots > MAX_UINT128) throw new Error("Lots out of range");
+    return coder.encode(["uint256", "uint256", "uint256"], [action, price, lots]);
+  }
+
+  // hex bytes -> null (plain deposit) or { action, pricePerLot, lots }.
+  // Throws with the same reason the contract would revert with.
+  function decodeOrderPayload(data) {
+    const bytes = ethers.getBytes(data || "0x");
+    if (bytes.length === 0) return null;
+    if (bytes.length !== PAYLOAD_BYTES) throw new Error("Bad order data");
+    const [action, price, lots] = coder.decode(["uint256", "uint256", "uint256"], bytes);
+    const name = Object.keys(ACTIONS).find((key) => BigInt(ACTIONS[key]) === action);
+    if (!name) throw new Error("Bad order action");
+    if (price === 0n || price > MAX_UINT128) throw new Error("Bad order price");
+    if (lots === 0n || lots > MAX_UINT128) throw new Error("Bad order lots");
+    return { action: name, pricePerLot: price, lots };
+  }
+
+  return { ACTIONS, encodeOrderPayload, decodeOrderPayload };
+});
@@ -0,0 +1,71 @@
+// Turn a failed call or transaction into the revert message a person can act
+// on ("Insufficient ETC", "Trading halted", ...) instead of a provider dump.
+//
+// Understands ethers CALL_EXCEPTION errors (reason / revert data), raw revert
+// data nested in provider errors, and the "reverted with reason string" text
+// of Hardhat's in-process network. Falls back to the shortest message on offer.
+//
+// Loaded as a plain <script> in the UI (window.SaturnRevert, needs
+// window.ethers) and via require() from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("ethers").ethers);
+  } else {
+    root.SaturnRevert = factory(root.ethers);
+  }
+})(typeof self !== "undefined" ? self : this, function (ethers) {
+  const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+  const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+  const PANICS = {
+    0x01: "assertion failed",
+    0x11: "arithmetic overflow or underflow",
+    0x12: "division by zero",
+    0x21: "invalid enum value",
+    0x32: "array index out of bounds",
+    0x41: "out of memory"
+  };
+
+  // Message for ABI-encoded revert data, or null if it cannot be decoded.
+  // `iface` (optional) decodes the contract's custom errors.
+  function decodeRevertData(data, iface) {
+    if (typeof data !== "string" || !data.startsWith("0x") || data.length < 10) return null;
+    const selector = data.slice(0, 10).toLowerCase();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    try {
+      if (selector === ERROR_SELECTOR) return coder.decode(["string"], "0x" + data.slice(10))[0];
+      if (selector === PANIC_SELECTOR) {
+        const code = Number(coder.decode(["uint256"], "0x" + data.slice(10))[0]);
+        return `Panic: ${PANICS[code] || `code 0x${code.toString(16)}`}`;
+      }
+      const parsed = iface ? iface.parseError(data) : null;
+      if (parsed) return `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+    } catch (_) {
+      // Malformed data: fall through to the caller's fallback
+    }
+    return null;
+  }
+
+  function revertReason(err, iface) {
+    // Providers wrap the node's error in error / info.error / cause chains
+    const seen = new Set();
+    const queue = [err];
+    while (queue.length) {
+      const e = queue.shift();
+      if (!e || typeof e !== "object" || seen.has(e)) continue;
+      seen.add(e);
+
+      if (typeof e.reason === "string" && e.reason) return e.reason;
+      const data = typeof e.data === "string" ? e.data : e.data?.data;
+      const decoded = decodeRevertData(data, iface);
+      if (decoded) return decoded;
+      const match = /reverted with reason string '(.*)'/.exec(e.message || "");
+      if (match) return match[1];
+      if (/reverted without a reason/.test(e.message || "")) return "Transaction reverted without a reason";
+
+      queue.push(e.error, e.info?.error, e.cause);
+    }
+    return err?.shortMessage || err?.message || String(err);
+  }
+
+  return { revertReason, decodeRevertData };
+});
@@ -0,0 +1,98 @@
+// EIP-712 signed orders for SaturnSignedOrders (contracts/SaturnSignedOrders.sol).
+//
+// An order is { trader, side, pricePerLot, lots, expiresAt, nonce }: side 0 =
+// buy, 1 = sell (or "buy" / "sell"), pricePerLot in wei per lot, expiresAt in
+// unix seconds (0 = never). The domain's verifying contract is the exchange's
+// SIGNED_ORDERS address. A signed order costs no gas until a relayer settles
+// a match; cancel it on-chain with cancelNonce / cancelNoncesBelow.
+//
+// Loaded as a plain <script> in the UI (window.SaturnSigned, needs
+// window.ethers) and via require() from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("ethers").ethers);
+  } else {
+    root.SaturnSigned = factory(root.ethers);
+  }
+})(typeof self !== "undefined" ? self : this, function (ethers) {
+  const DOMAIN_NAME = "SaturnExchange";
+  const DOMAIN_VERSION = "1";
+  const ORDER_TYPES = {
+    Order: [
+      { name: "trader", type: "address" },
+      { name: "side", type: "uint8" },
+      { name: "pricePerLot", type: "uint128" },
+      { name: "lots", type: "uint128" },
+      { name: "expiresAt", type: "uint64" },
+      { name: "nonce", type: "uint64" }
+    ]
+  };
+  const SIDES = { buy: 0, sell: 1 };
+
+  function orderDomain(chainId, verifyingContract) {
+    return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: BigInt(chainId), verifyingContract: ethers.getAddress(verifyingContract) };
+  }
+
+  // Canonical form: checksummed trader, numeric side, bigint amounts
+  function normalizeOrder(order) {
+    if (!order || typeof order !== "object") throw new Error("Order must be an object");
+    const side = typeof order.side === "string" ? SIDES[order.side] : Number(order.side);
+    if (side !== 0 && side !== 1) throw new Error(`Unknown side: ${order.side}`);
+    const normalized = {
+      trader: ethers.getAddress(order.trader),
+      side,
+      pricePerLot: BigInt(order.pricePerLot),
+      lots: BigInt(order.lots),
+      expiresAt: BigInt(order.expiresAt || 0),
+      nonce: BigInt(order.nonce)
+    };
+    if (normalized.pricePerLot <= 0n) throw new Error("Price must be positive");
+    if (normalized.lots <= 0n) throw new Error("Lots must be positive");
+    return normalized;
+  }
+
+  // The digest the contract keys fills by (SaturnSignedOrders.hashOrder)
+  function hashOrder(order, domain) {
+    return ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, normalizeOrder(order));
+  }
+
+  function recoverOrderSigner(order, signature, domain) {
+    return ethers.verifyTypedData(domain, ORDER_TYPES, normalizeOrder(order), signature);
+  }
+
+  // Sign `order` with an ethers signer (a wallet's signTypedData in the UI);
+  // the trader defaults to the signer's address
+  async function signOrder(signer, order, domain) {
+    const normalized = normalizeOrder({ ...order, trader: order.trader || (await signer.getAddress()) });
+    const signature = await signer.signTypedData(domain, ORDER_TYPES, normalized);
+    return { order: normalized, signature, hash: hashOrder(normalized, domain) };
+  }
+
+  // JSON has no bigints: amounts travel as decimal strings
+  function orderToJson(order) {
+    const o = normalizeOrder(order);
+    return {
+      trader: o.trader,
+      side: o.side,
+      pricePerLot: o.pricePerLot.toString(),
+      lots: o.lots.toString(),
+      expiresAt: o.expiresAt.toString(),
+      nonce: o.nonce.toString()
+    };
+  }
+
+  const orderFromJson = normalizeOrder;
+
+  return {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    ORDER_TYPES,
+    orderDomain,
+    normalizeOrder,
+    hashOrder,
+    recoverOrderSigner,
+    signOrder,
+    orderToJson,
+    orderFromJson
+  };
+});
@@ -0,0 +1,392 @@
+// Per-account statement of a SaturnExchange deployment: every deposit, fill,
+// cancellation and withdrawal of one address with the running internal
+// balance after it, the fee the account paid (or rebate it earned) on each
+// fill, and realized PnL in ETC by FIFO lots of SATURN. Exports to CSV and JSON.
+//
+// Balances follow the contract's accounting (see scripts/lib/indexer.js):
+// fills of placeLimitBuyImmediate and of tokenFallback immediate sells settle
+// outside the internal balance, so their rows carry no balance change and are
+// marked "external". Over the full history (fromBlock at or before the
+// deployment) the final running balance equals getUserBalances.
+//
+// FIFO cost basis: internal buys add a lot costing the ETC paid for the SATURN
+// received (net of fees and rebates); deposited SATURN adds a lot of unknown
+// basis. Sells realize (ETC received net of fees) minus the basis of the lots
+// they consume, and withdrawals consume lots without realizing anything.
+// Proceeds from SATURN of unknown basis (deposits, immediate sells) are
+// totalled separately rather than counted as profit.
+//
+// Loaded as a plain <script> in the UI (window.SaturnStatement, needs
+// window.ethers) and via require() from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("ethers").ethers);
+  } else {
+    root.SaturnStatement = factory(root.ethers);
+  }
+})(typeof self !== "undefined" ? self : this, function (ethers) {
+  const SATURN_DECIMALS = 4; // other markets' tokens: statement.decimals, from the exchange
+  const SIDE_BUY = 0;
+
+  const statementAbi = [
+    "event DepositSATURN(address indexed user, uint256 amount)",
+    "event DepositETC(address indexed user, uint256 amount)",
+    "event WithdrawAll(address indexed user, uint256 saturnAmount, uint256 etcAmount)",
+    "event WithdrawEtc(address indexed user, uint256 amount)",
+    "event WithdrawSaturn(address indexed user, uint256 amount)",
+    "event SellImmediateSettled(address indexed user, uint256 saturnIn, uint256 saturnRefund, uint256 etcOut)",
+    "event BuyImmediateSettled(address indexed user, uint256 etcIn, uint256 etcRefund, uint256 saturnOut)",
+    "event OrderCanceled(uint64 indexed orderId, address indexed user)",
+    "event OrderExpired(uint64 indexed orderId, address indexed user)",
+    "event Trade(uint64 indexed makerOrderId, address indexed maker, address indexed taker, uint8 side, uint128 pricePerLot, uint128 lots, uint256 grossSaturn, uint256 grossEtc, uint256 feeSaturn, uint256 feeEtc)",
+    "event MakerFee(uint64 indexed makerOrderId, address indexed maker, uint8 side, uint256 fee, uint256 rebate)",
+    "function getUserBalances(address user) view returns (uint256 saturn, uint256 etc)",
+    "function SATURN_DECIMALS() view returns (uint256)"
+  ];
+  const iface = new ethers.Interface(statementAbi);
+  const topic = (name) => iface.getEvent(name).topicHash;
+
+  // Events indexed by `user` as their first topic after the signature
+  const USER_EVENTS = ["DepositSATURN", "DepositETC", "WithdrawAll", "WithdrawEtc", "WithdrawSaturn", "SellImmediateSettled", "BuyImmediateSettled"];
+  // Events indexed by (orderId, user)
+  const ORDER_EVENTS = ["OrderCanceled", "OrderExpired"];
+
+  // ------------------------------------------------------------
+  // Ledger
+  // ------------------------------------------------------------
+
+  // Consume `amount` SATURN from the front of the FIFO queue. Returns the
+  // known basis of what was taken and how much of it had no known basis.
+  function takeLots(queue, amount) {
+    let basis = 0n;
+    let unknown = 0n;
+    while (amount > 0n && queue.length) {
+      const lot = queue[0];
+      const take = lot.saturn < amount ? lot.saturn : amount;
+      if (lot.costEtc === null) {
+        unknown += take;
+      } else {
+        // Pro-rata cost; the last unit of a lot takes whatever cost remains
+        const cost = take === lot.saturn ? lot.costEtc : (lot.costEtc * take) / lot.saturn;
+        basis += cost;
+        lot.costEtc -= cost;
+      }
+      lot.saturn -= take;
+      amount -= take;
+      if (lot.saturn === 0n) queue.shift();
+    }
+    // More sold than the statement saw arrive: nothing known about its basis
+    return { basis, unknown: unknown + amount };
+  }
+
+  // `events`: { name, args, blockNumber, transactionHash, logIndex, timestamp }
+  // of the account, in chain order. `opening`: balances before the first
+  // event (zero for a statement over the full history).
+  function buildStatement(events, { account, opening = { saturn: 0n, etc: 0n } } = {}) {
+    account = ethers.getAddress(account);
+    // The settlement event follows the fills of its transaction
+    const settledTxs = (name) => new Set(events.filter((e) => e.name === name).map((e) => e.transactionHash));
+    const immediateBuyTxs = settledTxs("BuyImmediateSettled");
+    const immediateSellTxs = settledTxs("SellImmediateSettled");
+    // A maker's fee or rebate is logged right after its Trade
+    const makerFees = new Map();
+    events.forEach((e, i) => {
+      const trade = events[i - 1];
+      if (e.name === "MakerFee" && trade && trade.name === "Trade" && trade.transactionHash === e.transactionHash) {
+        makerFees.set(trade, e.args);
+      }
+    });
+
+    const balance = { saturn: opening.saturn, etc: opening.etc };
+    const fifo = opening.saturn > 0n ? [{ saturn: opening.saturn, costEtc: null }] : [];
+    const totals = {
+      depositedSaturn: 0n,
+      depositedEtc: 0n,
+      withdrawnSaturn: 0n,
+      withdrawnEtc: 0n,
+      boughtLots: 0n,
+      soldLots: 0n,
+      feesSaturn: 0n,
+      feesEtc: 0n,
+      rebatesSaturn: 0n,
+      rebatesEtc: 0n,
+      realizedPnlEtc: 0n,
+      proceedsWithoutBasisEtc: 0n
+    };
+    const rows = [];
+
+    for (const e of events) {
+      const a = e.args;
+      const row = {
+        blockNumber: e.blockNumber,
+        timestamp: e.timestamp ?? null,
+        transactionHash: e.transactionHash,
+        logIndex: e.logIndex,
+        type: e.name,
+        orderId: null,
+        role: null,
+        side: null,
+        settlement: "internal",
+        lots: null,
+        pricePerLot: null,
+        saturnDelta: 0n,
+        etcDelta: 0n,
+        feeSaturn: 0n,
+        feeEtc: 0n,
+        rebateSaturn: 0n,
+        rebateEtc: 0n,
+        realizedPnlEtc: 0n
+      };
+
+      switch (e.name) {
+        case "DepositSATURN":
+          row.saturnDelta = a.amount;
+          totals.depositedSaturn += a.amount;
+          fifo.push({ saturn: a.amount, costEtc: null });
+          break;
+
+        case "DepositETC":
+          row.etcDelta = a.amount;
+          totals.depositedEtc += a.amount;
+          break;
+
+        case "WithdrawAll":
+        case "WithdrawEtc":
+        case "WithdrawSaturn": {
+          const saturn = e.name === "WithdrawAll" ? a.saturnAmount : e.name === "WithdrawSaturn" ? a.amount : 0n;
+          const etc = e.name === "WithdrawAll" ? a.etcAmount : e.name === "WithdrawEtc" ? a.amount : 0n;
+          row.saturnDelta = -saturn;
+          row.etcDelta = -etc;
+          totals.withdrawnSaturn += saturn;
+          totals.withdrawnEtc += etc;
+          takeLots(fifo, saturn);
+          break;
+        }
+
+        case "SellImmediateSettled":
+        case "BuyImmediateSettled":
+          // Informational: the fills before it already carry the trade
+          row.settlement = "external";
+          break;
+
+        case "OrderCanceled":
+        case "OrderExpired":
+          row.orderId = a.orderId;
+          break;
+
+        case "Trade": {
+          const isMaker = ethers.getAddress(a.maker) === account;
+          const makerBuys = Number(a.side) === SIDE_BUY;
+          const buys = isMaker ? makerBuys : !makerBuys;
+          // The taker's fee is on the Trade; the maker's fee or rebate, in
+          // the asset the maker receives, on the MakerFee after it
+          const makerFee = (isMaker && makerFees.get(e)) || { fee: 0n, rebate: 0n };
+          const feeSaturn = isMaker ? (makerBuys ? makerFee.fee : 0n) : a.feeSaturn;
+          const feeEtc = isMaker ? (makerBuys ? 0n : makerFee.fee) : a.feeEtc;
+          const rebateSaturn = isMaker && makerBuys ? makerFee.rebate : 0n;
+          const rebateEtc = isMaker && !makerBuys ? makerFee.rebate : 0n;
+          const external = !isMaker && (buys ? immediateBuyTxs.has(e.transactionHash) : immediateSellTxs.has(e.transactionHash));
+
+          Object.assign(row, {
+            orderId: a.makerOrderId,
+            role: isMaker ? "maker" : "taker",
+            side: buys ? "buy" : "sell",
+            settlement: external ? "external" : "internal",
+            lots: a.lots,
+            pricePerLot: a.pricePerLot,
+            feeSaturn,
+            feeEtc,
+            rebateSaturn,
+            rebateEtc
+          });
+          totals.feesSaturn += feeSaturn;
+          totals.feesEtc += feeEtc;
+          totals.rebatesSaturn += rebateSaturn;
+          totals.rebatesEtc += rebateEtc;
+
+          if (buys) {
+            totals.boughtLots += a.lots;
+            // An external buy leaves with its SATURN at once: no lot to keep
+            if (!external) {
+              row.saturnDelta = a.grossSaturn - feeSaturn + rebateSaturn;
+              row.etcDelta = -a.grossEtc;
+              fifo.push({ saturn: row.saturnDelta, costEtc: a.grossEtc });
+            }
+          } else {
+            totals.soldLots += a.lots;
+            const proceeds = a.grossEtc - feeEtc + rebateEtc;
+            if (external) {
+              totals.proceedsWithoutBasisEtc += proceeds;
+            } else {
+              row.saturnDelta = -a.grossSaturn;
+              row.etcDelta = proceeds;
+              const { basis, unknown } = takeLots(fifo, a.grossSaturn);
+              const unknownProceeds = (proceeds * unknown) / a.grossSaturn;
+              row.realizedPnlEtc = proceeds - unknownProceeds - basis;
+              totals.realizedPnlEtc += row.realizedPnlEtc;
+              totals.proceedsWithoutBasisEtc += unknownProceeds;
+            }
+          }
+          break;
+        }
+
+        default:
+          continue;
+      }
+
+      balance.saturn += row.saturnDelta;
+      balance.etc += row.etcDelta;
+      row.saturnBalance = balance.saturn;
+      row.etcBalance = balance.etc;
+      rows.push(row);
+    }
+
+    const inventory = {
+      saturn: fifo.reduce((sum, lot) => sum + lot.saturn, 0n),
+      costEtc: fifo.reduce((sum, lot) => sum + (lot.costEtc ?? 0n), 0n),
+      unknownBasisSaturn: fifo.filter((lot) => lot.costEtc === null).reduce((sum, lot) => sum + lot.saturn, 0n)
+    };
+    return { account, opening: { ...opening }, rows, totals, balances: balance, inventory };
+  }
+
+  // Compare the statement's closing balances with getUserBalances
+  function reconcile(statement, onChain) {
+    const saturnDiff = onChain.saturn - statement.balances.saturn;
+    const etcDiff = onChain.etc - statement.balances.etc;
+    return { ok: saturnDiff === 0n && etcDiff === 0n, saturn: onChain.saturn, etc: onChain.etc, saturnDiff, etcDiff };
+  }
+
+  // ------------------------------------------------------------
+  // Reading logs
+  // ------------------------------------------------------------
+
+  // Every statement event of `account` between the blocks, in chain order,
+  // with block timestamps
+  async function fetchStatementEvents({ provider, exchangeAddress, account, fromBlock = 0, toBlock, batchSize = 5000 }) {
+    if (toBlock === undefined) toBlock = await provider.getBlockNumber();
+    const user = ethers.zeroPadValue(ethers.getAddress(account), 32);
+    const filters = [
+      [USER_EVENTS.map(topic), user],
+      [ORDER_EVENTS.map(topic), null, user],
+      [topic("Trade"), null, user], // as maker
+      [topic("MakerFee"), null, user],
+      [topic("Trade"), null, null, user] // as taker
+    ];
+
+    const seen = new Set();
+    const logs = [];
+    for (let from = fromBlock; from <= toBlock; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, toBlock);
+      for (const topics of filters) {
+        for (const log of await provider.getLogs({ address: exchangeAddress, topics, fromBlock: from, toBlock: to })) {
+          const key = `${log.transactionHash}:${log.index}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          logs.push(log);
+        }
+      }
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map();
+    const events = [];
+    for (const log of logs) {
+      const parsed = iface.parseLog(log);
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      events.push({
+        name: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber)
+      });
+    }
+    return { events, toBlock };
+  }
+
+  // Build the statement of `account` and reconcile it with getUserBalances at `toBlock`
+  async function loadStatement({ provider, exchangeAddress, account, fromBlock = 0, toBlock, opening, batchSize }) {
+    const fetched = await fetchStatementEvents({ provider, exchangeAddress, account, fromBlock, toBlock, batchSize });
+    const statement = buildStatement(fetched.events, { account, opening });
+    const exchange = new ethers.Contract(exchangeAddress, statementAbi, provider);
+    const [[saturn, etc], decimals] = await Promise.all([
+      exchange.getUserBalances(account, { blockTag: fetched.toBlock }),
+      exchange.SATURN_DECIMALS()
+    ]);
+    return {
+      ...statement,
+      exchange: ethers.getAddress(exchangeAddress),
+      decimals: Number(decimals),
+      fromBlock,
+      toBlock: fetched.toBlock,
+      reconciliation: reconcile(statement, { saturn, etc })
+    };
+  }
+
+  // ------------------------------------------------------------
+  // Export
+  // ------------------------------------------------------------
+
+  // Amounts as decimal strings in whole ETC / tokens (statement.decimals, else
+  // SATURN's), lots and ids as integers
+  const formatEtc = (wei) => ethers.formatEther(wei);
+  const formatSaturn = (units, decimals = SATURN_DECIMALS) => ethers.formatUnits(units, decimals);
+  const orEmpty = (v, f = String) => (v === null || v === undefined ? "" : f(v));
+
+  const CSV_COLUMNS = [
+    ["block", (r) => r.blockNumber],
+    ["time", (r) => orEmpty(r.timestamp, (t) => new Date(t * 1000).toISOString())],
+    ["tx", (r) => r.transactionHash],
+    ["logIndex", (r) => r.logIndex],
+    ["type", (r) => r.type],
+    ["orderId", (r) => orEmpty(r.orderId)],
+    ["role", (r) => orEmpty(r.role)],
+    ["side", (r) => orEmpty(r.side)],
+    ["settlement", (r) => r.settlement],
+    ["lots", (r) => orEmpty(r.lots)],
+    ["pricePerLotEtc", (r) => orEmpty(r.pricePerLot, formatEtc)],
+    ["saturnChange", (r, d) => formatSaturn(r.saturnDelta, d)],
+    ["etcChange", (r) => formatEtc(r.etcDelta)],
+    ["feeSaturn", (r, d) => formatSaturn(r.feeSaturn, d)],
+    ["feeEtc", (r) => formatEtc(r.feeEtc)],
+    ["rebateSaturn", (r, d) => formatSaturn(r.rebateSaturn, d)],
+    ["rebateEtc", (r) => formatEtc(r.rebateEtc)],
+    ["realizedPnlEtc", (r) => formatEtc(r.realizedPnlEtc)],
+    ["saturnBalance", (r, d) => formatSaturn(r.saturnBalance, d)],
+    ["etcBalance", (r) => formatEtc(r.etcBalance)]
+  ];
+
+  // One row per ledger entry; every field is a number, hash or plain word, so
+  // nothing needs quoting
+  function toCsv(statement) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+    const decimals = statement.decimals ?? SATURN_DECIMALS;
+    for (const row of statement.rows) lines.push(CSV_COLUMNS.map(([, get]) => get(row, decimals)).join(","));
+    return lines.join("\n") + "\n";
+  }
+
+  function toJson(statement) {
+    const etcFields = new Set(["etc", "etcDelta", "etcBalance", "feeEtc", "rebateEtc", "realizedPnlEtc", "pricePerLot", "costEtc",
+      "etcDiff", "depositedEtc", "withdrawnEtc", "feesEtc", "rebatesEtc", "proceedsWithoutBasisEtc"]);
+    return JSON.stringify(statement, (key, value) => {
+      if (typeof value !== "bigint") return value;
+      if (etcFields.has(key)) return formatEtc(value);
+      if (key === "lots" || key === "orderId" || key.endsWith("Lots")) return value.toString();
+      return formatSaturn(value, statement.decimals);
+    }, 2) + "\n";
+  }
+
+  return {
+    statementAbi,
+    buildStatement,
+    reconcile,
+    fetchStatementEvents,
+    loadStatement,
+    toCsv,
+    toJson,
+    CSV_COLUMNS
+  };
+});
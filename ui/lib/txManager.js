@@ -0,0 +1,257 @@
+// Transaction lifecycle for the UI: preflight, send, wait, and an activity
+// list of pending / confirmed / failed entries.
+//
+// TxManager.submit() first runs the call as a staticCall and an estimateGas,
+// so a trade that would revert fails with the contract's reason ("Insufficient
+// ETC", mapped through FRIENDLY_REASONS) before the wallet is even asked. A
+// wallet rejection, a transaction replaced in the wallet (sped up or
+// cancelled) and an on-chain revert each end the entry with their own message;
+// a mined transaction ends with a summary of its exchange events
+// ("filled 3 lots, order #12 resting with 2").
+//
+// Loaded as a plain <script> in the UI (window.SaturnTx, needs window.ethers
+// and window.SaturnRevert) and via require() from Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("ethers").ethers, require("./revertReason"));
+  } else {
+    root.SaturnTx = factory(root.ethers, root.SaturnRevert);
+  }
+})(typeof self !== "undefined" ? self : this, function (ethers, { revertReason }) {
+  // The original market's token; other markets pass their own (TxManager decimals / symbol)
+  const SATURN_DECIMALS = 4;
+  // Headroom over the preflight estimate: the book can change before the
+  // transaction is mined, and matching more orders costs more gas
+  const GAS_MARGIN_PERCENT = 20n;
+
+  // Contract revert strings that deserve more than the terse original
+  const FRIENDLY_REASONS = {
+    "Insufficient ETC": "Not enough available ETC on the exchange (resting buys lock part of the balance)",
+    "Insufficient SATURN": "Not enough available SATURN on the exchange (resting sells lock part of the balance)",
+    "Taker ETC insufficient": "Not enough ETC to pay for this trade",
+    "Taker SATURN insufficient": "Not enough SATURN to deliver this trade",
+    "Not owner": "This account does not own that order (or is not the exchange owner)",
+    "Not pending owner": "This account has not been proposed as the new owner",
+    "No pending owner": "There is no ownership transfer to cancel",
+    "Trading disabled": "Trading is disabled: the exchange is in emergency mode (cancels and withdrawals still work)",
+    "Trading halted": "Trading is halted by the circuit breaker until the halt block passes",
+    "No order": "That order no longer exists (filled, canceled or expired)",
+    "Order expired": "That order has expired",
+    "Already expired": "The expiry time is already in the past",
+    "Not expired": "That order has not expired yet",
+    "Post-only would cross": "A post-only order at this price would trade immediately",
+    "Fill-or-kill not filled": "The book cannot fill the whole fill-or-kill order",
+    "Expiry needs resting order": "Only good-till-cancel and post-only orders can expire",
+    "No change": "The order already has that price and size",
+    "No ETC": "Send some ETC with the order",
+    "Zero lots": "Enter at least one lot",
+    "Zero price": "Enter a price above zero",
+    "Zero amount": "Enter an amount above zero",
+    "Deposit below order size": "The SATURN sent does not cover the order's lots",
+    "SATURN transfer failed": "The token transfer failed: check the token balance and the amount approved to the exchange",
+    "Band too wide": "The circuit breaker band is above the 50% limit",
+    "Fee too high": "A fee or rebate is above the fee schedule's cap",
+    "Maker fee and rebate": "A tier can charge makers a fee or pay them a rebate, not both",
+    "Tiers not ascending": "Each tier must start at more lots than the one before",
+    "First tier must start at 0": "The first tier must start at 0 lots",
+    "Bad tier count": "A fee schedule needs between 1 and 8 tiers"
+  };
+
+  // Wallets report "user rejected" as ethers' ACTION_REJECTED or EIP-1193 code 4001
+  function isUserRejection(err) {
+    for (let e = err, depth = 0; e && depth < 5; e = e.error || e.info?.error || e.cause, depth++) {
+      if (e.code === "ACTION_REJECTED" || e.code === 4001) return true;
+    }
+    return false;
+  }
+
+  // A message a person can act on, for any error submit() can meet
+  function friendlyError(err, iface) {
+    if (isUserRejection(err)) return "Rejected in wallet";
+    const reason = revertReason(err, iface);
+    return FRIENDLY_REASONS[reason] || reason;
+  }
+
+  const formatEtc = (wei) => `${ethers.formatEther(wei)} ETC`;
+  const plural = (n, word) => `${n} ${word}${BigInt(n) === 1n ? "" : "s"}`;
+
+  // The exchange's events in a receipt; logs of other contracts (the SATURN
+  // token's Transfer) are skipped
+  function parseEvents(receipt, iface, exchangeAddress) {
+    const events = [];
+    for (const log of receipt.logs) {
+      if (exchangeAddress && log.address.toLowerCase() !== exchangeAddress.toLowerCase()) continue;
+      let parsed = null;
+      try {
+        parsed = iface.parseLog(log);
+      } catch (_) {
+        // Not an exchange event
+      }
+      if (parsed) events.push(parsed);
+    }
+    return events;
+  }
+
+  // One line describing what a mined exchange transaction did for `account`,
+  // token amounts in the market token's `decimals` and `symbol`
+  function summarizeReceipt(receipt, iface, { account, exchangeAddress, decimals = SATURN_DECIMALS, symbol = "SATURN" } = {}) {
+    const events = parseEvents(receipt, iface, exchangeAddress);
+    const formatSaturn = (units) => `${ethers.formatUnits(units, decimals)} ${symbol}`;
+    const mine = (addr) => !account || addr.toLowerCase() === account.toLowerCase();
+    const parts = [];
+    const byName = (name) => events.filter((e) => e.name === name);
+
+    for (const e of byName("DepositETC")) parts.push(`deposited ${formatEtc(e.args.amount)}`);
+    for (const e of byName("DepositSATURN")) parts.push(`deposited ${formatSaturn(e.args.amount)}`);
+
+    const fills = byName("Trade").filter((e) => mine(e.args.taker));
+    if (fills.length) {
+      const lots = fills.reduce((sum, e) => sum + e.args.lots, 0n);
+      const gross = fills.reduce((sum, e) => sum + e.args.grossEtc, 0n);
+      parts.push(`filled ${plural(lots, "lot")} at avg ${ethers.formatEther(gross / lots)} ETC/lot`);
+    }
+    for (const e of byName("SelfTradePrevented")) {
+      parts.push(`self-trade prevention canceled ${e.args.takerLotsCanceled} taker / ` +
+        `${e.args.makerLotsCanceled} lots of order #${e.args.makerOrderId}`);
+    }
+    for (const e of byName("SellImmediateSettled")) {
+      parts.push(`received ${formatEtc(e.args.etcOut)}`);
+      if (e.args.saturnRefund > 0n) parts.push(`refunded ${formatSaturn(e.args.saturnRefund)}`);
+    }
+    for (const e of byName("BuyImmediateSettled")) {
+      parts.push(`received ${formatSaturn(e.args.saturnOut)}`);
+      if (e.args.etcRefund > 0n) parts.push(`refunded ${formatEtc(e.args.etcRefund)}`);
+    }
+    for (const e of byName("OrderPlaced")) {
+      parts.push(`order #${e.args.orderId} resting with ${e.args.lots} at ${ethers.formatEther(e.args.pricePerLot)} ETC/lot`);
+    }
+    for (const e of byName("OrderModified")) {
+      if (e.args.lots === 0n) {
+        parts.push(`order #${e.args.orderId} filled completely`);
+      } else {
+        parts.push(`order #${e.args.orderId} now ${plural(e.args.lots, "lot")} at ${ethers.formatEther(e.args.pricePerLot)} ETC/lot` +
+          (e.args.priorityKept ? " (kept priority)" : " (re-queued)"));
+      }
+    }
+    const canceled = byName("OrderCanceled").map((e) => `#${e.args.orderId}`);
+    if (canceled.length) parts.push(`canceled ${canceled.length === 1 ? "order" : "orders"} ${canceled.join(", ")}`);
+    const expired = byName("OrderExpired").length;
+    if (expired) parts.push(`removed ${plural(expired, "expired order")}`);
+
+    for (const e of byName("WithdrawAll")) {
+      parts.push(`withdrew ${formatEtc(e.args.etcAmount)} and ${formatSaturn(e.args.saturnAmount)}`);
+    }
+    for (const e of byName("WithdrawEtc")) parts.push(`withdrew ${formatEtc(e.args.amount)}`);
+    for (const e of byName("WithdrawSaturn")) parts.push(`withdrew ${formatSaturn(e.args.amount)}`);
+    for (const e of byName("FeesWithdrawn")) {
+      parts.push(`sent fees ${formatEtc(e.args.etcAmount)} and ${formatSaturn(e.args.saturnAmount)} to ${e.args.recipient}`);
+    }
+    for (const e of byName("EmergencyModeSet")) parts.push(`emergency mode ${e.args.enabled ? "on" : "off"}`);
+    for (const e of byName("CircuitBreakerTripped")) {
+      parts.push(`circuit breaker tripped, trading halted until block ${e.args.haltedUntilBlock}`);
+    }
+    for (const e of byName("OwnershipTransferStarted")) {
+      parts.push(e.args.to === ethers.ZeroAddress ? "ownership transfer canceled" : `proposed ${e.args.to} as owner`);
+    }
+    for (const e of byName("OwnershipTransferred")) parts.push(`${e.args.to} is now the owner`);
+
+    return parts.length ? parts.join(", ") : "confirmed, no exchange events";
+  }
+
+  // Activity entries: { id, label, status: "pending" | "confirmed" | "failed",
+  // hash, message, replacedHash, startedAt, endedAt }. `onChange(entries)` is
+  // called after every transition, newest entry first.
+  class TxManager {
+    constructor({ iface, account, exchangeAddress, decimals, symbol, onChange = () => {}, maxEntries = 20 } = {}) {
+      this.iface = iface;
+      this.account = account;
+      this.exchangeAddress = exchangeAddress;
+      this.decimals = decimals;
+      this.symbol = symbol;
+      this.onChange = onChange;
+      this.maxEntries = maxEntries;
+      this.entries = [];
+      this.nextId = 1;
+    }
+
+    update(entry, fields) {
+      Object.assign(entry, fields);
+      this.onChange(this.entries);
+    }
+
+    finish(entry, status, fields) {
+      this.update(entry, { status, endedAt: Date.now(), ...fields });
+      return entry;
+    }
+
+    start(label) {
+      const entry = { id: this.nextId++, label, status: "pending", hash: null, message: "checking", startedAt: Date.now() };
+      this.entries.unshift(entry);
+      this.entries.length = Math.min(this.entries.length, this.maxEntries);
+      this.onChange(this.entries);
+      return entry;
+    }
+
+    // Record an action that failed before (or without) reaching submit(): bad
+    // input, a read that reverted, a relayer refusing an order
+    fail(label, err) {
+      return this.finish(this.start(label), "failed", { message: friendlyError(err, this.iface), error: err });
+    }
+
+    // Preflight, send and wait for `method(...args, overrides)`, where method
+    // is an ethers contract method (contract.depositEtc, token.transfer, ...).
+    // Never throws for a transaction failure: resolves to the finished entry,
+    // whose status tells the caller whether to refresh.
+    async submit({ label, method, args = [], overrides = {} }) {
+      const entry = this.start(label);
+
+      let gasLimit;
+      try {
+        await method.staticCall(...args, overrides);
+        const estimate = await method.estimateGas(...args, overrides);
+        gasLimit = estimate + (estimate * GAS_MARGIN_PERCENT) / 100n;
+      } catch (err) {
+        return this.finish(entry, "failed", { message: `would fail: ${friendlyError(err, this.iface)}`, error: err });
+      }
+
+      let tx;
+      try {
+        this.update(entry, { message: "waiting for wallet" });
+        tx = await method(...args, { ...overrides, gasLimit });
+      } catch (err) {
+        return this.finish(entry, "failed", { message: friendlyError(err, this.iface), error: err });
+      }
+
+      this.update(entry, { hash: tx.hash, message: "waiting for confirmation" });
+      let receipt;
+      try {
+        receipt = await tx.wait();
+      } catch (err) {
+        if (err.code === "TRANSACTION_REPLACED") {
+          // cancelled: the wallet replaced it with a different transaction
+          // (usually a 0-value self-send); otherwise it was repriced and the
+          // replacement did the same thing
+          const replacedHash = tx.hash;
+          if (err.cancelled) {
+            return this.finish(entry, "failed", {
+              hash: err.replacement.hash, replacedHash, message: "cancelled in wallet (replaced by another transaction)", error: err
+            });
+          }
+          receipt = err.receipt;
+          this.update(entry, { hash: err.replacement.hash, replacedHash });
+        } else {
+          return this.finish(entry, "failed", { message: `reverted: ${friendlyError(err, this.iface)}`, error: err });
+        }
+      }
+      const summary = summarizeReceipt(receipt, this.iface, {
+        account: this.account, exchangeAddress: this.exchangeAddress, decimals: this.decimals, symbol: this.symbol
+      });
+      return this.finish(entry, "confirmed", {
+        receipt,
+        message: entry.replacedHash ? `${summary} (sped up in wallet)` : summary
+      });
+    }
+  }
+
+  return { TxManager, FRIENDLY_REASONS, friendlyError, isUserRejection, summarizeReceipt, parseEvents };
+});